@@ -1,5 +1,6 @@
 import { Sequelize } from 'sequelize';
 import dotenv from 'dotenv';
+import { MigrationService } from '../services/migrationService.js';
 
 dotenv.config();
 
@@ -25,9 +26,12 @@ const config = {
   },
 };
 
-// Create Sequelize instance
-const sequelize = new Sequelize(
-  config.database,
+/**
+ * Open a connection with the configured host and credentials.
+ * Defaults to the application database; backups restore into another one.
+ */
+const createSequelize = (database = config.database) => new Sequelize(
+  database,
   config.username,
   config.password,
   {
@@ -40,16 +44,25 @@ const sequelize = new Sequelize(
   }
 );
 
+// Create Sequelize instance
+const sequelize = createSequelize();
+
 // Test database connection
 const connectDB = async () => {
   try {
     await sequelize.authenticate();
     console.log('✅ PostgreSQL connected successfully');
     
-    // Sync database in development
+    // Apply pending schema migrations in development; elsewhere they are run explicitly
+    const migrator = new MigrationService(sequelize);
     if (process.env.NODE_ENV === 'development') {
-      await sequelize.sync({ alter: true });
-      console.log('📊 Database synchronized');
+      const applied = await migrator.up();
+      console.log(`📊 Database migrated (${applied.length} migration(s) applied)`);
+    } else {
+      const pending = await migrator.getPending();
+      if (pending.length > 0) {
+        console.warn(`⚠️  ${pending.length} pending migration(s). Run: npm run migrate -- up`);
+      }
     }
   } catch (error) {
     console.error('❌ Database connection failed:', error);
@@ -57,5 +70,5 @@ const connectDB = async () => {
   }
 };
 
-export { sequelize, connectDB };
+export { sequelize, connectDB, createSequelize };
 export default sequelize;
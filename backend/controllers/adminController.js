@@ -1,9 +1,51 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
 import User from '../models/User.pg.js';
 import Patient from '../models/Patient.pg.js';
-// Note: Appointment, Diagnosis, and Prescription models need to be created for PostgreSQL
-// import Appointment from '../models/Appointment.pg.js';
-// import Diagnosis from '../models/Diagnosis.pg.js';
-// import Prescription from '../models/Prescription.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
+import Prescription from '../models/Prescription.pg.js';
+import AuditLog from '../models/AuditLog.pg.js';
+import { buildAuditFilter, toCsv } from '../services/auditService.js';
+import SystemSettingChange from '../models/SystemSettingChange.pg.js';
+import { validationResult } from 'express-validator';
+import {
+  loadSettings,
+  nestSettings,
+  validateSettingsUpdate,
+  updateSettings
+} from '../services/settingsService.js';
+import {
+  BackupError,
+  createBackup,
+  listBackups,
+  getBackupArchive,
+  verifyBackup,
+  restoreBackup
+} from '../services/backupService.js';
+// Upper bound on rows in a single CSV export
+const AUDIT_EXPORT_LIMIT = 50000;
+
+const rowCount = [sequelize.fn('COUNT', sequelize.col('id')), 'count'];
+
+/**
+ * Row counts grouped by a column (or SQL expression, returned as `as`), most first:
+ * [{ [as]: value, count }]
+ */
+const countBy = async (Model, column, { where = {}, as = column, attributes = [], limit } = {}) => {
+  const rows = await Model.findAll({
+    where,
+    attributes: [[typeof column === 'string' ? sequelize.col(column) : column, as], rowCount, ...attributes],
+    group: [column],
+    order: [[sequelize.literal('"count"'), 'DESC']],
+    limit,
+    raw: true
+  });
+  return rows.map(row => ({ ...row, count: Number(row.count) }));
+};
+
+// { value: count } from countBy rows
+const countsByValue = (rows, key) => Object.fromEntries(rows.map(row => [row[key], row.count]));
 
 /**
  * @swagger
@@ -24,7 +66,8 @@ export const getDashboardStats = async (req, res, next) => {
     // Get current date ranges
     const today = new Date();
     const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const startOfWeek = new Date(today.setDate(today.getDate() - today.getDay()));
+    const startOfTomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    const startOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
 
     // Parallel queries for better performance
@@ -42,36 +85,32 @@ export const getDashboardStats = async (req, res, next) => {
       appointmentsByStatus,
       recentActivity
     ] = await Promise.all([
-      User.countDocuments(),
-      Patient.countDocuments(),
-      Appointment.countDocuments(),
-      Appointment.countDocuments({
-        appointmentDate: {
-          $gte: startOfToday,
-          $lt: new Date(startOfToday.getTime() + 24 * 60 * 60 * 1000)
-        }
+      User.count(),
+      Patient.count(),
+      Appointment.count(),
+      Appointment.count({
+        where: { appointmentDate: { [Op.gte]: startOfToday, [Op.lt]: startOfTomorrow } }
       }),
-      Appointment.countDocuments({
-        appointmentDate: { $gte: startOfWeek }
+      Appointment.count({
+        where: { appointmentDate: { [Op.gte]: startOfWeek } }
       }),
-      Appointment.countDocuments({
-        appointmentDate: { $gte: startOfMonth }
+      Appointment.count({
+        where: { appointmentDate: { [Op.gte]: startOfMonth } }
       }),
-      Diagnosis.countDocuments(),
-      Prescription.countDocuments(),
-      Prescription.countDocuments({ status: 'pending' }),
-      User.aggregate([
-        { $group: { _id: '$role', count: { $sum: 1 } } }
-      ]),
-      Appointment.aggregate([
-        { $group: { _id: '$status', count: { $sum: 1 } } }
-      ]),
-      Appointment.find()
-        .populate('patient', 'firstName lastName')
-        .populate('doctor', 'name')
-        .sort({ createdAt: -1 })
-        .limit(10)
-        .select('appointmentId patient doctor appointmentDate status createdAt')
+      Diagnosis.count(),
+      Prescription.count(),
+      Prescription.count({ where: { status: 'pending' } }),
+      countBy(User, 'role'),
+      countBy(Appointment, 'status'),
+      Appointment.findAll({
+        attributes: ['id', 'appointmentId', 'appointmentDate', 'status', 'createdAt'],
+        include: [
+          { model: Patient, as: 'patient', attributes: ['id', 'firstName', 'lastName'] },
+          { model: User, as: 'doctor', attributes: ['id', 'name'] }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: 10
+      })
     ]);
 
     // Calculate growth rates (simplified - you might want to implement proper historical comparison)
@@ -101,14 +140,8 @@ export const getDashboardStats = async (req, res, next) => {
           diagnoses: diagnosisGrowth
         },
         distribution: {
-          usersByRole: usersByRole.reduce((acc, item) => {
-            acc[item._id] = item.count;
-            return acc;
-          }, {}),
-          appointmentsByStatus: appointmentsByStatus.reduce((acc, item) => {
-            acc[item._id] = item.count;
-            return acc;
-          }, {})
+          usersByRole: countsByValue(usersByRole, 'role'),
+          appointmentsByStatus: countsByValue(appointmentsByStatus, 'status')
         },
         recentActivity
       }
@@ -138,6 +171,8 @@ export const getSystemHealth = async (req, res, next) => {
     await User.findOne().limit(1);
     const dbResponseTime = Date.now() - startTime;
 
+    const [latestBackup] = await listBackups();
+
     // Get system information
     const systemInfo = {
       status: 'healthy',
@@ -149,7 +184,7 @@ export const getSystemHealth = async (req, res, next) => {
         status: 'connected',
         responseTime: dbResponseTime
       },
-      lastBackup: new Date().toISOString(), // Mock data
+      lastBackup: latestBackup ? latestBackup.createdAt : null,
       diskSpace: {
         total: '100GB', // Mock data
         used: '45GB',
@@ -207,54 +242,21 @@ export const getSummaryReports = async (req, res, next) => {
         startDate = new Date(now.getFullYear(), now.getMonth(), 1);
     }
 
+    const where = { createdAt: { [Op.gte]: startDate } };
     const [
       appointmentStats,
       diagnosisStats,
       prescriptionStats,
       patientStats
     ] = await Promise.all([
-      Appointment.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 }
-          }
-        }
-      ]),
-      Diagnosis.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
-        {
-          $group: {
-            _id: '$diagnosis.primary',
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { count: -1 } },
-        { $limit: 10 }
-      ]),
-      Prescription.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-            totalCost: { $sum: '$totalCost' }
-          }
-        }
-      ]),
-      Patient.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
-        {
-          $group: {
-            _id: {
-              $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
-            },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { _id: 1 } }
-      ])
+      countBy(Appointment, 'status', { where }),
+      // Ten most common primary diagnoses
+      countBy(Diagnosis, sequelize.literal(`"diagnosis"->>'primary'`), { where, as: 'diagnosis', limit: 10 }),
+      countBy(Prescription, 'status', {
+        where,
+        attributes: [[sequelize.fn('SUM', sequelize.col('totalCost')), 'totalCost']]
+      }),
+      countBy(Patient, sequelize.literal(`to_char("createdAt", 'YYYY-MM-DD')`), { where, as: 'date' })
     ]);
 
     res.status(200).json({
@@ -267,8 +269,8 @@ export const getSummaryReports = async (req, res, next) => {
         },
         appointments: appointmentStats,
         diagnoses: diagnosisStats,
-        prescriptions: prescriptionStats,
-        patientRegistrations: patientStats
+        prescriptions: prescriptionStats.map(row => ({ ...row, totalCost: Number(row.totalCost || 0) })),
+        patientRegistrations: patientStats.sort((a, b) => a.date.localeCompare(b.date))
       }
     });
   } catch (error) {
@@ -296,103 +298,360 @@ export const getSummaryReports = async (req, res, next) => {
  *           type: integer
  *         description: Number of logs per page
  *       - in: query
+ *         name: user
+ *         schema:
+ *           type: integer
+ *         description: Filter by acting user ID
+ *       - in: query
  *         name: action
  *         schema:
  *           type: string
- *         description: Filter by action type
+ *         description: Filter by action (create, update, delete, read, login, dispense, ...)
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *         description: Filter by resource type (patients, appointments, prescriptions, ...)
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         description: Filter by resource ID
+ *       - in: query
+ *         name: patient
+ *         schema:
+ *           type: integer
+ *         description: Only entries that read or changed this patient's data
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the date range
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the date range
  *     responses:
  *       200:
  *         description: Audit logs
  */
 export const getAuditLogs = async (req, res, next) => {
   try {
-    const { page = 1, limit = 50, action } = req.query;
-    
-    // Mock audit logs - in a real system, you'd have a proper audit log collection
-    const mockLogs = [
-      {
-        id: '1',
-        timestamp: new Date(),
-        user: 'admin@moh.gov',
-        action: 'USER_CREATED',
-        resource: 'User',
-        resourceId: 'user123',
-        details: 'Created new doctor account',
-        ipAddress: '192.168.1.100'
-      },
-      {
-        id: '2',
-        timestamp: new Date(Date.now() - 3600000),
-        user: 'dr.smith@moh.gov',
-        action: 'DIAGNOSIS_CREATED',
-        resource: 'Diagnosis',
-        resourceId: 'diag456',
-        details: 'Created malaria diagnosis',
-        ipAddress: '192.168.1.101'
-      }
-    ];
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // Filter by action if provided
-    const filteredLogs = action 
-      ? mockLogs.filter(log => log.action === action)
-      : mockLogs;
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req.query);
 
-    // Pagination
+    // Calculate pagination
     const skip = (page - 1) * limit;
-    const paginatedLogs = filteredLogs.slice(skip, skip + parseInt(limit));
+
+    const { rows: logs, count: total } = await AuditLog.findAndCountAll({
+      where: filter,
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit)
+    });
 
     res.status(200).json({
       success: true,
-      count: paginatedLogs.length,
-      total: filteredLogs.length,
+      count: logs.length,
+      total,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        pages: Math.ceil(filteredLogs.length / limit)
+        pages: Math.ceil(total / limit)
       },
-      data: paginatedLogs
+      data: logs
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: Export audit logs as CSV
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: integer
+ *         description: Filter by acting user ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action (create, update, delete, read, login, dispense, ...)
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *         description: Filter by resource type (patients, appointments, prescriptions, ...)
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         description: Filter by resource ID
+ *       - in: query
+ *         name: patient
+ *         schema:
+ *           type: integer
+ *         description: Only entries that read or changed this patient's data
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the date range
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the date range
+ *     responses:
+ *       200:
+ *         description: CSV file of matching audit logs (newest first)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+export const exportAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const logs = await AuditLog.findAll({
+      where: buildAuditFilter(req.query),
+      include: [{ model: User, as: 'user', attributes: ['id', 'username'] }],
+      order: [['createdAt', 'DESC']],
+      limit: AUDIT_EXPORT_LIMIT
+    });
+
+    const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(toCsv(logs));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @swagger
  * /api/admin/backup:
  *   post:
- *     summary: Initiate system backup
+ *     summary: Take a backup of the database
+ *     description: Writes a consistent snapshot of every table to a compressed archive with a manifest and SHA-256 checksum, then deletes backups outside the retention window of system.backupFrequency.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
- *       200:
- *         description: Backup initiated successfully
+ *       201:
+ *         description: Backup created; returns its manifest
+ *       409:
+ *         description: A backup is already in progress
  */
 export const initiateBackup = async (req, res, next) => {
   try {
-    // In a real system, you would implement actual backup logic
-    // This is a mock implementation
-    
-    const backupId = `backup_${Date.now()}`;
-    const timestamp = new Date().toISOString();
-    
-    // Simulate backup process
-    setTimeout(() => {
-      console.log(`Backup ${backupId} completed at ${timestamp}`);
-    }, 5000);
+    const manifest = await createBackup({ user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Backup completed successfully',
+      data: manifest
+    });
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/backups:
+ *   get:
+ *     summary: List backups, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backup manifests
+ */
+export const getBackups = async (req, res, next) => {
+  try {
+    const backups = await listBackups();
 
     res.status(200).json({
       success: true,
-      message: 'Backup initiated successfully',
-      data: {
-        backupId,
-        timestamp,
-        status: 'in_progress',
-        estimatedCompletion: new Date(Date.now() + 300000).toISOString() // 5 minutes
-      }
+      count: backups.length,
+      data: backups
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/backups/{id}/download:
+ *   get:
+ *     summary: Download a backup archive
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Backup ID (backup-YYYYMMDDHHmmss)
+ *     responses:
+ *       200:
+ *         description: Gzipped NDJSON archive; the X-Checksum-SHA256 header carries its checksum
+ *       404:
+ *         description: Backup not found
+ */
+export const downloadBackup = async (req, res, next) => {
+  try {
+    const { manifest, file } = await getBackupArchive(req.params.id);
+
+    res.setHeader('X-Checksum-SHA256', manifest.archive.sha256);
+    res.download(file, manifest.archive.file, (error) => {
+      if (error && !res.headersSent) next(error);
+    });
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/backups/{id}/verify:
+ *   post:
+ *     summary: Verify a backup's checksum and contents
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verification result (valid plus any errors found)
+ *       404:
+ *         description: Backup not found
+ */
+export const verifyBackupIntegrity = async (req, res, next) => {
+  try {
+    const result = await verifyBackup(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
     });
   } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/backups/{id}/restore:
+ *   post:
+ *     summary: Restore a backup into an empty database
+ *     description: The target database must already exist and hold no data. Migrations up to the backup's schema version are applied to it first. The live database is never overwritten.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - database
+ *             properties:
+ *               database:
+ *                 type: string
+ *                 description: Name of the empty target database on the configured server
+ *     responses:
+ *       200:
+ *         description: Rows restored per table
+ *       404:
+ *         description: Backup not found
+ *       409:
+ *         description: Target database is not empty or its schema does not match
+ *       422:
+ *         description: Backup failed verification
+ */
+export const restoreFromBackup = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await restoreBackup(req.params.id, req.body.database);
+
+    res.status(200).json({
+      success: true,
+      message: `Backup restored into ${result.database}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     next(error);
   }
 };
@@ -411,33 +670,11 @@ export const initiateBackup = async (req, res, next) => {
  */
 export const getSystemSettings = async (req, res, next) => {
   try {
-    // Mock system settings - in a real system, you'd store these in a database
-    const settings = {
-      hospital: {
-        name: process.env.HOSPITAL_NAME || 'Ministry of Health Hospital',
-        location: process.env.HOSPITAL_LOCATION || 'Windhoek, Namibia',
-        contactEmail: process.env.HOSPITAL_CONTACT_EMAIL || 'info@moh.gov',
-        contactPhone: process.env.HOSPITAL_CONTACT_PHONE || '+264 61 123 4567',
-        emergencyContact: process.env.HOSPITAL_EMERGENCY_CONTACT || '+264 81 123 4567'
-      },
-      system: {
-        maintenanceMode: false,
-        allowRegistration: true,
-        sessionTimeout: 30, // minutes
-        maxLoginAttempts: 5,
-        backupFrequency: 'daily'
-      },
-      notifications: {
-        emailEnabled: true,
-        smsEnabled: false,
-        appointmentReminders: true,
-        prescriptionAlerts: true
-      }
-    };
+    const settings = await loadSettings({ fresh: true });
 
     res.status(200).json({
       success: true,
-      data: settings
+      data: nestSettings(settings)
     });
   } catch (error) {
     next(error);
@@ -449,6 +686,7 @@ export const getSystemSettings = async (req, res, next) => {
  * /api/admin/settings:
  *   put:
  *     summary: Update system settings
+ *     description: Accepts any subset of the settings, nested by group (hospital, system, notifications). Every change is recorded in the settings history.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -458,19 +696,98 @@ export const getSystemSettings = async (req, res, next) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             example:
+ *               system:
+ *                 maintenanceMode: true
+ *                 maxLoginAttempts: 3
  *     responses:
  *       200:
  *         description: Settings updated successfully
+ *       400:
+ *         description: Unknown setting or invalid value
  */
 export const updateSystemSettings = async (req, res, next) => {
   try {
-    // In a real system, you would validate and save these settings to a database
-    const updatedSettings = req.body;
+    const { changes, errors } = validateSettingsUpdate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const changed = await updateSettings(changes, req.user);
+    const settings = await loadSettings({ fresh: true });
 
     res.status(200).json({
       success: true,
       message: 'System settings updated successfully',
-      data: updatedSettings
+      changed,
+      data: nestSettings(settings)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/settings/history:
+ *   get:
+ *     summary: Get the change history of system settings
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *         description: Only changes to this setting (e.g. system.maintenanceMode)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of changes per page
+ *     responses:
+ *       200:
+ *         description: Settings changes, newest first
+ */
+export const getSettingsHistory = async (req, res, next) => {
+  try {
+    const { key, page = 1, limit = 50 } = req.query;
+
+    // Build filter object
+    const filter = {};
+    if (key) filter.settingKey = key;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const { rows: changes, count: total } = await SystemSettingChange.findAndCountAll({
+      where: filter,
+      include: [{ model: User, as: 'changedBy', attributes: ['id', 'username', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: changes.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      data: changes
     });
   } catch (error) {
     next(error);
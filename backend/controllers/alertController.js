@@ -0,0 +1,167 @@
+import ClinicalAlert from '../models/ClinicalAlert.pg.js';
+import Patient from '../models/Patient.pg.js';
+import User from '../models/User.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
+import { validationResult } from 'express-validator';
+
+// Associations loaded with every alert response
+const alertIncludes = [
+  { model: Patient, as: 'patient', attributes: ['id', 'patientId', 'firstName', 'lastName'] },
+  { model: User, as: 'recipient', attributes: ['id', 'name'] },
+  { model: User, as: 'raisedBy', attributes: ['id', 'name', 'role'] },
+  { model: Diagnosis, as: 'diagnosis', attributes: ['id', 'diagnosisId'] }
+];
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: Get clinical alerts
+ *     description: Doctors see the alerts raised for them, newest first; admins see every alert.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged]
+ *         description: Filter by status
+ *       - in: query
+ *         name: patient
+ *         schema:
+ *           type: integer
+ *         description: Filter by patient
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of alerts per page
+ *     responses:
+ *       200:
+ *         description: List of alerts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClinicalAlert'
+ */
+export const getAlerts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, patient, page = 1, limit = 20 } = req.query;
+
+    // Build filter object
+    const filter = {};
+    if (req.user.role !== 'admin') filter.recipientId = req.user.id;
+    if (status) filter.status = status;
+    if (patient) filter.patientId = patient;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const { rows: alerts, count: total } = await ClinicalAlert.findAndCountAll({
+      where: filter,
+      include: alertIncludes,
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      data: alerts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/alerts/{id}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge an alert raised for you
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       400:
+ *         description: Alert already acknowledged
+ *       404:
+ *         description: Alert not found
+ */
+export const acknowledgeAlert = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const alert = await ClinicalAlert.findByPk(req.params.id);
+
+    // Only the recipient may acknowledge an alert
+    if (!alert || alert.recipientId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    if (alert.status === 'acknowledged') {
+      return res.status(400).json({
+        success: false,
+        error: 'Alert is already acknowledged'
+      });
+    }
+
+    await alert.update({ status: 'acknowledged', acknowledgedAt: new Date() });
+    await alert.reload({ include: alertIncludes });
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    next(error);
+  }
+};
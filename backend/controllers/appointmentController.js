@@ -1,8 +1,59 @@
-// Note: These models need to be created for PostgreSQL
-// import Appointment from '../models/Appointment.pg.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import Appointment from '../models/Appointment.pg.js';
 import Patient from '../models/Patient.pg.js';
 import User from '../models/User.pg.js';
 import { validationResult } from 'express-validator';
+import { scopeToCareTeam, canAccessPatientRecord, isOnCareTeam } from '../services/careTeamService.js';
+
+// Statuses that occupy a doctor's time slot
+const activeStatuses = ['scheduled', 'confirmed', 'in-progress'];
+
+// Associations loaded with every appointment response
+const appointmentIncludes = [
+  { model: Patient, as: 'patient', attributes: ['id', 'patientId', 'firstName', 'lastName', 'phone'] },
+  { model: User, as: 'doctor', attributes: ['id', 'name', 'profile'] },
+  { model: User, as: 'assignedNurse', attributes: ['id', 'name'] },
+  { model: User, as: 'createdBy', attributes: ['id', 'name'] }
+];
+
+// Fields that are generated server-side and never taken from the request body
+const protectedFields = ['id', 'appointmentId', 'createdBy', 'createdById', 'rescheduleHistory', 'originalDate'];
+
+// Fields that decide who is on the patient's care team
+const careTeamFields = ['patientId', 'doctorId', 'assignedNurseId'];
+
+// Map request body references (patient, doctor, assignedNurse) onto foreign key columns
+const toAppointmentAttributes = (body) => {
+  const { patient, doctor, assignedNurse, ...attributes } = body;
+  protectedFields.forEach(field => delete attributes[field]);
+  if (patient !== undefined) attributes.patientId = patient;
+  if (doctor !== undefined) attributes.doctorId = doctor;
+  if (assignedNurse !== undefined) attributes.assignedNurseId = assignedNurse;
+  return attributes;
+};
+
+// Find an active appointment for the doctor that overlaps the requested slot
+const findConflictingAppointment = ({ doctorId, appointmentDate, duration, excludeId }) => {
+  const appointmentStart = new Date(appointmentDate);
+  const appointmentEnd = new Date(appointmentStart.getTime() + duration * 60000);
+
+  const where = {
+    doctorId,
+    status: { [Op.in]: activeStatuses },
+    appointmentDate: { [Op.lt]: appointmentEnd },
+    [Op.and]: [
+      sequelize.where(
+        sequelize.literal(`"Appointment"."appointmentDate" + ("Appointment"."duration" * INTERVAL '1 minute')`),
+        Op.gt,
+        appointmentStart
+      )
+    ]
+  };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+
+  return Appointment.findOne({ where });
+};
 
 /**
  * @swagger
@@ -21,12 +72,12 @@ import { validationResult } from 'express-validator';
  *       - in: query
  *         name: doctor
  *         schema:
- *           type: string
+ *           type: integer
  *         description: Filter by doctor ID
  *       - in: query
  *         name: patient
  *         schema:
- *           type: string
+ *           type: integer
  *         description: Filter by patient ID
  *       - in: query
  *         name: date
@@ -47,16 +98,28 @@ import { validationResult } from 'express-validator';
  *     responses:
  *       200:
  *         description: List of appointments
+ *       400:
+ *         description: Validation error
  */
 export const getAppointments = async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { status, doctor, patient, date, page = 1, limit = 10 } = req.query;
     
     // Build filter object
-    const filter = {};
+    let filter = {};
     if (status) filter.status = status;
-    if (doctor) filter.doctor = doctor;
-    if (patient) filter.patient = patient;
+    if (doctor) filter.doctorId = doctor;
+    if (patient) filter.patientId = patient;
     
     // Filter by date (appointments for a specific day)
     if (date) {
@@ -64,37 +127,36 @@ export const getAppointments = async (req, res, next) => {
       const endDate = new Date(date);
       endDate.setDate(endDate.getDate() + 1);
       filter.appointmentDate = {
-        $gte: startDate,
-        $lt: endDate
+        [Op.gte]: startDate,
+        [Op.lt]: endDate
       };
     }
 
-    // Role-based filtering
-    if (req.user.role === 'doctor') {
-      filter.doctor = req.user.id;
-    } else if (req.user.role === 'patient') {
-      // Find patient record for this user
-      const patientRecord = await Patient.findOne({ userId: req.user.id });
-      if (patientRecord) {
-        filter.patient = patientRecord._id;
+    // A single patient's records need access to that patient (emergency grants count,
+    // and their use is recorded); otherwise limit to the user's care team
+    if (patient) {
+      if (!(await canAccessPatientRecord(req.user, patient, req))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this patient data'
+        });
       }
+    } else {
+      filter = scopeToCareTeam(filter, req.user);
     }
 
     // Calculate pagination
     const skip = (page - 1) * limit;
 
     // Get appointments with pagination
-    const appointments = await Appointment.find(filter)
-      .populate('patient', 'patientId firstName lastName phone')
-      .populate('doctor', 'name profile.specialization')
-      .populate('assignedNurse', 'name')
-      .populate('createdBy', 'name')
-      .sort({ appointmentDate: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Appointment.countDocuments(filter);
+    const { rows: appointments, count: total } = await Appointment.findAndCountAll({
+      where: filter,
+      include: appointmentIncludes,
+      order: [['appointmentDate', 'ASC']],
+      offset: skip,
+      limit: parseInt(limit),
+      distinct: true
+    });
 
     res.status(200).json({
       success: true,
@@ -135,11 +197,16 @@ export const getAppointments = async (req, res, next) => {
  */
 export const getAppointment = async (req, res, next) => {
   try {
-    const appointment = await Appointment.findById(req.params.id)
-      .populate('patient', 'patientId firstName lastName phone email dateOfBirth gender')
-      .populate('doctor', 'name profile.specialization')
-      .populate('assignedNurse', 'name')
-      .populate('createdBy', 'name');
+    const appointment = await Appointment.findByPk(req.params.id, {
+      include: [
+        {
+          model: Patient,
+          as: 'patient',
+          attributes: ['id', 'patientId', 'firstName', 'lastName', 'phone', 'email', 'dateOfBirth', 'gender']
+        },
+        ...appointmentIncludes.slice(1)
+      ]
+    });
 
     if (!appointment) {
       return res.status(404).json({
@@ -148,6 +215,13 @@ export const getAppointment = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, appointment.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: appointment
@@ -176,6 +250,8 @@ export const getAppointment = async (req, res, next) => {
  *         description: Appointment created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Patient is not on the user's care team
  *       409:
  *         description: Time slot conflict
  */
@@ -194,7 +270,7 @@ export const createAppointment = async (req, res, next) => {
     const { patient, doctor, appointmentDate, duration = 30 } = req.body;
 
     // Check if patient exists
-    const patientExists = await Patient.findById(patient);
+    const patientExists = await Patient.findByPk(patient);
     if (!patientExists) {
       return res.status(404).json({
         success: false,
@@ -202,8 +278,17 @@ export const createAppointment = async (req, res, next) => {
       });
     }
 
+    // Booking puts the appointment's doctor and nurse on the patient's care team,
+    // so clinicians may only book for their own patients (an emergency grant is not enough)
+    if (!(await isOnCareTeam(req.user, patientExists.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to schedule appointments for this patient'
+      });
+    }
+
     // Check if doctor exists and has the right role
-    const doctorExists = await User.findOne({ _id: doctor, role: 'doctor' });
+    const doctorExists = await User.findOne({ where: { id: doctor, role: 'doctor' } });
     if (!doctorExists) {
       return res.status(404).json({
         success: false,
@@ -212,28 +297,10 @@ export const createAppointment = async (req, res, next) => {
     }
 
     // Check for time slot conflicts
-    const appointmentStart = new Date(appointmentDate);
-    const appointmentEnd = new Date(appointmentStart.getTime() + duration * 60000);
-
-    const conflictingAppointment = await Appointment.findOne({
-      doctor: doctor,
-      status: { $in: ['scheduled', 'confirmed', 'in-progress'] },
-      $or: [
-        {
-          appointmentDate: {
-            $gte: appointmentStart,
-            $lt: appointmentEnd
-          }
-        },
-        {
-          $expr: {
-            $and: [
-              { $lte: ['$appointmentDate', appointmentStart] },
-              { $gt: [{ $add: ['$appointmentDate', { $multiply: ['$duration', 60000] }] }, appointmentStart] }
-            ]
-          }
-        }
-      ]
+    const conflictingAppointment = await findConflictingAppointment({
+      doctorId: doctor,
+      appointmentDate,
+      duration
     });
 
     if (conflictingAppointment) {
@@ -244,20 +311,13 @@ export const createAppointment = async (req, res, next) => {
     }
 
     // Create appointment
-    const appointmentData = {
-      ...req.body,
-      createdBy: req.user.id
-    };
-
-    const appointment = await Appointment.create(appointmentData);
+    const created = await Appointment.create({
+      ...toAppointmentAttributes(req.body),
+      createdById: req.user.id
+    });
 
-    // Populate references
-    await appointment.populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'assignedNurse', select: 'name' },
-      { path: 'createdBy', select: 'name' }
-    ]);
+    // Reload with references
+    const appointment = await Appointment.findByPk(created.id, { include: appointmentIncludes });
 
     res.status(201).json({
       success: true,
@@ -292,6 +352,8 @@ export const createAppointment = async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Appointment updated successfully
+ *       403:
+ *         description: Not authorized to access or reschedule this patient
  *       404:
  *         description: Appointment not found
  */
@@ -307,19 +369,7 @@ export const updateAppointment = async (req, res, next) => {
       });
     }
 
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'assignedNurse', select: 'name' },
-      { path: 'createdBy', select: 'name' }
-    ]);
+    const appointment = await Appointment.findByPk(req.params.id);
 
     if (!appointment) {
       return res.status(404).json({
@@ -328,6 +378,65 @@ export const updateAppointment = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, appointment.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    const updates = toAppointmentAttributes(req.body);
+
+    // Moving the appointment or changing its clinicians changes care teams,
+    // which needs care-team membership of both the old and the new patient
+    const changesCareTeam = careTeamFields
+      .some(field => updates[field] !== undefined && String(updates[field]) !== String(appointment[field]));
+    if (changesCareTeam) {
+      const patientIds = new Set([appointment.patientId, Number(updates.patientId ?? appointment.patientId)]);
+      for (const patientId of patientIds) {
+        if (!(await isOnCareTeam(req.user, patientId))) {
+          return res.status(403).json({
+            success: false,
+            error: 'Not authorized to schedule appointments for this patient'
+          });
+        }
+      }
+    }
+
+    // Verify a reassigned doctor exists and has the right role
+    if (updates.doctorId !== undefined && Number(updates.doctorId) !== appointment.doctorId) {
+      const doctorExists = await User.findOne({ where: { id: updates.doctorId, role: 'doctor' } });
+      if (!doctorExists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Doctor not found'
+        });
+      }
+    }
+
+    // Re-check the time slot when the doctor, date or duration changes
+    if (['doctorId', 'appointmentDate', 'duration'].some(field => updates[field] !== undefined)) {
+      const nextStatus = updates.status || appointment.status;
+      if (activeStatuses.includes(nextStatus)) {
+        const conflictingAppointment = await findConflictingAppointment({
+          doctorId: updates.doctorId ?? appointment.doctorId,
+          appointmentDate: updates.appointmentDate ?? appointment.appointmentDate,
+          duration: updates.duration ?? appointment.duration,
+          excludeId: appointment.id
+        });
+
+        if (conflictingAppointment) {
+          return res.status(409).json({
+            success: false,
+            error: 'Time slot is already booked'
+          });
+        }
+      }
+    }
+
+    await appointment.update(updates);
+    await appointment.reload({ include: appointmentIncludes });
+
     res.status(200).json({
       success: true,
       data: appointment
@@ -360,11 +469,7 @@ export const updateAppointment = async (req, res, next) => {
  */
 export const cancelAppointment = async (req, res, next) => {
   try {
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      { status: 'cancelled' },
-      { new: true }
-    );
+    const appointment = await Appointment.findByPk(req.params.id);
 
     if (!appointment) {
       return res.status(404).json({
@@ -373,6 +478,15 @@ export const cancelAppointment = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, appointment.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    await appointment.update({ status: 'cancelled' });
+
     res.status(200).json({
       success: true,
       message: 'Appointment cancelled successfully',
@@ -426,14 +540,9 @@ export const updateAppointmentStatus = async (req, res, next) => {
       });
     }
 
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' }
-    ]);
+    const appointment = await Appointment.findByPk(req.params.id, {
+      include: appointmentIncludes.slice(0, 2)
+    });
 
     if (!appointment) {
       return res.status(404).json({
@@ -442,6 +551,15 @@ export const updateAppointmentStatus = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, appointment.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    await appointment.update({ status });
+
     res.status(200).json({
       success: true,
       data: appointment
@@ -1,11 +1,12 @@
 import User from '../models/User.pg.js';
 import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
+import { loadSettings } from '../services/settingsService.js';
 
-// Generate JWT Token
-const generateToken = (id) => {
+// Generate JWT Token; access tokens live for the configured session timeout (minutes)
+const generateToken = (id, sessionTimeout) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+    expiresIn: sessionTimeout ? `${sessionTimeout}m` : process.env.JWT_EXPIRE,
   });
 };
 
@@ -17,15 +18,17 @@ const generateRefreshToken = (id) => {
 };
 
 // Send token response
-const sendTokenResponse = (user, statusCode, res) => {
+const sendTokenResponse = async (user, statusCode, res) => {
+  const settings = await loadSettings();
+
   // Create token
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  const token = generateToken(user.id, settings['system.sessionTimeout']);
+  const refreshToken = generateRefreshToken(user.id);
 
   // Save refresh token to user
   user.refreshToken = refreshToken;
   user.lastLogin = new Date();
-  user.save({ validateBeforeSave: false });
+  await user.save({ validate: false });
 
   const options = {
     expires: new Date(
@@ -43,7 +46,7 @@ const sendTokenResponse = (user, statusCode, res) => {
     token,
     refreshToken,
     user: {
-      id: user._id,
+      id: user.id,
       username: user.username,
       email: user.email,
       name: user.name,
@@ -94,6 +97,8 @@ const sendTokenResponse = (user, statusCode, res) => {
  *         description: User registered successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Registration is disabled
  *       409:
  *         description: User already exists
  */
@@ -109,6 +114,15 @@ export const register = async (req, res, next) => {
       });
     }
 
+    // Self-registration can be switched off by an admin
+    const settings = await loadSettings();
+    if (!settings['system.allowRegistration']) {
+      return res.status(403).json({
+        success: false,
+        error: 'Registration is currently disabled'
+      });
+    }
+
     const { username, email, password, name, role, profile } = req.body;
 
     // Check if user already exists
@@ -138,7 +152,7 @@ export const register = async (req, res, next) => {
       profile: profile || {}
     });
 
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, res);
   } catch (error) {
     next(error);
   }
@@ -170,6 +184,10 @@ export const register = async (req, res, next) => {
  *         description: Login successful
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Account locked after too many failed attempts
+ *       503:
+ *         description: System under maintenance (non-admin users)
  */
 export const login = async (req, res, next) => {
   try {
@@ -195,13 +213,37 @@ export const login = async (req, res, next) => {
       });
     }
 
+    const settings = await loadSettings();
+
+    // Locked after too many failed attempts
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
-      return res.status(401).json({
+      const failedLoginAttempts = user.failedLoginAttempts + 1;
+      const locked = failedLoginAttempts >= settings['system.maxLoginAttempts'];
+
+      await user.update({
+        failedLoginAttempts: locked ? 0 : failedLoginAttempts,
+        lockedUntil: locked
+          ? new Date(Date.now() + settings['system.lockoutDuration'] * 60000)
+          : user.lockedUntil
+      });
+
+      return res.status(locked ? 429 : 401).json({
         success: false,
-        error: 'Invalid credentials'
+        error: locked
+          ? 'Too many failed login attempts. Please try again later.'
+          : 'Invalid credentials',
+        ...(locked && { lockedUntil: user.lockedUntil })
       });
     }
 
@@ -213,7 +255,21 @@ export const login = async (req, res, next) => {
       });
     }
 
-    sendTokenResponse(user, 200, res);
+    // Only admins can sign in while the system is under maintenance
+    if (settings['system.maintenanceMode'] && user.role !== 'admin') {
+      return res.status(503).json({
+        success: false,
+        error: 'The system is under maintenance. Please try again later.'
+      });
+    }
+
+    // A successful login clears the failed attempt counter
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = null;
+    }
+
+    await sendTokenResponse(user, 200, res);
   } catch (error) {
     next(error);
   }
@@ -234,9 +290,7 @@ export const login = async (req, res, next) => {
 export const logout = async (req, res, next) => {
   try {
     // Clear refresh token from user
-    await User.findByIdAndUpdate(req.user.id, {
-      refreshToken: undefined
-    });
+    await User.update({ refreshToken: null }, { where: { id: req.user.id } });
 
     res.cookie('token', 'none', {
       expires: new Date(Date.now() + 10 * 1000),
@@ -268,7 +322,7 @@ export const logout = async (req, res, next) => {
  */
 export const getMe = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
+    const user = await User.findByPk(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -317,7 +371,7 @@ export const refreshToken = async (req, res, next) => {
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
 
     // Get user and check if refresh token matches
-    const user = await User.findById(decoded.id).select('+refreshToken');
+    const user = await User.findByPk(decoded.id);
 
     if (!user || user.refreshToken !== refreshToken) {
       return res.status(401).json({
@@ -327,7 +381,7 @@ export const refreshToken = async (req, res, next) => {
     }
 
     // Generate new tokens
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, res);
   } catch (error) {
     next(error);
   }
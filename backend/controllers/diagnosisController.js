@@ -1,46 +1,60 @@
 // PostgreSQL models
 import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
 import { validationResult } from 'express-validator';
+import { scopeToCareTeam, canAccessPatientRecord } from '../services/careTeamService.js';
+import InterviewSession from '../models/InterviewSession.pg.js';
+import { getActiveRuleSet } from '../services/knowledgeBaseService.js';
+import { InterviewError, findAttachableSession } from '../services/interviewService.js';
+import { raiseSevereMalariaAlert } from '../services/alertService.js';
+import { TreatmentError, recommendTreatment, draftPrescription, treatmentPatientFrom } from '../services/treatmentService.js';
+import { assessDiagnosis, recordedG6pdStatus } from '../services/diagnosisService.js';
+import { runRuleEngine, normalizeSymptom } from '../shared/ruleEngine.js';
+import { datedContext } from '../shared/epidemiology.js';
+
+// Optional rule-engine inputs accepted alongside the symptoms
+const engineOptions = ({ absentSymptoms, feverPattern, feverDays, epidemiologicalContext }) => ({
+  absentSymptoms,
+  feverPattern,
+  feverDays,
+  context: datedContext(epidemiologicalContext)
+});
+
+// Regimens for a diagnosis, with a draft prescription the doctor can submit to POST /api/prescriptions.
+// Without a G6PD status in the request, the patient's latest G6PD lab result is used.
+const treatmentPlanFor = async (diagnosis, patient, details) => {
+  const g6pdStatus = details.g6pdStatus || await recordedG6pdStatus(patient.id);
+  const recommendation = recommendTreatment(diagnosis, treatmentPatientFrom(patient, { ...details, g6pdStatus }));
+  return {
+    ...recommendation,
+    draftPrescription: draftPrescription(recommendation, {
+      patientId: diagnosis.patientId,
+      diagnosisId: diagnosis.id,
+      appointmentId: diagnosis.appointmentId
+    })
+  };
+};
 
-// Malaria and Typhoid Expert System Logic
-const malariaSymptoms = [
-  'fever', 'chills', 'headache', 'muscle aches', 'fatigue', 'nausea', 'vomiting', 
-  'diarrhea', 'abdominal pain', 'sweating', 'shivering'
+// Associations loaded with every diagnosis response
+const diagnosisIncludes = [
+  { model: Patient, as: 'patient', attributes: ['id', 'patientId', 'firstName', 'lastName'] },
+  { model: User, as: 'doctor', attributes: ['id', 'name', 'profile'] },
+  { model: Appointment, as: 'appointment', attributes: ['id', 'appointmentId', 'appointmentDate'] }
 ];
 
-const typhoidSymptoms = [
-  'fever', 'headache', 'weakness', 'stomach pain', 'constipation', 'diarrhea',
-  'loss of appetite', 'rash', 'enlarged spleen', 'rose spots', 'dry cough'
+// Clinical fields a doctor may set on a diagnosis
+const editableFields = [
+  'symptoms', 'diagnosis', 'malariaAssessment', 'typhoidAssessment', 'treatment', 'followUp', 'status'
 ];
 
-const assessMalariaRisk = (symptoms, testResults) => {
-  const malariaScore = symptoms.filter(s => 
-    malariaSymptoms.includes(s.symptom.toLowerCase())
-  ).length;
-  
-  let riskLevel = 'low';
-  if (malariaScore >= 5 || testResults?.rapidTest === 'positive' || testResults?.microscopy === 'positive') {
-    riskLevel = 'high';
-  } else if (malariaScore >= 3) {
-    riskLevel = 'moderate';
-  }
-  
-  return { riskLevel, score: malariaScore };
-};
-
-const assessTyphoidRisk = (symptoms, testResults) => {
-  const typhoidScore = symptoms.filter(s => 
-    typhoidSymptoms.includes(s.symptom.toLowerCase())
-  ).length;
-  
-  let riskLevel = 'low';
-  if (typhoidScore >= 5 || testResults?.widalTest === 'positive' || testResults?.bloodCulture === 'positive') {
-    riskLevel = 'high';
-  } else if (typhoidScore >= 3) {
-    riskLevel = 'moderate';
-  }
-  
-  return { riskLevel, score: typhoidScore };
+const pickEditableFields = (body) => {
+  const attributes = {};
+  editableFields.forEach(field => {
+    if (body[field] !== undefined) attributes[field] = body[field];
+  });
+  return attributes;
 };
 
 /**
@@ -81,35 +95,34 @@ export const getDiagnoses = async (req, res, next) => {
     const { patient, doctor, page = 1, limit = 10 } = req.query;
     
     // Build filter object
-    const filter = {};
-    if (patient) filter.patient = patient;
-    if (doctor) filter.doctor = doctor;
-
-    // Role-based filtering
-    if (req.user.role === 'doctor') {
-      filter.doctor = req.user.id;
-    } else if (req.user.role === 'patient') {
-      // Find patient record for this user
-      const patientRecord = await Patient.findOne({ userId: req.user.id });
-      if (patientRecord) {
-        filter.patient = patientRecord._id;
+    let filter = {};
+    if (patient) filter.patientId = patient;
+    if (doctor) filter.doctorId = doctor;
+
+    // A single patient's records need access to that patient (emergency grants count,
+    // and their use is recorded); otherwise limit to the user's care team
+    if (patient) {
+      if (!(await canAccessPatientRecord(req.user, patient, req))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this patient data'
+        });
       }
+    } else {
+      filter = scopeToCareTeam(filter, req.user);
     }
 
     // Calculate pagination
     const skip = (page - 1) * limit;
 
     // Get diagnoses with pagination
-    const diagnoses = await Diagnosis.find(filter)
-      .populate('patient', 'patientId firstName lastName')
-      .populate('doctor', 'name profile.specialization')
-      .populate('appointment', 'appointmentId appointmentDate')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Diagnosis.countDocuments(filter);
+    const { rows: diagnoses, count: total } = await Diagnosis.findAndCountAll({
+      where: filter,
+      include: diagnosisIncludes,
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit)
+    });
 
     res.status(200).json({
       success: true,
@@ -150,10 +163,17 @@ export const getDiagnoses = async (req, res, next) => {
  */
 export const getDiagnosis = async (req, res, next) => {
   try {
-    const diagnosis = await Diagnosis.findById(req.params.id)
-      .populate('patient', 'patientId firstName lastName dateOfBirth gender')
-      .populate('doctor', 'name profile.specialization')
-      .populate('appointment', 'appointmentId appointmentDate');
+    const diagnosis = await Diagnosis.findByPk(req.params.id, {
+      include: [
+        {
+          model: Patient,
+          as: 'patient',
+          attributes: ['id', 'patientId', 'firstName', 'lastName', 'dateOfBirth', 'gender']
+        },
+        ...diagnosisIncludes.slice(1),
+        { model: InterviewSession, as: 'interview', attributes: ['id', 'transcript', 'stopReason', 'outcome', 'rulesVersion', 'createdAt'] }
+      ]
+    });
 
     if (!diagnosis) {
       return res.status(404).json({
@@ -162,6 +182,13 @@ export const getDiagnosis = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, diagnosis.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: diagnosis
@@ -187,7 +214,7 @@ export const getDiagnosis = async (req, res, next) => {
  *             $ref: '#/components/schemas/Diagnosis'
  *     responses:
  *       201:
- *         description: Diagnosis created successfully
+ *         description: Diagnosis created; expertSystemRecommendations includes the severe malaria danger signs, the alert raised for the treating doctor, if any, and - when weightKg (with optional pregnant, trimester and g6pdStatus) is sent - a treatment plan (see TreatmentPlan)
  *       400:
  *         description: Validation error
  */
@@ -206,7 +233,7 @@ export const createDiagnosis = async (req, res, next) => {
     const { patient, appointment, symptoms } = req.body;
 
     // Verify patient exists
-    const patientExists = await Patient.findById(patient);
+    const patientExists = await Patient.findByPk(patient);
     if (!patientExists) {
       return res.status(404).json({
         success: false,
@@ -214,8 +241,15 @@ export const createDiagnosis = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, patientExists.id, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
     // Verify appointment exists
-    const appointmentExists = await Appointment.findById(appointment);
+    const appointmentExists = await Appointment.findByPk(appointment);
     if (!appointmentExists) {
       return res.status(404).json({
         success: false,
@@ -223,56 +257,64 @@ export const createDiagnosis = async (req, res, next) => {
       });
     }
 
-    // Expert system assessment
-    const malariaAssessment = assessMalariaRisk(symptoms, req.body.malariaAssessment?.testResults);
-    const typhoidAssessment = assessTyphoidRisk(symptoms, req.body.typhoidAssessment?.testResults);
+    if (appointmentExists.patientId !== patientExists.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Appointment does not belong to this patient'
+      });
+    }
+
+    // The interview the findings came from must be about the same patient
+    const interview = req.body.interviewSession
+      ? await findAttachableSession(req.body.interviewSession, session => session.patientId === patientExists.id)
+      : null;
+
+    // Expert system assessment with the published knowledge base and the encounter's lab results
+    const { assessments, differential, dangerSigns, context: contextRead, ruleSet, fields } = await assessDiagnosis({
+      symptoms,
+      malariaAssessment: req.body.malariaAssessment,
+      typhoidAssessment: req.body.typhoidAssessment,
+      context: datedContext(req.body.epidemiologicalContext),
+      appointmentId: appointmentExists.id
+    });
 
     // Create diagnosis with expert system recommendations
     const diagnosisData = {
-      ...req.body,
-      doctor: req.user.id,
-      malariaAssessment: {
-        ...req.body.malariaAssessment,
-        riskLevel: malariaAssessment.riskLevel
-      },
-      typhoidAssessment: {
-        ...req.body.typhoidAssessment,
-        riskLevel: typhoidAssessment.riskLevel
-      }
+      ...pickEditableFields(req.body),
+      ...fields,
+      patientId: patientExists.id,
+      appointmentId: appointmentExists.id,
+      doctorId: req.user.id,
+      interviewSessionId: interview?.id || null
     };
 
-    const diagnosis = await Diagnosis.create(diagnosisData);
+    // Check the treatment details before anything is saved
+    if (req.body.weightKg !== undefined) treatmentPatientFrom(patientExists, req.body);
 
-    // Populate references
-    await diagnosis.populate([
-      { path: 'patient', select: 'patientId firstName lastName' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'appointment', select: 'appointmentId appointmentDate' }
-    ]);
+    const created = await Diagnosis.create(diagnosisData);
+    const alert = await raiseSevereMalariaAlert({ dangerSigns, patient: patientExists, diagnosisId: created.id, user: req.user });
+
+    // Reload with references
+    const diagnosis = await Diagnosis.findByPk(created.id, { include: diagnosisIncludes });
 
     res.status(201).json({
       success: true,
       data: diagnosis,
       expertSystemRecommendations: {
-        malaria: {
-          riskLevel: malariaAssessment.riskLevel,
-          score: malariaAssessment.score,
-          recommendation: malariaAssessment.riskLevel === 'high' ? 
-            'Immediate malaria testing and treatment recommended' :
-            malariaAssessment.riskLevel === 'moderate' ?
-            'Consider malaria testing' : 'Low malaria risk'
-        },
-        typhoid: {
-          riskLevel: typhoidAssessment.riskLevel,
-          score: typhoidAssessment.score,
-          recommendation: typhoidAssessment.riskLevel === 'high' ? 
-            'Immediate typhoid testing and treatment recommended' :
-            typhoidAssessment.riskLevel === 'moderate' ?
-            'Consider typhoid testing' : 'Low typhoid risk'
-        }
+        version: ruleSet.version,
+        malaria: assessments.malaria,
+        typhoid: assessments.typhoid,
+        differential,
+        dangerSigns,
+        context: contextRead,
+        alert: alert?.id || null,
+        treatment: req.body.weightKg !== undefined ? await treatmentPlanFor(created, patientExists, req.body) : null
       }
     });
   } catch (error) {
+    if (error instanceof InterviewError || error instanceof TreatmentError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     next(error);
   }
 };
@@ -316,18 +358,7 @@ export const updateDiagnosis = async (req, res, next) => {
       });
     }
 
-    const diagnosis = await Diagnosis.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate([
-      { path: 'patient', select: 'patientId firstName lastName' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'appointment', select: 'appointmentId appointmentDate' }
-    ]);
+    const diagnosis = await Diagnosis.findByPk(req.params.id);
 
     if (!diagnosis) {
       return res.status(404).json({
@@ -336,6 +367,39 @@ export const updateDiagnosis = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, diagnosis.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    const updates = pickEditableFields(req.body);
+    let newDangerSigns = null;
+
+    // Re-run the expert system when the findings it depends on change
+    const contextChanged = req.body.epidemiologicalContext !== undefined;
+    if (updates.symptoms || updates.malariaAssessment || updates.typhoidAssessment || contextChanged) {
+      const { dangerSigns, fields } = await assessDiagnosis({
+        symptoms: updates.symptoms || diagnosis.symptoms,
+        malariaAssessment: { ...diagnosis.malariaAssessment, ...updates.malariaAssessment },
+        typhoidAssessment: { ...diagnosis.typhoidAssessment, ...updates.typhoidAssessment },
+        context: contextChanged ? datedContext(req.body.epidemiologicalContext) : diagnosis.epidemiologicalContext,
+        appointmentId: diagnosis.appointmentId
+      });
+
+      // The treating doctor is alerted the first time the diagnosis meets the criteria
+      if (!diagnosis.malariaAssessment?.urgentReferral) newDangerSigns = dangerSigns;
+      Object.assign(updates, fields);
+    }
+
+    await diagnosis.update(updates);
+    if (newDangerSigns) {
+      const patient = await Patient.findByPk(diagnosis.patientId);
+      await raiseSevereMalariaAlert({ dangerSigns: newDangerSigns, patient, diagnosisId: diagnosis.id, user: req.user });
+    }
+    await diagnosis.reload({ include: diagnosisIncludes });
+
     res.status(200).json({
       success: true,
       data: diagnosis
@@ -350,6 +414,7 @@ export const updateDiagnosis = async (req, res, next) => {
  * /api/diagnosis/expert-system/assess:
  *   post:
  *     summary: Get expert system assessment for symptoms
+ *     description: Returns the probability of each disease with a 95% confidence interval. Severity, fever duration and fever pattern all change the likelihood ratios applied. Each assessment carries a reasoning trace listing the rules that fired, their contribution, the thresholds crossed and any test result that overrode the symptom scoring. Symptoms and the malaria parasite count are also checked against the WHO severe malaria criteria; when one is met the response flags urgent referral and, if a patient is named, their treating doctor is alerted. An epidemiological context (region, travel, date, bednet use, typhoid vaccination) sets each disease's pre-test probability, and the trace shows how each factor moved it.
  *     tags: [Diagnosis]
  *     security:
  *       - bearerAuth: []
@@ -367,16 +432,96 @@ export const updateDiagnosis = async (req, res, next) => {
  *                   properties:
  *                     symptom:
  *                       type: string
+ *                       description: Vocabulary code, label or synonym; misspellings are corrected
  *                     severity:
  *                       type: string
+ *                       enum: [mild, moderate, severe]
+ *                     duration:
+ *                       type: string
+ *                       example: 5 days
+ *                     pattern:
+ *                       type: string
+ *                       enum: [cyclical, step-ladder, continuous]
+ *                       description: Fever pattern (on the fever entry)
+ *               absentSymptoms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Symptoms the patient explicitly does not have
+ *               feverPattern:
+ *                 type: string
+ *                 enum: [cyclical, step-ladder, continuous]
+ *               feverDays:
+ *                 type: number
  *               testResults:
  *                 type: object
+ *                 description: Test results keyed by disease, e.g. { dengue: { ns1Antigen: positive }, malaria: { parasiteCount: 620000 } }
+ *               epidemiologicalContext:
+ *                 $ref: '#/components/schemas/EpidemiologicalContext'
+ *               patient:
+ *                 type: integer
+ *                 description: Patient being assessed; their treating doctor is alerted to danger signs
  *     responses:
  *       200:
- *         description: Expert system assessment
+ *         description: Ranked differential over every disease module, plus the probability, confidence interval, contributing findings and reasoning trace (see AssessmentTrace) per disease
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 version:
+ *                   type: integer
+ *                 differential:
+ *                   type: array
+ *                   description: Diseases from most to least likely
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       disease:
+ *                         type: string
+ *                         example: dengue
+ *                       label:
+ *                         type: string
+ *                       probability:
+ *                         type: number
+ *                       riskLevel:
+ *                         type: string
+ *                         enum: [low, moderate, high]
+ *                       recommendation:
+ *                         type: string
+ *                 dangerSigns:
+ *                   $ref: '#/components/schemas/DangerSigns'
+ *                 unrecognizedSymptoms:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Symptoms not found in the symptom vocabulary (see GET /api/symptoms)
+ *                 context:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The epidemiological context as read - region and travel as region keys, season, factors answered and unknownRegions (names not configured in the knowledge base)
+ *                 alert:
+ *                   type: integer
+ *                   description: ID of the clinical alert raised for the treating doctor, if any
+ *                 data:
+ *                   type: object
+ *                   description: Full assessment keyed by disease
+ *       404:
+ *         description: Patient not found
  */
 export const getExpertSystemAssessment = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { symptoms, testResults } = req.body;
 
     if (!symptoms || !Array.isArray(symptoms) || symptoms.length === 0) {
@@ -386,45 +531,171 @@ export const getExpertSystemAssessment = async (req, res, next) => {
       });
     }
 
-    const malariaAssessment = assessMalariaRisk(symptoms, testResults?.malaria);
-    const typhoidAssessment = assessTyphoidRisk(symptoms, testResults?.typhoid);
+    // A named patient's treating doctor is alerted to danger signs
+    let patient = null;
+    if (req.body.patient) {
+      patient = await Patient.findByPk(req.body.patient);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          error: 'Patient not found'
+        });
+      }
+      if (!(await canAccessPatientRecord(req.user, patient.id, req))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this patient data'
+        });
+      }
+    }
+
+    const ruleSet = await getActiveRuleSet();
+    const { assessments, differential, dangerSigns, unrecognizedSymptoms, context } = runRuleEngine({ symptoms, testResults, ...engineOptions(req.body) }, ruleSet);
+    const alert = await raiseSevereMalariaAlert({ dangerSigns, patient, user: req.user });
+
+    // matchingSymptoms lists the request's symptom entries (as vocabulary codes)
+    const matching = disease => symptoms
+      .filter(s => assessments[disease].matchedSymptoms.includes(normalizeSymptom(s)))
+      .map(s => s.symptom);
 
     res.status(200).json({
       success: true,
-      data: {
-        malaria: {
-          riskLevel: malariaAssessment.riskLevel,
-          score: malariaAssessment.score,
-          matchingSymptoms: symptoms.filter(s =>
-            malariaSymptoms.includes(s.symptom.toLowerCase())
-          ).map(s => s.symptom),
-          recommendation: malariaAssessment.riskLevel === 'high' ?
-            'Immediate malaria testing and treatment recommended' :
-            malariaAssessment.riskLevel === 'moderate' ?
-            'Consider malaria testing' : 'Low malaria risk'
-        },
-        typhoid: {
-          riskLevel: typhoidAssessment.riskLevel,
-          score: typhoidAssessment.score,
-          matchingSymptoms: symptoms.filter(s =>
-            typhoidSymptoms.includes(s.symptom.toLowerCase())
-          ).map(s => s.symptom),
-          recommendation: typhoidAssessment.riskLevel === 'high' ?
-            'Immediate typhoid testing and treatment recommended' :
-            typhoidAssessment.riskLevel === 'moderate' ?
-            'Consider typhoid testing' : 'Low typhoid risk'
-        }
-      }
+      version: ruleSet.version,
+      differential,
+      dangerSigns,
+      unrecognizedSymptoms,
+      context,
+      alert: alert?.id || null,
+      data: Object.fromEntries(Object.entries(assessments).map(([disease, assessment]) => [
+        disease,
+        { ...assessment, matchingSymptoms: matching(disease) }
+      ]))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/diagnosis/rules:
+ *   get:
+ *     summary: Get the published rule set
+ *     description: Priors, likelihood ratios, weights, thresholds and recommendation text of the published knowledge base version. The patient portal scores with these rules using the same engine, imported from /shared/ruleEngine.js.
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rule set with its version
+ */
+export const getRules = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getActiveRuleSet()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/diagnosis/rules/evaluate:
+ *   post:
+ *     summary: Score symptoms with the rule engine
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symptoms
+ *             properties:
+ *               symptoms:
+ *                 type: array
+ *                 description: Symptom names, or objects with a symptom property
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *               testResults:
+ *                 type: object
+ *                 description: Test results keyed by disease, e.g. { malaria: { rapidTest: positive } }
+ *               epidemiologicalContext:
+ *                 $ref: '#/components/schemas/EpidemiologicalContext'
+ *     responses:
+ *       200:
+ *         description: Scores, risk levels and overall conclusion
+ */
+export const evaluateSymptoms = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { symptoms, testResults } = req.body;
+
+    res.status(200).json({
+      success: true,
+      data: runRuleEngine({ symptoms, testResults, ...engineOptions(req.body) }, await getActiveRuleSet())
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Simple AI diagnosis endpoint for patient portal
+/**
+ * @swagger
+ * /api/diagnosis/patient-ai:
+ *   post:
+ *     summary: Save a patient portal symptom check
+ *     description: Scores are recomputed on the server from the symptoms; the result is kept in the patient's last 10 checks.
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symptoms
+ *             properties:
+ *               symptoms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               epidemiologicalContext:
+ *                 $ref: '#/components/schemas/EpidemiologicalContext'
+ *               interviewSession:
+ *                 type: integer
+ *                 description: Completed interview to attach; its findings (with the context the interview was started with) are scored instead of the symptoms
+ *     responses:
+ *       201:
+ *         description: Symptom check saved, with its severe malaria danger signs; the patient's assigned doctor is alerted when any are found
+ */
 export const savePatientDiagnosis = async (req, res, next) => {
   try {
-    const { symptoms, diagnosis, confidence, malariaScore, typhoidScore, recommendations } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
     if (!req.user || req.user.role !== 'patient') {
       return res.status(403).json({
@@ -442,6 +713,15 @@ export const savePatientDiagnosis = async (req, res, next) => {
       });
     }
 
+    // An attached interview supplies the findings; it must be the patient's own
+    const interview = req.body.interviewSession
+      ? await findAttachableSession(req.body.interviewSession, session => session.userId === req.user.id)
+      : null;
+
+    // Scores come from the server's rule engine, never from the client
+    const findings = interview ? interview.findings : { symptoms: req.body.symptoms, ...engineOptions(req.body) };
+    const result = runRuleEngine(findings, await getActiveRuleSet());
+
     // Get existing profile or create new one
     const profile = user.profile || {};
     const diagnosisHistory = profile.diagnosisHistory || [];
@@ -449,12 +729,17 @@ export const savePatientDiagnosis = async (req, res, next) => {
     // Add new diagnosis
     const newDiagnosis = {
       id: Date.now().toString(),
-      symptoms: symptoms || [],
-      diagnosis: diagnosis || 'Unknown',
-      confidence: confidence || 'Low',
-      malariaScore: malariaScore || 0,
-      typhoidScore: typhoidScore || 0,
-      recommendations: recommendations || '',
+      symptoms: result.symptoms,
+      diagnosis: result.conclusion.diagnosis,
+      confidence: result.conclusion.confidence,
+      malariaScore: result.scores.malaria,
+      typhoidScore: result.scores.typhoid,
+      recommendations: result.conclusion.recommendation,
+      rulesVersion: result.version,
+      dangerSigns: result.dangerSigns.urgentReferral ? result.dangerSigns : undefined,
+      interview: interview
+        ? { sessionId: interview.id, stopReason: interview.stopReason, transcript: interview.transcript }
+        : undefined,
       timestamp: new Date().toISOString(),
       aiGenerated: true
     };
@@ -474,6 +759,10 @@ export const savePatientDiagnosis = async (req, res, next) => {
       }
     });
 
+    // Danger signs reported from home go straight to the patient's doctor
+    const patient = await Patient.findOne({ where: { userId: req.user.id } });
+    await raiseSevereMalariaAlert({ dangerSigns: result.dangerSigns, patient, user: req.user });
+
     res.status(201).json({
       success: true,
       message: 'Diagnosis saved successfully',
@@ -481,11 +770,108 @@ export const savePatientDiagnosis = async (req, res, next) => {
         id: newDiagnosis.id,
         diagnosis: newDiagnosis.diagnosis,
         confidence: newDiagnosis.confidence,
+        malariaScore: newDiagnosis.malariaScore,
+        typhoidScore: newDiagnosis.typhoidScore,
+        recommendations: newDiagnosis.recommendations,
+        rulesVersion: newDiagnosis.rulesVersion,
+        dangerSigns: result.dangerSigns,
+        unrecognizedSymptoms: result.unrecognizedSymptoms,
+        interview: newDiagnosis.interview,
         timestamp: newDiagnosis.timestamp
       }
     });
   } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Save diagnosis error:', error);
     next(error);
   }
 };
+
+/**
+ * @swagger
+ * /api/diagnosis/{id}/treatment-plan:
+ *   post:
+ *     summary: Recommend first-line treatment for a diagnosis
+ *     description: Proposes guideline regimens from the diagnosis's assessments and the patient's weight, age (from the date of birth) and pregnancy status - artemether-lumefantrine by weight band for confirmed uncomplicated malaria, IV artesunate followed by an ACT when severe malaria danger signs were found, and azithromycin (or IV ceftriaxone when complicated) for typhoid. The malaria species sets the regimen: an ACT with single low-dose primaquine for P. falciparum, primaquine radical cure for P. vivax, P. ovale and mixed infections (daily when G6PD is normal, weekly under supervision when it is low, deferred while G6PD is unknown or in pregnancy), and no primaquine for P. malariae. Returns a draft prescription for POST /api/prescriptions; nothing is saved.
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Diagnosis ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - weightKg
+ *             properties:
+ *               weightKg:
+ *                 type: number
+ *               pregnant:
+ *                 type: boolean
+ *               trimester:
+ *                 type: integer
+ *                 enum: [1, 2, 3]
+ *               g6pdStatus:
+ *                 type: string
+ *                 enum: [normal, intermediate, deficient, unknown]
+ *                 description: Defaults to the patient's latest G6PD lab result, or unknown
+ *     responses:
+ *       200:
+ *         description: Regimens with their notes, and a draftPrescription (null when nothing is indicated)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TreatmentPlan'
+ *       404:
+ *         description: Diagnosis not found
+ */
+export const getTreatmentPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const diagnosis = await Diagnosis.findByPk(req.params.id);
+
+    if (!diagnosis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Diagnosis not found'
+      });
+    }
+
+    if (!(await canAccessPatientRecord(req.user, diagnosis.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    const patient = await Patient.findByPk(diagnosis.patientId);
+
+    res.status(200).json({
+      success: true,
+      data: await treatmentPlanFor(diagnosis, patient, req.body)
+    });
+  } catch (error) {
+    if (error instanceof TreatmentError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,307 @@
+import { Op } from 'sequelize';
+import EmergencyAccess from '../models/EmergencyAccess.pg.js';
+import Patient from '../models/Patient.pg.js';
+import User from '../models/User.pg.js';
+import { validationResult } from 'express-validator';
+import {
+  scopeToCareTeam,
+  findActiveEmergencyAccess,
+  EMERGENCY_ACCESS_DEFAULT_MINUTES
+} from '../services/careTeamService.js';
+
+// Associations loaded with every emergency access response
+const emergencyAccessIncludes = [
+  { model: User, as: 'user', attributes: ['id', 'name', 'role'] },
+  { model: Patient, as: 'patient', attributes: ['id', 'patientId', 'firstName', 'lastName'] },
+  { model: User, as: 'acknowledgedBy', attributes: ['id', 'name'] }
+];
+
+/**
+ * @swagger
+ * /api/patients/{id}/emergency-access:
+ *   post:
+ *     summary: Break the glass - request time-boxed access to a patient outside your care team
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Clinical justification (at least 10 characters)
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 240
+ *                 default: 60
+ *     responses:
+ *       201:
+ *         description: Emergency access granted
+ *       400:
+ *         description: Validation error or patient already on the care team
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: An emergency access grant is already active
+ */
+export const requestEmergencyAccess = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const patient = await Patient.findByPk(req.params.id);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    // No need to break the glass for patients already on the care team
+    const onCareTeam = await Patient.count({ where: scopeToCareTeam({ id: patient.id }, req.user, 'id') });
+    if (onCareTeam > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Patient is already on your care team'
+      });
+    }
+
+    const activeGrant = await findActiveEmergencyAccess(req.user, patient.id);
+    if (activeGrant) {
+      return res.status(409).json({
+        success: false,
+        error: 'Emergency access to this patient is already active',
+        data: activeGrant
+      });
+    }
+
+    const durationMinutes = parseInt(req.body.durationMinutes) || EMERGENCY_ACCESS_DEFAULT_MINUTES;
+    const grant = await EmergencyAccess.create({
+      userId: req.user.id,
+      patientId: patient.id,
+      reason: req.body.reason,
+      expiresAt: new Date(Date.now() + durationMinutes * 60000)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: grant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/patients/{id}/emergency-access:
+ *   delete:
+ *     summary: End your active emergency access to a patient early
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Emergency access ended
+ *       404:
+ *         description: No active emergency access
+ */
+export const endEmergencyAccess = async (req, res, next) => {
+  try {
+    const grant = await findActiveEmergencyAccess(req.user, req.params.id);
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active emergency access for this patient'
+      });
+    }
+
+    await grant.update({ expiresAt: new Date() });
+
+    res.status(200).json({
+      success: true,
+      data: grant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/emergency-access:
+ *   get:
+ *     summary: Review break-the-glass access
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, acknowledged]
+ *         description: Filter by review status
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: integer
+ *         description: Filter by clinician
+ *       - in: query
+ *         name: patient
+ *         schema:
+ *           type: integer
+ *         description: Filter by patient
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Emergency access entries
+ */
+export const getEmergencyAccessLogs = async (req, res, next) => {
+  try {
+    const { status, user, patient, page = 1, limit = 20 } = req.query;
+
+    // Build filter object
+    const filter = {};
+    if (user) filter.userId = user;
+    if (patient) filter.patientId = patient;
+    if (status === 'pending') filter.acknowledgedAt = null;
+    if (status === 'acknowledged') filter.acknowledgedAt = { [Op.ne]: null };
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const { rows: entries, count: total } = await EmergencyAccess.findAndCountAll({
+      where: filter,
+      include: emergencyAccessIncludes,
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/emergency-access/{id}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge a reviewed break-the-glass entry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Emergency access entry ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entry acknowledged
+ *       400:
+ *         description: Entry already acknowledged
+ *       404:
+ *         description: Entry not found
+ */
+export const acknowledgeEmergencyAccess = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const grant = await EmergencyAccess.findByPk(req.params.id);
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Emergency access entry not found'
+      });
+    }
+
+    if (grant.acknowledgedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Emergency access entry is already acknowledged'
+      });
+    }
+
+    await grant.update({
+      acknowledgedById: req.user.id,
+      acknowledgedAt: new Date(),
+      reviewNotes: req.body.reviewNotes
+    });
+    await grant.reload({ include: emergencyAccessIncludes });
+
+    res.status(200).json({
+      success: true,
+      data: grant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,227 @@
+import InterviewSession from '../models/InterviewSession.pg.js';
+import Patient from '../models/Patient.pg.js';
+import { validationResult } from 'express-validator';
+import { canAccessPatientRecord } from '../services/careTeamService.js';
+import { InterviewError, startInterview, answerQuestion } from '../services/interviewService.js';
+import { datedContext } from '../shared/epidemiology.js';
+
+// Interviews are readable by whoever ran them and by the patient's care team
+const canAccessSession = async (user, session, req) => {
+  if (session.userId === user.id) return true;
+  if (user.role === 'patient' || !session.patientId) return false;
+  return canAccessPatientRecord(user, session.patientId, req);
+};
+
+/**
+ * @swagger
+ * /api/diagnosis/interview:
+ *   post:
+ *     summary: Start an adaptive symptom interview
+ *     description: Scores the symptoms reported so far and returns the most informative follow-up question (by expected information gain between the disease modules and "other"), or stops straight away if the answer is already clear. Patients interview themselves; clinicians may name the patient.
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symptoms
+ *             properties:
+ *               symptoms:
+ *                 type: array
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *               absentSymptoms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               feverPattern:
+ *                 type: string
+ *                 enum: [cyclical, step-ladder, continuous]
+ *               feverDays:
+ *                 type: number
+ *               epidemiologicalContext:
+ *                 $ref: '#/components/schemas/EpidemiologicalContext'
+ *               patient:
+ *                 type: integer
+ *                 description: Patient ID (clinicians only)
+ *     responses:
+ *       201:
+ *         description: Interview with its pending question (or completed with a stop reason)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InterviewSession'
+ */
+export const createInterview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let patientId = null;
+    if (req.user.role === 'patient') {
+      const ownRecord = await Patient.findOne({ where: { userId: req.user.id }, attributes: ['id'] });
+      patientId = ownRecord?.id || null;
+    } else if (req.body.patient) {
+      const patient = await Patient.findByPk(req.body.patient);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          error: 'Patient not found'
+        });
+      }
+      if (!(await canAccessPatientRecord(req.user, patient.id, req))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this patient data'
+        });
+      }
+      patientId = patient.id;
+    }
+
+    const { symptoms, absentSymptoms, feverPattern, feverDays, epidemiologicalContext } = req.body;
+    const session = await startInterview({
+      findings: { symptoms, absentSymptoms, feverPattern, feverDays, context: datedContext(epidemiologicalContext) },
+      user: req.user,
+      patientId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/diagnosis/interview/{id}:
+ *   get:
+ *     summary: Get an interview with its transcript
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Interview session
+ *       404:
+ *         description: Interview session not found
+ */
+export const getInterview = async (req, res, next) => {
+  try {
+    const session = await InterviewSession.findByPk(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interview session not found'
+      });
+    }
+
+    if (!(await canAccessSession(req.user, session, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/diagnosis/interview/{id}/answers:
+ *   post:
+ *     summary: Answer the interview's pending question
+ *     description: Returns the interview with the next question, or completed once severe malaria danger signs are reported, a hypothesis reaches 85% probability, no remaining question is informative enough, or 10 questions have been asked.
+ *     tags: [Diagnosis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *               - answer
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               answer:
+ *                 type: string
+ *                 description: One of the pending question's option values
+ *     responses:
+ *       200:
+ *         description: Updated interview
+ *       404:
+ *         description: Interview session not found
+ *       409:
+ *         description: The interview is completed or the answer is for another question
+ */
+export const answerInterviewQuestion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const session = await InterviewSession.findByPk(req.params.id);
+
+    // Only whoever runs the interview may answer it
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interview session not found'
+      });
+    }
+
+    const updated = await answerQuestion(session, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
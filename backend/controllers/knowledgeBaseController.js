@@ -0,0 +1,435 @@
+import KnowledgeBaseVersion from '../models/KnowledgeBaseVersion.pg.js';
+import User from '../models/User.pg.js';
+import { validationResult } from 'express-validator';
+import {
+  KnowledgeBaseError,
+  validateRuleSet,
+  getActiveRuleSet,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  publishVersion,
+  rollbackTo
+} from '../services/knowledgeBaseService.js';
+
+// Associations loaded with every knowledge base version response
+const versionIncludes = [
+  { model: User, as: 'createdBy', attributes: ['id', 'username', 'name'] },
+  { model: User, as: 'publishedBy', attributes: ['id', 'username', 'name'] }
+];
+
+// Request validation plus rule-set validation, in one express-validator style list
+const requestErrors = (req) => {
+  const errors = validationResult(req).array();
+  if (req.body.rules !== undefined) errors.push(...validateRuleSet(req.body.rules));
+  return errors;
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base:
+ *   get:
+ *     summary: List knowledge base versions
+ *     description: Version metadata without the rules, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of versions per page
+ *     responses:
+ *       200:
+ *         description: Knowledge base versions
+ */
+export const getKnowledgeBaseVersions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    // Make sure version 1 exists before the first listing
+    await getActiveRuleSet();
+
+    // Build filter object
+    const filter = {};
+    if (status) filter.status = status;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const { rows: versions, count: total } = await KnowledgeBaseVersion.findAndCountAll({
+      where: filter,
+      attributes: { exclude: ['rules'] },
+      include: versionIncludes,
+      order: [['version', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      data: versions
+    });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base/{version}:
+ *   get:
+ *     summary: Get a knowledge base version with its rules
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Knowledge base version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KnowledgeBaseVersion'
+ *       404:
+ *         description: Knowledge base version not found
+ */
+export const getKnowledgeBaseVersion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const version = await KnowledgeBaseVersion.findOne({
+      where: { version: req.params.version },
+      include: versionIncludes
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Knowledge base version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base:
+ *   post:
+ *     summary: Start a draft knowledge base version
+ *     description: Only one draft may exist. Without rules the draft starts as a copy of basedOnVersion, or of the published version.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rules:
+ *                 type: object
+ *                 description: Full rule set (thresholds, severityWeights, diseases and optionally epidemiology)
+ *               basedOnVersion:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A draft already exists
+ */
+export const createKnowledgeBaseDraft = async (req, res, next) => {
+  try {
+    const errors = requestErrors(req);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const { rules, notes, basedOnVersion } = req.body;
+    const draft = await createDraft({ rules, notes, basedOnVersion }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Draft version ${draft.version} created`,
+      data: draft
+    });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base/{version}:
+ *   put:
+ *     summary: Edit a draft knowledge base version
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rules:
+ *                 type: object
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       404:
+ *         description: Knowledge base version not found
+ *       409:
+ *         description: The version is not a draft
+ */
+export const updateKnowledgeBaseDraft = async (req, res, next) => {
+  try {
+    const errors = requestErrors(req);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const { rules, notes } = req.body;
+    const draft = await updateDraft(req.params.version, { rules, notes });
+
+    res.status(200).json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base/{version}:
+ *   delete:
+ *     summary: Discard a draft knowledge base version
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *       404:
+ *         description: Knowledge base version not found
+ *       409:
+ *         description: The version is not a draft
+ */
+export const deleteKnowledgeBaseDraft = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await deleteDraft(req.params.version);
+
+    res.status(200).json({
+      success: true,
+      message: `Draft version ${req.params.version} deleted`
+    });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base/{version}/publish:
+ *   post:
+ *     summary: Publish a draft knowledge base version
+ *     description: The draft becomes the rule set every new assessment uses; the previously published version is archived.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version published
+ *       400:
+ *         description: The draft's rules are invalid; details lists each error by path
+ *       404:
+ *         description: Knowledge base version not found
+ *       409:
+ *         description: The version is not a draft
+ */
+export const publishKnowledgeBaseVersion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const published = await publishVersion(req.params.version, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${published.version} published`,
+      data: published
+    });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      const details = error.details ? { details: error.details } : {};
+      return res.status(error.statusCode).json({ success: false, error: error.message, ...details });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/knowledge-base/{version}/rollback:
+ *   post:
+ *     summary: Roll back to an earlier knowledge base version
+ *     description: Publishes a copy of the version's rules under a new version number, so earlier diagnoses keep pointing at the rules that scored them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Why the rules are being rolled back
+ *     responses:
+ *       201:
+ *         description: Rolled-back rules published as a new version
+ *       404:
+ *         description: Knowledge base version not found
+ *       409:
+ *         description: The version is a draft or already published
+ */
+export const rollbackKnowledgeBase = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const published = await rollbackTo(req.params.version, { notes: req.body.notes }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Rules of version ${req.params.version} published as version ${published.version}`,
+      data: published
+    });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,566 @@
+import sequelize from '../config/database.js';
+// PostgreSQL models
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+import LabOrder from '../models/LabOrder.pg.js';
+import { validationResult } from 'express-validator';
+import { scopeToCareTeam, canAccessPatientRecord } from '../services/careTeamService.js';
+import { LAB_TESTS, validateResultValues, interpretResult } from '../services/labCatalog.js';
+import { reassessEncounter } from '../services/diagnosisService.js';
+import { antibiogramReport } from '../services/antibiogramService.js';
+
+// Associations loaded with every lab order response
+const labOrderIncludes = [
+  { model: Patient, as: 'patient', attributes: ['id', 'patientId', 'firstName', 'lastName'] },
+  { model: Appointment, as: 'appointment', attributes: ['id', 'appointmentId', 'appointmentDate'] },
+  { model: User, as: 'orderedBy', attributes: ['id', 'name'] },
+  { model: User, as: 'collectedBy', attributes: ['id', 'name'] },
+  { model: User, as: 'resultedBy', attributes: ['id', 'name'] }
+];
+
+// Why an order in each status cannot move on to sample collection or a result
+const statusConflicts = {
+  collected: 'The sample for this order has already been collected',
+  resulted: 'This order has already been resulted',
+  cancelled: 'This order has been cancelled'
+};
+
+const validationFailed = (res, details) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details
+});
+
+// Load an order the user may access, or send the 404/403 response and return null
+const findAccessibleOrder = async (req, res) => {
+  const order = await LabOrder.findByPk(req.params.id, { include: labOrderIncludes });
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      error: 'Lab order not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessPatientRecord(req.user, order.patientId, req))) {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this patient data'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * @swagger
+ * /api/lab-orders/tests:
+ *   get:
+ *     summary: Get the lab test catalog
+ *     description: Each test with its specimen and the analytes its result reports, with units and reference ranges
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lab tests keyed by test code
+ */
+export const getLabTests = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      count: Object.keys(LAB_TESTS).length,
+      data: LAB_TESTS
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders/antibiogram:
+ *   get:
+ *     summary: Facility antibiogram over a date range
+ *     description: Per organism, how many isolates from cultures resulted in the period were tested against each antibiotic and the share susceptible, with the number of MDR (resistant to ampicillin, chloramphenicol and co-trimoxazole) and XDR (also to ciprofloxacin and ceftriaxone) isolates. Only the first isolate of an organism from each patient counts; rates from fewer than minIsolates isolates are flagged fewIsolates. No patient is identified.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time runs to the end of the day
+ *       - in: query
+ *         name: test
+ *         schema:
+ *           type: string
+ *           enum: [blood_culture, stool_culture]
+ *         description: Limit to one culture (default both)
+ *     responses:
+ *       200:
+ *         description: Antibiogram rows per organism, most isolates first
+ */
+export const getAntibiogram = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const { from, to, test } = req.query;
+
+    res.status(200).json({
+      success: true,
+      data: await antibiogramReport({ from, to, test })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders:
+ *   get:
+ *     summary: Get lab orders
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient
+ *         schema:
+ *           type: string
+ *         description: Filter by patient ID
+ *       - in: query
+ *         name: appointment
+ *         schema:
+ *           type: string
+ *         description: Filter by encounter (appointment ID)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ordered, collected, resulted, cancelled]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: test
+ *         schema:
+ *           type: string
+ *         description: Filter by test code
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of orders per page
+ *     responses:
+ *       200:
+ *         description: List of lab orders, newest first
+ */
+export const getLabOrders = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const { patient, appointment, status, test, page = 1, limit = 10 } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (patient) filter.patientId = patient;
+    if (appointment) filter.appointmentId = appointment;
+    if (status) filter.status = status;
+    if (test) filter.test = test;
+
+    // A single patient's records need access to that patient; otherwise limit to the user's care team
+    if (patient) {
+      if (!(await canAccessPatientRecord(req.user, patient, req))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this patient data'
+        });
+      }
+    } else {
+      filter = scopeToCareTeam(filter, req.user);
+    }
+
+    const { rows: orders, count: total } = await LabOrder.findAndCountAll({
+      where: filter,
+      include: labOrderIncludes,
+      order: [['createdAt', 'DESC']],
+      offset: (page - 1) * limit,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}:
+ *   get:
+ *     summary: Get lab order by ID
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lab order ID
+ *     responses:
+ *       200:
+ *         description: Lab order details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LabOrder'
+ *       404:
+ *         description: Lab order not found
+ */
+export const getLabOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders:
+ *   post:
+ *     summary: Order a lab test for a patient during an encounter
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [patient, appointment, test]
+ *             properties:
+ *               patient:
+ *                 type: integer
+ *               appointment:
+ *                 type: integer
+ *                 description: The encounter the test is ordered in
+ *               test:
+ *                 type: string
+ *                 example: malaria_rdt
+ *               priority:
+ *                 type: string
+ *                 enum: [routine, urgent, stat]
+ *               clinicalNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Lab order created
+ *       400:
+ *         description: Validation error or the appointment belongs to another patient
+ *       404:
+ *         description: Patient or appointment not found
+ */
+export const createLabOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const { patient, appointment, test, priority, clinicalNotes } = req.body;
+
+    const patientExists = await Patient.findByPk(patient);
+    if (!patientExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    if (!(await canAccessPatientRecord(req.user, patientExists.id, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    const appointmentExists = await Appointment.findByPk(appointment);
+    if (!appointmentExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    if (appointmentExists.patientId !== patientExists.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Appointment does not belong to this patient'
+      });
+    }
+
+    const created = await LabOrder.create({
+      patientId: patientExists.id,
+      appointmentId: appointmentExists.id,
+      test,
+      priority,
+      clinicalNotes,
+      orderedById: req.user.id
+    });
+
+    const order = await LabOrder.findByPk(created.id, { include: labOrderIncludes });
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/collect:
+ *   patch:
+ *     summary: Record that the sample for a lab order was collected
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lab order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               specimen:
+ *                 type: string
+ *                 description: Defaults to the specimen the test needs
+ *               collectedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Sample collected
+ *       409:
+ *         description: The order is not awaiting collection
+ */
+export const collectSample = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'ordered') {
+      return res.status(409).json({
+        success: false,
+        error: statusConflicts[order.status]
+      });
+    }
+
+    await order.update({
+      status: 'collected',
+      specimen: req.body.specimen || LAB_TESTS[order.test].specimen,
+      collectedById: req.user.id,
+      collectedAt: req.body.collectedAt || new Date()
+    });
+    await order.reload({ include: labOrderIncludes });
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/result:
+ *   patch:
+ *     summary: Enter the result of a lab order
+ *     description: Each value is checked against the test's analytes and flagged against its reference range. The result is attached to the patient and the encounter, and the encounter's diagnosis is reassessed with it; the response carries the new assessment (null when no diagnosis has been recorded for the encounter yet). A new severe malaria finding alerts the treating doctor.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lab order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [values]
+ *             properties:
+ *               values:
+ *                 type: object
+ *                 description: Result value per analyte key, as listed in the test catalog
+ *                 example: { result: positive, parasiteCount: 12000, species: P. falciparum }
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Result recorded
+ *       400:
+ *         description: Values do not match the test's analytes
+ *       409:
+ *         description: The sample has not been collected, or the order is already resulted or cancelled
+ */
+export const enterResult = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'collected') {
+      return res.status(409).json({
+        success: false,
+        error: order.status === 'ordered' ? 'The sample for this order has not been collected' : statusConflicts[order.status]
+      });
+    }
+
+    const { values, notes } = req.body;
+    const problems = validateResultValues(order.test, values);
+    if (problems.length > 0) return validationFailed(res, problems);
+
+    const results = interpretResult(order.test, values);
+
+    // The result is only saved if the encounter could be reassessed with it,
+    // so a failed reassessment can be retried by entering the result again
+    const reassessment = await sequelize.transaction(async (transaction) => {
+      await order.update({
+        status: 'resulted',
+        results,
+        abnormal: results.some(({ flag }) => flag && flag !== 'normal'),
+        resultNotes: notes,
+        resultedById: req.user.id,
+        resultedAt: new Date()
+      }, { transaction });
+
+      return reassessEncounter(order, values, req.user, transaction);
+    });
+    await order.reload({ include: labOrderIncludes });
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      reassessment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a lab order that has not been resulted
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lab order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lab order cancelled
+ *       409:
+ *         description: The order is already resulted or cancelled
+ */
+export const cancelLabOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors.array());
+
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    if (['resulted', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        error: statusConflicts[order.status]
+      });
+    }
+
+    await order.update({ status: 'cancelled', cancellationReason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lab order cancelled successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
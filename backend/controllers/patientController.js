@@ -1,6 +1,48 @@
+import { Op } from 'sequelize';
 import Patient from '../models/Patient.pg.js';
 import User from '../models/User.pg.js';
 import { validationResult } from 'express-validator';
+import { scopeToCareTeam, UNRESTRICTED_ROLES } from '../services/careTeamService.js';
+
+// Associations loaded with every patient response
+const patientIncludes = [
+  { model: User, as: 'user', attributes: ['id', 'username', 'email'] },
+  { model: User, as: 'assignedDoctor', attributes: ['id', 'name', 'profile'] },
+  { model: User, as: 'assignedNurse', attributes: ['id', 'name'] }
+];
+
+// Fields that are generated server-side or control access, never taken from the request body
+// (the care team is set through assignedDoctor/assignedNurse)
+const protectedFields = ['id', 'patientId', 'userId', 'assignedDoctorId', 'assignedNurseId', 'createdAt', 'updatedAt'];
+
+// Map request body references (assignedDoctor, assignedNurse) onto foreign key columns
+const toPatientAttributes = (body) => {
+  const { assignedDoctor, assignedNurse, ...attributes } = body;
+  protectedFields.forEach(field => delete attributes[field]);
+  if (attributes.gender) attributes.gender = attributes.gender.toLowerCase();
+  if (assignedDoctor !== undefined) attributes.assignedDoctorId = assignedDoctor;
+  if (assignedNurse !== undefined) attributes.assignedNurseId = assignedNurse;
+  return attributes;
+};
+
+// Case-insensitive match on the fields staff search patients by
+const searchCondition = query => ({
+  [Op.or]: ['firstName', 'lastName', 'patientId', 'phone', 'email']
+    .map(field => ({ [field]: { [Op.iLike]: `%${query}%` } }))
+});
+
+// Make sure care-team assignments point at users with the right role
+const findInvalidAssignment = async ({ assignedDoctorId, assignedNurseId }) => {
+  if (assignedDoctorId) {
+    const doctor = await User.findOne({ where: { id: assignedDoctorId, role: 'doctor' } });
+    if (!doctor) return 'Assigned doctor not found';
+  }
+  if (assignedNurseId) {
+    const nurse = await User.findOne({ where: { id: assignedNurseId, role: 'nurse' } });
+    if (!nurse) return 'Assigned nurse not found';
+  }
+  return null;
+};
 
 /**
  * @swagger
@@ -40,34 +82,29 @@ export const getPatients = async (req, res, next) => {
     const { search, status, page = 1, limit = 10 } = req.query;
     
     // Build filter object
-    const filter = {};
+    let filter = {};
     if (status) filter.status = status;
 
     // Add search functionality
     if (search) {
-      filter.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { patientId: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+      Object.assign(filter, searchCondition(search));
     }
 
+    // Clinicians only see their care team
+    filter = scopeToCareTeam(filter, req.user, 'id');
+
     // Calculate pagination
     const skip = (page - 1) * limit;
 
     // Get patients with pagination
-    const patients = await Patient.find(filter)
-      .populate('userId', 'username email')
-      .populate('assignedDoctor', 'name profile.specialization')
-      .populate('assignedNurse', 'name')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Patient.countDocuments(filter);
+    const { rows: patients, count: total } = await Patient.findAndCountAll({
+      where: filter,
+      include: patientIncludes,
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit: parseInt(limit),
+      distinct: true
+    });
 
     res.status(200).json({
       success: true,
@@ -108,10 +145,7 @@ export const getPatients = async (req, res, next) => {
  */
 export const getPatient = async (req, res, next) => {
   try {
-    const patient = await Patient.findById(req.params.id)
-      .populate('userId', 'username email')
-      .populate('assignedDoctor', 'name profile.specialization')
-      .populate('assignedNurse', 'name');
+    const patient = await Patient.findByPk(req.params.id, { include: patientIncludes });
 
     if (!patient) {
       return res.status(404).json({
@@ -162,7 +196,7 @@ export const createPatient = async (req, res, next) => {
     }
 
     // Check if patient with same phone already exists
-    const existingPatient = await Patient.findOne({ phone: req.body.phone });
+    const existingPatient = await Patient.findOne({ where: { phone: req.body.phone } });
     if (existingPatient) {
       return res.status(409).json({
         success: false,
@@ -170,15 +204,26 @@ export const createPatient = async (req, res, next) => {
       });
     }
 
-    // Create patient
-    const patient = await Patient.create(req.body);
+    const attributes = toPatientAttributes(req.body);
 
-    // Populate references
-    await patient.populate([
-      { path: 'userId', select: 'username email' },
-      { path: 'assignedDoctor', select: 'name profile.specialization' },
-      { path: 'assignedNurse', select: 'name' }
-    ]);
+    // The registering clinician joins the care team unless someone else was assigned
+    if (req.user.role === 'doctor' && !attributes.assignedDoctorId) {
+      attributes.assignedDoctorId = req.user.id;
+    } else if (req.user.role === 'nurse' && !attributes.assignedNurseId) {
+      attributes.assignedNurseId = req.user.id;
+    }
+
+    const assignmentError = await findInvalidAssignment(attributes);
+    if (assignmentError) {
+      return res.status(404).json({
+        success: false,
+        error: assignmentError
+      });
+    }
+
+    // Create patient
+    const created = await Patient.create(attributes);
+    const patient = await Patient.findByPk(created.id, { include: patientIncludes });
 
     res.status(201).json({
       success: true,
@@ -213,6 +258,8 @@ export const createPatient = async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Patient updated successfully
+ *       403:
+ *         description: Only admins and receptionists can change the care team
  *       404:
  *         description: Patient not found
  */
@@ -228,18 +275,7 @@ export const updatePatient = async (req, res, next) => {
       });
     }
 
-    const patient = await Patient.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate([
-      { path: 'userId', select: 'username email' },
-      { path: 'assignedDoctor', select: 'name profile.specialization' },
-      { path: 'assignedNurse', select: 'name' }
-    ]);
+    const patient = await Patient.findByPk(req.params.id);
 
     if (!patient) {
       return res.status(404).json({
@@ -248,6 +284,30 @@ export const updatePatient = async (req, res, next) => {
       });
     }
 
+    const updates = toPatientAttributes(req.body);
+
+    // Clinicians cannot reassign the care team, so an emergency grant cannot be
+    // turned into lasting access by assigning themselves
+    const reassignsCareTeam = ['assignedDoctorId', 'assignedNurseId']
+      .some(field => updates[field] !== undefined && String(updates[field]) !== String(patient[field]));
+    if (reassignsCareTeam && !UNRESTRICTED_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins and receptionists can change the care team'
+      });
+    }
+
+    const assignmentError = await findInvalidAssignment(updates);
+    if (assignmentError) {
+      return res.status(404).json({
+        success: false,
+        error: assignmentError
+      });
+    }
+
+    await patient.update(updates);
+    await patient.reload({ include: patientIncludes });
+
     res.status(200).json({
       success: true,
       data: patient
@@ -280,7 +340,7 @@ export const updatePatient = async (req, res, next) => {
  */
 export const deletePatient = async (req, res, next) => {
   try {
-    const patient = await Patient.findById(req.params.id);
+    const patient = await Patient.findByPk(req.params.id);
 
     if (!patient) {
       return res.status(404).json({
@@ -289,7 +349,7 @@ export const deletePatient = async (req, res, next) => {
       });
     }
 
-    await Patient.findByIdAndDelete(req.params.id);
+    await patient.destroy();
 
     res.status(200).json({
       success: true,
@@ -330,17 +390,11 @@ export const searchPatients = async (req, res, next) => {
       });
     }
 
-    const patients = await Patient.find({
-      $or: [
-        { firstName: { $regex: q, $options: 'i' } },
-        { lastName: { $regex: q, $options: 'i' } },
-        { patientId: { $regex: q, $options: 'i' } },
-        { phone: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } }
-      ]
-    })
-    .select('patientId firstName lastName phone email dateOfBirth')
-    .limit(20);
+    const patients = await Patient.findAll({
+      where: scopeToCareTeam(searchCondition(q.trim()), req.user, 'id'),
+      attributes: ['id', 'patientId', 'firstName', 'lastName', 'phone', 'email', 'dateOfBirth'],
+      limit: 20
+    });
 
     res.status(200).json({
       success: true,
@@ -1,8 +1,101 @@
-// Note: These models need to be created for PostgreSQL
-// import Prescription from '../models/Prescription.pg.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import Prescription from '../models/Prescription.pg.js';
+import PrescriptionItem from '../models/PrescriptionItem.pg.js';
 import Patient from '../models/Patient.pg.js';
-// import Diagnosis from '../models/Diagnosis.pg.js';
+import User from '../models/User.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
 import { validationResult } from 'express-validator';
+import { scopeToCareTeam, canAccessPatientRecord } from '../services/careTeamService.js';
+import {
+  checkPrescription,
+  resolveOverrides,
+  warningsFor,
+  currentMedicationsFor,
+  recentIsolatesFor
+} from '../services/drugSafetyService.js';
+
+// Associations loaded with every prescription response
+const prescriptionIncludes = [
+  { model: Patient, as: 'patient', attributes: ['id', 'patientId', 'firstName', 'lastName', 'phone'] },
+  { model: User, as: 'doctor', attributes: ['id', 'name', 'profile'] },
+  { model: User, as: 'dispensedBy', attributes: ['id', 'name'] },
+  { model: Diagnosis, as: 'diagnosis', attributes: ['id', 'diagnosisId', 'diagnosis'] },
+  { model: PrescriptionItem, as: 'medications' }
+];
+
+// Medication items are always returned in prescribing order
+const itemOrder = [[{ model: PrescriptionItem, as: 'medications' }, 'position', 'ASC']];
+
+// Header fields a doctor may set on a prescription
+const editableFields = [
+  'instructions', 'validUntil', 'refillsAllowed', 'priority', 'insurance', 'appointmentId', 'diagnosisId'
+];
+
+// Map request body references onto prescription header columns
+const toPrescriptionAttributes = (body) => {
+  const attributes = {};
+  editableFields.forEach(field => {
+    if (body[field] !== undefined) attributes[field] = body[field];
+  });
+  if (body.appointment !== undefined) attributes.appointmentId = body.appointment;
+  if (body.diagnosis !== undefined) attributes.diagnosisId = body.diagnosis;
+  return attributes;
+};
+
+// Build medication line items in the order they were prescribed, with the
+// drug safety warnings that concern each one
+const toPrescriptionItems = (medications, warnings = []) => medications.map((medication, index) => ({
+  name: medication.name,
+  genericName: medication.genericName,
+  dosage: medication.dosage,
+  frequency: medication.frequency,
+  duration: medication.duration,
+  quantity: medication.quantity,
+  instructions: medication.instructions,
+  unitPrice: medication.unitPrice,
+  warnings: warningsFor(medication, warnings),
+  position: index
+}));
+
+/**
+ * Check a medication list against the patient's allergies, other current
+ * prescriptions, recent culture susceptibility results and the malaria species
+ * recorded on the diagnosis. Returns
+ * { rejection } with the status and body to send when a contraindication blocks
+ * it or a warning has no override reason, otherwise { warnings, overrides } to
+ * save with the prescription.
+ */
+const checkMedicationSafety = async ({ patient, diagnosis = null, medications, requestedOverrides, prescription = null, user }) => {
+  const { errors, warnings } = checkPrescription({
+    medications,
+    allergies: patient.allergies || [],
+    otherMedications: await currentMedicationsFor(patient.id, prescription?.id),
+    isolates: await recentIsolatesFor(patient.id),
+    species: diagnosis?.malariaAssessment?.species
+  });
+
+  if (errors.length > 0) {
+    return {
+      rejection: {
+        status: 400,
+        body: { success: false, error: 'Prescription blocked by drug safety checks', details: errors, warnings }
+      }
+    };
+  }
+
+  const { overrides, missing } = resolveOverrides(warnings, requestedOverrides, prescription?.safetyOverrides, user);
+  if (missing.length > 0) {
+    return {
+      rejection: {
+        status: 409,
+        body: { success: false, error: 'Drug safety warnings need an override reason', details: missing }
+      }
+    };
+  }
+
+  return { warnings, overrides };
+};
 
 /**
  * @swagger
@@ -16,12 +109,12 @@ import { validationResult } from 'express-validator';
  *       - in: query
  *         name: patient
  *         schema:
- *           type: string
+ *           type: integer
  *         description: Filter by patient ID
  *       - in: query
  *         name: doctor
  *         schema:
- *           type: string
+ *           type: integer
  *         description: Filter by doctor ID
  *       - in: query
  *         name: status
@@ -41,48 +134,59 @@ import { validationResult } from 'express-validator';
  *     responses:
  *       200:
  *         description: List of prescriptions
+ *       400:
+ *         description: Validation error
  */
 export const getPrescriptions = async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { patient, doctor, status, page = 1, limit = 10 } = req.query;
     
     // Build filter object
-    const filter = {};
-    if (patient) filter.patient = patient;
-    if (doctor) filter.doctor = doctor;
+    let filter = {};
+    if (patient) filter.patientId = patient;
+    if (doctor) filter.doctorId = doctor;
     if (status) filter.status = status;
 
-    // Role-based filtering
-    if (req.user.role === 'doctor') {
-      filter.doctor = req.user.id;
-    } else if (req.user.role === 'patient') {
-      // Find patient record for this user
-      const patientRecord = await Patient.findOne({ userId: req.user.id });
-      if (patientRecord) {
-        filter.patient = patientRecord._id;
-      }
-    } else if (req.user.role === 'pharmacist') {
-      // Pharmacists can see all prescriptions, but might want to filter by status
-      if (!status) {
-        filter.status = { $in: ['pending', 'partially-dispensed'] };
+    // A single patient's records need access to that patient (emergency grants count,
+    // and their use is recorded); otherwise limit to the user's care team
+    if (patient) {
+      if (!(await canAccessPatientRecord(req.user, patient, req))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this patient data'
+        });
       }
+    } else {
+      filter = scopeToCareTeam(filter, req.user);
+    }
+
+    // Pharmacists default to prescriptions awaiting dispensing
+    if (req.user.role === 'pharmacist' && !status) {
+      filter.status = { [Op.in]: ['pending', 'partially-dispensed'] };
     }
 
     // Calculate pagination
     const skip = (page - 1) * limit;
 
     // Get prescriptions with pagination
-    const prescriptions = await Prescription.find(filter)
-      .populate('patient', 'patientId firstName lastName phone')
-      .populate('doctor', 'name profile.specialization')
-      .populate('diagnosis', 'diagnosis.primary')
-      .populate('dispensedBy', 'name')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Prescription.countDocuments(filter);
+    const { rows: prescriptions, count: total } = await Prescription.findAndCountAll({
+      where: filter,
+      include: prescriptionIncludes,
+      order: [['createdAt', 'DESC'], ...itemOrder],
+      offset: skip,
+      limit: parseInt(limit),
+      distinct: true
+    });
 
     res.status(200).json({
       success: true,
@@ -123,11 +227,17 @@ export const getPrescriptions = async (req, res, next) => {
  */
 export const getPrescription = async (req, res, next) => {
   try {
-    const prescription = await Prescription.findById(req.params.id)
-      .populate('patient', 'patientId firstName lastName phone dateOfBirth')
-      .populate('doctor', 'name profile.specialization')
-      .populate('diagnosis', 'diagnosis.primary diagnosis.secondary')
-      .populate('dispensedBy', 'name');
+    const prescription = await Prescription.findByPk(req.params.id, {
+      include: [
+        {
+          model: Patient,
+          as: 'patient',
+          attributes: ['id', 'patientId', 'firstName', 'lastName', 'phone', 'dateOfBirth']
+        },
+        ...prescriptionIncludes.slice(1)
+      ],
+      order: itemOrder
+    });
 
     if (!prescription) {
       return res.status(404).json({
@@ -136,6 +246,13 @@ export const getPrescription = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, prescription.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: prescription
@@ -150,6 +267,15 @@ export const getPrescription = async (req, res, next) => {
  * /api/prescriptions:
  *   post:
  *     summary: Create new prescription
+ *     description: |
+ *       The medications are checked against the patient's allergies and the other
+ *       prescriptions written for them in the last 30 days. Contraindications block
+ *       the prescription; other allergy cross-reactions and interactions are
+ *       warnings, which need an entry in `overrides` with the doctor's reason.
+ *       Antimalarials are also checked against the malaria species on the linked
+ *       diagnosis (e.g. P. vivax without primaquine radical cure), and antibiotics
+ *       against the susceptibility of isolates from the patient's cultures in the
+ *       last 30 days, as warnings.
  *     tags: [Prescriptions]
  *     security:
  *       - bearerAuth: []
@@ -158,12 +284,21 @@ export const getPrescription = async (req, res, next) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Prescription'
+ *             allOf:
+ *               - $ref: '#/components/schemas/Prescription'
+ *               - type: object
+ *                 properties:
+ *                   overrides:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/SafetyOverrideRequest'
  *     responses:
  *       201:
  *         description: Prescription created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, or blocked by a contraindication (details lists the DrugSafetyFinding entries)
+ *       409:
+ *         description: Drug safety warnings without an override reason (details lists them)
  */
 export const createPrescription = async (req, res, next) => {
   try {
@@ -177,10 +312,10 @@ export const createPrescription = async (req, res, next) => {
       });
     }
 
-    const { patient, diagnosis } = req.body;
+    const { patient, diagnosis, medications } = req.body;
 
     // Verify patient exists
-    const patientExists = await Patient.findById(patient);
+    const patientExists = await Patient.findByPk(patient);
     if (!patientExists) {
       return res.status(404).json({
         success: false,
@@ -188,31 +323,57 @@ export const createPrescription = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, patientExists.id, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
     // Verify diagnosis exists if provided
-    if (diagnosis) {
-      const diagnosisExists = await Diagnosis.findById(diagnosis);
-      if (!diagnosisExists) {
-        return res.status(404).json({
-          success: false,
-          error: 'Diagnosis not found'
-        });
-      }
+    const diagnosisExists = diagnosis ? await Diagnosis.findByPk(diagnosis) : null;
+    if (diagnosis && !diagnosisExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Diagnosis not found'
+      });
     }
 
-    // Create prescription
-    const prescriptionData = {
-      ...req.body,
-      doctor: req.user.id
-    };
+    // Check allergies, interactions and the malaria species before anything is saved
+    const safety = await checkMedicationSafety({
+      patient: patientExists,
+      diagnosis: diagnosisExists,
+      medications,
+      requestedOverrides: req.body.overrides,
+      user: req.user
+    });
+    if (safety.rejection) {
+      return res.status(safety.rejection.status).json(safety.rejection.body);
+    }
 
-    const prescription = await Prescription.create(prescriptionData);
+    // Create prescription header and medication items together
+    const created = await sequelize.transaction(async (transaction) => {
+      const header = await Prescription.create({
+        ...toPrescriptionAttributes(req.body),
+        patientId: patient,
+        doctorId: req.user.id,
+        safetyOverrides: safety.overrides,
+        medications: toPrescriptionItems(medications, safety.warnings)
+      }, {
+        include: [{ model: PrescriptionItem, as: 'medications' }],
+        transaction
+      });
+
+      header.syncWithItems(header.medications);
+      await header.save({ transaction });
+      return header;
+    });
 
-    // Populate references
-    await prescription.populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'diagnosis', select: 'diagnosis.primary' }
-    ]);
+    // Reload with references
+    const prescription = await Prescription.findByPk(created.id, {
+      include: prescriptionIncludes,
+      order: itemOrder
+    });
 
     res.status(201).json({
       success: true,
@@ -228,6 +389,9 @@ export const createPrescription = async (req, res, next) => {
  * /api/prescriptions/{id}:
  *   put:
  *     summary: Update prescription
+ *     description: |
+ *       A new medication list goes through the same drug safety checks as a new
+ *       prescription. Overrides saved on the prescription earlier still apply.
  *     tags: [Prescriptions]
  *     security:
  *       - bearerAuth: []
@@ -243,10 +407,21 @@ export const createPrescription = async (req, res, next) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Prescription'
+ *             allOf:
+ *               - $ref: '#/components/schemas/Prescription'
+ *               - type: object
+ *                 properties:
+ *                   overrides:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/SafetyOverrideRequest'
  *     responses:
  *       200:
  *         description: Prescription updated successfully
+ *       400:
+ *         description: Validation error, or blocked by a contraindication
+ *       409:
+ *         description: Drug safety warnings without an override reason
  *       404:
  *         description: Prescription not found
  */
@@ -262,19 +437,9 @@ export const updatePrescription = async (req, res, next) => {
       });
     }
 
-    const prescription = await Prescription.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'diagnosis', select: 'diagnosis.primary' },
-      { path: 'dispensedBy', select: 'name' }
-    ]);
+    const prescription = await Prescription.findByPk(req.params.id, {
+      include: [{ model: PrescriptionItem, as: 'medications' }]
+    });
 
     if (!prescription) {
       return res.status(404).json({
@@ -283,6 +448,57 @@ export const updatePrescription = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, prescription.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    if (prescription.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot update a prescription that is ${prescription.status}`
+      });
+    }
+
+    // A new medication list is checked again; overrides saved earlier still count
+    let safety = null;
+    if (req.body.medications) {
+      const patient = await Patient.findByPk(prescription.patientId, { attributes: ['id', 'allergies'] });
+      const diagnosisId = req.body.diagnosis !== undefined ? req.body.diagnosis : prescription.diagnosisId;
+      safety = await checkMedicationSafety({
+        patient,
+        diagnosis: diagnosisId ? await Diagnosis.findByPk(diagnosisId, { attributes: ['id', 'malariaAssessment'] }) : null,
+        medications: req.body.medications,
+        requestedOverrides: req.body.overrides,
+        prescription,
+        user: req.user
+      });
+      if (safety.rejection) {
+        return res.status(safety.rejection.status).json(safety.rejection.body);
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await prescription.update({
+        ...toPrescriptionAttributes(req.body),
+        ...(safety && { safetyOverrides: safety.overrides })
+      }, { transaction });
+
+      // Replace the medication list when a new one is supplied
+      if (req.body.medications) {
+        await PrescriptionItem.destroy({ where: { prescriptionId: prescription.id }, transaction });
+        const items = await Promise.all(toPrescriptionItems(req.body.medications, safety.warnings).map(item =>
+          PrescriptionItem.create({ ...item, prescriptionId: prescription.id }, { transaction })
+        ));
+        prescription.syncWithItems(items);
+        await prescription.save({ transaction });
+      }
+    });
+
+    await prescription.reload({ include: prescriptionIncludes, order: itemOrder });
+
     res.status(200).json({
       success: true,
       data: prescription
@@ -328,15 +544,29 @@ export const updatePrescription = async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Prescription dispensed successfully
+ *       400:
+ *         description: Validation failed, or the prescription cannot be dispensed
  *       404:
  *         description: Prescription not found
  */
 export const dispensePrescription = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { medications, dispensingNotes } = req.body;
     const prescriptionId = req.params.id;
 
-    const prescription = await Prescription.findById(prescriptionId);
+    const prescription = await Prescription.findByPk(prescriptionId, {
+      include: [{ model: PrescriptionItem, as: 'medications' }],
+      order: itemOrder
+    });
     if (!prescription) {
       return res.status(404).json({
         success: false,
@@ -344,37 +574,58 @@ export const dispensePrescription = async (req, res, next) => {
       });
     }
 
-    // Update medication dispensing information
-    medications.forEach(({ medicationIndex, quantityDispensed }) => {
-      if (prescription.medications[medicationIndex]) {
-        const medication = prescription.medications[medicationIndex];
+    if (!(await canAccessPatientRecord(req.user, prescription.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    if (prescription.status === 'cancelled' || prescription.status === 'dispensed') {
+      return res.status(400).json({
+        success: false,
+        error: `Prescription is already ${prescription.status}`
+      });
+    }
+
+    if (prescription.isExpired) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prescription has expired'
+      });
+    }
+
+    const items = prescription.medications;
+    const unknownItem = medications.find(({ medicationIndex }) => !items[medicationIndex]);
+    if (unknownItem) {
+      return res.status(400).json({
+        success: false,
+        error: `Prescription has no medication at index ${unknownItem.medicationIndex}`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      // Update medication dispensing information
+      for (const { medicationIndex, quantityDispensed } of medications) {
+        const medication = items[medicationIndex];
         medication.quantityDispensed = Math.min(
           medication.quantityDispensed + quantityDispensed,
           medication.quantity
         );
-        
-        // Update medication status
-        if (medication.quantityDispensed >= medication.quantity) {
-          medication.status = 'dispensed';
-        } else if (medication.quantityDispensed > 0) {
-          medication.status = 'partially-dispensed';
-        }
+        await medication.save({ transaction });
       }
-    });
 
-    // Update prescription metadata
-    prescription.dispensedBy = req.user.id;
-    prescription.dispensedAt = new Date();
-    prescription.dispensingNotes = dispensingNotes;
+      // Update prescription metadata
+      prescription.syncWithItems(items);
+      prescription.dispensedById = req.user.id;
+      prescription.dispensedAt = new Date();
+      prescription.dispensingNotes = dispensingNotes;
 
-    await prescription.save();
+      await prescription.save({ transaction });
+    });
 
-    // Populate references
-    await prescription.populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' },
-      { path: 'dispensedBy', select: 'name' }
-    ]);
+    // Reload with references
+    await prescription.reload({ include: prescriptionIncludes, order: itemOrder });
 
     res.status(200).json({
       success: true,
@@ -409,14 +660,9 @@ export const dispensePrescription = async (req, res, next) => {
  */
 export const cancelPrescription = async (req, res, next) => {
   try {
-    const prescription = await Prescription.findByIdAndUpdate(
-      req.params.id,
-      { status: 'cancelled' },
-      { new: true }
-    ).populate([
-      { path: 'patient', select: 'patientId firstName lastName phone' },
-      { path: 'doctor', select: 'name profile.specialization' }
-    ]);
+    const prescription = await Prescription.findByPk(req.params.id, {
+      include: prescriptionIncludes.slice(0, 2)
+    });
 
     if (!prescription) {
       return res.status(404).json({
@@ -425,6 +671,22 @@ export const cancelPrescription = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessPatientRecord(req.user, prescription.patientId, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
+    }
+
+    if (prescription.status === 'dispensed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot cancel a prescription that has been dispensed'
+      });
+    }
+
+    await prescription.update({ status: 'cancelled' });
+
     res.status(200).json({
       success: true,
       message: 'Prescription cancelled successfully',
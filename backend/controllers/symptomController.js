@@ -0,0 +1,188 @@
+import { validationResult } from 'express-validator';
+import {
+  SYMPTOM_VOCABULARY,
+  searchSymptoms as searchVocabulary,
+  matchSymptom,
+  extractSymptoms
+} from '../shared/symptomVocabulary.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SymptomMatch:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: abdominal_pain
+ *           description: Canonical code the rule engine and knowledge base use
+ *         label:
+ *           type: string
+ *           example: Abdominal pain
+ *         snomed:
+ *           type: string
+ *           nullable: true
+ *           example: '21522001'
+ *           description: SNOMED CT concept ID, where the vocabulary maps one
+ *         match:
+ *           type: string
+ *           enum: [code, synonym, prefix, fuzzy]
+ *           description: How the input matched
+ *         term:
+ *           type: string
+ *           example: stomach pain
+ *           description: The code, label or synonym that matched
+ */
+
+/**
+ * @swagger
+ * /api/symptoms:
+ *   get:
+ *     summary: Look up symptoms in the controlled vocabulary (autocomplete)
+ *     description: Terms starting with the query come first, then terms containing it, then close misspellings. Without a query the vocabulary is listed in order.
+ *     tags: [Symptoms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: What the user has typed so far
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of suggestions (default 10, at most 100)
+ *     responses:
+ *       200:
+ *         description: Matching symptoms, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SymptomMatch'
+ */
+export const searchSymptoms = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q = '', limit = 10 } = req.query;
+    const symptoms = searchVocabulary(q, { limit: parseInt(limit) });
+
+    res.status(200).json({
+      success: true,
+      count: symptoms.length,
+      data: symptoms
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/symptoms/normalize:
+ *   post:
+ *     summary: Map symptom names and free text onto vocabulary codes
+ *     tags: [Symptoms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               symptoms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [stomach pain, feaver, ear pain]
+ *               text:
+ *                 type: string
+ *                 example: feeling hot since Monday, no cough
+ *                 description: Free text to pick symptoms out of; negated ones are listed as absent
+ *     responses:
+ *       200:
+ *         description: Matches for each name, the names not recognised, and the symptoms found in the text
+ */
+export const normalizeSymptoms = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { symptoms = [], text = '' } = req.body;
+    const matches = symptoms.map(input => ({ input, match: matchSymptom(input) }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        matches: matches.filter(({ match }) => match).map(({ input, match }) => ({ input, ...match })),
+        unrecognized: matches.filter(({ match }) => !match).map(({ input }) => input),
+        text: text ? extractSymptoms(text) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/symptoms/{code}:
+ *   get:
+ *     summary: Get a vocabulary entry with its synonyms
+ *     tags: [Symptoms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Symptom code (a label or synonym also resolves)
+ *     responses:
+ *       200:
+ *         description: Vocabulary entry
+ *       404:
+ *         description: Symptom not found
+ */
+export const getSymptom = async (req, res, next) => {
+  try {
+    const match = matchSymptom(req.params.code);
+    if (!match || match.match === 'fuzzy') {
+      return res.status(404).json({
+        success: false,
+        error: 'Symptom not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: SYMPTOM_VOCABULARY.find(entry => entry.code === match.code)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
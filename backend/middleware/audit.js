@@ -0,0 +1,20 @@
+import { runWithAuditContext, shouldAudit, writeAuditEntry } from '../services/auditService.js';
+
+/**
+ * Audit trail middleware
+ * Records every mutating request and every read that loaded patient data,
+ * once the response has been sent.
+ */
+export const auditTrail = (req, res, next) => {
+  runWithAuditContext((store) => {
+    res.on('finish', () => {
+      if (!shouldAudit(req.method, store)) return;
+
+      writeAuditEntry(req, res, store).catch((error) => {
+        console.error('Audit log write failed:', error.message);
+      });
+    });
+
+    next();
+  });
+};
@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import { canAccessPatientRecord } from '../services/careTeamService.js';
+import { getSetting } from '../services/settingsService.js';
 
 /**
  * Protect routes - verify JWT token
@@ -15,6 +18,15 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Tokens older than the configured session timeout are no longer accepted
+      const sessionTimeout = await getSetting('system.sessionTimeout');
+      if (sessionTimeout && decoded.iat && Date.now() / 1000 - decoded.iat > sessionTimeout * 60) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session expired'
+        });
+      }
+
       // Get user from token
       req.user = await User.findByPk(decoded.id);
 
@@ -76,34 +88,30 @@ export const authorize = (...roles) => {
 
 /**
  * Check if user can access patient data
+ * Admins and reception see every patient, clinicians only their care team
+ * (assigned doctor/nurse or an appointment with the patient), pharmacists
+ * patients with prescriptions, and patients only their own record.
  */
 export const canAccessPatient = async (req, res, next) => {
   try {
-    const { patientId } = req.params;
-    const user = req.user;
-
-    // Admins can access all patient data
-    if (user.role === 'admin') {
-      return next();
-    }
+    const patientId = req.params.patientId || req.params.id;
+    const patient = /^\d+$/.test(String(patientId)) ? await Patient.findByPk(patientId) : null;
 
-    // Patients can only access their own data
-    if (user.role === 'patient') {
-      if (user._id.toString() !== patientId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Not authorized to access this patient data'
-        });
-      }
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
     }
 
-    // Healthcare providers can access patient data they're assigned to
-    if (['doctor', 'nurse', 'pharmacist', 'receptionist'].includes(user.role)) {
-      // For now, allow all healthcare providers to access patient data
-      // In a real system, you'd check assignments/permissions
-      return next();
+    if (!(await canAccessPatientRecord(req.user, patient.id, req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this patient data'
+      });
     }
 
+    req.patient = patient;
     next();
   } catch (error) {
     return res.status(500).json({
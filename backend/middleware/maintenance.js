@@ -0,0 +1,43 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.pg.js';
+import { getSetting } from '../services/settingsService.js';
+
+// Reachable during maintenance so admins can still sign in and turn it off
+const MAINTENANCE_ALLOWED_PATHS = ['/health', '/api/auth/login', '/api/auth/refresh'];
+
+/**
+ * Maintenance mode middleware
+ * While system.maintenanceMode is on, only admins get through.
+ */
+export const maintenanceGuard = async (req, res, next) => {
+  try {
+    if (!(await getSetting('system.maintenanceMode'))) {
+      return next();
+    }
+
+    if (MAINTENANCE_ALLOWED_PATHS.includes(req.path) || req.path.startsWith('/api-docs')) {
+      return next();
+    }
+
+    // Routes authenticate later; here we only need to know whether the caller is an admin
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer')) {
+      try {
+        const decoded = jwt.verify(authorization.split(' ')[1], process.env.JWT_SECRET);
+        const user = await User.findByPk(decoded.id, { attributes: ['id', 'role'] });
+        if (user && user.role === 'admin') {
+          return next();
+        }
+      } catch {
+        // Invalid tokens are treated like anonymous requests
+      }
+    }
+
+    return res.status(503).json({
+      success: false,
+      error: 'The system is under maintenance. Please try again later.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Create users, patients tables
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('users', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    username: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    email: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    password: {
+      type: Sequelize.STRING,
+      allowNull: false,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    role: {
+      type: Sequelize.ENUM('patient', 'doctor', 'nurse', 'pharmacist', 'receptionist', 'admin'),
+      allowNull: false,
+      defaultValue: 'patient',
+    },
+    status: {
+      type: Sequelize.ENUM('active', 'inactive', 'suspended'),
+      allowNull: false,
+      defaultValue: 'active',
+    },
+    isActive: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+    },
+    profile: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    refreshToken: {
+      type: Sequelize.TEXT,
+    },
+    lastLogin: {
+      type: Sequelize.DATE,
+    },
+    emailVerified: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    emailVerificationToken: {
+      type: Sequelize.STRING,
+    },
+    passwordResetToken: {
+      type: Sequelize.STRING,
+    },
+    passwordResetExpires: {
+      type: Sequelize.DATE,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('users', ['username'], { name: 'users_username', unique: true, transaction });
+  await queryInterface.addIndex('users', ['email'], { name: 'users_email', unique: true, transaction });
+  await queryInterface.addIndex('users', ['role'], { name: 'users_role', transaction });
+  await queryInterface.addIndex('users', ['status'], { name: 'users_status', transaction });
+
+  await queryInterface.createTable('patients', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    patientId: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+    },
+    firstName: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    lastName: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    dateOfBirth: {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+    },
+    gender: {
+      type: Sequelize.ENUM('male', 'female', 'other'),
+      allowNull: false,
+    },
+    phone: {
+      type: Sequelize.STRING(20),
+    },
+    email: {
+      type: Sequelize.STRING(100),
+    },
+    address: {
+      type: Sequelize.TEXT,
+    },
+    emergencyContact: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    medicalHistory: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    allergies: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: [],
+    },
+    bloodType: {
+      type: Sequelize.ENUM('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'),
+    },
+    status: {
+      type: Sequelize.ENUM('active', 'inactive', 'deceased'),
+      defaultValue: 'active',
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('patients', ['patientId'], { name: 'patients_patient_id', unique: true, transaction });
+  await queryInterface.addIndex('patients', ['userId'], { name: 'patients_user_id', transaction });
+  await queryInterface.addIndex('patients', ['firstName', 'lastName'], { name: 'patients_first_name_last_name', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('patients', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_patients_gender"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_patients_bloodType"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_patients_status"', { transaction });
+
+  await queryInterface.dropTable('users', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_role"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_status"', { transaction });
+};
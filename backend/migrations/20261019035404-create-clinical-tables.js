@@ -0,0 +1,376 @@
+/**
+ * Create appointments, diagnoses, prescriptions, prescription_items tables
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('appointments', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    appointmentId: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    doctorId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    appointmentDate: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    reason: {
+      type: Sequelize.STRING(500),
+      allowNull: false,
+    },
+    status: {
+      type: Sequelize.ENUM('scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'),
+      allowNull: false,
+      defaultValue: 'scheduled',
+    },
+    type: {
+      type: Sequelize.ENUM('consultation', 'follow-up', 'emergency', 'routine-checkup'),
+      allowNull: false,
+      defaultValue: 'consultation',
+    },
+    duration: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+    },
+    notes: {
+      type: Sequelize.STRING(1000),
+    },
+    symptoms: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: [],
+    },
+    vitalSigns: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    originalDate: {
+      type: Sequelize.DATE,
+    },
+    rescheduleReason: {
+      type: Sequelize.TEXT,
+    },
+    rescheduleHistory: {
+      type: Sequelize.JSONB,
+      defaultValue: [],
+    },
+    assignedNurseId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    room: {
+      type: Sequelize.STRING(50),
+    },
+    followUpRequired: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    followUpDate: {
+      type: Sequelize.DATE,
+    },
+    createdById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('appointments', ['appointmentId'], { name: 'appointments_appointment_id', unique: true, transaction });
+  await queryInterface.addIndex('appointments', ['patientId'], { name: 'appointments_patient_id', transaction });
+  await queryInterface.addIndex('appointments', ['doctorId'], { name: 'appointments_doctor_id', transaction });
+  await queryInterface.addIndex('appointments', ['appointmentDate'], { name: 'appointments_appointment_date', transaction });
+  await queryInterface.addIndex('appointments', ['status'], { name: 'appointments_status', transaction });
+
+  await queryInterface.createTable('diagnoses', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    diagnosisId: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    doctorId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    appointmentId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'appointments', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    symptoms: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    diagnosis: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    malariaAssessment: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    typhoidAssessment: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    treatment: {
+      type: Sequelize.JSONB,
+      defaultValue: {},
+    },
+    followUp: {
+      type: Sequelize.JSONB,
+      defaultValue: {"required":false},
+    },
+    status: {
+      type: Sequelize.ENUM('active', 'resolved', 'chronic'),
+      allowNull: false,
+      defaultValue: 'active',
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('diagnoses', ['diagnosisId'], { name: 'diagnoses_diagnosis_id', unique: true, transaction });
+  await queryInterface.addIndex('diagnoses', ['patientId'], { name: 'diagnoses_patient_id', transaction });
+  await queryInterface.addIndex('diagnoses', ['doctorId'], { name: 'diagnoses_doctor_id', transaction });
+  await queryInterface.addIndex('diagnoses', ['appointmentId'], { name: 'diagnoses_appointment_id', transaction });
+  await queryInterface.addIndex('diagnoses', ['createdAt'], { name: 'diagnoses_created_at', transaction });
+
+  await queryInterface.createTable('prescriptions', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    prescriptionId: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    doctorId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    diagnosisId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'diagnoses', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    appointmentId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'appointments', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'dispensed', 'partially-dispensed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    instructions: {
+      type: Sequelize.STRING(1000),
+    },
+    dispensedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    dispensedAt: {
+      type: Sequelize.DATE,
+    },
+    dispensingNotes: {
+      type: Sequelize.TEXT,
+    },
+    validUntil: {
+      type: Sequelize.DATE,
+    },
+    refillsAllowed: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    refillsUsed: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    priority: {
+      type: Sequelize.ENUM('routine', 'urgent', 'emergency'),
+      allowNull: false,
+      defaultValue: 'routine',
+    },
+    insurance: {
+      type: Sequelize.JSONB,
+      defaultValue: {"covered":false},
+    },
+    totalCost: {
+      type: Sequelize.DECIMAL(10, 2),
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('prescriptions', ['prescriptionId'], { name: 'prescriptions_prescription_id', unique: true, transaction });
+  await queryInterface.addIndex('prescriptions', ['patientId'], { name: 'prescriptions_patient_id', transaction });
+  await queryInterface.addIndex('prescriptions', ['doctorId'], { name: 'prescriptions_doctor_id', transaction });
+  await queryInterface.addIndex('prescriptions', ['status'], { name: 'prescriptions_status', transaction });
+  await queryInterface.addIndex('prescriptions', ['dispensedById'], { name: 'prescriptions_dispensed_by_id', transaction });
+  await queryInterface.addIndex('prescriptions', ['createdAt'], { name: 'prescriptions_created_at', transaction });
+
+  await queryInterface.createTable('prescription_items', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    prescriptionId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'prescriptions', key: 'id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+    },
+    position: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    genericName: {
+      type: Sequelize.STRING(100),
+    },
+    dosage: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    frequency: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    duration: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    quantity: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    quantityDispensed: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    instructions: {
+      type: Sequelize.TEXT,
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'dispensed', 'partially-dispensed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    warnings: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: [],
+    },
+    unitPrice: {
+      type: Sequelize.DECIMAL(10, 2),
+    },
+    totalPrice: {
+      type: Sequelize.DECIMAL(10, 2),
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('prescription_items', ['prescriptionId'], { name: 'prescription_items_prescription_id', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('prescription_items', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prescription_items_status"', { transaction });
+
+  await queryInterface.dropTable('prescriptions', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prescriptions_status"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prescriptions_priority"', { transaction });
+
+  await queryInterface.dropTable('diagnoses', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_diagnoses_status"', { transaction });
+
+  await queryInterface.dropTable('appointments', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_appointments_status"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_appointments_type"', { transaction });
+};
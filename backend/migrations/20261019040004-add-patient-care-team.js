@@ -0,0 +1,24 @@
+/**
+ * Add care-team assignments (assigned doctor and nurse) to patients
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn('patients', 'assignedDoctorId', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+  }, { transaction });
+  await queryInterface.addColumn('patients', 'assignedNurseId', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+  }, { transaction });
+
+  await queryInterface.addIndex('patients', ['assignedDoctorId'], { name: 'patients_assigned_doctor_id', transaction });
+  await queryInterface.addIndex('patients', ['assignedNurseId'], { name: 'patients_assigned_nurse_id', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('patients', 'assignedNurseId', { transaction });
+  await queryInterface.removeColumn('patients', 'assignedDoctorId', { transaction });
+};
@@ -0,0 +1,77 @@
+/**
+ * Create emergency_accesses tables
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('emergency_accesses', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    reason: {
+      type: Sequelize.TEXT,
+      allowNull: false,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    accessCount: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    accessLog: {
+      type: Sequelize.JSONB,
+      defaultValue: [],
+    },
+    lastAccessedAt: {
+      type: Sequelize.DATE,
+    },
+    acknowledgedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    acknowledgedAt: {
+      type: Sequelize.DATE,
+    },
+    reviewNotes: {
+      type: Sequelize.TEXT,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('emergency_accesses', ['userId', 'patientId'], { name: 'emergency_accesses_user_id_patient_id', transaction });
+  await queryInterface.addIndex('emergency_accesses', ['patientId'], { name: 'emergency_accesses_patient_id', transaction });
+  await queryInterface.addIndex('emergency_accesses', ['expiresAt'], { name: 'emergency_accesses_expires_at', transaction });
+  await queryInterface.addIndex('emergency_accesses', ['acknowledgedAt'], { name: 'emergency_accesses_acknowledged_at', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('emergency_accesses', { transaction });
+};
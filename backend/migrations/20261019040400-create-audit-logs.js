@@ -0,0 +1,73 @@
+/**
+ * Create audit_logs tables
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('audit_logs', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    role: {
+      type: Sequelize.STRING(20),
+    },
+    action: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    resourceType: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    resourceId: {
+      type: Sequelize.STRING(50),
+    },
+    patientIds: {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      defaultValue: [],
+    },
+    method: {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+    },
+    path: {
+      type: Sequelize.STRING(500),
+      allowNull: false,
+    },
+    statusCode: {
+      type: Sequelize.INTEGER,
+    },
+    changes: {
+      type: Sequelize.JSONB,
+      defaultValue: [],
+    },
+    ipAddress: {
+      type: Sequelize.STRING(64),
+    },
+    userAgent: {
+      type: Sequelize.STRING(500),
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('audit_logs', ['userId'], { name: 'audit_logs_user_id', transaction });
+  await queryInterface.addIndex('audit_logs', ['action'], { name: 'audit_logs_action', transaction });
+  await queryInterface.addIndex('audit_logs', ['resourceType', 'resourceId'], { name: 'audit_logs_resource_type_resource_id', transaction });
+  await queryInterface.addIndex('audit_logs', ['createdAt'], { name: 'audit_logs_created_at', transaction });
+  await queryInterface.addIndex('audit_logs', ['patientIds'], { name: 'audit_logs_patient_ids', using: 'GIN', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('audit_logs', { transaction });
+};
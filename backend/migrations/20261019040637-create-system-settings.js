@@ -0,0 +1,79 @@
+/**
+ * Create system_settings, system_setting_changes tables and add login lockout columns to users
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('system_settings', {
+    key: {
+      type: Sequelize.STRING(100),
+      primaryKey: true,
+    },
+    value: {
+      type: Sequelize.JSONB,
+    },
+    updatedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+
+  await queryInterface.createTable('system_setting_changes', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    settingKey: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    previousValue: {
+      type: Sequelize.JSONB,
+    },
+    newValue: {
+      type: Sequelize.JSONB,
+    },
+    changedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('system_setting_changes', ['settingKey'], { name: 'system_setting_changes_setting_key', transaction });
+  await queryInterface.addIndex('system_setting_changes', ['createdAt'], { name: 'system_setting_changes_created_at', transaction });
+
+  await queryInterface.addColumn('users', 'failedLoginAttempts', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  }, { transaction });
+  await queryInterface.addColumn('users', 'lockedUntil', {
+    type: Sequelize.DATE,
+  }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('users', 'lockedUntil', { transaction });
+  await queryInterface.removeColumn('users', 'failedLoginAttempts', { transaction });
+
+  await queryInterface.dropTable('system_setting_changes', { transaction });
+
+  await queryInterface.dropTable('system_settings', { transaction });
+};
@@ -0,0 +1,70 @@
+/**
+ * Create the knowledge_base_versions table and record the rule-set version on diagnoses
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('knowledge_base_versions', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    status: {
+      type: Sequelize.ENUM('draft', 'published', 'archived'),
+      allowNull: false,
+      defaultValue: 'draft',
+    },
+    rules: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    notes: {
+      type: Sequelize.TEXT,
+    },
+    basedOnVersion: {
+      type: Sequelize.INTEGER,
+    },
+    createdById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    publishedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    publishedAt: {
+      type: Sequelize.DATE,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('knowledge_base_versions', ['version'], { name: 'knowledge_base_versions_version', unique: true, transaction });
+  await queryInterface.addIndex('knowledge_base_versions', ['status'], { name: 'knowledge_base_versions_status', transaction });
+
+  await queryInterface.addColumn('diagnoses', 'rulesVersion', {
+    type: Sequelize.INTEGER,
+  }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('diagnoses', 'rulesVersion', { transaction });
+
+  await queryInterface.dropTable('knowledge_base_versions', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_knowledge_base_versions_status"', { transaction });
+};
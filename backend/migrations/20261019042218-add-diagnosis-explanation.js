@@ -0,0 +1,14 @@
+/**
+ * Store the expert system's reasoning trace with each diagnosis
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn('diagnoses', 'explanation', {
+    type: Sequelize.JSONB,
+    allowNull: true,
+  }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('diagnoses', 'explanation', { transaction });
+};
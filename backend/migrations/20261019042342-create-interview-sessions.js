@@ -0,0 +1,78 @@
+/**
+ * Create the interview_sessions table and link diagnoses to the interview behind them
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('interview_sessions', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    status: {
+      type: Sequelize.ENUM('in_progress', 'completed'),
+      allowNull: false,
+      defaultValue: 'in_progress',
+    },
+    findings: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    pendingQuestion: {
+      type: Sequelize.JSONB,
+    },
+    transcript: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    stopReason: {
+      type: Sequelize.STRING(30),
+    },
+    outcome: {
+      type: Sequelize.JSONB,
+    },
+    rulesVersion: {
+      type: Sequelize.INTEGER,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('interview_sessions', ['userId'], { name: 'interview_sessions_user_id', transaction });
+  await queryInterface.addIndex('interview_sessions', ['patientId'], { name: 'interview_sessions_patient_id', transaction });
+
+  await queryInterface.addColumn('diagnoses', 'interviewSessionId', {
+    type: Sequelize.INTEGER,
+    references: { model: 'interview_sessions', key: 'id' },
+    onDelete: 'SET NULL',
+  }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('diagnoses', 'interviewSessionId', { transaction });
+
+  await queryInterface.dropTable('interview_sessions', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_interview_sessions_status"', { transaction });
+};
@@ -0,0 +1,169 @@
+/**
+ * Publish the dengue, influenza-like illness and UTI disease modules in the knowledge base
+ *
+ * Databases that already have a published rule set get a new version that adds
+ * the modules, so diagnoses scored before keep pointing at the old rules. Fresh
+ * databases need nothing: the built-in rules, modules included, are stored on first use.
+ */
+// The modules as they were when this migration was written, so it always
+// publishes the same rules whatever later changes are made to shared/diseases
+const ADDED_MODULES = [
+  {
+    key: 'dengue',
+    label: 'Dengue',
+    prior: 0.08,
+    calibration: 0.8,
+    symptoms: {
+      fever: { present: 2.0, absent: 0.1 },
+      retro_orbital_pain: { present: 4.0 },
+      joint_pain: { present: 2.5 },
+      muscle_aches: { present: 2.0 },
+      rash: { present: 2.5 },
+      bleeding: { present: 3.0 },
+      headache: { present: 1.5 },
+      nausea: { present: 1.3 },
+      vomiting: { present: 1.3 },
+      fatigue: { present: 1.1 },
+      chills: { present: 0.9 },
+      diarrhea: { present: 0.8 },
+      constipation: { present: 0.7 },
+      dry_cough: { present: 0.6 },
+      sore_throat: { present: 0.6 },
+      runny_nose: { present: 0.5 },
+    },
+    feverDuration: [
+      { maxDays: 3, lr: 1.2 },
+      { maxDays: 7, lr: 1.3 },
+      { maxDays: 14, lr: 0.6 },
+      { lr: 0.2 },
+    ],
+    feverPatterns: { cyclical: 0.6, 'step-ladder': 0.5, continuous: 1.3 },
+    tests: {
+      ns1Antigen: { positive: 30, negative: 0.1 },
+      dengueIgM: { positive: 10, negative: 0.4 },
+      tourniquetTest: { positive: 3, negative: 0.6 },
+    },
+    recommendations: {
+      high: 'Dengue likely: NS1/IgM testing, full blood count and platelet monitoring; avoid NSAIDs and aspirin',
+      moderate: 'Consider dengue NS1/IgM testing and a full blood count',
+      low: 'Low dengue risk',
+    },
+    patientAdvice: 'Book appointment for dengue testing. Drink plenty of fluids and use paracetamol, not ibuprofen or aspirin. Seek emergency care for bleeding, severe belly pain or persistent vomiting.',
+  },
+  {
+    key: 'influenza',
+    label: 'Influenza-like Illness',
+    prior: 0.15,
+    calibration: 0.8,
+    symptoms: {
+      fever: { present: 1.5, absent: 0.3 },
+      dry_cough: { present: 3.0 },
+      sore_throat: { present: 2.5 },
+      runny_nose: { present: 2.5 },
+      muscle_aches: { present: 1.8 },
+      headache: { present: 1.3 },
+      fatigue: { present: 1.3 },
+      chills: { present: 1.2 },
+      abdominal_pain: { present: 0.6 },
+      diarrhea: { present: 0.7 },
+      constipation: { present: 0.6 },
+      rash: { present: 0.6 },
+      rose_spots: { present: 0.3 },
+    },
+    feverDuration: [
+      { maxDays: 3, lr: 1.5 },
+      { maxDays: 7, lr: 1.0 },
+      { maxDays: 14, lr: 0.4 },
+      { lr: 0.2 },
+    ],
+    feverPatterns: { cyclical: 0.5, 'step-ladder': 0.5, continuous: 1.2 },
+    tests: {
+      influenzaRapidTest: { positive: 15, negative: 0.4 },
+      influenzaPcr: { positive: 50, negative: 0.05 },
+    },
+    recommendations: {
+      high: 'Influenza-like illness likely: supportive care; consider antivirals for high-risk patients',
+      moderate: 'Consider influenza testing if it would change management',
+      low: 'Low influenza risk',
+    },
+    patientAdvice: 'Rest, drink fluids and stay home to avoid spreading it. Book appointment if you are pregnant, have a chronic illness, or feel worse after 3 days.',
+  },
+  {
+    key: 'uti',
+    label: 'Urinary Tract Infection',
+    prior: 0.08,
+    calibration: 0.8,
+    symptoms: {
+      dysuria: { present: 5.0, absent: 0.3 },
+      urinary_frequency: { present: 3.0 },
+      urinary_urgency: { present: 3.0 },
+      suprapubic_pain: { present: 3.0 },
+      flank_pain: { present: 3.0 },
+      cloudy_urine: { present: 3.0 },
+      blood_in_urine: { present: 2.5 },
+      fever: { present: 1.2 },
+      abdominal_pain: { present: 1.3 },
+      nausea: { present: 1.2 },
+      vomiting: { present: 1.2 },
+      rash: { present: 0.7 },
+      dry_cough: { present: 0.5 },
+      sore_throat: { present: 0.5 },
+      runny_nose: { present: 0.5 },
+    },
+    feverDuration: [
+      { maxDays: 7, lr: 1.0 },
+      { lr: 0.8 },
+    ],
+    tests: {
+      urineDipstick: { positive: 4, negative: 0.2 },
+      urineCulture: { positive: 40, negative: 0.05 },
+    },
+    recommendations: {
+      high: 'UTI likely: urine dipstick and culture, then antibiotics; assess for pyelonephritis if fever or flank pain',
+      moderate: 'Consider a urine dipstick',
+      low: 'Low UTI risk',
+    },
+    patientAdvice: 'Book appointment for a urine test. Seek care the same day if you have fever with back or side pain, or are pregnant.',
+  },
+];
+const NOTES = 'Add dengue, influenza-like illness and UTI disease modules';
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  const select = sql => queryInterface.sequelize.query(sql, { type: Sequelize.QueryTypes.SELECT, transaction });
+
+  const [published] = await select(`SELECT version, rules FROM knowledge_base_versions WHERE status = 'published'`);
+  if (!published) return;
+
+  const added = ADDED_MODULES.filter(({ key }) => !published.rules.diseases[key]);
+  if (added.length === 0) return;
+
+  const [{ latest }] = await select('SELECT MAX(version) AS latest FROM knowledge_base_versions');
+  const now = new Date();
+  const diseases = { ...published.rules.diseases };
+  added.forEach(({ key, ...rule }) => { diseases[key] = rule; });
+
+  await queryInterface.bulkUpdate('knowledge_base_versions', { status: 'archived', updatedAt: now }, { status: 'published' }, { transaction });
+  await queryInterface.bulkInsert('knowledge_base_versions', [{
+    version: latest + 1,
+    status: 'published',
+    rules: JSON.stringify({ ...published.rules, diseases }),
+    notes: NOTES,
+    basedOnVersion: published.version,
+    publishedAt: now,
+    createdAt: now,
+    updatedAt: now,
+  }], { transaction });
+};
+
+export const down = async ({ queryInterface, Sequelize, transaction }) => {
+  const [added] = await queryInterface.sequelize.query(
+    'SELECT version, status, "basedOnVersion" FROM knowledge_base_versions WHERE notes = :notes',
+    { replacements: { notes: NOTES }, type: Sequelize.QueryTypes.SELECT, transaction }
+  );
+  if (!added) return;
+
+  if (added.status === 'published') {
+    await queryInterface.bulkUpdate('knowledge_base_versions', { status: 'published', updatedAt: new Date() }, { version: added.basedOnVersion }, { transaction });
+  }
+  await queryInterface.bulkDelete('knowledge_base_versions', { version: added.version }, { transaction });
+};
@@ -0,0 +1,86 @@
+/**
+ * Create the clinical_alerts table for expert-system alerts to clinicians
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('clinical_alerts', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    type: {
+      type: Sequelize.STRING(40),
+      allowNull: false,
+    },
+    severity: {
+      type: Sequelize.ENUM('urgent', 'warning'),
+      allowNull: false,
+      defaultValue: 'warning',
+    },
+    recipientId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    diagnosisId: {
+      type: Sequelize.INTEGER,
+      references: { model: 'diagnoses', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    raisedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    title: {
+      type: Sequelize.STRING(200),
+      allowNull: false,
+    },
+    message: {
+      type: Sequelize.TEXT,
+      allowNull: false,
+    },
+    details: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    status: {
+      type: Sequelize.ENUM('open', 'acknowledged'),
+      allowNull: false,
+      defaultValue: 'open',
+    },
+    acknowledgedAt: {
+      type: Sequelize.DATE,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('clinical_alerts', ['recipientId', 'status'], { name: 'clinical_alerts_recipient_id_status', transaction });
+  await queryInterface.addIndex('clinical_alerts', ['patientId'], { name: 'clinical_alerts_patient_id', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('clinical_alerts', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_clinical_alerts_severity"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_clinical_alerts_status"', { transaction });
+};
@@ -0,0 +1,15 @@
+/**
+ * Record the reasons doctors give for overriding drug safety warnings on a prescription
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn('prescriptions', 'safetyOverrides', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('prescriptions', 'safetyOverrides', { transaction });
+};
@@ -0,0 +1,99 @@
+/**
+ * Store the epidemiological context of each diagnosis and publish the regional priors
+ *
+ * Databases that already have a published rule set get a new version with the
+ * epidemiology section, so diagnoses scored before keep pointing at the old rules.
+ */
+// The defaults as they were when this migration was written, so it always
+// publishes the same priors whatever later changes are made to shared/epidemiology.js
+const EPIDEMIOLOGY = {
+  // Travel counts when the patient came back this many days ago or less
+  travelWindowDays: 30,
+  regions: {
+    zambezi: { label: 'Zambezi', aliases: ['caprivi', 'katima mulilo'], priors: { malaria: 0.35 } },
+    kavango_east: { label: 'Kavango East', aliases: ['rundu'], priors: { malaria: 0.3 } },
+    kavango_west: { label: 'Kavango West', aliases: ['nkurenkuru'], priors: { malaria: 0.25 } },
+    ohangwena: { label: 'Ohangwena', aliases: ['eenhana'], priors: { malaria: 0.12 } },
+    oshikoto: { label: 'Oshikoto', aliases: ['tsumeb', 'omuthiya'], priors: { malaria: 0.08 } },
+    kunene: { label: 'Kunene', aliases: ['opuwo'], priors: { malaria: 0.08 } },
+    omusati: { label: 'Omusati', aliases: ['outapi'], priors: { malaria: 0.06 } },
+    oshana: { label: 'Oshana', aliases: ['oshakati', 'ondangwa'], priors: { malaria: 0.06 } },
+    otjozondjupa: { label: 'Otjozondjupa', aliases: ['otjiwarongo', 'grootfontein'], priors: { malaria: 0.05 } },
+    omaheke: { label: 'Omaheke', aliases: ['gobabis'], priors: { malaria: 0.02 } },
+    khomas: { label: 'Khomas', aliases: ['windhoek'], priors: { malaria: 0.02, typhoid: 0.08 } },
+    erongo: { label: 'Erongo', aliases: ['swakopmund', 'walvis bay'], priors: { malaria: 0.01 } },
+    hardap: { label: 'Hardap', aliases: ['mariental'], priors: { malaria: 0.01 } },
+    karas: { label: '//Karas', aliases: ['keetmanshoop', 'luderitz'], priors: { malaria: 0.01 } },
+    southern_angola: { label: 'Southern Angola', aliases: ['angola'], priors: { malaria: 0.45 } },
+    western_zambia: { label: 'Western Zambia', aliases: ['zambia'], priors: { malaria: 0.45 } },
+  },
+  // Likelihood ratio per disease in each season, by calendar month
+  seasons: {
+    rainy: { label: 'Rainy season', months: [11, 12, 1, 2, 3, 4], lr: { malaria: 1.6, dengue: 1.5, typhoid: 1.2 } },
+    dry: { label: 'Dry season', months: [5, 6, 7, 8, 9, 10], lr: { malaria: 0.5, dengue: 0.7 } },
+  },
+  // Yes/no exposures and protections: likelihood ratio per disease for each answer
+  factors: {
+    bednet: { label: 'Sleeps under an insecticide-treated bednet', yes: { malaria: 0.6 }, no: { malaria: 1.2 } },
+    typhoidVaccine: { label: 'Typhoid vaccination in the last 3 years', yes: { typhoid: 0.45 } },
+  },
+};
+
+const NOTES = 'Add epidemiological context (regional priors, seasons, bednet and typhoid vaccination)';
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn('diagnoses', 'epidemiologicalContext', {
+    type: Sequelize.JSONB,
+    allowNull: true,
+  }, { transaction });
+
+  const select = sql => queryInterface.sequelize.query(sql, { type: Sequelize.QueryTypes.SELECT, transaction });
+
+  const [published] = await select(`SELECT version, rules FROM knowledge_base_versions WHERE status = 'published'`);
+  if (!published || published.rules.epidemiology) return;
+
+  // Only the priors and ratios for diseases this rule set scores
+  const known = lrs => Object.fromEntries(Object.entries(lrs || {}).filter(([disease]) => published.rules.diseases[disease]));
+  const epidemiology = {
+    ...EPIDEMIOLOGY,
+    regions: Object.fromEntries(Object.entries(EPIDEMIOLOGY.regions)
+      .map(([region, config]) => [region, { ...config, priors: known(config.priors) }])),
+    seasons: Object.fromEntries(Object.entries(EPIDEMIOLOGY.seasons)
+      .map(([season, config]) => [season, { ...config, lr: known(config.lr) }])),
+    factors: Object.fromEntries(Object.entries(EPIDEMIOLOGY.factors)
+      .map(([factor, { label, ...answers }]) => [factor, {
+        label,
+        ...Object.fromEntries(Object.entries(answers).map(([answer, lrs]) => [answer, known(lrs)])),
+      }])),
+  };
+
+  const [{ latest }] = await select('SELECT MAX(version) AS latest FROM knowledge_base_versions');
+  const now = new Date();
+
+  await queryInterface.bulkUpdate('knowledge_base_versions', { status: 'archived', updatedAt: now }, { status: 'published' }, { transaction });
+  await queryInterface.bulkInsert('knowledge_base_versions', [{
+    version: latest + 1,
+    status: 'published',
+    rules: JSON.stringify({ ...published.rules, epidemiology }),
+    notes: NOTES,
+    basedOnVersion: published.version,
+    publishedAt: now,
+    createdAt: now,
+    updatedAt: now,
+  }], { transaction });
+};
+
+export const down = async ({ queryInterface, Sequelize, transaction }) => {
+  const [added] = await queryInterface.sequelize.query(
+    'SELECT version, status, "basedOnVersion" FROM knowledge_base_versions WHERE notes = :notes',
+    { replacements: { notes: NOTES }, type: Sequelize.QueryTypes.SELECT, transaction }
+  );
+  if (added) {
+    if (added.status === 'published') {
+      await queryInterface.bulkUpdate('knowledge_base_versions', { status: 'published', updatedAt: new Date() }, { version: added.basedOnVersion }, { transaction });
+    }
+    await queryInterface.bulkDelete('knowledge_base_versions', { version: added.version }, { transaction });
+  }
+
+  await queryInterface.removeColumn('diagnoses', 'epidemiologicalContext', { transaction });
+};
@@ -0,0 +1,108 @@
+/**
+ * Create the lab_orders table for test orders, sample collection and results
+ *
+ * Generated from model definitions by `npm run migrate -- generate`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable('lab_orders', {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    orderId: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+    },
+    patientId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    appointmentId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'appointments', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    test: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+    },
+    priority: {
+      type: Sequelize.ENUM('routine', 'urgent', 'stat'),
+      allowNull: false,
+      defaultValue: 'routine',
+    },
+    clinicalNotes: {
+      type: Sequelize.STRING(1000),
+    },
+    status: {
+      type: Sequelize.ENUM('ordered', 'collected', 'resulted', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'ordered',
+    },
+    orderedById: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    specimen: {
+      type: Sequelize.STRING(100),
+    },
+    collectedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    collectedAt: {
+      type: Sequelize.DATE,
+    },
+    results: {
+      type: Sequelize.JSONB,
+    },
+    abnormal: {
+      type: Sequelize.BOOLEAN,
+    },
+    resultNotes: {
+      type: Sequelize.TEXT,
+    },
+    resultedById: {
+      type: Sequelize.INTEGER,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    },
+    resultedAt: {
+      type: Sequelize.DATE,
+    },
+    cancellationReason: {
+      type: Sequelize.STRING(500),
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  }, { transaction });
+  await queryInterface.addIndex('lab_orders', ['orderId'], { name: 'lab_orders_order_id', unique: true, transaction });
+  await queryInterface.addIndex('lab_orders', ['patientId'], { name: 'lab_orders_patient_id', transaction });
+  await queryInterface.addIndex('lab_orders', ['appointmentId'], { name: 'lab_orders_appointment_id', transaction });
+  await queryInterface.addIndex('lab_orders', ['status'], { name: 'lab_orders_status', transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('lab_orders', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_lab_orders_priority"', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_lab_orders_status"', { transaction });
+};
@@ -0,0 +1,302 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appointment:
+ *       type: object
+ *       required:
+ *         - patient
+ *         - doctor
+ *         - appointmentDate
+ *         - reason
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Appointment ID
+ *         appointmentId:
+ *           type: string
+ *           description: Unique appointment identifier
+ *         patient:
+ *           type: integer
+ *           description: Patient ID reference
+ *         doctor:
+ *           type: integer
+ *           description: Doctor ID reference
+ *         appointmentDate:
+ *           type: string
+ *           format: date-time
+ *           description: Appointment date and time
+ *         reason:
+ *           type: string
+ *           description: Reason for appointment
+ *         status:
+ *           type: string
+ *           enum: [scheduled, confirmed, in-progress, completed, cancelled, no-show]
+ *           description: Appointment status
+ *         type:
+ *           type: string
+ *           enum: [consultation, follow-up, emergency, routine-checkup]
+ *           description: Type of appointment
+ *         duration:
+ *           type: integer
+ *           description: Duration in minutes
+ *         notes:
+ *           type: string
+ *           description: Additional notes
+ *         symptoms:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Patient symptoms
+ *         vitalSigns:
+ *           type: object
+ *           properties:
+ *             temperature:
+ *               type: number
+ *             bloodPressure:
+ *               type: object
+ *               properties:
+ *                 systolic:
+ *                   type: number
+ *                 diastolic:
+ *                   type: number
+ *             heartRate:
+ *               type: number
+ *             weight:
+ *               type: number
+ *             height:
+ *               type: number
+ *             oxygenSaturation:
+ *               type: number
+ *         assignedNurse:
+ *           type: integer
+ *           description: Assigned nurse ID reference
+ *         room:
+ *           type: string
+ *         rescheduleReason:
+ *           type: string
+ *         followUpRequired:
+ *           type: boolean
+ *         followUpDate:
+ *           type: string
+ *           format: date-time
+ */
+
+// Plausible ranges for recorded vital signs
+const vitalSignRanges = {
+  temperature: [30, 50],
+  heartRate: [30, 200],
+  weight: [0, Infinity],
+  height: [0, Infinity],
+  oxygenSaturation: [0, 100],
+};
+
+const Appointment = sequelize.define('Appointment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  appointmentId: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  appointmentDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      len: [1, 500],
+    },
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'),
+    allowNull: false,
+    defaultValue: 'scheduled',
+  },
+  type: {
+    type: DataTypes.ENUM('consultation', 'follow-up', 'emergency', 'routine-checkup'),
+    allowNull: false,
+    defaultValue: 'consultation',
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30,
+    validate: {
+      min: 15,
+      max: 180,
+    },
+  },
+  notes: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+  },
+  symptoms: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+  },
+  vitalSigns: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    validate: {
+      isValidVitalSigns(value) {
+        if (!value) return;
+        if (typeof value !== 'object') {
+          throw new Error('Vital signs must be an object');
+        }
+        Object.entries(vitalSignRanges).forEach(([field, [min, max]]) => {
+          if (value[field] === undefined || value[field] === null) return;
+          const reading = Number(value[field]);
+          if (Number.isNaN(reading) || reading < min || reading > max) {
+            throw new Error(`Vital sign '${field}' is out of range`);
+          }
+        });
+      },
+    },
+  },
+  // For rescheduling tracking
+  originalDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  rescheduleReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  rescheduleHistory: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+  },
+  // Assigned nurse for the appointment
+  assignedNurseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  // Room/location information
+  room: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  // Follow-up information
+  followUpRequired: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  followUpDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Created by (receptionist/admin)
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  durationHours: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.duration / 60;
+    },
+  },
+  isToday: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (!this.appointmentDate) return false;
+      return new Date().toDateString() === new Date(this.appointmentDate).toDateString();
+    },
+  },
+  isOverdue: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return new Date(this.appointmentDate) < new Date() && this.status === 'scheduled';
+    },
+  },
+}, {
+  tableName: 'appointments',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['appointmentId'],
+    },
+    {
+      fields: ['patientId'],
+    },
+    {
+      fields: ['doctorId'],
+    },
+    {
+      fields: ['appointmentDate'],
+    },
+    {
+      fields: ['status'],
+    },
+  ],
+  hooks: {
+    beforeValidate: async (appointment, options) => {
+      if (!appointment.appointmentId) {
+        const count = await Appointment.count({ transaction: options.transaction });
+        appointment.appointmentId = `A${String(count + 1).padStart(6, '0')}`;
+      }
+    },
+    beforeUpdate: (appointment) => {
+      if (appointment.changed('appointmentDate')) {
+        const previousDate = appointment.previous('appointmentDate');
+        if (!appointment.originalDate) {
+          appointment.originalDate = previousDate;
+        }
+        appointment.rescheduleHistory = [
+          ...(appointment.rescheduleHistory || []),
+          {
+            from: previousDate,
+            to: appointment.appointmentDate,
+            reason: appointment.rescheduleReason || null,
+            changedAt: new Date(),
+          },
+        ];
+      }
+    },
+  },
+});
+
+// Associations
+Appointment.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+Appointment.belongsTo(User, { as: 'doctor', foreignKey: 'doctorId' });
+Appointment.belongsTo(User, { as: 'assignedNurse', foreignKey: 'assignedNurseId' });
+Appointment.belongsTo(User, { as: 'createdBy', foreignKey: 'createdById' });
+Patient.hasMany(Appointment, { as: 'appointments', foreignKey: 'patientId' });
+
+export default Appointment;
@@ -0,0 +1,151 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user:
+ *           type: integer
+ *           description: Acting user (null for unauthenticated requests such as a failed login)
+ *         role:
+ *           type: string
+ *           description: Role of the acting user at the time of the request
+ *         action:
+ *           type: string
+ *           description: create, update, delete, read, or the named operation (login, dispense, cancel, ...)
+ *         resourceType:
+ *           type: string
+ *           example: prescriptions
+ *         resourceId:
+ *           type: string
+ *         patientIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Patients whose data was read or changed
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         statusCode:
+ *           type: integer
+ *         changes:
+ *           type: array
+ *           description: Before/after values of every record the request changed
+ *           items:
+ *             type: object
+ *             properties:
+ *               model:
+ *                 type: string
+ *               id:
+ *                 type: integer
+ *               type:
+ *                 type: string
+ *                 enum: [create, update, delete]
+ *               before:
+ *                 type: object
+ *               after:
+ *                 type: object
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  resourceType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  resourceId: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  patientIds: {
+    type: DataTypes.ARRAY(DataTypes.INTEGER),
+    defaultValue: [],
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+  },
+  path: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId'],
+    },
+    {
+      fields: ['action'],
+    },
+    {
+      fields: ['resourceType', 'resourceId'],
+    },
+    {
+      fields: ['createdAt'],
+    },
+    {
+      using: 'gin',
+      fields: ['patientIds'],
+    },
+  ],
+});
+
+// Associations
+AuditLog.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+export default AuditLog;
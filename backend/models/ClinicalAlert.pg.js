@@ -0,0 +1,138 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+import Diagnosis from './Diagnosis.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClinicalAlert:
+ *       type: object
+ *       description: Alert raised for a clinician by the expert system, e.g. severe malaria danger signs
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           example: severe_malaria
+ *         severity:
+ *           type: string
+ *           enum: [urgent, warning]
+ *         recipient:
+ *           type: integer
+ *           description: Clinician the alert is for (the patient's treating doctor)
+ *         patient:
+ *           type: integer
+ *           description: Patient ID reference
+ *         diagnosis:
+ *           type: integer
+ *           description: Diagnosis that raised the alert, if any
+ *         raisedBy:
+ *           type: integer
+ *           description: User whose request raised the alert
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         details:
+ *           type: object
+ *           description: What triggered the alert, e.g. the danger-sign criteria met
+ *         status:
+ *           type: string
+ *           enum: [open, acknowledged]
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const ClinicalAlert = sequelize.define('ClinicalAlert', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  type: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+  },
+  severity: {
+    type: DataTypes.ENUM('urgent', 'warning'),
+    allowNull: false,
+    defaultValue: 'warning',
+  },
+  recipientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  diagnosisId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'diagnoses',
+      key: 'id',
+    },
+  },
+  raisedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'acknowledged'),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'clinical_alerts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['recipientId', 'status'],
+    },
+    {
+      fields: ['patientId'],
+    },
+  ],
+});
+
+// Associations
+ClinicalAlert.belongsTo(User, { as: 'recipient', foreignKey: 'recipientId' });
+ClinicalAlert.belongsTo(User, { as: 'raisedBy', foreignKey: 'raisedById' });
+ClinicalAlert.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+ClinicalAlert.belongsTo(Diagnosis, { as: 'diagnosis', foreignKey: 'diagnosisId' });
+
+export default ClinicalAlert;
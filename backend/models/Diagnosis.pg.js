@@ -0,0 +1,616 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+import Appointment from './Appointment.pg.js';
+import InterviewSession from './InterviewSession.pg.js';
+import { FEVER_PATTERNS } from '../shared/ruleEngine.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Diagnosis:
+ *       type: object
+ *       required:
+ *         - patient
+ *         - appointment
+ *         - symptoms
+ *         - diagnosis
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Diagnosis ID
+ *         diagnosisId:
+ *           type: string
+ *           description: Unique diagnosis identifier
+ *         patient:
+ *           type: integer
+ *           description: Patient ID reference
+ *         doctor:
+ *           type: integer
+ *           description: Doctor ID reference
+ *         appointment:
+ *           type: integer
+ *           description: Appointment ID reference
+ *         symptoms:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               symptom:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [mild, moderate, severe]
+ *               duration:
+ *                 type: string
+ *               pattern:
+ *                 type: string
+ *                 enum: [cyclical, step-ladder, continuous]
+ *                 description: Fever pattern, on the fever entry
+ *               notes:
+ *                 type: string
+ *         diagnosis:
+ *           type: object
+ *           properties:
+ *             primary:
+ *               type: string
+ *             secondary:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             confidence:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 100
+ *             icd10Code:
+ *               type: string
+ *             notes:
+ *               type: string
+ *         malariaAssessment:
+ *           type: object
+ *           properties:
+ *             riskLevel:
+ *               type: string
+ *               enum: [low, moderate, high]
+ *             probability:
+ *               type: number
+ *               description: Rule-engine probability (0-1)
+ *             interval:
+ *               type: object
+ *               description: 95% confidence interval of the probability
+ *               properties:
+ *                 lower:
+ *                   type: number
+ *                 upper:
+ *                   type: number
+ *             testResults:
+ *               type: object
+ *               properties:
+ *                 rapidTest:
+ *                   type: string
+ *                   enum: [positive, negative, not-done]
+ *                 microscopy:
+ *                   type: string
+ *                   enum: [positive, negative, not-done]
+ *                 parasiteCount:
+ *                   type: number
+ *                   description: Asexual parasites per µL
+ *             species:
+ *               type: string
+ *               enum: [P. falciparum, P. vivax, P. ovale, P. malariae, mixed]
+ *             complications:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             urgentReferral:
+ *               type: boolean
+ *               description: Set by the expert system when a severe malaria criterion is met
+ *             dangerSigns:
+ *               type: array
+ *               description: Severe malaria criteria met (see DangerSigns)
+ *               items:
+ *                 type: object
+ *         typhoidAssessment:
+ *           type: object
+ *           properties:
+ *             riskLevel:
+ *               type: string
+ *               enum: [low, moderate, high]
+ *             probability:
+ *               type: number
+ *               description: Rule-engine probability (0-1)
+ *             interval:
+ *               type: object
+ *               description: 95% confidence interval of the probability
+ *               properties:
+ *                 lower:
+ *                   type: number
+ *                 upper:
+ *                   type: number
+ *             testResults:
+ *               type: object
+ *               properties:
+ *                 widalTest:
+ *                   type: string
+ *                   enum: [positive, negative, not-done]
+ *                 bloodCulture:
+ *                   type: string
+ *                   enum: [positive, negative, not-done]
+ *                 stoolCulture:
+ *                   type: string
+ *                   enum: [positive, negative, not-done]
+ *                 typhiDot:
+ *                   type: string
+ *                   enum: [positive, negative, not-done]
+ *             complications:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         treatment:
+ *           type: object
+ *           properties:
+ *             medications:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   dosage:
+ *                     type: string
+ *                   frequency:
+ *                     type: string
+ *                   duration:
+ *                     type: string
+ *                   instructions:
+ *                     type: string
+ *             generalInstructions:
+ *               type: string
+ *             dietaryRecommendations:
+ *               type: string
+ *             activityRestrictions:
+ *               type: string
+ *         followUp:
+ *           type: object
+ *           properties:
+ *             required:
+ *               type: boolean
+ *             date:
+ *               type: string
+ *               format: date
+ *             instructions:
+ *               type: string
+ *         status:
+ *           type: string
+ *           enum: [active, resolved, chronic]
+ *         rulesVersion:
+ *           type: integer
+ *           readOnly: true
+ *           description: Knowledge base version that produced the risk assessments
+ *         interviewSession:
+ *           type: integer
+ *           description: Completed adaptive interview (for the same patient) whose transcript is attached to this diagnosis
+ *         explanation:
+ *           type: object
+ *           readOnly: true
+ *           description: Reasoning trace per disease (malaria, typhoid) from the last time the expert system scored the diagnosis
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/AssessmentTrace'
+ *         epidemiologicalContext:
+ *           $ref: '#/components/schemas/EpidemiologicalContext'
+ *     EpidemiologicalContext:
+ *       type: object
+ *       description: Where the patient lives and has been, and their exposures; each factor adjusts the pre-test probability using the knowledge base's epidemiology section
+ *       properties:
+ *         region:
+ *           type: string
+ *           example: khomas
+ *           description: Home region key, label or town (e.g. Windhoek)
+ *         travel:
+ *           type: array
+ *           description: Regions visited, as a region or { region, returnedOn }; trips that ended more than the travel window (30 days) before the date are ignored
+ *           items:
+ *             oneOf:
+ *               - type: string
+ *                 example: zambezi
+ *               - type: object
+ *                 properties:
+ *                   region:
+ *                     type: string
+ *                     example: zambezi
+ *                   returnedOn:
+ *                     type: string
+ *                     format: date
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date of the illness, which sets the season (defaults to today)
+ *         bednet:
+ *           type: boolean
+ *           description: Sleeps under an insecticide-treated bednet
+ *         typhoidVaccine:
+ *           type: boolean
+ *           description: Vaccinated against typhoid in the last 3 years
+ *     AssessmentTrace:
+ *       type: object
+ *       description: How the expert system reached a risk level
+ *       properties:
+ *         prior:
+ *           type: object
+ *           properties:
+ *             probability:
+ *               type: number
+ *             logOdds:
+ *               type: number
+ *         calibration:
+ *           type: number
+ *         context:
+ *           type: object
+ *           nullable: true
+ *           description: Epidemiological factors that moved the prior, and the pre-test probability they gave
+ *           properties:
+ *             factors:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   factor:
+ *                     type: string
+ *                     enum: [region, travel, season, bednet, typhoidVaccine]
+ *                   value:
+ *                     type: string
+ *             probability:
+ *               type: number
+ *         steps:
+ *           type: array
+ *           description: Every rule that fired, in the order it was applied
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 description: Path of the likelihood ratio in the disease's knowledge base rules, e.g. symptoms.chills.present (context steps give the path in the rule set, e.g. epidemiology.regions.zambezi.priors.malaria)
+ *               kind:
+ *                 type: string
+ *                 enum: [context, symptom, feverDuration, feverPattern, test]
+ *               finding:
+ *                 type: string
+ *               value:
+ *                 type: string
+ *               lr:
+ *                 type: number
+ *               weight:
+ *                 type: number
+ *               contribution:
+ *                 type: number
+ *                 description: Log-odds added by this rule (after severity weighting and calibration; context steps are not calibrated)
+ *               probabilityAfter:
+ *                 type: number
+ *         logOdds:
+ *           type: number
+ *         probability:
+ *           type: number
+ *         thresholds:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: string
+ *               threshold:
+ *                 type: number
+ *               crossed:
+ *                 type: boolean
+ *         riskLevel:
+ *           type: string
+ *           enum: [low, moderate, high]
+ *         testOverride:
+ *           type: object
+ *           nullable: true
+ *           description: Set when test results changed the risk level the clinical findings alone gave
+ *           properties:
+ *             tests:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             clinicalProbability:
+ *               type: number
+ *             clinicalRiskLevel:
+ *               type: string
+ *         summary:
+ *           type: string
+ *     DangerSigns:
+ *       type: object
+ *       description: WHO severe malaria criteria found in the symptoms and parasite count
+ *       properties:
+ *         urgentReferral:
+ *           type: boolean
+ *           description: True when any criterion is met
+ *         confirmedParasitaemia:
+ *           type: boolean
+ *           description: Whether a test has confirmed malaria parasites
+ *         criteria:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               criterion:
+ *                 type: string
+ *                 enum: [impaired_consciousness, convulsions, prostration, respiratory_distress, jaundice, haemoglobinuria, hypoglycaemia, hyperparasitaemia]
+ *               label:
+ *                 type: string
+ *               evidence:
+ *                 type: string
+ *                 example: Parasite count 620000/µL
+ *         recommendation:
+ *           type: string
+ *           nullable: true
+ *     TreatmentPlan:
+ *       type: object
+ *       description: First-line regimens proposed for a diagnosis; a draft only, nothing is prescribed
+ *       properties:
+ *         patient:
+ *           type: object
+ *           properties:
+ *             weightKg:
+ *               type: number
+ *             ageYears:
+ *               type: integer
+ *             ageMonths:
+ *               type: integer
+ *             pregnant:
+ *               type: boolean
+ *             trimester:
+ *               type: integer
+ *               nullable: true
+ *             g6pdStatus:
+ *               type: string
+ *               enum: [normal, intermediate, deficient, unknown]
+ *         regimens:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               disease:
+ *                 type: string
+ *                 enum: [malaria, typhoid]
+ *               regimen:
+ *                 type: string
+ *                 enum: [uncomplicated, severe, complicated]
+ *               species:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Malaria species the regimen was chosen for
+ *               radicalCure:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [daily, weekly, awaiting-g6pd, deferred-pregnancy, deferred-infant]
+ *                 description: Primaquine radical cure for relapsing malaria species; null when not needed
+ *               label:
+ *                 type: string
+ *               medications:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PrescriptionItem'
+ *               notes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         notes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Why something was not prescribed, e.g. malaria not yet confirmed by a test
+ *         priority:
+ *           type: string
+ *           enum: [routine, urgent, emergency]
+ *         draftPrescription:
+ *           type: object
+ *           nullable: true
+ *           description: Body for POST /api/prescriptions (patient, diagnosis, appointment, priority, instructions, medications)
+ */
+
+const severities = ['mild', 'moderate', 'severe'];
+const riskLevels = ['low', 'moderate', 'high'];
+const testOutcomes = ['positive', 'negative', 'not-done'];
+export const malariaSpecies = ['P. falciparum', 'P. vivax', 'P. ovale', 'P. malariae', 'mixed'];
+
+// Check that every test result present in an assessment is a known outcome
+const validateTestResults = (testResults, fields) => {
+  if (!testResults) return;
+  fields.forEach((field) => {
+    if (testResults[field] !== undefined && !testOutcomes.includes(testResults[field])) {
+      throw new Error(`Test result '${field}' must be one of: ${testOutcomes.join(', ')}`);
+    }
+  });
+};
+
+const validateRiskLevel = (assessment) => {
+  if (assessment.riskLevel !== undefined && !riskLevels.includes(assessment.riskLevel)) {
+    throw new Error(`Risk level must be one of: ${riskLevels.join(', ')}`);
+  }
+};
+
+const Diagnosis = sequelize.define('Diagnosis', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  diagnosisId: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'appointments',
+      key: 'id',
+    },
+  },
+  symptoms: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isValidSymptoms(value) {
+        if (!Array.isArray(value)) {
+          throw new Error('Symptoms must be an array');
+        }
+        value.forEach((entry) => {
+          if (!entry || typeof entry.symptom !== 'string' || !entry.symptom.trim()) {
+            throw new Error('Each symptom must have a name');
+          }
+          if (!severities.includes(entry.severity)) {
+            throw new Error(`Symptom severity must be one of: ${severities.join(', ')}`);
+          }
+          if (entry.pattern !== undefined && !FEVER_PATTERNS.includes(entry.pattern)) {
+            throw new Error(`Fever pattern must be one of: ${FEVER_PATTERNS.join(', ')}`);
+          }
+        });
+      },
+    },
+  },
+  diagnosis: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    validate: {
+      isValidDiagnosis(value) {
+        if (!value || typeof value.primary !== 'string' || !value.primary.trim()) {
+          throw new Error('Primary diagnosis is required');
+        }
+        if (value.confidence !== undefined && value.confidence !== null &&
+            (Number(value.confidence) < 0 || Number(value.confidence) > 100)) {
+          throw new Error('Confidence must be between 0 and 100');
+        }
+      },
+    },
+  },
+  // Malaria-specific assessment
+  malariaAssessment: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    validate: {
+      isValidMalariaAssessment(value) {
+        if (!value) return;
+        validateRiskLevel(value);
+        validateTestResults(value.testResults, ['rapidTest', 'microscopy']);
+        if (value.testResults?.parasiteCount !== undefined && Number(value.testResults.parasiteCount) < 0) {
+          throw new Error('Parasite count cannot be negative');
+        }
+        if (value.species !== undefined && value.species !== null && !malariaSpecies.includes(value.species)) {
+          throw new Error(`Species must be one of: ${malariaSpecies.join(', ')}`);
+        }
+      },
+    },
+  },
+  // Typhoid-specific assessment
+  typhoidAssessment: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    validate: {
+      isValidTyphoidAssessment(value) {
+        if (!value) return;
+        validateRiskLevel(value);
+        validateTestResults(value.testResults, ['widalTest', 'bloodCulture', 'stoolCulture', 'typhiDot']);
+      },
+    },
+  },
+  treatment: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+  followUp: {
+    type: DataTypes.JSONB,
+    defaultValue: { required: false },
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'resolved', 'chronic'),
+    allowNull: false,
+    defaultValue: 'active',
+  },
+  // Knowledge base version the assessments were scored with; set by the server
+  rulesVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Adaptive interview the findings came from
+  interviewSessionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'interview_sessions',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+  // Reasoning trace per disease behind malariaAssessment and typhoidAssessment; set by the server
+  explanation: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  // Region, travel, date and exposures the assessments were scored with
+  epidemiologicalContext: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+}, {
+  tableName: 'diagnoses',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['diagnosisId'],
+    },
+    {
+      fields: ['patientId'],
+    },
+    {
+      fields: ['doctorId'],
+    },
+    {
+      fields: ['appointmentId'],
+    },
+    {
+      fields: ['createdAt'],
+    },
+  ],
+  hooks: {
+    beforeValidate: async (diagnosis, options) => {
+      if (!diagnosis.diagnosisId) {
+        const count = await Diagnosis.count({ transaction: options.transaction });
+        diagnosis.diagnosisId = `D${String(count + 1).padStart(6, '0')}`;
+      }
+    },
+  },
+});
+
+// Associations
+Diagnosis.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+Diagnosis.belongsTo(User, { as: 'doctor', foreignKey: 'doctorId' });
+Diagnosis.belongsTo(Appointment, { as: 'appointment', foreignKey: 'appointmentId' });
+Diagnosis.belongsTo(InterviewSession, { as: 'interview', foreignKey: 'interviewSessionId' });
+Patient.hasMany(Diagnosis, { as: 'diagnoses', foreignKey: 'patientId' });
+Appointment.hasMany(Diagnosis, { as: 'diagnoses', foreignKey: 'appointmentId' });
+
+export default Diagnosis;
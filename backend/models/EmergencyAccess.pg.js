@@ -0,0 +1,147 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmergencyAccess:
+ *       type: object
+ *       description: Break-the-glass grant giving a clinician time-boxed access to a patient outside their care team
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user:
+ *           type: integer
+ *           description: Clinician who broke the glass
+ *         patient:
+ *           type: integer
+ *           description: Patient ID reference
+ *         reason:
+ *           type: string
+ *           description: Clinical justification supplied by the clinician
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         accessCount:
+ *           type: integer
+ *           description: Number of times the grant was used to open the record
+ *         accessLog:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               method:
+ *                 type: string
+ *               path:
+ *                 type: string
+ *         acknowledgedBy:
+ *           type: integer
+ *           description: Admin who reviewed the entry
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNotes:
+ *           type: string
+ */
+
+const EmergencyAccess = sequelize.define('EmergencyAccess', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [10, 1000],
+    },
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // Every time the grant was used to open the patient's data
+  accessCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  accessLog: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+  },
+  lastAccessedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Admin review
+  acknowledgedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  isActive: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return new Date(this.expiresAt) > new Date();
+    },
+  },
+}, {
+  tableName: 'emergency_accesses',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'patientId'],
+    },
+    {
+      fields: ['patientId'],
+    },
+    {
+      fields: ['expiresAt'],
+    },
+    {
+      fields: ['acknowledgedAt'],
+    },
+  ],
+});
+
+// Associations
+EmergencyAccess.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+EmergencyAccess.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+EmergencyAccess.belongsTo(User, { as: 'acknowledgedBy', foreignKey: 'acknowledgedById' });
+
+export default EmergencyAccess;
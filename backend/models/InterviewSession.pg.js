@@ -0,0 +1,133 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InterviewSession:
+ *       type: object
+ *       description: Adaptive symptom interview; the server picks each follow-up question
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [in_progress, completed]
+ *         patient:
+ *           type: integer
+ *           description: Patient the interview is about (the patient's own record for portal interviews)
+ *         findings:
+ *           type: object
+ *           description: Rule-engine input gathered so far (symptoms, absentSymptoms, feverPattern, feverDays)
+ *         pendingQuestion:
+ *           type: object
+ *           description: Question waiting for an answer
+ *         transcript:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               question:
+ *                 type: string
+ *               answer:
+ *                 type: string
+ *               answerLabel:
+ *                 type: string
+ *               informationGain:
+ *                 type: number
+ *                 description: Expected information gain (bits) when the question was chosen
+ *               before:
+ *                 type: object
+ *                 description: Disease and "other" probabilities before the answer
+ *               after:
+ *                 type: object
+ *                 description: Disease and "other" probabilities after the answer
+ *               answeredAt:
+ *                 type: string
+ *                 format: date-time
+ *         stopReason:
+ *           type: string
+ *           enum: [danger_signs, confident, question_limit, no_informative_questions]
+ *         outcome:
+ *           type: object
+ *           description: Final distribution, scores, conclusion and severe malaria danger signs
+ *         rulesVersion:
+ *           type: integer
+ */
+
+const InterviewSession = sequelize.define('InterviewSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  status: {
+    type: DataTypes.ENUM('in_progress', 'completed'),
+    allowNull: false,
+    defaultValue: 'in_progress',
+  },
+  findings: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  pendingQuestion: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  transcript: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  stopReason: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+  },
+  outcome: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  rulesVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  tableName: 'interview_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId'],
+    },
+    {
+      fields: ['patientId'],
+    },
+  ],
+});
+
+// Associations
+InterviewSession.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+InterviewSession.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+
+export default InterviewSession;
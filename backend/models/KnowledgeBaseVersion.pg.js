@@ -0,0 +1,126 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KnowledgeBaseVersion:
+ *       type: object
+ *       description: One version of the diagnostic rule set (priors, likelihood ratios, weights, thresholds and recommendation text)
+ *       properties:
+ *         id:
+ *           type: integer
+ *         version:
+ *           type: integer
+ *           description: Version number stored on every diagnosis scored with it
+ *         status:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *           description: Only one version is published (in use) and at most one is a draft at a time
+ *         rules:
+ *           type: object
+ *           properties:
+ *             thresholds:
+ *               type: object
+ *               properties:
+ *                 high:
+ *                   type: number
+ *                 moderate:
+ *                   type: number
+ *             severityWeights:
+ *               type: object
+ *               properties:
+ *                 mild:
+ *                   type: number
+ *                 moderate:
+ *                   type: number
+ *                 severe:
+ *                   type: number
+ *             diseases:
+ *               type: object
+ *               description: Rules keyed by disease (label, prior, calibration, symptoms, feverDuration, feverPatterns, tests, recommendations, patientAdvice)
+ *         notes:
+ *           type: string
+ *         basedOnVersion:
+ *           type: integer
+ *           description: Version this one was copied from (the rolled-back version for rollbacks)
+ *         createdBy:
+ *           type: integer
+ *         publishedBy:
+ *           type: integer
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const KnowledgeBaseVersion = sequelize.define('KnowledgeBaseVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'published', 'archived'),
+    allowNull: false,
+    defaultValue: 'draft',
+  },
+  rules: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  basedOnVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+  publishedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'knowledge_base_versions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['version'],
+    },
+    {
+      fields: ['status'],
+    },
+  ],
+});
+
+// Associations
+KnowledgeBaseVersion.belongsTo(User, { as: 'createdBy', foreignKey: 'createdById' });
+KnowledgeBaseVersion.belongsTo(User, { as: 'publishedBy', foreignKey: 'publishedById' });
+
+export default KnowledgeBaseVersion;
@@ -0,0 +1,234 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+import Appointment from './Appointment.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LabOrder:
+ *       type: object
+ *       description: A laboratory test ordered for a patient during an encounter, from order to sample to result
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: string
+ *           example: LAB000001
+ *           description: Unique lab order identifier, also printed on the sample label
+ *         patient:
+ *           type: integer
+ *           description: Patient ID reference
+ *         appointment:
+ *           type: integer
+ *           description: Encounter (appointment) the test was ordered in
+ *         test:
+ *           type: string
+ *           example: malaria_microscopy
+ *           description: Test from the lab catalog (GET /api/lab-orders/tests)
+ *         priority:
+ *           type: string
+ *           enum: [routine, urgent, stat]
+ *         clinicalNotes:
+ *           type: string
+ *           description: Why the test was ordered, for the laboratory
+ *         status:
+ *           type: string
+ *           enum: [ordered, collected, resulted, cancelled]
+ *         orderedBy:
+ *           type: integer
+ *         specimen:
+ *           type: string
+ *           example: Capillary or EDTA blood
+ *         collectedBy:
+ *           type: integer
+ *         collectedAt:
+ *           type: string
+ *           format: date-time
+ *         results:
+ *           type: array
+ *           description: Reported analytes with their units, reference ranges and flags
+ *           items:
+ *             $ref: '#/components/schemas/LabResultValue'
+ *         abnormal:
+ *           type: boolean
+ *           description: Whether any analyte is outside its reference range (or a qualitative finding is positive)
+ *         resultNotes:
+ *           type: string
+ *         resultedBy:
+ *           type: integer
+ *         resultedAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
+ *     LabResultValue:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: parasiteCount
+ *         label:
+ *           type: string
+ *           example: Parasite density
+ *         value:
+ *           oneOf:
+ *             - type: string
+ *             - type: number
+ *         unit:
+ *           type: string
+ *           nullable: true
+ *           example: parasites/µL
+ *         referenceRange:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             low:
+ *               type: number
+ *             high:
+ *               type: number
+ *         flag:
+ *           type: string
+ *           nullable: true
+ *           enum: [normal, abnormal, low, high, critical-low, critical-high]
+ *           description: Susceptibility results are abnormal when intermediate or resistant
+ */
+
+const LabOrder = sequelize.define('LabOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  orderId: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'appointments',
+      key: 'id',
+    },
+  },
+  test: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  priority: {
+    type: DataTypes.ENUM('routine', 'urgent', 'stat'),
+    allowNull: false,
+    defaultValue: 'routine',
+  },
+  clinicalNotes: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM('ordered', 'collected', 'resulted', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'ordered',
+  },
+  orderedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  // Sample collection
+  specimen: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  collectedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  collectedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Result: [{ key, label, value, unit, referenceRange, flag }] (see services/labCatalog.js)
+  results: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  abnormal: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+  },
+  resultNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  resultedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  resultedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  cancellationReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+}, {
+  tableName: 'lab_orders',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['orderId'],
+    },
+    {
+      fields: ['patientId'],
+    },
+    {
+      fields: ['appointmentId'],
+    },
+    {
+      fields: ['status'],
+    },
+  ],
+  hooks: {
+    beforeValidate: async (order, options) => {
+      if (!order.orderId) {
+        const count = await LabOrder.count({ transaction: options.transaction });
+        order.orderId = `LAB${String(count + 1).padStart(6, '0')}`;
+      }
+    },
+  },
+});
+
+// Associations
+LabOrder.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+LabOrder.belongsTo(Appointment, { as: 'appointment', foreignKey: 'appointmentId' });
+LabOrder.belongsTo(User, { as: 'orderedBy', foreignKey: 'orderedById' });
+LabOrder.belongsTo(User, { as: 'collectedBy', foreignKey: 'collectedById' });
+LabOrder.belongsTo(User, { as: 'resultedBy', foreignKey: 'resultedById' });
+Patient.hasMany(LabOrder, { as: 'labOrders', foreignKey: 'patientId' });
+
+export default LabOrder;
@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
+import User from './User.pg.js';
 
 const Patient = sequelize.define('Patient', {
   id: {
@@ -71,6 +72,23 @@ const Patient = sequelize.define('Patient', {
     type: DataTypes.ENUM('active', 'inactive', 'deceased'),
     defaultValue: 'active',
   },
+  // Care team: clinicians responsible for this patient
+  assignedDoctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  assignedNurseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
 }, {
   tableName: 'patients',
   timestamps: true,
@@ -85,7 +103,18 @@ const Patient = sequelize.define('Patient', {
     {
       fields: ['firstName', 'lastName'],
     },
+    {
+      fields: ['assignedDoctorId'],
+    },
+    {
+      fields: ['assignedNurseId'],
+    },
   ],
 });
 
+// Associations
+Patient.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+Patient.belongsTo(User, { as: 'assignedDoctor', foreignKey: 'assignedDoctorId' });
+Patient.belongsTo(User, { as: 'assignedNurse', foreignKey: 'assignedNurseId' });
+
 export default Patient;
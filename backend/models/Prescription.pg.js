@@ -0,0 +1,340 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+import Patient from './Patient.pg.js';
+import Appointment from './Appointment.pg.js';
+import Diagnosis from './Diagnosis.pg.js';
+import PrescriptionItem from './PrescriptionItem.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Prescription:
+ *       type: object
+ *       required:
+ *         - patient
+ *         - medications
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Prescription ID
+ *         prescriptionId:
+ *           type: string
+ *           description: Unique prescription identifier
+ *         patient:
+ *           type: integer
+ *           description: Patient ID reference
+ *         doctor:
+ *           type: integer
+ *           description: Doctor ID reference
+ *         diagnosis:
+ *           type: integer
+ *           description: Diagnosis ID reference
+ *         appointment:
+ *           type: integer
+ *           description: Appointment ID reference
+ *         medications:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PrescriptionItem'
+ *         status:
+ *           type: string
+ *           enum: [pending, dispensed, partially-dispensed, cancelled]
+ *           description: Prescription status
+ *         instructions:
+ *           type: string
+ *           description: General instructions
+ *         dispensedBy:
+ *           type: integer
+ *           description: Pharmacist ID reference
+ *         dispensedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Dispensing date
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         refillsAllowed:
+ *           type: integer
+ *         refillsUsed:
+ *           type: integer
+ *         priority:
+ *           type: string
+ *           enum: [routine, urgent, emergency]
+ *         insurance:
+ *           type: object
+ *           properties:
+ *             covered:
+ *               type: boolean
+ *             copay:
+ *               type: number
+ *             claimNumber:
+ *               type: string
+ *         totalCost:
+ *           type: number
+ *         safetyOverrides:
+ *           type: array
+ *           description: Drug safety warnings the prescribing doctor overrode, with their reasons
+ *           items:
+ *             $ref: '#/components/schemas/SafetyOverride'
+ *     SafetyOverride:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: interaction:artemether-lumefantrine+azithromycin
+ *         message:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           description: Why the doctor prescribed despite the warning
+ *         overriddenById:
+ *           type: integer
+ *         overriddenAt:
+ *           type: string
+ *           format: date-time
+ *     SafetyOverrideRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *         - reason
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Code of the drug safety warning being overridden
+ *         reason:
+ *           type: string
+ *           minLength: 10
+ *     DrugSafetyFinding:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Stable identifier; send it back in overrides to override a warning
+ *         type:
+ *           type: string
+ *           enum: [allergy, cross-reactivity, interaction, resistance, species]
+ *         severity:
+ *           type: string
+ *           enum: [contraindicated, major, moderate]
+ *         medications:
+ *           type: array
+ *           items:
+ *             type: string
+ *         message:
+ *           type: string
+ */
+
+// Default validity period for a new prescription
+const VALIDITY_DAYS = 30;
+
+const Prescription = sequelize.define('Prescription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  prescriptionId: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id',
+    },
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  diagnosisId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'diagnoses',
+      key: 'id',
+    },
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id',
+    },
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'dispensed', 'partially-dispensed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  instructions: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+  },
+  // Dispensing information
+  dispensedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  dispensedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  dispensingNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  // Prescription validity
+  validUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Refill information
+  refillsAllowed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+    },
+  },
+  refillsUsed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+    },
+  },
+  priority: {
+    type: DataTypes.ENUM('routine', 'urgent', 'emergency'),
+    allowNull: false,
+    defaultValue: 'routine',
+  },
+  insurance: {
+    type: DataTypes.JSONB,
+    defaultValue: { covered: false },
+    validate: {
+      isValidInsurance(value) {
+        if (!value) return;
+        if (typeof value !== 'object') {
+          throw new Error('Insurance must be an object');
+        }
+        if (value.copay !== undefined && value.copay !== null && Number(value.copay) < 0) {
+          throw new Error('Copay cannot be negative');
+        }
+      },
+    },
+  },
+  totalCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+    },
+  },
+  // Drug safety warnings overridden when prescribing: [{ code, message, reason, overriddenById, overriddenAt }]
+  safetyOverrides: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  isExpired: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (!this.validUntil) return false;
+      return new Date() > new Date(this.validUntil);
+    },
+  },
+  refillsAvailable: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.refillsAllowed - this.refillsUsed;
+    },
+  },
+}, {
+  tableName: 'prescriptions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['prescriptionId'],
+    },
+    {
+      fields: ['patientId'],
+    },
+    {
+      fields: ['doctorId'],
+    },
+    {
+      fields: ['status'],
+    },
+    {
+      fields: ['dispensedById'],
+    },
+    {
+      fields: ['createdAt'],
+    },
+  ],
+  hooks: {
+    beforeValidate: async (prescription, options) => {
+      if (!prescription.prescriptionId) {
+        const count = await Prescription.count({ transaction: options.transaction });
+        prescription.prescriptionId = `RX${String(count + 1).padStart(6, '0')}`;
+      }
+      if (!prescription.validUntil && prescription.isNewRecord) {
+        prescription.validUntil = new Date(Date.now() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+      }
+    },
+  },
+});
+
+// Associations
+Prescription.hasMany(PrescriptionItem, { as: 'medications', foreignKey: 'prescriptionId', onDelete: 'CASCADE' });
+PrescriptionItem.belongsTo(Prescription, { foreignKey: 'prescriptionId' });
+Prescription.belongsTo(Patient, { as: 'patient', foreignKey: 'patientId' });
+Prescription.belongsTo(User, { as: 'doctor', foreignKey: 'doctorId' });
+Prescription.belongsTo(User, { as: 'dispensedBy', foreignKey: 'dispensedById' });
+Prescription.belongsTo(Appointment, { as: 'appointment', foreignKey: 'appointmentId' });
+Prescription.belongsTo(Diagnosis, { as: 'diagnosis', foreignKey: 'diagnosisId' });
+Patient.hasMany(Prescription, { as: 'prescriptions', foreignKey: 'patientId' });
+
+/**
+ * Recalculate status and total cost from the prescription's medication items
+ */
+Prescription.prototype.syncWithItems = function(items) {
+  this.totalCost = items.reduce((total, item) => total + Number(item.totalPrice || 0), 0);
+
+  if (this.status === 'cancelled') {
+    return this;
+  }
+
+  const allDispensed = items.length > 0 && items.every(item => item.status === 'dispensed');
+  const someDispensed = items.some(item => item.status === 'dispensed' || item.status === 'partially-dispensed');
+
+  if (allDispensed) {
+    this.status = 'dispensed';
+  } else if (someDispensed) {
+    this.status = 'partially-dispensed';
+  } else {
+    this.status = 'pending';
+  }
+
+  return this;
+};
+
+export default Prescription;
@@ -0,0 +1,161 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrescriptionItem:
+ *       type: object
+ *       required:
+ *         - name
+ *         - dosage
+ *         - frequency
+ *         - duration
+ *         - quantity
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         genericName:
+ *           type: string
+ *         dosage:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *         duration:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         quantityDispensed:
+ *           type: integer
+ *         instructions:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, dispensed, partially-dispensed]
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *         unitPrice:
+ *           type: number
+ *         totalPrice:
+ *           type: number
+ */
+
+const PrescriptionItem = sequelize.define('PrescriptionItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  prescriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'prescriptions',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+  // Order of the medication on the prescription (used as medicationIndex when dispensing)
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  genericName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  dosage: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  frequency: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  duration: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+    },
+  },
+  quantityDispensed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+    },
+  },
+  instructions: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'dispensed', 'partially-dispensed'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  // Drug interaction warnings
+  warnings: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+  },
+  // Cost information
+  unitPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+    },
+  },
+  totalPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+    },
+  },
+}, {
+  tableName: 'prescription_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['prescriptionId'],
+    },
+  ],
+  hooks: {
+    beforeSave: (item) => {
+      // Derive the line total from the unit price when one isn't given
+      if (item.unitPrice !== null && item.unitPrice !== undefined &&
+          (item.changed('unitPrice') || item.changed('quantity') || item.totalPrice === null || item.totalPrice === undefined)) {
+        item.totalPrice = Number(item.unitPrice) * item.quantity;
+      }
+
+      // Keep the dispensing status in step with the quantity dispensed
+      if (item.quantityDispensed >= item.quantity) {
+        item.status = 'dispensed';
+      } else if (item.quantityDispensed > 0) {
+        item.status = 'partially-dispensed';
+      } else {
+        item.status = 'pending';
+      }
+    },
+  },
+});
+
+export default PrescriptionItem;
@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SystemSetting:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Dotted setting key, e.g. system.maintenanceMode
+ *         value:
+ *           description: Typed value (boolean, integer, string) as defined in services/settingsService.js
+ *         updatedBy:
+ *           type: integer
+ *           description: Admin who last changed the setting
+ */
+
+const SystemSetting = sequelize.define('SystemSetting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  updatedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+}, {
+  tableName: 'system_settings',
+  timestamps: true,
+});
+
+// Associations
+SystemSetting.belongsTo(User, { as: 'updatedBy', foreignKey: 'updatedById' });
+
+export default SystemSetting;
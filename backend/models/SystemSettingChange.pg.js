@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from './User.pg.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SystemSettingChange:
+ *       type: object
+ *       description: One change to a system setting
+ *       properties:
+ *         id:
+ *           type: integer
+ *         settingKey:
+ *           type: string
+ *         previousValue:
+ *           description: Value before the change (the default if it had never been set)
+ *         newValue:
+ *           description: Value after the change
+ *         changedBy:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const SystemSettingChange = sequelize.define('SystemSettingChange', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  settingKey: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  previousValue: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  newValue: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  changedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+}, {
+  tableName: 'system_setting_changes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['settingKey'],
+    },
+    {
+      fields: ['createdAt'],
+    },
+  ],
+});
+
+// Associations
+SystemSettingChange.belongsTo(User, { as: 'changedBy', foreignKey: 'changedById' });
+
+export default SystemSettingChange;
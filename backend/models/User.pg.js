@@ -126,6 +126,16 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  // Failed logins since the last success; reaching system.maxLoginAttempts locks the account
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   emailVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -200,6 +210,7 @@ User.prototype.toJSON = function() {
   delete values.refreshToken;
   delete values.emailVerificationToken;
   delete values.passwordResetToken;
+  delete values.failedLoginAttempts;
   return values;
 };
 
@@ -1,17 +1,81 @@
 import express from 'express';
+import { body, param, query } from 'express-validator';
 import {
   getDashboardStats,
   getSystemHealth,
   getSummaryReports,
   getAuditLogs,
+  exportAuditLogs,
   initiateBackup,
+  getBackups,
+  downloadBackup,
+  verifyBackupIntegrity,
+  restoreFromBackup,
   getSystemSettings,
-  updateSystemSettings
+  updateSystemSettings,
+  getSettingsHistory
 } from '../controllers/adminController.js';
+import {
+  getKnowledgeBaseVersions,
+  getKnowledgeBaseVersion,
+  createKnowledgeBaseDraft,
+  updateKnowledgeBaseDraft,
+  deleteKnowledgeBaseDraft,
+  publishKnowledgeBaseVersion,
+  rollbackKnowledgeBase
+} from '../controllers/knowledgeBaseController.js';
+import {
+  getEmergencyAccessLogs,
+  acknowledgeEmergencyAccess
+} from '../controllers/emergencyAccessController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+const auditLogQueryValidation = [
+  query('user').optional().isInt({ min: 1 }).withMessage('User must be a valid user ID'),
+  query('patient').optional().isInt({ min: 1 }).withMessage('Patient must be a valid patient ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+const acknowledgeValidation = [
+  body('reviewNotes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Review notes cannot exceed 1000 characters')
+    .trim()
+];
+
+const restoreValidation = [
+  param('id').matches(/^backup-\d{14}$/).withMessage('Invalid backup ID'),
+  body('database')
+    .matches(/^[A-Za-z_][A-Za-z0-9_]{0,62}$/)
+    .withMessage('Database must be a valid PostgreSQL database name')
+];
+
+const knowledgeBaseVersionValidation = [
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt()
+];
+
+const knowledgeBaseNotesValidation = body('notes')
+  .optional({ values: 'null' })
+  .isString()
+  .isLength({ max: 2000 })
+  .withMessage('Notes cannot exceed 2000 characters')
+  .trim();
+
+const knowledgeBaseDraftValidation = [
+  body('basedOnVersion').optional().isInt({ min: 1 }).withMessage('Based-on version must be a positive integer').toInt(),
+  knowledgeBaseNotesValidation
+];
+
+const knowledgeBaseListValidation = [
+  query('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Status must be draft, published or archived'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
 // Apply authentication and admin authorization to all routes
 router.use(protect);
 router.use(authorize('admin'));
@@ -20,10 +84,27 @@ router.use(authorize('admin'));
 router.get('/dashboard', getDashboardStats);
 router.get('/system-health', getSystemHealth);
 router.get('/reports/summary', getSummaryReports);
-router.get('/audit-logs', getAuditLogs);
+router.get('/audit-logs', auditLogQueryValidation, getAuditLogs);
+router.get('/audit-logs/export', auditLogQueryValidation, exportAuditLogs);
+router.get('/emergency-access', getEmergencyAccessLogs);
+router.patch('/emergency-access/:id/acknowledge', acknowledgeValidation, acknowledgeEmergencyAccess);
 router.post('/backup', initiateBackup);
+router.get('/backups', getBackups);
+router.get('/backups/:id/download', downloadBackup);
+router.post('/backups/:id/verify', verifyBackupIntegrity);
+router.post('/backups/:id/restore', restoreValidation, restoreFromBackup);
 router.route('/settings')
   .get(getSystemSettings)
   .put(updateSystemSettings);
+router.get('/settings/history', getSettingsHistory);
+router.route('/knowledge-base')
+  .get(knowledgeBaseListValidation, getKnowledgeBaseVersions)
+  .post(knowledgeBaseDraftValidation, createKnowledgeBaseDraft);
+router.route('/knowledge-base/:version')
+  .get(knowledgeBaseVersionValidation, getKnowledgeBaseVersion)
+  .put(knowledgeBaseVersionValidation, knowledgeBaseNotesValidation, updateKnowledgeBaseDraft)
+  .delete(knowledgeBaseVersionValidation, deleteKnowledgeBaseDraft);
+router.post('/knowledge-base/:version/publish', knowledgeBaseVersionValidation, publishKnowledgeBaseVersion);
+router.post('/knowledge-base/:version/rollback', knowledgeBaseVersionValidation, knowledgeBaseNotesValidation, rollbackKnowledgeBase);
 
 export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.js';
 import geminiService from '../services/geminiService.js';
+import { symptomLabel } from '../shared/symptomVocabulary.js';
 
 const router = express.Router();
 
@@ -97,6 +98,9 @@ router.post('/diagnose',
     body('symptoms')
       .isArray({ min: 1 })
       .withMessage('Symptoms array is required and must not be empty'),
+    // Free-text symptoms are sent to the model under their vocabulary labels
+    body('symptoms.*')
+      .customSanitizer(symptomLabel),
     body('additionalInfo')
       .optional()
       .isString()
@@ -171,6 +175,8 @@ router.post('/analyze-symptoms',
     body('symptoms')
       .isArray({ min: 1 })
       .withMessage('Symptoms array is required'),
+    body('symptoms.*')
+      .customSanitizer(symptomLabel),
     body('additionalInfo')
       .optional()
       .isString()
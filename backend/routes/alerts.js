@@ -0,0 +1,29 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import { getAlerts, acknowledgeAlert } from '../controllers/alertController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation rules
+const alertListValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'acknowledged'])
+    .withMessage('Status must be open or acknowledged'),
+  query('patient')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID')
+];
+
+const alertIdValidation = param('id').isInt({ min: 1 }).withMessage('Invalid alert ID');
+
+// Apply authentication to all routes
+router.use(protect);
+
+// Alerts are raised for the treating doctor; admins can review them all
+router.get('/', authorize('doctor', 'admin'), alertListValidation, getAlerts);
+router.patch('/:id/acknowledge', authorize('doctor'), alertIdValidation, acknowledgeAlert);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   getAppointments,
   getAppointment,
@@ -13,12 +13,23 @@ import { protect, authorize } from '../middleware/auth.js';
 const router = express.Router();
 
 // Validation rules
+const appointmentListValidation = [
+  query('patient')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID'),
+  query('doctor')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid doctor ID')
+];
+
 const createAppointmentValidation = [
   body('patient')
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid patient ID'),
   body('doctor')
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid doctor ID'),
   body('appointmentDate')
     .isISO8601()
@@ -42,17 +53,21 @@ const createAppointmentValidation = [
   body('duration')
     .optional()
     .isInt({ min: 15, max: 180 })
-    .withMessage('Duration must be between 15 and 180 minutes')
+    .withMessage('Duration must be between 15 and 180 minutes'),
+  body('assignedNurse')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid nurse ID')
 ];
 
 const updateAppointmentValidation = [
   body('patient')
     .optional()
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid patient ID'),
   body('doctor')
     .optional()
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid doctor ID'),
   body('appointmentDate')
     .optional()
@@ -74,7 +89,16 @@ const updateAppointmentValidation = [
   body('status')
     .optional()
     .isIn(['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'])
-    .withMessage('Status must be one of: scheduled, confirmed, in-progress, completed, cancelled, no-show')
+    .withMessage('Status must be one of: scheduled, confirmed, in-progress, completed, cancelled, no-show'),
+  body('assignedNurse')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid nurse ID'),
+  body('rescheduleReason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reschedule reason cannot exceed 500 characters')
+    .trim()
 ];
 
 // Apply authentication to all routes
@@ -82,7 +106,7 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getAppointments)
+  .get(appointmentListValidation, getAppointments)
   .post(authorize('doctor', 'nurse', 'receptionist', 'admin'), createAppointmentValidation, createAppointment);
 
 router.route('/:id')
@@ -1,24 +1,99 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import {
   getDiagnoses,
   getDiagnosis,
   createDiagnosis,
   updateDiagnosis,
   getExpertSystemAssessment,
-  savePatientDiagnosis
+  getRules,
+  evaluateSymptoms,
+  savePatientDiagnosis,
+  getTreatmentPlan
 } from '../controllers/diagnosisController.js';
+import {
+  createInterview,
+  getInterview,
+  answerInterviewQuestion
+} from '../controllers/interviewController.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { FEVER_PATTERNS } from '../shared/ruleEngine.js';
+import { toSymptomCode } from '../shared/symptomVocabulary.js';
+import { G6PD_STATUSES } from '../services/treatmentService.js';
 
 const router = express.Router();
 
 // Validation rules
+const feverPatternValidation = body('symptoms.*.pattern')
+  .optional()
+  .isIn(FEVER_PATTERNS)
+  .withMessage(`Fever pattern must be one of: ${FEVER_PATTERNS.join(', ')}`);
+
+// Where the patient lives and has been, and their exposures (see shared/epidemiology.js)
+const epidemiologicalContextValidation = [
+  body('epidemiologicalContext')
+    .optional()
+    .isObject()
+    .withMessage('Epidemiological context must be an object'),
+  body('epidemiologicalContext.region')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Region must be a name of at most 100 characters'),
+  body('epidemiologicalContext.travel')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Travel must be a list of at most 20 trips'),
+  // A trip is the region visited, or { region, returnedOn }
+  body('epidemiologicalContext.travel.*')
+    .custom((trip) => {
+      const region = typeof trip === 'string' ? trip : trip?.region;
+      return typeof region === 'string' && region.trim().length > 0 && region.length <= 100;
+    })
+    .withMessage('Each trip needs the region visited'),
+  body('epidemiologicalContext.travel.*.returnedOn')
+    .optional()
+    .isISO8601()
+    .withMessage('Return date must be a valid date'),
+  body('epidemiologicalContext.date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body(['epidemiologicalContext.bednet', 'epidemiologicalContext.typhoidVaccine'])
+    .optional()
+    .isBoolean()
+    .withMessage('Bednet use and typhoid vaccination must be true or false')
+    .toBoolean()
+];
+
+// Optional extra findings for the rule engine
+const assessmentDetailsValidation = [
+  body('absentSymptoms')
+    .optional()
+    .isArray()
+    .withMessage('Absent symptoms must be an array'),
+  // Symptom names become symptom vocabulary codes, with synonyms and misspellings
+  // resolved; names the vocabulary does not know are kept as written
+  body('absentSymptoms.*')
+    .customSanitizer(toSymptomCode),
+  body('feverPattern')
+    .optional()
+    .isIn(FEVER_PATTERNS)
+    .withMessage(`Fever pattern must be one of: ${FEVER_PATTERNS.join(', ')}`),
+  body('feverDays')
+    .optional()
+    .isFloat({ min: 0, max: 365 })
+    .withMessage('Fever duration must be a number of days'),
+  ...epidemiologicalContextValidation
+];
+
 const createDiagnosisValidation = [
   body('patient')
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid patient ID'),
   body('appointment')
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid appointment ID'),
   body('symptoms')
     .isArray({ min: 1 })
@@ -26,10 +101,18 @@ const createDiagnosisValidation = [
   body('symptoms.*.symptom')
     .isLength({ min: 2, max: 100 })
     .withMessage('Symptom must be between 2 and 100 characters')
-    .trim(),
+    .trim()
+    .customSanitizer(toSymptomCode),
   body('symptoms.*.severity')
     .isIn(['mild', 'moderate', 'severe'])
     .withMessage('Severity must be mild, moderate, or severe'),
+  body('symptoms.*.duration')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Symptom duration cannot exceed 50 characters')
+    .trim(),
+  feverPatternValidation,
+  ...epidemiologicalContextValidation,
   body('diagnosis.primary')
     .isLength({ min: 3, max: 200 })
     .withMessage('Primary diagnosis must be between 3 and 200 characters')
@@ -37,7 +120,11 @@ const createDiagnosisValidation = [
   body('diagnosis.confidence')
     .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('Confidence must be between 0 and 100')
+    .withMessage('Confidence must be between 0 and 100'),
+  body('status')
+    .optional()
+    .isIn(['active', 'resolved', 'chronic'])
+    .withMessage('Status must be one of: active, resolved, chronic')
 ];
 
 const updateDiagnosisValidation = [
@@ -49,11 +136,14 @@ const updateDiagnosisValidation = [
     .optional()
     .isLength({ min: 2, max: 100 })
     .withMessage('Symptom must be between 2 and 100 characters')
-    .trim(),
+    .trim()
+    .customSanitizer(toSymptomCode),
   body('symptoms.*.severity')
     .optional()
     .isIn(['mild', 'moderate', 'severe'])
     .withMessage('Severity must be mild, moderate, or severe'),
+  feverPatternValidation,
+  ...epidemiologicalContextValidation,
   body('diagnosis.primary')
     .optional()
     .isLength({ min: 3, max: 200 })
@@ -62,9 +152,37 @@ const updateDiagnosisValidation = [
   body('diagnosis.confidence')
     .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('Confidence must be between 0 and 100')
+    .withMessage('Confidence must be between 0 and 100'),
+  body('status')
+    .optional()
+    .isIn(['active', 'resolved', 'chronic'])
+    .withMessage('Status must be one of: active, resolved, chronic')
+];
+
+// Patient details the treatment recommender doses by; weight is optional on diagnosis creation
+const treatmentDetailsRules = weight => [
+  weight
+    .isFloat({ min: 0.5, max: 300 })
+    .withMessage('Weight must be between 0.5 and 300 kg'),
+  body('pregnant')
+    .optional()
+    .isBoolean()
+    .withMessage('Pregnant must be true or false')
+    .toBoolean(),
+  body('trimester')
+    .optional()
+    .isInt({ min: 1, max: 3 })
+    .withMessage('Trimester must be 1, 2 or 3')
+    .toInt(),
+  body('g6pdStatus')
+    .optional()
+    .isIn(G6PD_STATUSES)
+    .withMessage(`G6PD status must be one of: ${G6PD_STATUSES.join(', ')}`)
 ];
 
+const treatmentDetailsValidation = treatmentDetailsRules(body('weightKg'));
+const optionalTreatmentDetailsValidation = treatmentDetailsRules(body('weightKg').optional());
+
 const expertSystemValidation = [
   body('symptoms')
     .isArray({ min: 1 })
@@ -72,33 +190,101 @@ const expertSystemValidation = [
   body('symptoms.*.symptom')
     .isLength({ min: 2, max: 100 })
     .withMessage('Symptom must be between 2 and 100 characters')
-    .trim(),
+    .trim()
+    .customSanitizer(toSymptomCode),
   body('symptoms.*.severity')
     .optional()
     .isIn(['mild', 'moderate', 'severe'])
-    .withMessage('Severity must be mild, moderate, or severe')
+    .withMessage('Severity must be mild, moderate, or severe'),
+  body('symptoms.*.duration')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Symptom duration cannot exceed 50 characters')
+    .trim(),
+  feverPatternValidation,
+  ...assessmentDetailsValidation,
+  body('testResults.malaria.parasiteCount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Parasite count must be a number of parasites per µL'),
+  body('patient')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID')
+];
+
+// Rule engine input: symptom names or { symptom } objects
+const ruleEngineValidation = [
+  body('symptoms')
+    .isArray({ min: 1 })
+    .withMessage('At least one symptom is required'),
+  body('symptoms.*')
+    .custom(value => typeof value === 'string' || typeof value?.symptom === 'string')
+    .withMessage('Each symptom must be a name or an object with a symptom name')
+    .customSanitizer(toSymptomCode),
+  body('testResults')
+    .optional()
+    .isObject()
+    .withMessage('Test results must be an object keyed by disease'),
+  feverPatternValidation,
+  ...assessmentDetailsValidation
+];
+
+// A completed interview to attach to the saved diagnosis
+const interviewSessionValidation = body('interviewSession')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('Interview session must be a valid interview ID')
+  .toInt();
+
+const interviewStartValidation = [
+  ...ruleEngineValidation,
+  body('patient')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID')
+];
+
+const interviewAnswerValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid interview ID'),
+  body('questionId')
+    .isString()
+    .notEmpty()
+    .withMessage('Question ID is required'),
+  body('answer')
+    .isString()
+    .notEmpty()
+    .withMessage('Answer is required')
 ];
 
 // Apply authentication to all routes
 router.use(protect);
 
+// Clinical records are not visible to front-desk staff
+const clinicalReaders = ['doctor', 'nurse', 'pharmacist', 'patient', 'admin'];
+
 // Routes
 router.route('/')
-  .get(getDiagnoses)
-  .post(authorize('doctor'), createDiagnosisValidation, createDiagnosis);
+  .get(authorize(...clinicalReaders), getDiagnoses)
+  .post(authorize('doctor'), createDiagnosisValidation, interviewSessionValidation, optionalTreatmentDetailsValidation, createDiagnosis);
 
 router.post('/expert-system/assess', authorize('doctor', 'nurse'), expertSystemValidation, getExpertSystemAssessment);
 
+router.get('/rules', getRules);
+router.post('/rules/evaluate', ruleEngineValidation, evaluateSymptoms);
+
 // Patient AI diagnosis endpoint
-router.post('/patient-ai', authorize('patient'), [
-  body('symptoms').optional().isArray().withMessage('Symptoms must be an array'),
-  body('diagnosis').optional().isString().withMessage('Diagnosis must be a string'),
-  body('confidence').optional().isString().withMessage('Confidence must be a string'),
-  body('recommendations').optional().isString().withMessage('Recommendations must be a string')
-], savePatientDiagnosis);
+router.post('/patient-ai', authorize('patient'), ruleEngineValidation, interviewSessionValidation, savePatientDiagnosis);
+
+// Adaptive symptom interview
+router.post('/interview', authorize('patient', 'doctor', 'nurse'), interviewStartValidation, createInterview);
+router.get('/interview/:id', authorize('patient', 'doctor', 'nurse'), getInterview);
+router.post('/interview/:id/answers', authorize('patient', 'doctor', 'nurse'), interviewAnswerValidation, answerInterviewQuestion);
+
+router.post('/:id/treatment-plan', authorize('doctor'), param('id').isInt({ min: 1 }).withMessage('Invalid diagnosis ID'), treatmentDetailsValidation, getTreatmentPlan);
 
 router.route('/:id')
-  .get(getDiagnosis)
+  .get(authorize(...clinicalReaders), getDiagnosis)
   .put(authorize('doctor'), updateDiagnosisValidation, updateDiagnosis);
 
 export default router;
@@ -0,0 +1,142 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getLabTests,
+  getAntibiogram,
+  getLabOrders,
+  getLabOrder,
+  createLabOrder,
+  collectSample,
+  enterResult,
+  cancelLabOrder
+} from '../controllers/labOrderController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { LAB_TESTS, CULTURE_TESTS } from '../services/labCatalog.js';
+
+const router = express.Router();
+
+const LAB_ORDER_STATUSES = ['ordered', 'collected', 'resulted', 'cancelled'];
+const PRIORITIES = ['routine', 'urgent', 'stat'];
+
+// Validation rules
+const labOrderIdValidation = param('id').isInt({ min: 1 }).withMessage('Invalid lab order ID');
+
+const labOrderListValidation = [
+  query('patient')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID'),
+  query('appointment')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid appointment ID'),
+  query('status')
+    .optional()
+    .isIn(LAB_ORDER_STATUSES)
+    .withMessage(`Status must be one of: ${LAB_ORDER_STATUSES.join(', ')}`),
+  query('test')
+    .optional()
+    .isIn(Object.keys(LAB_TESTS))
+    .withMessage('Unknown lab test'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const antibiogramValidation = [
+  query('from')
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .custom((to, { req }) => new Date(to) >= new Date(req.query.from))
+    .withMessage('To must not be before from'),
+  query('test')
+    .optional()
+    .isIn(CULTURE_TESTS)
+    .withMessage(`Test must be one of: ${CULTURE_TESTS.join(', ')}`)
+];
+
+const createLabOrderValidation = [
+  body('patient')
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID'),
+  body('appointment')
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid appointment ID'),
+  body('test')
+    .isIn(Object.keys(LAB_TESTS))
+    .withMessage(`Test must be one of: ${Object.keys(LAB_TESTS).join(', ')}`),
+  body('priority')
+    .optional()
+    .isIn(PRIORITIES)
+    .withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`),
+  body('clinicalNotes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Clinical notes cannot exceed 1000 characters')
+    .trim()
+];
+
+const collectSampleValidation = [
+  labOrderIdValidation,
+  body('specimen')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Specimen must be between 2 and 100 characters')
+    .trim(),
+  body('collectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Collection time must be a valid date')
+];
+
+const resultValidation = [
+  labOrderIdValidation,
+  body('values')
+    .isObject()
+    .withMessage('Result values are required'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+    .trim()
+];
+
+const cancelValidation = [
+  labOrderIdValidation,
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+    .trim()
+];
+
+// Apply authentication to all routes
+router.use(protect);
+
+// Lab results are clinical records, not visible to front-desk staff or pharmacists
+const labReaders = ['doctor', 'nurse', 'patient', 'admin'];
+
+// Routes
+router.get('/tests', getLabTests);
+
+// Aggregate susceptibility rates for antimicrobial stewardship; no patient is identified
+router.get('/antibiogram', authorize('doctor', 'nurse', 'pharmacist', 'admin'), antibiogramValidation, getAntibiogram);
+
+router.route('/')
+  .get(authorize(...labReaders), labOrderListValidation, getLabOrders)
+  .post(authorize('doctor'), createLabOrderValidation, createLabOrder);
+
+router.get('/:id', authorize(...labReaders), labOrderIdValidation, getLabOrder);
+router.patch('/:id/collect', authorize('doctor', 'nurse'), collectSampleValidation, collectSample);
+router.patch('/:id/result', authorize('doctor', 'nurse'), resultValidation, enterResult);
+router.patch('/:id/cancel', authorize('doctor', 'admin'), cancelValidation, cancelLabOrder);
+
+export default router;
@@ -8,7 +8,12 @@ import {
   deletePatient,
   searchPatients
 } from '../controllers/patientController.js';
+import {
+  requestEmergencyAccess,
+  endEmergencyAccess
+} from '../controllers/emergencyAccessController.js';
 import { protect, authorize, canAccessPatient } from '../middleware/auth.js';
+import { EMERGENCY_ROLES, EMERGENCY_ACCESS_MAX_MINUTES } from '../services/careTeamService.js';
 
 const router = express.Router();
 
@@ -44,7 +49,15 @@ const createPatientValidation = [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address')
+    .withMessage('Please provide a valid email address'),
+  body('assignedDoctor')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Assigned doctor must be a valid user ID'),
+  body('assignedNurse')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Assigned nurse must be a valid user ID')
 ];
 
 const updatePatientValidation = [
@@ -85,7 +98,26 @@ const updatePatientValidation = [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address')
+    .withMessage('Please provide a valid email address'),
+  body('assignedDoctor')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Assigned doctor must be a valid user ID'),
+  body('assignedNurse')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Assigned nurse must be a valid user ID')
+];
+
+const emergencyAccessValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('A justification of at least 10 characters is required'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: EMERGENCY_ACCESS_MAX_MINUTES })
+    .withMessage(`Duration must be between 5 and ${EMERGENCY_ACCESS_MAX_MINUTES} minutes`)
 ];
 
 // Apply authentication to all routes
@@ -100,7 +132,12 @@ router.get('/search', authorize('doctor', 'nurse', 'pharmacist', 'receptionist',
 
 router.route('/:id')
   .get(canAccessPatient, getPatient)
-  .put(authorize('doctor', 'nurse', 'receptionist', 'admin'), updatePatientValidation, updatePatient)
+  .put(authorize('doctor', 'nurse', 'receptionist', 'admin'), canAccessPatient, updatePatientValidation, updatePatient)
   .delete(authorize('admin'), deletePatient);
 
+// Break-the-glass access for clinicians outside the patient's care team
+router.route('/:id/emergency-access')
+  .post(authorize(...EMERGENCY_ROLES), emergencyAccessValidation, requestEmergencyAccess)
+  .delete(authorize(...EMERGENCY_ROLES), endEmergencyAccess);
+
 export default router;
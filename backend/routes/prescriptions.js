@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   getPrescriptions,
   getPrescription,
@@ -13,10 +13,46 @@ import { protect, authorize } from '../middleware/auth.js';
 const router = express.Router();
 
 // Validation rules
+const prescriptionListValidation = [
+  query('patient')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid patient ID'),
+  query('doctor')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid doctor ID')
+];
+
+// Reasons for overriding drug safety warnings
+const overrideValidation = [
+  body('overrides')
+    .optional()
+    .isArray()
+    .withMessage('Overrides must be an array'),
+  body('overrides.*.code')
+    .isString()
+    .notEmpty()
+    .withMessage('Each override needs the code of the warning it overrides'),
+  body('overrides.*.reason')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Override reason must be between 10 and 500 characters')
+];
+
 const createPrescriptionValidation = [
   body('patient')
-    .isMongoId()
+    .isInt({ min: 1 })
     .withMessage('Please provide a valid patient ID'),
+  body('diagnosis')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid diagnosis ID'),
+  body('appointment')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Please provide a valid appointment ID'),
   body('medications')
     .isArray({ min: 1 })
     .withMessage('At least one medication is required'),
@@ -39,11 +75,28 @@ const createPrescriptionValidation = [
   body('medications.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('medications.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price cannot be negative'),
+  body('priority')
+    .optional()
+    .isIn(['routine', 'urgent', 'emergency'])
+    .withMessage('Priority must be one of: routine, urgent, emergency'),
+  body('refillsAllowed')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Refills allowed cannot be negative'),
+  body('insurance.copay')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Copay cannot be negative'),
   body('instructions')
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Instructions cannot exceed 1000 characters')
-    .trim()
+    .trim(),
+  ...overrideValidation
 ];
 
 const updatePrescriptionValidation = [
@@ -75,11 +128,28 @@ const updatePrescriptionValidation = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('medications.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price cannot be negative'),
+  body('priority')
+    .optional()
+    .isIn(['routine', 'urgent', 'emergency'])
+    .withMessage('Priority must be one of: routine, urgent, emergency'),
+  body('refillsAllowed')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Refills allowed cannot be negative'),
+  body('insurance.copay')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Copay cannot be negative'),
   body('instructions')
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Instructions cannot exceed 1000 characters')
-    .trim()
+    .trim(),
+  ...overrideValidation
 ];
 
 const dispensePrescriptionValidation = [
@@ -88,10 +158,12 @@ const dispensePrescriptionValidation = [
     .withMessage('At least one medication to dispense is required'),
   body('medications.*.medicationIndex')
     .isInt({ min: 0 })
-    .withMessage('Medication index must be a valid number'),
+    .withMessage('Medication index must be a valid number')
+    .toInt(),
   body('medications.*.quantityDispensed')
     .isInt({ min: 1 })
-    .withMessage('Quantity dispensed must be at least 1'),
+    .withMessage('Quantity dispensed must be at least 1')
+    .toInt(),
   body('dispensingNotes')
     .optional()
     .isLength({ max: 500 })
@@ -104,7 +176,7 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getPrescriptions)
+  .get(prescriptionListValidation, getPrescriptions)
   .post(authorize('doctor'), createPrescriptionValidation, createPrescription);
 
 router.route('/:id')
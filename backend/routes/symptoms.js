@@ -0,0 +1,50 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { searchSymptoms, normalizeSymptoms, getSymptom } from '../controllers/symptomController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation rules
+const searchValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text must be less than 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const normalizeValidation = [
+  body('symptoms')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Symptoms must be an array of at most 50 names'),
+  body('symptoms.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each symptom must be between 1 and 100 characters'),
+  body('text')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Text must be less than 2000 characters'),
+  body()
+    .custom(value => Array.isArray(value?.symptoms) || typeof value?.text === 'string')
+    .withMessage('Provide symptoms or text')
+];
+
+// Apply authentication to all routes
+router.use(protect);
+
+// The vocabulary is read by every role: doctors, nurses and the patient portal
+router.get('/', searchValidation, searchSymptoms);
+router.post('/normalize', normalizeValidation, normalizeSymptoms);
+router.get('/:code', getSymptom);
+
+export default router;
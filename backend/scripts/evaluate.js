@@ -0,0 +1,158 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { sequelize } from '../config/database.js';
+import { DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+import { getActiveRuleSet, getRuleSet } from '../services/knowledgeBaseService.js';
+import {
+  parseCases,
+  evaluateRuleSet,
+  compareEvaluations,
+  COMPARED_METRICS
+} from '../services/evaluationService.js';
+
+dotenv.config();
+
+const usage = `
+Usage: npm run evaluate -- --cases <file> [options]
+
+Scores a labelled case file with the diagnostic rules and reports sensitivity,
+specificity, PPV/NPV, a confusion matrix and calibration for each disease.
+
+Case files are CSV with a header row, a JSON array, or one JSON case per line.
+Columns: id, symptoms ('fever:severe;chills'), absentSymptoms, feverDays,
+feverPattern, <disease>.<test> (e.g. malaria.rapidTest = positive) and
+diagnosis (confirmed disease keys separated by ';', or 'none').
+
+Options:
+  --cases <file>          Labelled case file (required)
+  --format <csv|json>     Case file format (default: from the file contents)
+  --version <n|builtin>   Knowledge base version to score with (default: published)
+  --compare <n|builtin>   Second version to compare against --version
+  --positive-at <level>   Lowest risk level counted as a positive: high or moderate (default: high)
+  --bins <n>              Calibration bins (default: 5)
+  --report <file>         Also write the full results as JSON
+`;
+
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return options;
+};
+
+// 'builtin' scores with the rules in shared/ without touching the database
+const loadRuleSet = async (version) => {
+  if (version === 'builtin') return DEFAULT_RULE_SET;
+  if (version === undefined) return getActiveRuleSet({ fresh: true });
+  if (!/^\d+$/.test(version)) throw new Error(`Unknown version '${version}'`);
+  return getRuleSet(Number(version));
+};
+
+const versionName = version => (version === null ? 'built-in' : `v${version}`);
+const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+const signed = value => (value === null ? '-' : `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`);
+
+const printEvaluation = (evaluation) => {
+  console.log(`\n📊 Rules ${versionName(evaluation.version)}: ${evaluation.cases} cases, positive at ${evaluation.positiveAt} risk, accuracy ${percent(evaluation.accuracy)}`);
+  console.log('Disease                   Confirmed    TP    FP    FN    TN  Sens.   Spec.   PPV     NPV     Brier   ECE');
+  Object.values(evaluation.diseases).forEach((disease) => {
+    const { tp, fp, fn, tn } = disease.confusion;
+    console.log(
+      `${disease.label.padEnd(24)}${String(disease.confirmed).padStart(11)}` +
+      [tp, fp, fn, tn].map(count => String(count).padStart(6)).join('') + '  ' +
+      [disease.sensitivity, disease.specificity, disease.ppv, disease.npv].map(value => percent(value).padEnd(8)).join('') +
+      `${String(disease.calibration.brierScore ?? '-').padEnd(8)}${disease.calibration.expectedCalibrationError ?? '-'}`
+    );
+  });
+
+  const { labels, counts } = evaluation.confusionMatrix;
+  console.log('\nConfusion matrix (rows: confirmed, columns: top of the differential)');
+  console.log(''.padEnd(12) + labels.map(label => label.padStart(10)).join(''));
+  labels.forEach((actual) => {
+    console.log(actual.padEnd(12) + labels.map(predicted => String(counts[actual][predicted]).padStart(10)).join(''));
+  });
+
+  console.log('\nCalibration (mean predicted probability vs. confirmed rate, per bin)');
+  Object.values(evaluation.diseases).forEach((disease) => {
+    const bins = disease.calibration.bins
+      .filter(bin => bin.cases > 0)
+      .map(bin => `${bin.range[0]}-${bin.range[1]}: ${percent(bin.meanPredicted)} vs ${percent(bin.observed)} (n=${bin.cases})`);
+    console.log(`${disease.label}: ${bins.join('; ') || 'no cases'}`);
+  });
+};
+
+const printComparison = (comparison) => {
+  const baseline = versionName(comparison.baseline);
+  const candidate = versionName(comparison.candidate);
+  console.log(`\n🔀 ${baseline} vs ${candidate} (change in percentage points; a lower Brier score is better)`);
+  console.log(`Accuracy: ${percent(comparison.accuracy.baseline)} -> ${percent(comparison.accuracy.candidate)} (${signed(comparison.accuracy.change)})`);
+  console.log('Disease'.padEnd(24) + [...COMPARED_METRICS, 'brierScore'].map(name => name.padEnd(27)).join(''));
+  Object.values(comparison.diseases).forEach((disease) => {
+    const cells = [...COMPARED_METRICS, 'brierScore'].map((name) => {
+      const { baseline: before, candidate: after, change } = disease[name];
+      const show = name === 'brierScore' ? value => String(value ?? '-') : percent;
+      return `${show(before)} -> ${show(after)} (${name === 'brierScore' ? change ?? '-' : signed(change)})`.padEnd(27);
+    });
+    console.log(disease.label.padEnd(24) + cells.join(''));
+  });
+
+  console.log(`\n${comparison.changedCases.length} case(s) changed top prediction`);
+  comparison.changedCases.forEach(({ id, diagnoses, baseline: before, candidate: after }) => {
+    console.log(`  ${id}: ${before} -> ${after} (confirmed: ${diagnoses.join(', ') || 'none'})`);
+  });
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || typeof options.cases !== 'string') {
+    console.log(usage);
+    if (!options.help) throw new Error('A case file is required (--cases <file>)');
+    return;
+  }
+  if (options['positive-at'] && !['high', 'moderate'].includes(options['positive-at'])) {
+    throw new Error('--positive-at must be high or moderate');
+  }
+  const bins = options.bins ? Number(options.bins) : 5;
+  if (!Number.isInteger(bins) || bins < 1) {
+    throw new Error('--bins must be a positive whole number');
+  }
+
+  const file = path.resolve(options.cases);
+  const cases = parseCases(await fs.readFile(file, 'utf8'), options.format);
+  console.log(`📄 ${cases.length} cases from ${file}`);
+
+  const settings = { positiveAt: options['positive-at'] || 'high', bins };
+  const evaluation = evaluateRuleSet(cases, await loadRuleSet(options.version), settings);
+  printEvaluation(evaluation);
+
+  const report = { evaluation };
+  if (options.compare) {
+    report.candidate = evaluateRuleSet(cases, await loadRuleSet(options.compare), settings);
+    printEvaluation(report.candidate);
+    report.comparison = compareEvaluations(evaluation, report.candidate);
+    printComparison(report.comparison);
+  }
+
+  if (typeof options.report === 'string') {
+    const reportFile = path.resolve(options.report);
+    await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📝 Report written to ${reportFile}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
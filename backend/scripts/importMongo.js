@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { sequelize } from '../config/database.js';
+import { MongoImporter, COLLECTIONS, findExportFile } from '../services/mongoImportService.js';
+
+dotenv.config();
+
+const usage = `
+Usage: npm run import:mongo -- --dir <export-dir> [options]
+
+Reads mongoexport files (JSON array or one document per line) named after each
+collection (users.json, patients.ndjson, ...) and loads them into PostgreSQL.
+
+Options:
+  --dir <path>            Directory holding the export files
+  --users <file>          Override the file for a collection (also --patients,
+                          --appointments, --diagnoses, --prescriptions)
+  --report <file>         Where to write the reconciliation report
+                          (default: import-report-<timestamp>.json)
+  --dry-run               Run the import and roll it back, reporting what would happen
+`;
+
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return options;
+};
+
+const resolveFiles = async (options) => {
+  const files = {};
+  for (const collection of COLLECTIONS) {
+    if (typeof options[collection] === 'string') {
+      files[collection] = path.resolve(options[collection]);
+    } else if (typeof options.dir === 'string') {
+      const file = await findExportFile(path.resolve(options.dir), collection);
+      if (file) files[collection] = file;
+    }
+  }
+  return files;
+};
+
+const printSummary = (report) => {
+  console.log(`\n📊 Reconciliation${report.dryRun ? ' (dry run, nothing committed)' : ''}`);
+  console.log('Collection      Total  Imported  Skipped  Failed  Warnings');
+  Object.entries(report.collections).forEach(([collection, summary]) => {
+    console.log(
+      `${collection.padEnd(14)}${String(summary.total).padStart(7)}${String(summary.imported).padStart(10)}` +
+      `${String(summary.skipped).padStart(9)}${String(summary.failed).padStart(8)}${String(summary.warnings.length).padStart(10)}`
+    );
+  });
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const files = await resolveFiles(options);
+  if (Object.keys(files).length === 0) {
+    console.log(usage);
+    throw new Error('No export files found');
+  }
+
+  Object.entries(files).forEach(([collection, file]) => console.log(`📄 ${collection}: ${file}`));
+
+  await sequelize.authenticate();
+  const importer = new MongoImporter({ files, dryRun: Boolean(options['dry-run']) });
+  const report = await importer.run();
+
+  const reportFile = path.resolve(
+    typeof options.report === 'string' ? options.report : `import-report-${Date.now()}.json`
+  );
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+
+  printSummary(report);
+  console.log(`\n📝 Report written to ${reportFile}`);
+
+  const failed = Object.values(report.collections).reduce((total, summary) => total + summary.failed, 0);
+  if (failed > 0) {
+    process.exitCode = 2;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,155 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { sequelize } from '../config/database.js';
+import { MigrationService, MIGRATIONS_DIR } from '../services/migrationService.js';
+import {
+  renderCreateTablesMigration,
+  renderBlankMigration,
+  migrationTimestamp
+} from '../services/schemaGenerator.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Models captured by the baseline migration
+const BASELINE_MODELS = ['User', 'Patient'];
+
+const usage = `
+Usage: npm run migrate -- <command> [options]
+
+Commands:
+  up [--to <name>] [--fake]        Apply pending migrations (--fake records them without running)
+  down [--step <n>]                Revert the last n applied migrations (default 1)
+  status                           Show applied and pending migrations
+  baseline                         Generate a baseline migration from ${BASELINE_MODELS.join(', ')}
+  generate <name> [--models A,B]   Generate a migration; with --models it creates those tables
+`;
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = { _: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = rest[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      options._.push(arg);
+    }
+  }
+
+  return { command, options };
+};
+
+const loadModels = async (names) => {
+  const models = [];
+  for (const name of names) {
+    const file = path.resolve(__dirname, `../models/${name}.pg.js`);
+    try {
+      models.push((await import(pathToFileURL(file).href)).default);
+    } catch (error) {
+      if (error.code === 'ERR_MODULE_NOT_FOUND') {
+        throw new Error(`Model '${name}' not found (expected models/${name}.pg.js)`);
+      }
+      throw error;
+    }
+  }
+  return models;
+};
+
+const writeMigration = async (name, source) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const file = path.join(MIGRATIONS_DIR, `${migrationTimestamp()}-${slug}.js`);
+  await fs.mkdir(MIGRATIONS_DIR, { recursive: true });
+  await fs.writeFile(file, source);
+  console.log(`📝 Created ${path.relative(process.cwd(), file)}`);
+};
+
+const generate = async (name, modelNames) => {
+  if (!name) {
+    throw new Error('A migration name is required');
+  }
+
+  if (modelNames.length === 0) {
+    await writeMigration(name, renderBlankMigration(name));
+    return;
+  }
+
+  const models = await loadModels(modelNames);
+  const tables = models.map(model => model.tableName).join(', ');
+  await writeMigration(name, renderCreateTablesMigration(models, `Create ${tables} tables`));
+};
+
+const printStatus = (migrations) => {
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  migrations.forEach((migration) => {
+    const marker = { applied: '✅', pending: '⏳', missing: '❓' }[migration.status];
+    const detail = migration.appliedAt
+      ? ` (${new Date(migration.appliedAt).toISOString()}${migration.faked ? ', faked' : ''})`
+      : '';
+    console.log(`${marker} ${migration.status.padEnd(8)} ${migration.name}${detail}`);
+  });
+};
+
+const run = async () => {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  // Generating files doesn't need a database connection
+  if (command === 'baseline') {
+    await generate('baseline', BASELINE_MODELS);
+    return;
+  }
+  if (command === 'generate') {
+    const modelNames = typeof options.models === 'string' ? options.models.split(',').map(m => m.trim()).filter(Boolean) : [];
+    await generate(options._[0], modelNames);
+    return;
+  }
+
+  const migrator = new MigrationService(sequelize);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up({ to: options.to, fake: Boolean(options.fake) });
+      if (applied.length === 0) {
+        console.log('✅ Database is up to date');
+      }
+      applied.forEach(name => console.log(`⬆️  ${options.fake ? 'Marked' : 'Applied'} ${name}`));
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.down({ step: parseInt(options.step) || 1 });
+      if (reverted.length === 0) {
+        console.log('Nothing to revert');
+      }
+      reverted.forEach(name => console.log(`⬇️  Reverted ${name}`));
+      break;
+    }
+    case 'status':
+      printStatus(await migrator.status());
+      break;
+    default:
+      console.log(usage);
+      process.exitCode = command ? 1 : 0;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
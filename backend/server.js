@@ -1,4 +1,6 @@
 import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
@@ -17,14 +19,23 @@ import prescriptionRoutes from './routes/prescriptions.js';
 import diagnosisRoutes from './routes/diagnosis.js';
 import adminRoutes from './routes/admin.js';
 import aiRoutes from './routes/ai.js';
+import alertRoutes from './routes/alerts.js';
+import symptomRoutes from './routes/symptoms.js';
+import labOrderRoutes from './routes/labOrders.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { auditTrail } from './middleware/audit.js';
+import { maintenanceGuard } from './middleware/maintenance.js';
+import { installAuditHooks } from './services/auditService.js';
+import { startBackupScheduler } from './services/backupService.js';
 
 // Load environment variables
 dotenv.config();
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -91,6 +102,13 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Audit trail: record mutations and patient data reads
+installAuditHooks();
+app.use(auditTrail);
+
+// Maintenance mode: only admins get through while it is switched on
+app.use(maintenanceGuard);
+
 // API Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
@@ -104,6 +122,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Modules shared with the browser; the patient portal imports the rule engine from here
+app.use('/shared', (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+}, express.static(path.join(__dirname, 'shared')));
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -113,6 +137,9 @@ app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api/diagnosis', diagnosisRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/symptoms', symptomRoutes);
+app.use('/api/lab-orders', labOrderRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -127,6 +154,7 @@ if (isMainModule) {
     console.log(`🏥 Hospital: ${process.env.HOSPITAL_NAME}`);
     console.log(`📍 Location: ${process.env.HOSPITAL_LOCATION}`);
   });
+  startBackupScheduler();
 }
 
 export default app;
@@ -0,0 +1,39 @@
+import ClinicalAlert from '../models/ClinicalAlert.pg.js';
+
+/**
+ * Clinician who receives the expert system's alerts about a patient: the
+ * patient's assigned doctor, or the doctor making the request if none is assigned
+ */
+export const treatingDoctorId = (patient, user) => {
+  if (patient.assignedDoctorId) return patient.assignedDoctorId;
+  return user.role === 'doctor' ? user.id : null;
+};
+
+/**
+ * Alert the treating doctor that a patient meets the severe malaria criteria.
+ * dangerSigns is the rule engine's danger-sign evaluation; the alert is saved
+ * in `transaction` when one is given.
+ * Returns the alert, or null when no criterion is met or nobody can be alerted.
+ */
+export const raiseSevereMalariaAlert = async ({ dangerSigns, patient, diagnosisId = null, user, transaction }) => {
+  if (!dangerSigns?.urgentReferral || !patient) return null;
+
+  const recipientId = treatingDoctorId(patient, user);
+  if (!recipientId) return null;
+
+  const criteria = dangerSigns.criteria.map(({ label }) => label).join(', ');
+  return ClinicalAlert.create({
+    type: 'severe_malaria',
+    severity: 'urgent',
+    recipientId,
+    patientId: patient.id,
+    diagnosisId,
+    raisedById: user.id,
+    title: `Severe malaria danger signs: ${patient.firstName} ${patient.lastName}`,
+    message: `${criteria}. ${dangerSigns.recommendation}`,
+    details: {
+      criteria: dangerSigns.criteria,
+      confirmedParasitaemia: dangerSigns.confirmedParasitaemia
+    }
+  }, { transaction });
+};
@@ -0,0 +1,94 @@
+import { Op } from 'sequelize';
+import LabOrder from '../models/LabOrder.pg.js';
+import { CULTURE_TESTS, SUSCEPTIBILITY_PANEL, isolateFrom } from './labCatalog.js';
+
+/**
+ * Facility antibiogram
+ *
+ * The share of cultured isolates susceptible to each antibiotic over a period,
+ * per organism, with the number of MDR and XDR isolates. As in CLSI M39, only
+ * the first isolate of an organism from each patient counts, so repeat cultures
+ * from one patient do not skew the rates; rates from fewer than MIN_ISOLATES
+ * isolates are marked as such.
+ */
+
+export const MIN_ISOLATES = 30;
+
+const emptyCounts = () => ({ tested: 0, susceptible: 0, intermediate: 0, resistant: 0 });
+
+/**
+ * Antibiogram rows from resulted culture orders ({ patientId, test, results }),
+ * oldest first; organisms with the most isolates come first
+ */
+export const buildAntibiogram = (orders) => {
+  const counted = new Set();
+  const organisms = new Map();
+
+  orders.forEach((order) => {
+    const isolate = isolateFrom(order);
+    if (!isolate) return;
+
+    const organismKey = isolate.organism.toLowerCase();
+    const firstIsolate = `${order.patientId}:${organismKey}`;
+    if (counted.has(firstIsolate)) return;
+    counted.add(firstIsolate);
+
+    if (!organisms.has(organismKey)) {
+      organisms.set(organismKey, { organism: isolate.organism, isolates: 0, MDR: 0, XDR: 0, antibiotics: {} });
+    }
+    const row = organisms.get(organismKey);
+    row.isolates += 1;
+    if (isolate.pattern) row[isolate.pattern] += 1;
+    Object.entries(isolate.susceptibility).forEach(([antibiotic, outcome]) => {
+      row.antibiotics[antibiotic] = row.antibiotics[antibiotic] || emptyCounts();
+      row.antibiotics[antibiotic].tested += 1;
+      row.antibiotics[antibiotic][outcome] += 1;
+    });
+  });
+
+  return [...organisms.values()]
+    .sort((a, b) => b.isolates - a.isolates)
+    .map(({ organism, isolates, MDR, XDR, antibiotics }) => ({
+      organism,
+      isolates,
+      patterns: { MDR, XDR },
+      antibiotics: SUSCEPTIBILITY_PANEL
+        .filter(({ key }) => antibiotics[key])
+        .map(({ key, label }) => ({
+          antibiotic: key,
+          label,
+          ...antibiotics[key],
+          percentSusceptible: Math.round(antibiotics[key].susceptible / antibiotics[key].tested * 100),
+          fewIsolates: antibiotics[key].tested < MIN_ISOLATES
+        }))
+    }));
+};
+
+/**
+ * Antibiogram of the cultures resulted between from and to (a date without a
+ * time runs to the end of that day), optionally for one culture test
+ */
+export const antibiogramReport = async ({ from, to, test }) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+  const tests = test ? [test] : CULTURE_TESTS;
+
+  const orders = await LabOrder.findAll({
+    where: {
+      test: { [Op.in]: tests },
+      status: 'resulted',
+      resultedAt: { [Op.between]: [start, end] }
+    },
+    attributes: ['patientId', 'test', 'results', 'resultedAt'],
+    order: [['resultedAt', 'ASC']]
+  });
+
+  return {
+    from: start,
+    to: end,
+    tests,
+    minIsolates: MIN_ISOLATES,
+    organisms: buildAntibiogram(orders)
+  };
+};
@@ -0,0 +1,225 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import AuditLog from '../models/AuditLog.pg.js';
+
+// Request-scoped store collecting what the current request read and changed
+const auditContext = new AsyncLocalStorage();
+
+// Mutating methods are always audited; reads only when they touch patient data
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const METHOD_ACTIONS = { GET: 'read', POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Never copied into audit entries
+const REDACTED_FIELDS = [
+  'password',
+  'refreshToken',
+  'emailVerificationToken',
+  'passwordResetToken',
+  'passwordResetExpires'
+];
+
+// Bookkeeping columns left out of update diffs
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+// Global hooks are registered once per process
+let hooksInstalled = false;
+
+// Cap on patient ids kept for a single list read
+const MAX_PATIENT_IDS = 200;
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'userId', 'username', 'role', 'action', 'resourceType', 'resourceId',
+  'patientIds', 'method', 'path', 'statusCode', 'ipAddress', 'userAgent', 'changes'
+];
+
+const redact = values => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, REDACTED_FIELDS.includes(key) ? '[REDACTED]' : value])
+);
+
+// Plain column values of a model instance, without associations or virtual fields
+const snapshot = instance => redact(Object.fromEntries(
+  Object.keys(instance.constructor.rawAttributes)
+    .filter(field => instance.dataValues[field] !== undefined)
+    .map(field => [field, instance.dataValues[field]])
+));
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Patient primary key a loaded row belongs to, if any
+const patientIdOf = (instance) => {
+  if (instance.constructor.name === 'Patient') return instance.id;
+  return Number.isInteger(instance.dataValues?.patientId) ? instance.dataValues.patientId : null;
+};
+
+const rememberPatient = (store, patientId) => {
+  if (patientId && store.patientIds.size < MAX_PATIENT_IDS) {
+    store.patientIds.add(patientId);
+  }
+};
+
+const recordChange = (instance, type, before, after) => {
+  const store = auditContext.getStore();
+  if (!store || instance.constructor === AuditLog) return;
+
+  store.changes.push({ model: instance.constructor.name, id: instance.id ?? null, type, before, after });
+  rememberPatient(store, patientIdOf(instance));
+};
+
+/**
+ * Register global model hooks feeding the request's audit context.
+ * Called once at startup; model operations outside a request are ignored.
+ */
+export const installAuditHooks = () => {
+  if (hooksInstalled) return;
+  hooksInstalled = true;
+
+  sequelize.addHook('afterCreate', 'audit', (instance) => {
+    recordChange(instance, 'create', null, snapshot(instance));
+  });
+
+  sequelize.addHook('afterUpdate', 'audit', (instance, options) => {
+    const before = {};
+    const after = {};
+    (options.fields || instance.changed() || []).forEach((field) => {
+      if (IGNORED_DIFF_FIELDS.includes(field)) return;
+      const previous = instance.previous(field);
+      const current = instance.dataValues[field];
+      if (!isSameValue(previous, current)) {
+        before[field] = previous;
+        after[field] = current;
+      }
+    });
+    if (Object.keys(after).length === 0) return;
+    recordChange(instance, 'update', redact(before), redact(after));
+  });
+
+  sequelize.addHook('afterDestroy', 'audit', (instance) => {
+    recordChange(instance, 'delete', snapshot(instance), null);
+  });
+
+  // Bulk statements don't load instances, so keep the condition they ran with
+  sequelize.addHook('afterBulkUpdate', 'audit', (options) => {
+    const store = auditContext.getStore();
+    if (!store || options.model === AuditLog) return;
+    store.changes.push({ model: options.model?.name, id: null, type: 'update', where: options.where, after: redact(options.attributes || {}) });
+  });
+
+  sequelize.addHook('afterBulkDestroy', 'audit', (options) => {
+    const store = auditContext.getStore();
+    if (!store || options.model === AuditLog) return;
+    store.changes.push({ model: options.model?.name, id: null, type: 'delete', where: options.where });
+  });
+
+  // Track which patients' data a request loaded, including eager-loaded rows
+  sequelize.addHook('afterFind', 'audit', (result) => {
+    const store = auditContext.getStore();
+    if (!store || !result) return;
+
+    const visit = (instance) => {
+      if (!instance || !instance.constructor?.rawAttributes) return;
+      rememberPatient(store, patientIdOf(instance));
+      Object.values(instance.dataValues).forEach((value) => {
+        if (Array.isArray(value)) value.forEach(visit);
+        else if (value && typeof value === 'object' && value.constructor?.rawAttributes) visit(value);
+      });
+    };
+    (Array.isArray(result) ? result : [result]).forEach(visit);
+  });
+};
+
+/**
+ * Work out the resource, id and action from the request path, e.g.
+ * PATCH /api/prescriptions/12/dispense -> { resourceType: 'prescriptions', resourceId: '12', action: 'dispense' }
+ * POST /api/auth/login -> { resourceType: 'auth', resourceId: null, action: 'login' }
+ */
+export const describeRequest = (method, path) => {
+  const segments = path.split('?')[0].split('/').filter(Boolean);
+  const [, resourceType = 'unknown', ...rest] = segments[0] === 'api' ? segments : ['api', ...segments];
+
+  const resourceId = rest.find(segment => /^\d+$/.test(segment)) || null;
+  const operation = rest.filter(segment => !/^\d+$/.test(segment)).pop();
+
+  return {
+    resourceType,
+    resourceId,
+    action: operation && method !== 'GET' ? operation : METHOD_ACTIONS[method] || method.toLowerCase()
+  };
+};
+
+/**
+ * Run the rest of the request inside a fresh audit context
+ */
+export const runWithAuditContext = (callback) => {
+  const store = { changes: [], patientIds: new Set() };
+  return auditContext.run(store, () => callback(store));
+};
+
+/**
+ * Whether a finished request should produce an audit entry
+ */
+export const shouldAudit = (method, store) =>
+  MUTATING_METHODS.includes(method) || (method === 'GET' && store.patientIds.size > 0);
+
+/**
+ * Persist the audit entry for a finished request
+ */
+export const writeAuditEntry = async (req, res, store) => {
+  const { resourceType, resourceId, action } = describeRequest(req.method, req.originalUrl);
+  const succeeded = res.statusCode < 400;
+
+  // Changes made by a failed request were rolled back or never happened
+  const changes = succeeded ? store.changes : [];
+  const createdId = changes.find(change => change.type === 'create')?.id;
+
+  await AuditLog.create({
+    userId: req.user?.id || null,
+    role: req.user?.role || null,
+    action,
+    resourceType,
+    resourceId: resourceId || (createdId ? String(createdId) : null),
+    patientIds: [...store.patientIds],
+    method: req.method,
+    path: req.originalUrl.slice(0, 500),
+    statusCode: res.statusCode,
+    changes,
+    ipAddress: req.ip || req.socket?.remoteAddress || null,
+    userAgent: (req.get('user-agent') || '').slice(0, 500) || null
+  });
+};
+
+/**
+ * Build a where clause from the audit log query filters
+ */
+export const buildAuditFilter = ({ user, action, resource, resourceId, patient, from, to }) => {
+  const filter = {};
+  if (user) filter.userId = user;
+  if (action) filter.action = action;
+  if (resource) filter.resourceType = resource;
+  if (resourceId) filter.resourceId = String(resourceId);
+  if (patient) filter.patientIds = { [Op.contains]: [parseInt(patient)] };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt[Op.gte] = new Date(from);
+    if (to) filter.createdAt[Op.lte] = new Date(to);
+  }
+  return filter;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render audit log rows (with the `user` association loaded) as CSV
+ */
+export const toCsv = logs => [
+  CSV_COLUMNS.join(','),
+  ...logs.map(log => CSV_COLUMNS.map((column) => {
+    if (column === 'username') return csvCell(log.user?.username);
+    if (column === 'patientIds') return csvCell((log.patientIds || []).join(' '));
+    return csvCell(log[column]);
+  }).join(','))
+].join('\n');
@@ -0,0 +1,457 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { QueryTypes, Transaction } from 'sequelize';
+import sequelize, { createSequelize } from '../config/database.js';
+import { MigrationService, MIGRATIONS_TABLE } from './migrationService.js';
+import { getSetting } from './settingsService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(__dirname, '../backups'));
+
+// Bumped whenever the archive layout changes
+export const BACKUP_FORMAT_VERSION = 1;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How often a scheduled backup is taken for each system.backupFrequency value
+export const BACKUP_INTERVALS = {
+  hourly: HOUR,
+  daily: DAY,
+  weekly: 7 * DAY,
+  monthly: 30 * DAY,
+};
+
+// How many intervals' worth of backups are kept before they expire
+export const BACKUP_RETENTION = {
+  hourly: 48,
+  daily: 14,
+  weekly: 8,
+  monthly: 12,
+};
+
+// Rows read from (or written to) a table per query
+const BATCH_SIZE = 1000;
+
+// How often the scheduler checks whether a backup is due
+const SCHEDULER_TICK = 5 * 60 * 1000;
+
+const BACKUP_ID_PATTERN = /^backup-\d{14}$/;
+
+/**
+ * Error with an HTTP status, raised for problems the caller can fix
+ */
+export class BackupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BackupError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Backup ids are timestamps, like migration names: backup-YYYYMMDDHHmmss
+ */
+export const generateBackupId = (date = new Date()) => `backup-${date.toISOString().replace(/\D/g, '').slice(0, 14)}`;
+
+export const isBackupId = id => BACKUP_ID_PATTERN.test(id || '');
+
+const archivePath = id => path.join(BACKUP_DIR, `${id}.ndjson.gz`);
+const manifestPath = id => path.join(BACKUP_DIR, `${id}.manifest.json`);
+
+const quote = name => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Order tables so that every table comes after the tables it references.
+ * Self-references are ignored; cycles fall back to alphabetical order.
+ */
+export const orderTablesByDependencies = (tables, dependencies) => {
+  const remaining = new Set(tables);
+  const ordered = [];
+
+  while (remaining.size > 0) {
+    const ready = [...remaining]
+      .filter(table => dependencies
+        .filter(dependency => dependency.table === table && dependency.references !== table)
+        .every(dependency => !remaining.has(dependency.references)))
+      .sort();
+    const next = ready.length > 0 ? ready : [[...remaining].sort()[0]];
+
+    next.forEach((table) => {
+      ordered.push(table);
+      remaining.delete(table);
+    });
+  }
+
+  return ordered;
+};
+
+/**
+ * Backups that fall outside the retention window for the given frequency.
+ * The newest backup is always kept.
+ */
+export const selectExpiredBackups = (backups, frequency, now = Date.now()) => {
+  const window = BACKUP_INTERVALS[frequency] * BACKUP_RETENTION[frequency];
+  const newestFirst = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return newestFirst.slice(1).filter(backup => now - new Date(backup.createdAt).getTime() > window);
+};
+
+/**
+ * Whether a scheduled backup is due, given the newest existing backup
+ */
+export const isBackupDue = (latest, frequency, now = Date.now()) => (
+  !latest || now - new Date(latest.createdAt).getTime() >= BACKUP_INTERVALS[frequency]
+);
+
+const hashFile = async (file) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+};
+
+const listTables = async (connection, transaction) => {
+  const tables = await connection.query(
+    `SELECT table_name AS "name" FROM information_schema.tables
+     WHERE table_schema = 'public' AND table_type = 'BASE TABLE'`,
+    { type: QueryTypes.SELECT, transaction }
+  );
+  const dependencies = await connection.query(
+    `SELECT tc.table_name AS "table", ccu.table_name AS "references"
+     FROM information_schema.table_constraints tc
+     JOIN information_schema.constraint_column_usage ccu
+       ON tc.constraint_name = ccu.constraint_name AND tc.table_schema = ccu.table_schema
+     WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = 'public'`,
+    { type: QueryTypes.SELECT, transaction }
+  );
+  return orderTablesByDependencies(tables.map(table => table.name), dependencies);
+};
+
+/**
+ * Read each archive line as { manifest } (the first line) or { table, row }
+ */
+async function* readArchive(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (line) yield JSON.parse(line);
+  }
+}
+
+const readManifest = async (id) => {
+  if (!isBackupId(id)) throw new BackupError('Backup not found', 404);
+  try {
+    return JSON.parse(await fsp.readFile(manifestPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new BackupError('Backup not found', 404);
+    throw error;
+  }
+};
+
+/**
+ * All backups on disk, newest first
+ */
+export const listBackups = async () => {
+  let files;
+  try {
+    files = await fsp.readdir(BACKUP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const ids = files
+    .map(file => file.replace(/\.manifest\.json$/, ''))
+    .filter(isBackupId);
+  const manifests = await Promise.all(ids.map(readManifest));
+  return manifests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+export const getBackup = readManifest;
+
+/**
+ * Path of a backup's archive, for downloads
+ */
+export const getBackupArchive = async (id) => {
+  const manifest = await readManifest(id);
+  return { manifest, file: archivePath(id) };
+};
+
+let backupInProgress = null;
+
+const writeBackup = async ({ user, trigger }) => {
+  await fsp.mkdir(BACKUP_DIR, { recursive: true });
+
+  const createdAt = new Date();
+  const id = generateBackupId(createdAt);
+  const partial = `${archivePath(id)}.partial`;
+  const counts = [];
+  let migrations = [];
+
+  // A repeatable-read transaction sees one snapshot of every table
+  try {
+    await sequelize.transaction({
+      isolationLevel: Transaction.ISOLATION_LEVELS.REPEATABLE_READ,
+      readOnly: true,
+    }, async (transaction) => {
+      const tables = await listTables(sequelize, transaction);
+      if (tables.includes(MIGRATIONS_TABLE)) {
+        const applied = await sequelize.query(
+          `SELECT "name" FROM "${MIGRATIONS_TABLE}" ORDER BY "name" ASC`,
+          { type: QueryTypes.SELECT, transaction }
+        );
+        migrations = applied.map(row => row.name);
+      }
+
+      async function* lines() {
+        yield `${JSON.stringify({ manifest: { id, formatVersion: BACKUP_FORMAT_VERSION, createdAt, migrations, tables } })}\n`;
+
+        for (const table of tables) {
+          let rows = 0;
+          for (let offset = 0; ; offset += BATCH_SIZE) {
+            // Physical row order is stable within the snapshot, so paging is consistent
+            const batch = await sequelize.query(
+              `SELECT * FROM ${quote(table)} ORDER BY ctid LIMIT ${BATCH_SIZE} OFFSET ${offset}`,
+              { type: QueryTypes.SELECT, transaction }
+            );
+            for (const row of batch) {
+              yield `${JSON.stringify({ table, row })}\n`;
+            }
+            rows += batch.length;
+            if (batch.length < BATCH_SIZE) break;
+          }
+          counts.push({ name: table, rows });
+        }
+      }
+
+      await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(partial));
+    });
+  } catch (error) {
+    await fsp.rm(partial, { force: true });
+    throw error;
+  }
+
+  await fsp.rename(partial, archivePath(id));
+  const { size } = await fsp.stat(archivePath(id));
+
+  const manifest = {
+    id,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    createdAt: createdAt.toISOString(),
+    createdBy: user ? { id: user.id, username: user.username } : null,
+    trigger,
+    database: sequelize.getDatabaseName(),
+    migrations,
+    tables: counts,
+    totalRows: counts.reduce((sum, table) => sum + table.rows, 0),
+    archive: {
+      file: path.basename(archivePath(id)),
+      size,
+      sha256: await hashFile(archivePath(id)),
+    },
+  };
+  await fsp.writeFile(manifestPath(id), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  return manifest;
+};
+
+/**
+ * Take a consistent snapshot of every table, then apply the retention policy.
+ * Only one backup runs at a time.
+ */
+export const createBackup = async ({ user = null, trigger = 'manual' } = {}) => {
+  if (backupInProgress) {
+    throw new BackupError('A backup is already in progress', 409);
+  }
+
+  backupInProgress = writeBackup({ user, trigger });
+  try {
+    const manifest = await backupInProgress;
+    await applyRetention();
+    return manifest;
+  } finally {
+    backupInProgress = null;
+  }
+};
+
+/**
+ * Check the archive checksum and that it contains what the manifest says
+ */
+export const verifyBackup = async (id) => {
+  const manifest = await readManifest(id);
+  const file = archivePath(id);
+  const errors = [];
+
+  try {
+    await fsp.access(file);
+  } catch {
+    return { id, valid: false, errors: ['Archive file is missing'] };
+  }
+
+  const checksum = await hashFile(file);
+  if (checksum !== manifest.archive.sha256) {
+    errors.push(`Checksum mismatch: expected ${manifest.archive.sha256}, got ${checksum}`);
+  }
+
+  const found = {};
+  try {
+    for await (const entry of readArchive(file)) {
+      if (entry.table) found[entry.table] = (found[entry.table] || 0) + 1;
+    }
+  } catch (error) {
+    errors.push(`Archive could not be read: ${error.message}`);
+  }
+
+  manifest.tables.forEach(({ name, rows }) => {
+    if ((found[name] || 0) !== rows) {
+      errors.push(`Table ${name}: expected ${rows} rows, archive has ${found[name] || 0}`);
+    }
+  });
+
+  return { id, valid: errors.length === 0, checksum, errors };
+};
+
+/**
+ * Restore a backup into another database. The target must exist and hold no
+ * data; missing migrations up to the backup's schema version are applied first.
+ */
+export const restoreBackup = async (id, database) => {
+  const manifest = await readManifest(id);
+
+  if (database === sequelize.getDatabaseName()) {
+    throw new BackupError('Backups cannot be restored into the live database');
+  }
+
+  const verification = await verifyBackup(id);
+  if (!verification.valid) {
+    throw new BackupError(`Backup failed verification: ${verification.errors.join('; ')}`, 422);
+  }
+
+  const target = createSequelize(database);
+  try {
+    try {
+      await target.authenticate();
+    } catch (error) {
+      throw new BackupError(`Cannot connect to database '${database}': ${error.message}`);
+    }
+
+    // Bring the target to the backup's schema version
+    const migrator = new MigrationService(target);
+    const latest = manifest.migrations[manifest.migrations.length - 1];
+    if (latest) await migrator.up({ to: latest });
+    const applied = (await migrator.getApplied()).map(row => row.name);
+    if (applied.join() !== manifest.migrations.join()) {
+      throw new BackupError('Target database schema does not match the backup\'s migrations', 409);
+    }
+
+    const tables = (await listTables(target)).filter(table => table !== MIGRATIONS_TABLE);
+    for (const table of tables) {
+      const [{ count }] = await target.query(
+        `SELECT COUNT(*)::int AS "count" FROM ${quote(table)}`,
+        { type: QueryTypes.SELECT }
+      );
+      if (count > 0) {
+        throw new BackupError(`Target database is not empty (table ${table} has ${count} rows)`, 409);
+      }
+    }
+
+    const restored = {};
+    await target.transaction(async (transaction) => {
+      let table = null;
+      let batch = [];
+
+      // Postgres casts each JSON row to the table's row type, including JSONB, arrays and enums
+      const flush = async () => {
+        if (batch.length === 0) return;
+        await target.query(
+          `INSERT INTO ${quote(table)} SELECT * FROM json_populate_recordset(NULL::${quote(table)}, :rows)`,
+          { replacements: { rows: JSON.stringify(batch) }, transaction }
+        );
+        restored[table] = (restored[table] || 0) + batch.length;
+        batch = [];
+      };
+
+      for await (const entry of readArchive(archivePath(id))) {
+        if (!entry.table || entry.table === MIGRATIONS_TABLE) continue;
+        if (!tables.includes(entry.table)) {
+          throw new BackupError(`Table ${entry.table} does not exist in the target database`, 409);
+        }
+        if (entry.table !== table || batch.length >= BATCH_SIZE) {
+          await flush();
+          table = entry.table;
+        }
+        batch.push(entry.row);
+      }
+      await flush();
+
+      // Move serial sequences past the restored ids
+      const serials = await target.query(
+        `SELECT table_name AS "table", column_name AS "column" FROM information_schema.columns
+         WHERE table_schema = 'public' AND column_default LIKE 'nextval(%'`,
+        { type: QueryTypes.SELECT, transaction }
+      );
+      for (const serial of serials) {
+        await target.query(
+          `SELECT setval(pg_get_serial_sequence(:table, :column), COALESCE(MAX(${quote(serial.column)}), 0) + 1, false)
+           FROM ${quote(serial.table)}`,
+          { replacements: { table: quote(serial.table), column: serial.column }, transaction }
+        );
+      }
+    });
+
+    return {
+      id,
+      database,
+      tables: Object.entries(restored).map(([name, rows]) => ({ name, rows })),
+      totalRows: Object.values(restored).reduce((sum, rows) => sum + rows, 0),
+    };
+  } finally {
+    await target.close();
+  }
+};
+
+/**
+ * Delete backups outside the retention window of system.backupFrequency
+ */
+export const applyRetention = async () => {
+  const frequency = await getSetting('system.backupFrequency');
+  const expired = selectExpiredBackups(await listBackups(), frequency);
+
+  for (const backup of expired) {
+    await fsp.rm(archivePath(backup.id), { force: true });
+    await fsp.rm(manifestPath(backup.id), { force: true });
+  }
+
+  return expired.map(backup => backup.id);
+};
+
+/**
+ * Take scheduled backups at the configured frequency. Returns the timer.
+ */
+export const startBackupScheduler = () => {
+  const tick = async () => {
+    try {
+      const frequency = await getSetting('system.backupFrequency');
+      const [latest] = await listBackups();
+      if (!backupInProgress && isBackupDue(latest, frequency)) {
+        const manifest = await createBackup({ trigger: 'scheduled' });
+        console.log(`💾 Scheduled backup ${manifest.id} completed (${manifest.totalRows} rows)`);
+      }
+    } catch (error) {
+      console.error('❌ Scheduled backup failed:', error);
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_TICK);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,117 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import Patient from '../models/Patient.pg.js';
+import EmergencyAccess from '../models/EmergencyAccess.pg.js';
+
+// Roles that work across the whole patient registry (front desk registration and scheduling)
+export const UNRESTRICTED_ROLES = ['admin', 'receptionist'];
+
+// Roles allowed to break the glass, and how long a grant may last (minutes)
+export const EMERGENCY_ROLES = ['doctor', 'nurse'];
+export const EMERGENCY_ACCESS_DEFAULT_MINUTES = 60;
+export const EMERGENCY_ACCESS_MAX_MINUTES = 240;
+
+/**
+ * SQL selecting the ids of the patients a user may see, keyed by role.
+ * Clinicians see patients they are assigned to or have an appointment with,
+ * pharmacists see patients with a prescription, and patients see their own record.
+ */
+const careTeamQueries = {
+  doctor: id => `SELECT "id" FROM "patients" WHERE "assignedDoctorId" = ${id}
+    UNION SELECT "patientId" FROM "appointments" WHERE "doctorId" = ${id}`,
+  nurse: id => `SELECT "id" FROM "patients" WHERE "assignedNurseId" = ${id}
+    UNION SELECT "patientId" FROM "appointments" WHERE "assignedNurseId" = ${id}`,
+  pharmacist: () => 'SELECT "patientId" FROM "prescriptions"',
+  patient: id => `SELECT "id" FROM "patients" WHERE "userId" = ${id}`,
+};
+
+/**
+ * Subquery of patient ids accessible to a user, or null when the user is unrestricted.
+ * Use it as `{ [Op.in]: scope }` on a patient id column.
+ * Break-the-glass grants are not included: they only open individual records
+ * through canAccessPatientRecord, so every use is recorded.
+ */
+export const accessiblePatientIds = (user) => {
+  if (UNRESTRICTED_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  const query = careTeamQueries[user.role];
+  if (!query) {
+    // Unknown roles get nothing rather than everything
+    return sequelize.literal('(SELECT NULL::integer WHERE false)');
+  }
+
+  return sequelize.literal(`(${query(sequelize.escape(user.id))})`);
+};
+
+/**
+ * Restrict a where clause to patients the user may access.
+ * `column` is the attribute holding the patient's primary key ('id' on patients,
+ * 'patientId' on appointments, diagnoses, prescriptions).
+ */
+export const scopeToCareTeam = (where, user, column = 'patientId') => {
+  const scope = accessiblePatientIds(user);
+  if (!scope) return where;
+
+  return {
+    ...where,
+    [Op.and]: [...(where[Op.and] || []), { [column]: { [Op.in]: scope } }]
+  };
+};
+
+/**
+ * Find the clinician's unexpired break-the-glass grant for a patient
+ */
+export const findActiveEmergencyAccess = (user, patientId) => EmergencyAccess.findOne({
+  where: {
+    userId: user.id,
+    patientId,
+    expiresAt: { [Op.gt]: new Date() }
+  },
+  order: [['expiresAt', 'DESC']]
+});
+
+/**
+ * Whether a patient (by primary key) is on the user's care team.
+ * Emergency grants do not count: use this where acting on the patient would
+ * extend the care team, such as booking an appointment.
+ */
+export const isOnCareTeam = async (user, patientId) => {
+  if (!patientId) return false;
+
+  const scope = accessiblePatientIds(user);
+  if (!scope) return true;
+
+  const count = await Patient.count({
+    where: scopeToCareTeam({ id: patientId }, user, 'id')
+  });
+  return count > 0;
+};
+
+/**
+ * Whether a user may access a single patient (by primary key).
+ * Care-team membership is checked first; failing that, an active emergency grant
+ * lets the request through and the use is recorded on the grant.
+ * `req` is the current request, used to log what the grant was used for.
+ */
+export const canAccessPatientRecord = async (user, patientId, req) => {
+  if (!patientId) return false;
+
+  if (await isOnCareTeam(user, patientId)) return true;
+
+  if (!EMERGENCY_ROLES.includes(user.role)) return false;
+
+  const grant = await findActiveEmergencyAccess(user, patientId);
+  if (!grant) return false;
+
+  await grant.update({
+    accessCount: grant.accessCount + 1,
+    lastAccessedAt: new Date(),
+    accessLog: [
+      ...(grant.accessLog || []),
+      { at: new Date(), method: req?.method || null, path: req?.originalUrl || null }
+    ]
+  });
+  return true;
+};
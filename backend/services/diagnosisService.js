@@ -0,0 +1,160 @@
+import Patient from '../models/Patient.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
+import LabOrder from '../models/LabOrder.pg.js';
+import { getActiveRuleSet } from './knowledgeBaseService.js';
+import { raiseSevereMalariaAlert } from './alertService.js';
+import { engineInputsFrom } from './labCatalog.js';
+import { runRuleEngine } from '../shared/ruleEngine.js';
+
+// Per-disease test results as the rule engine expects them
+export const testResultsFrom = (malariaAssessment, typhoidAssessment) => ({
+  malaria: malariaAssessment?.testResults,
+  typhoid: typhoidAssessment?.testResults
+});
+
+// Fields of a rule-engine assessment stored on the diagnosis
+export const storedAssessment = ({ riskLevel, probability, interval }) => ({ riskLevel, probability, interval });
+
+// Severe malaria danger signs stored on the malaria assessment
+export const storedDangerSigns = ({ urgentReferral, criteria }) => ({ urgentReferral, dangerSigns: criteria });
+
+// Reasoning traces stored with the diagnosis, per disease
+export const explanationFrom = assessments => Object.fromEntries(
+  Object.entries(assessments).map(([disease, assessment]) => [disease, assessment.trace])
+);
+
+const mergeByDisease = (target, source) => {
+  Object.entries(source).forEach(([disease, values]) => {
+    target[disease] = { ...target[disease], ...values };
+  });
+};
+
+/**
+ * Rule-engine inputs from the lab results of an encounter, keyed by disease:
+ * { testResults: { dengue: { ns1Antigen: 'positive' } }, details: { malaria: { species } } }.
+ * When a test was resulted more than once the latest result counts.
+ */
+export const encounterLabResults = async (appointmentId, transaction) => {
+  const testResults = {};
+  const details = {};
+  if (!appointmentId) return { testResults, details };
+
+  const orders = await LabOrder.findAll({
+    where: { appointmentId, status: 'resulted' },
+    order: [['resultedAt', 'ASC']],
+    transaction
+  });
+  orders.forEach((order) => {
+    const values = Object.fromEntries(order.results.map(({ key, value }) => [key, value]));
+    const inputs = engineInputsFrom(order.test, values);
+    mergeByDisease(testResults, inputs.testResults);
+    mergeByDisease(details, inputs.details);
+  });
+
+  return { testResults, details };
+};
+
+/**
+ * The patient's G6PD status from their latest G6PD lab result, or undefined
+ * when none has been entered
+ */
+export const recordedG6pdStatus = async (patientId) => {
+  const order = await LabOrder.findOne({
+    where: { patientId, test: 'g6pd', status: 'resulted' },
+    order: [['resultedAt', 'DESC']]
+  });
+  return order?.results.find(({ key }) => key === 'status')?.value;
+};
+
+/**
+ * Score a diagnosis's findings with the published knowledge base. The
+ * encounter's lab results are added to the test results entered on the
+ * malaria and typhoid assessments, which take precedence.
+ * Returns the rule engine's result, the rule set used and the diagnosis
+ * fields to store. Pass `transaction` to read lab results saved in it.
+ */
+export const assessDiagnosis = async ({ symptoms, malariaAssessment = {}, typhoidAssessment = {}, context, appointmentId, transaction }) => {
+  const lab = await encounterLabResults(appointmentId, transaction);
+  const entered = testResultsFrom(malariaAssessment, typhoidAssessment);
+  const testResults = { ...lab.testResults };
+  mergeByDisease(testResults, { malaria: entered.malaria || {}, typhoid: entered.typhoid || {} });
+
+  const ruleSet = await getActiveRuleSet();
+  const result = runRuleEngine({ symptoms, testResults, context: context || undefined }, ruleSet);
+
+  return {
+    ...result,
+    ruleSet,
+    fields: {
+      malariaAssessment: {
+        ...lab.details.malaria,
+        ...malariaAssessment,
+        testResults: testResults.malaria,
+        ...storedAssessment(result.assessments.malaria),
+        ...storedDangerSigns(result.dangerSigns)
+      },
+      typhoidAssessment: {
+        ...typhoidAssessment,
+        testResults: testResults.typhoid,
+        ...storedAssessment(result.assessments.typhoid)
+      },
+      rulesVersion: ruleSet.version,
+      explanation: explanationFrom(result.assessments),
+      epidemiologicalContext: context || null
+    }
+  };
+};
+
+/**
+ * Re-run the assessment of an encounter's diagnosis after a lab result is
+ * entered. The result's malaria and typhoid values replace those stored on the
+ * diagnosis; results for the other diseases are read from the encounter's
+ * lab orders when it is scored. The treating doctor is alerted the first time
+ * the diagnosis meets the severe malaria criteria. Run it in the transaction
+ * that saves the result, so a failed reassessment leaves the order unresulted.
+ * Returns null when no diagnosis has been recorded for the encounter yet.
+ */
+export const reassessEncounter = async (order, values, user, transaction) => {
+  const diagnosis = await Diagnosis.findOne({
+    where: { appointmentId: order.appointmentId, patientId: order.patientId },
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+  if (!diagnosis) return null;
+
+  const { testResults, details } = engineInputsFrom(order.test, values);
+  const withResult = (assessment, disease) => ({
+    ...assessment,
+    ...details[disease],
+    testResults: { ...assessment?.testResults, ...testResults[disease] }
+  });
+
+  const { assessments, differential, dangerSigns, ruleSet, fields } = await assessDiagnosis({
+    symptoms: diagnosis.symptoms,
+    malariaAssessment: withResult(diagnosis.malariaAssessment, 'malaria'),
+    typhoidAssessment: withResult(diagnosis.typhoidAssessment, 'typhoid'),
+    context: diagnosis.epidemiologicalContext,
+    appointmentId: diagnosis.appointmentId,
+    transaction
+  });
+
+  const alreadyReferred = diagnosis.malariaAssessment?.urgentReferral;
+  await diagnosis.update(fields, { transaction });
+  const alert = alreadyReferred ? null : await raiseSevereMalariaAlert({
+    dangerSigns,
+    patient: await Patient.findByPk(diagnosis.patientId, { transaction }),
+    diagnosisId: diagnosis.id,
+    user,
+    transaction
+  });
+
+  return {
+    diagnosis: diagnosis.id,
+    version: ruleSet.version,
+    malaria: assessments.malaria,
+    typhoid: assessments.typhoid,
+    differential,
+    dangerSigns,
+    alert: alert?.id || null
+  };
+};
@@ -0,0 +1,125 @@
+/**
+ * Local drug knowledge base
+ *
+ * The drugs prescribed for febrile illness here and the common drugs they are
+ * given alongside: each drug's active ingredients and classes, which allergy
+ * classes cross-react, and which pairs interact. Classes double as tags (e.g.
+ * 'qt-prolonging', 'antimalarial') so one rule can cover a whole group.
+ */
+
+export const DRUGS = {
+  // Antimalarials
+  'artemether-lumefantrine': { ingredients: ['artemether', 'lumefantrine'], classes: ['antimalarial', 'artemisinin', 'qt-prolonging', 'cyp3a4-substrate'], aliases: ['coartem', 'riamet', 'al'] },
+  artesunate: { ingredients: ['artesunate'], classes: ['antimalarial', 'artemisinin'] },
+  'artesunate-amodiaquine': { ingredients: ['artesunate', 'amodiaquine'], classes: ['antimalarial', 'artemisinin', '4-aminoquinoline'], aliases: ['asaq'] },
+  'dihydroartemisinin-piperaquine': { ingredients: ['dihydroartemisinin', 'piperaquine'], classes: ['antimalarial', 'artemisinin', 'qt-prolonging'], aliases: ['dha-ppq', 'eurartesim'] },
+  chloroquine: { ingredients: ['chloroquine'], classes: ['antimalarial', '4-aminoquinoline', 'qt-prolonging'] },
+  quinine: { ingredients: ['quinine'], classes: ['antimalarial', 'cinchona-alkaloid', 'qt-prolonging'] },
+  mefloquine: { ingredients: ['mefloquine'], classes: ['antimalarial', 'qt-prolonging'], aliases: ['lariam'] },
+  primaquine: { ingredients: ['primaquine'], classes: ['antimalarial', '8-aminoquinoline', 'oxidant'] },
+  tafenoquine: { ingredients: ['tafenoquine'], classes: ['antimalarial', '8-aminoquinoline', 'oxidant'] },
+  'sulfadoxine-pyrimethamine': { ingredients: ['sulfadoxine', 'pyrimethamine'], classes: ['antimalarial', 'sulfonamide', 'antifolate'], aliases: ['sp', 'fansidar'] },
+  // Antibiotics
+  azithromycin: { ingredients: ['azithromycin'], classes: ['macrolide', 'qt-prolonging'], aliases: ['zithromax'] },
+  erythromycin: { ingredients: ['erythromycin'], classes: ['macrolide', 'qt-prolonging', 'cyp3a4-inhibitor'] },
+  clarithromycin: { ingredients: ['clarithromycin'], classes: ['macrolide', 'qt-prolonging', 'cyp3a4-inhibitor'] },
+  ciprofloxacin: { ingredients: ['ciprofloxacin'], classes: ['fluoroquinolone', 'qt-prolonging'], aliases: ['cipro'] },
+  levofloxacin: { ingredients: ['levofloxacin'], classes: ['fluoroquinolone', 'qt-prolonging'] },
+  ofloxacin: { ingredients: ['ofloxacin'], classes: ['fluoroquinolone', 'qt-prolonging'] },
+  ceftriaxone: { ingredients: ['ceftriaxone'], classes: ['cephalosporin', 'beta-lactam'], aliases: ['rocephin'] },
+  cefixime: { ingredients: ['cefixime'], classes: ['cephalosporin', 'beta-lactam'] },
+  cefuroxime: { ingredients: ['cefuroxime'], classes: ['cephalosporin', 'beta-lactam'] },
+  amoxicillin: { ingredients: ['amoxicillin'], classes: ['penicillin', 'beta-lactam'], aliases: ['amoxil'] },
+  'amoxicillin-clavulanate': { ingredients: ['amoxicillin', 'clavulanic acid'], classes: ['penicillin', 'beta-lactam'], aliases: ['co-amoxiclav', 'augmentin'] },
+  ampicillin: { ingredients: ['ampicillin'], classes: ['penicillin', 'beta-lactam'] },
+  benzylpenicillin: { ingredients: ['benzylpenicillin'], classes: ['penicillin', 'beta-lactam'], aliases: ['penicillin g'] },
+  meropenem: { ingredients: ['meropenem'], classes: ['carbapenem', 'beta-lactam'] },
+  'co-trimoxazole': { ingredients: ['sulfamethoxazole', 'trimethoprim'], classes: ['sulfonamide', 'antifolate'], aliases: ['cotrimoxazole', 'bactrim', 'septrin', 'sulfamethoxazole-trimethoprim'] },
+  chloramphenicol: { ingredients: ['chloramphenicol'], classes: ['amphenicol'] },
+  doxycycline: { ingredients: ['doxycycline'], classes: ['tetracycline'] },
+  nitrofurantoin: { ingredients: ['nitrofurantoin'], classes: ['nitrofuran'] },
+  metronidazole: { ingredients: ['metronidazole'], classes: ['nitroimidazole'], aliases: ['flagyl'] },
+  rifampicin: { ingredients: ['rifampicin'], classes: ['rifamycin', 'cyp3a4-inducer'], aliases: ['rifampin'] },
+  // Analgesics and other common co-medication
+  paracetamol: { ingredients: ['paracetamol'], classes: ['analgesic'], aliases: ['acetaminophen', 'panadol'] },
+  ibuprofen: { ingredients: ['ibuprofen'], classes: ['nsaid'], aliases: ['brufen'] },
+  diclofenac: { ingredients: ['diclofenac'], classes: ['nsaid'] },
+  aspirin: { ingredients: ['acetylsalicylic acid'], classes: ['nsaid', 'salicylate'], aliases: ['acetylsalicylic acid'] },
+  warfarin: { ingredients: ['warfarin'], classes: ['anticoagulant'] },
+  methotrexate: { ingredients: ['methotrexate'], classes: ['antifolate'] },
+  efavirenz: { ingredients: ['efavirenz'], classes: ['nnrti', 'cyp3a4-inducer'] },
+  ondansetron: { ingredients: ['ondansetron'], classes: ['antiemetic', 'qt-prolonging'] },
+  amiodarone: { ingredients: ['amiodarone'], classes: ['antiarrhythmic', 'qt-prolonging'] },
+  haloperidol: { ingredients: ['haloperidol'], classes: ['antipsychotic', 'qt-prolonging'] },
+};
+
+// How allergies are commonly recorded, mapped to a class in DRUGS
+export const ALLERGY_CLASS_ALIASES = {
+  penicillins: 'penicillin',
+  cephalosporins: 'cephalosporin',
+  carbapenems: 'carbapenem',
+  'beta-lactams': 'beta-lactam',
+  sulfa: 'sulfonamide',
+  sulpha: 'sulfonamide',
+  sulfonamides: 'sulfonamide',
+  'sulfa drugs': 'sulfonamide',
+  macrolides: 'macrolide',
+  quinolones: 'fluoroquinolone',
+  fluoroquinolones: 'fluoroquinolone',
+  tetracyclines: 'tetracycline',
+  nsaids: 'nsaid',
+  artemisinins: 'artemisinin',
+};
+
+// Classes that can cross-react in a patient allergic to the other; a warning, not a block
+export const CROSS_REACTIVITY = [
+  { classes: ['penicillin', 'cephalosporin'], message: 'Penicillin and cephalosporin allergies cross-react in about 1-2% of patients' },
+  { classes: ['penicillin', 'carbapenem'], message: 'Penicillin and carbapenem allergies rarely cross-react (under 1%)' },
+  { classes: ['cephalosporin', 'carbapenem'], message: 'Cephalosporin and carbapenem allergies rarely cross-react' },
+];
+
+/**
+ * Pairwise interactions. Each side names a drug or a class; contraindicated
+ * pairs block the prescription, major and moderate ones need an override reason.
+ */
+export const INTERACTIONS = [
+  { between: ['artemether-lumefantrine', 'cyp3a4-inducer'], severity: 'contraindicated', message: 'Enzyme inducers cut lumefantrine levels and cause treatment failure' },
+  { between: ['antifolate', 'antifolate'], severity: 'contraindicated', message: 'Two antifolates together risk bone marrow suppression' },
+  { between: ['qt-prolonging', 'qt-prolonging'], severity: 'major', message: 'Both prolong the QT interval; risk of arrhythmia - check an ECG and electrolytes' },
+  { between: ['cyp3a4-substrate', 'cyp3a4-inhibitor'], severity: 'major', message: 'CYP3A4 inhibition raises lumefantrine levels and QT risk' },
+  { between: ['anticoagulant', 'fluoroquinolone'], severity: 'major', message: 'Raises the INR; monitor closely for bleeding' },
+  { between: ['anticoagulant', 'macrolide'], severity: 'major', message: 'Raises the INR; monitor closely for bleeding' },
+  { between: ['anticoagulant', 'sulfonamide'], severity: 'major', message: 'Raises the INR; monitor closely for bleeding' },
+  { between: ['anticoagulant', 'nitroimidazole'], severity: 'major', message: 'Raises the INR; monitor closely for bleeding' },
+  { between: ['anticoagulant', 'nsaid'], severity: 'major', message: 'Additive bleeding risk' },
+  { between: ['nsaid', 'nsaid'], severity: 'moderate', message: 'Two NSAIDs add gastrointestinal and renal toxicity without added benefit' },
+  { between: ['mefloquine', 'quinine'], severity: 'major', message: 'Risk of seizures and cardiotoxicity; wait 12 hours after the last quinine dose' },
+];
+
+// Abbreviations this short ('al', 'sp') are common in other words and free text,
+// so they only count as the whole medication name
+const WHOLE_NAME_MAX_LENGTH = 2;
+
+// Drug names and aliases, longest first so combinations win over their parts
+const DRUG_TERMS = Object.entries(DRUGS)
+  .flatMap(([key, drug]) => [key, ...(drug.aliases || [])]
+    .map(term => ({ term, key, wholeName: term.length <= WHOLE_NAME_MAX_LENGTH })))
+  .sort((a, b) => b.term.length - a.term.length);
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (text, term) => new RegExp(`(^|[^a-z])${escape(term)}($|[^a-z])`).test(text);
+
+/**
+ * Drug key for a free-text medication name such as 'Azithromycin 500 mg tablet'
+ * or 'Coartem', or null when the drug is not in the knowledge base
+ */
+export const resolveDrug = (text) => {
+  const normalized = String(text || '').trim().toLowerCase();
+  if (!normalized) return null;
+  return DRUG_TERMS.find(({ term, wholeName }) => (wholeName ? normalized === term : mentions(normalized, term)))?.key || null;
+};
+
+/**
+ * Whether a drug matches an interaction side: the drug itself or one of its classes
+ */
+export const drugMatches = (key, side) => key === side || DRUGS[key].classes.includes(side);
@@ -0,0 +1,344 @@
+import { Op } from 'sequelize';
+import Prescription from '../models/Prescription.pg.js';
+import PrescriptionItem from '../models/PrescriptionItem.pg.js';
+import LabOrder from '../models/LabOrder.pg.js';
+import {
+  DRUGS,
+  ALLERGY_CLASS_ALIASES,
+  CROSS_REACTIVITY,
+  INTERACTIONS,
+  resolveDrug,
+  drugMatches
+} from './drugKnowledgeBase.js';
+import { RELAPSING_SPECIES, FALCIPARUM_SPECIES } from './treatmentService.js';
+import { SUSCEPTIBILITY_PANEL, LAB_TESTS, CULTURE_TESTS, isolateFrom } from './labCatalog.js';
+
+/**
+ * Allergy, drug-interaction, malaria species and culture susceptibility checks
+ * for prescriptions
+ *
+ * Each finding has a stable code so a doctor's override can be matched to it
+ * again on a later update. Errors block the prescription outright; warnings
+ * need an override with a reason, which is saved on the prescription.
+ */
+
+// Prescriptions written this recently (and not cancelled) count as current medication
+export const ACTIVE_PRESCRIPTION_DAYS = 30;
+
+// Culture isolates resulted this recently are checked against new antibiotics
+export const RECENT_CULTURE_DAYS = 30;
+
+// Classes an allergy to one member extends to; interaction-only tags such as
+// 'qt-prolonging' are deliberately left out
+const ALLERGY_CLASSES = new Set(Object.values(ALLERGY_CLASS_ALIASES));
+
+const KNOWN_CLASSES = new Set(Object.values(DRUGS).flatMap(drug => drug.classes));
+
+const SEVERITY_RANK = { moderate: 1, major: 2, contraindicated: 3 };
+
+const normalize = text => String(text || '').trim().toLowerCase();
+
+// Drug key for a prescribed medication, by brand/trade name first, then generic name
+const drugKeyFor = medication => resolveDrug(medication.name) || resolveDrug(medication.genericName);
+
+/**
+ * What a recorded allergy covers: the drug it names (if known), that drug's
+ * ingredients, and the classes it extends to. 'Sulfa' or 'penicillins' name a
+ * class directly.
+ */
+export const allergyProfile = (allergy) => {
+  const text = normalize(allergy);
+  const namedClass = ALLERGY_CLASS_ALIASES[text] || (KNOWN_CLASSES.has(text) ? text : null);
+  if (namedClass) {
+    return { allergy: text, drug: null, ingredients: [], classes: [namedClass] };
+  }
+
+  const drug = resolveDrug(text);
+  return {
+    allergy: text,
+    drug,
+    ingredients: drug ? DRUGS[drug].ingredients : [],
+    classes: drug ? DRUGS[drug].classes.filter(cls => ALLERGY_CLASSES.has(cls)) : []
+  };
+};
+
+const allergyFinding = (profile, medication, key) => {
+  const drug = key ? DRUGS[key] : null;
+
+  if (!drug) {
+    // Unknown to the knowledge base: fall back to the names as written
+    const names = [medication.name, medication.genericName].map(normalize);
+    if (!names.some(name => name && (name.includes(profile.allergy) || (profile.drug && name.includes(profile.drug))))) {
+      return null;
+    }
+    return {
+      code: `allergy:${profile.allergy}:${normalize(medication.name)}`,
+      type: 'allergy',
+      severity: 'contraindicated',
+      medications: [medication.name],
+      message: `${medication.name} matches the patient's recorded allergy to ${profile.allergy}`
+    };
+  }
+
+  const sharedIngredient = drug.ingredients.find(ingredient => profile.ingredients.includes(ingredient));
+  const sharedClass = drug.classes.find(cls => profile.classes.includes(cls));
+  if (profile.drug === key || sharedIngredient || sharedClass) {
+    const reason = profile.drug === key || sharedIngredient
+      ? `contains ${sharedIngredient || key}`
+      : `is a ${sharedClass}`;
+    return {
+      code: `allergy:${profile.allergy}:${key}`,
+      type: 'allergy',
+      severity: 'contraindicated',
+      medications: [medication.name],
+      message: `Patient is allergic to ${profile.allergy}; ${medication.name} ${reason}`
+    };
+  }
+
+  const crossReaction = CROSS_REACTIVITY.find(({ classes: [a, b] }) =>
+    (profile.classes.includes(a) && drug.classes.includes(b))
+    || (profile.classes.includes(b) && drug.classes.includes(a)));
+  if (crossReaction) {
+    return {
+      code: `cross-reactivity:${profile.allergy}:${key}`,
+      type: 'cross-reactivity',
+      severity: 'major',
+      medications: [medication.name],
+      message: `Patient is allergic to ${profile.allergy}: ${crossReaction.message}`
+    };
+  }
+
+  return null;
+};
+
+// Most severe interaction rule between two drugs, or null
+const interactionBetween = (keyA, keyB) => {
+  const rules = INTERACTIONS.filter(({ between: [a, b] }) =>
+    (drugMatches(keyA, a) && drugMatches(keyB, b)) || (drugMatches(keyA, b) && drugMatches(keyB, a)));
+  if (rules.length === 0) return null;
+
+  const severity = rules.reduce((worst, rule) =>
+    (SEVERITY_RANK[rule.severity] > SEVERITY_RANK[worst] ? rule.severity : worst), 'moderate');
+  return { severity, message: rules.map(rule => rule.message).join('. ') };
+};
+
+const interactionFinding = (first, second) => {
+  const interaction = interactionBetween(first.key, second.key);
+  if (!interaction) return null;
+
+  const current = second.prescriptionId ? ` (current medication, ${second.prescriptionId})` : '';
+  return {
+    code: `interaction:${[first.key, second.key].sort().join('+')}`,
+    type: 'interaction',
+    severity: interaction.severity,
+    medications: [first.name, second.name],
+    message: `${first.name} + ${second.name}${current}: ${interaction.message}`
+  };
+};
+
+const hasClass = (medications, cls) => medications.some(({ key }) => DRUGS[key].classes.includes(cls));
+
+/**
+ * Clinical decision support for an antimalarial prescription against the malaria
+ * species recorded on its diagnosis: P. falciparum and mixed infections need an
+ * artemisinin-based combination (or quinine), P. vivax and P. ovale need
+ * primaquine radical cure as well as a blood-stage drug, and P. malariae needs
+ * no primaquine. Prescriptions without an antimalarial are not checked.
+ * medications: prescribed medications with their drug key
+ */
+export const speciesFindings = (medications, species) => {
+  const antimalarials = medications.filter(({ key }) => DRUGS[key].classes.includes('antimalarial'));
+  if (!species || antimalarials.length === 0) return [];
+
+  const label = species === 'mixed' ? 'Mixed-species malaria' : species;
+  const names = list => list.map(({ name }) => name);
+  const finding = (problem, severity, involved, message) => ({
+    code: `species:${normalize(species).replace(/[^a-z]+/g, '-')}:${problem}`,
+    type: 'species',
+    severity,
+    medications: names(involved),
+    message
+  });
+
+  const radicalCure = antimalarials.filter(({ key }) => DRUGS[key].classes.includes('8-aminoquinoline'));
+  const bloodStage = antimalarials.filter(medication => !radicalCure.includes(medication));
+  const findings = [];
+
+  if (FALCIPARUM_SPECIES.includes(species) && bloodStage.length > 0
+    && !hasClass(bloodStage, 'artemisinin') && !hasClass(bloodStage, 'cinchona-alkaloid')) {
+    findings.push(finding('no-act', 'major', bloodStage,
+      `${label} needs an artemisinin-based combination; ${names(bloodStage).join(', ')} will not clear P. falciparum reliably`));
+  }
+  if (radicalCure.length > 0 && bloodStage.length === 0) {
+    findings.push(finding('no-blood-stage', 'major', radicalCure,
+      `${names(radicalCure).join(', ')} does not clear blood-stage parasites; prescribe an ACT for the ${label} infection as well`));
+  }
+  if (RELAPSING_SPECIES.includes(species) && radicalCure.length === 0) {
+    findings.push(finding('no-radical-cure', 'moderate', bloodStage,
+      `${label} relapses from dormant liver stages; add primaquine radical cure once G6PD status is known, or give the reason it is deferred (e.g. pregnancy or an infant under 6 months)`));
+  }
+  if (species === 'P. malariae' && radicalCure.length > 0) {
+    findings.push(finding('unneeded-radical-cure', 'moderate', radicalCure,
+      `P. malariae has no dormant liver stage; ${names(radicalCure).join(', ')} is not needed`));
+  }
+
+  return findings;
+};
+
+/**
+ * Antibiotics an isolate from the patient's recent cultures is resistant (major)
+ * or intermediate (moderate) to, read across to the drugs and classes each
+ * panel result covers.
+ * medications: prescribed medications with their drug key
+ * isolates: [{ orderId, test, organism, susceptibility }] (see recentIsolatesFor)
+ */
+export const resistanceFindings = (medications, isolates) => medications.flatMap(medication =>
+  isolates.flatMap(isolate => SUSCEPTIBILITY_PANEL
+    .filter(({ key, covers }) => ['resistant', 'intermediate'].includes(isolate.susceptibility[key])
+      && covers.some(side => drugMatches(medication.key, side)))
+    .map(({ key, label, drug }) => {
+      const outcome = isolate.susceptibility[key];
+      const readAcross = medication.key === drug ? '' : ` (tested with ${label})`;
+      return {
+        code: `resistance:${isolate.orderId}:${medication.key}`,
+        type: 'resistance',
+        severity: outcome === 'resistant' ? 'major' : 'moderate',
+        medications: [medication.name],
+        message: `${isolate.organism} from ${LAB_TESTS[isolate.test].label.toLowerCase()} ${isolate.orderId} is ${outcome} to ${medication.name}${readAcross}`
+      };
+    })));
+
+/**
+ * Check a medication list against the patient's allergies and current medication,
+ * antibiotics against their recent culture isolates, and antimalarials against
+ * the malaria species on the prescription's diagnosis.
+ * medications: [{ name, genericName }] being prescribed
+ * allergies: the patient's recorded allergies (strings)
+ * otherMedications: [{ name, genericName, prescriptionId }] from the patient's other
+ * current prescriptions
+ * isolates: the patient's recent culture isolates (see recentIsolatesFor)
+ * species: malariaAssessment.species of the diagnosis, if any
+ * Returns { errors, warnings }: contraindications block, the rest need an override.
+ */
+export const checkPrescription = ({ medications, allergies = [], otherMedications = [], isolates = [], species = null }) => {
+  const findings = [];
+
+  const profiles = allergies.filter(allergy => normalize(allergy)).map(allergyProfile);
+  medications.forEach(medication => {
+    const key = drugKeyFor(medication);
+    profiles.forEach(profile => {
+      const finding = allergyFinding(profile, medication, key);
+      if (finding) findings.push(finding);
+    });
+  });
+
+  const known = list => list
+    .map(medication => ({ ...medication, key: drugKeyFor(medication) }))
+    .filter(medication => medication.key);
+  const prescribed = known(medications);
+  const current = known(otherMedications);
+
+  prescribed.forEach((first, index) => {
+    [...prescribed.slice(index + 1), ...current].forEach(second => {
+      if (first.key === second.key) return;
+      const finding = interactionFinding(first, second);
+      if (finding) findings.push(finding);
+    });
+  });
+  findings.push(...resistanceFindings(prescribed, isolates));
+  findings.push(...speciesFindings(prescribed, species));
+
+  // One finding per code, e.g. when several current prescriptions hold the same drug
+  const unique = findings.filter((finding, index) =>
+    findings.findIndex(other => other.code === finding.code) === index);
+
+  return {
+    errors: unique.filter(finding => finding.severity === 'contraindicated'),
+    warnings: unique.filter(finding => finding.severity !== 'contraindicated')
+  };
+};
+
+/**
+ * Overrides for a check's warnings. Each warning needs an override with a reason,
+ * either in this request ([{ code, reason }]) or saved on the prescription
+ * already. Returns { overrides, missing }: the overrides to save, and the
+ * warnings that still have none.
+ */
+export const resolveOverrides = (warnings, requested = [], saved = [], user) => {
+  const overrides = [];
+  const missing = [];
+
+  warnings.forEach(warning => {
+    const override = requested.find(item => item.code === warning.code);
+    if (override) {
+      overrides.push({
+        code: warning.code,
+        message: warning.message,
+        reason: override.reason,
+        overriddenById: user.id,
+        overriddenAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    const previous = saved.find(item => item.code === warning.code);
+    if (previous) overrides.push(previous);
+    else missing.push(warning);
+  });
+
+  return { overrides, missing };
+};
+
+/**
+ * Warning messages for a prescribed medication, for its line item
+ */
+export const warningsFor = (medication, warnings) => warnings
+  .filter(warning => warning.medications.includes(medication.name))
+  .map(warning => warning.message);
+
+/**
+ * Medication on the patient's other current prescriptions: written in the last
+ * ACTIVE_PRESCRIPTION_DAYS days and not cancelled
+ */
+export const currentMedicationsFor = async (patientId, excludePrescriptionId = null) => {
+  const since = new Date(Date.now() - ACTIVE_PRESCRIPTION_DAYS * 24 * 60 * 60 * 1000);
+  const where = {
+    patientId,
+    status: { [Op.ne]: 'cancelled' },
+    createdAt: { [Op.gte]: since }
+  };
+  if (excludePrescriptionId) where.id = { [Op.ne]: excludePrescriptionId };
+
+  const prescriptions = await Prescription.findAll({
+    where,
+    attributes: ['id', 'prescriptionId'],
+    include: [{ model: PrescriptionItem, as: 'medications', attributes: ['name', 'genericName'] }]
+  });
+
+  return prescriptions.flatMap(prescription => prescription.medications.map(item => ({
+    name: item.name,
+    genericName: item.genericName,
+    prescriptionId: prescription.prescriptionId
+  })));
+};
+
+/**
+ * Isolates with a susceptibility panel from the patient's cultures resulted in
+ * the last RECENT_CULTURE_DAYS days
+ */
+export const recentIsolatesFor = async (patientId) => {
+  const since = new Date(Date.now() - RECENT_CULTURE_DAYS * 24 * 60 * 60 * 1000);
+  const orders = await LabOrder.findAll({
+    where: {
+      patientId,
+      test: { [Op.in]: CULTURE_TESTS },
+      status: 'resulted',
+      resultedAt: { [Op.gte]: since }
+    },
+    attributes: ['orderId', 'test', 'results']
+  });
+
+  return orders
+    .map(order => ({ orderId: order.orderId, test: order.test, ...isolateFrom(order) }))
+    .filter(isolate => isolate.susceptibility);
+};
@@ -0,0 +1,291 @@
+import { runRuleEngine } from '../shared/ruleEngine.js';
+
+/**
+ * Offline evaluation of the diagnostic rules
+ *
+ * Scores a file of labelled cases (symptoms, test results and the confirmed
+ * diagnosis) with a rule set and measures, per disease, how well the risk
+ * rating agrees with the confirmed diagnoses. Two rule sets scored on the same
+ * cases can be compared before a knowledge base draft is published.
+ */
+
+// Confirmed diagnosis of a case that has none of the rule set's diseases
+export const OTHER = 'other';
+
+const RISK_ORDER = ['low', 'moderate', 'high'];
+const NO_DIAGNOSIS = ['', 'none', OTHER];
+const TEST_OUTCOMES = ['positive', 'negative'];
+
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+const list = value => (Array.isArray(value) ? value : String(value ?? '').split(';'))
+  .map(item => (typeof item === 'string' ? item.trim() : item))
+  .filter(Boolean);
+
+/**
+ * Split CSV text into rows of cells; quoted cells may hold commas, quotes ("") and newlines
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+// 'fever:severe' or { symptom, severity } into the engine's symptom entry
+const toSymptom = (entry) => {
+  if (typeof entry !== 'string') return entry;
+  const [symptom, severity] = entry.split(':').map(part => part.trim());
+  return severity ? { symptom, severity } : symptom;
+};
+
+/**
+ * A labelled case in the shape the evaluation uses:
+ * { id, input (rule engine input), diagnoses (confirmed disease keys, [] for none) }
+ */
+export const toCase = (record, index) => {
+  const diagnoses = list(record.diagnosis ?? record.diagnoses)
+    .map(diagnosis => diagnosis.toLowerCase().replace(/[\s-]+/g, '_'))
+    .filter(diagnosis => !NO_DIAGNOSIS.includes(diagnosis));
+
+  return {
+    id: record.id ? String(record.id) : String(index + 1),
+    input: {
+      symptoms: list(record.symptoms).map(toSymptom),
+      absentSymptoms: list(record.absentSymptoms),
+      feverPattern: record.feverPattern || undefined,
+      feverDays: record.feverDays === undefined || record.feverDays === '' ? undefined : Number(record.feverDays),
+      testResults: record.testResults || {}
+    },
+    diagnoses: [...new Set(diagnoses)]
+  };
+};
+
+// CSV test columns are named <disease>.<test>, e.g. malaria.rapidTest or malaria.parasiteCount
+const csvRecord = (header, cells) => {
+  const record = { testResults: {} };
+  header.forEach((column, index) => {
+    const value = (cells[index] ?? '').trim();
+    const [disease, test] = column.split('.');
+    if (test) {
+      if (!value) return;
+      record.testResults[disease] = record.testResults[disease] || {};
+      record.testResults[disease][test] = TEST_OUTCOMES.includes(value.toLowerCase()) ? value.toLowerCase() : Number(value);
+    } else {
+      record[column] = value;
+    }
+  });
+  return record;
+};
+
+/**
+ * Parse a labelled case file: a JSON array, one JSON case per line, or CSV with
+ * a header row. Columns / fields: id, symptoms (';'-separated, 'name:severity'
+ * for a severity), absentSymptoms, feverDays, feverPattern, test results
+ * (testResults in JSON, <disease>.<test> columns in CSV) and diagnosis (the
+ * confirmed disease keys, ';'-separated, or 'none').
+ */
+export const parseCases = (text, format) => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  const json = format ? format === 'json' : /^[[{]/.test(trimmed);
+  let records;
+  if (!json) {
+    const [header, ...rows] = parseCsv(trimmed);
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('diagnosis')) {
+      throw new Error('The CSV header needs a diagnosis column');
+    }
+    records = rows.map(cells => csvRecord(columns, cells));
+  } else if (trimmed.startsWith('[')) {
+    records = JSON.parse(trimmed);
+  } else {
+    records = trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  return records.map((record, index) => {
+    if (record.diagnosis === undefined && record.diagnoses === undefined) {
+      throw new Error(`Case ${record.id ?? index + 1}: a confirmed diagnosis is required (use 'none' if there is none)`);
+    }
+    return toCase(record, index);
+  });
+};
+
+const atOrAbove = (riskLevel, positiveAt) => RISK_ORDER.indexOf(riskLevel) >= RISK_ORDER.indexOf(positiveAt);
+
+// Equal-width probability bins: how often the disease was confirmed at each predicted probability
+const calibrationFor = (scored, bins) => {
+  const table = Array.from({ length: bins }, (_, index) => ({
+    range: [round(index / bins), round((index + 1) / bins)],
+    cases: 0,
+    predicted: 0,
+    confirmed: 0
+  }));
+  scored.forEach(({ probability, actual }) => {
+    const bin = table[Math.min(Math.floor(probability * bins), bins - 1)];
+    bin.cases += 1;
+    bin.predicted += probability;
+    bin.confirmed += actual ? 1 : 0;
+  });
+
+  const expectedError = scored.length === 0 ? null : table.reduce((sum, bin) =>
+    sum + (bin.cases === 0 ? 0 : (bin.cases / scored.length) * Math.abs(bin.predicted / bin.cases - bin.confirmed / bin.cases)), 0);
+
+  return {
+    bins: table.map(({ range, cases, predicted, confirmed }) => ({
+      range,
+      cases,
+      meanPredicted: round(ratio(predicted, cases)),
+      observed: round(ratio(confirmed, cases))
+    })),
+    expectedCalibrationError: round(expectedError),
+    brierScore: round(ratio(scored.reduce((sum, { probability, actual }) => sum + (probability - (actual ? 1 : 0)) ** 2, 0), scored.length))
+  };
+};
+
+const metricsFor = (scored, positiveAt, bins) => {
+  const confusion = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  scored.forEach(({ riskLevel, actual }) => {
+    const predicted = atOrAbove(riskLevel, positiveAt);
+    if (predicted && actual) confusion.tp += 1;
+    else if (predicted) confusion.fp += 1;
+    else if (actual) confusion.fn += 1;
+    else confusion.tn += 1;
+  });
+  const { tp, fp, fn, tn } = confusion;
+
+  return {
+    cases: scored.length,
+    confirmed: tp + fn,
+    confusion,
+    sensitivity: round(ratio(tp, tp + fn)),
+    specificity: round(ratio(tn, tn + fp)),
+    ppv: round(ratio(tp, tp + fp)),
+    npv: round(ratio(tn, tn + fn)),
+    calibration: calibrationFor(scored, bins)
+  };
+};
+
+/**
+ * Score every case with a rule set and measure each disease.
+ * A case counts as predicting a disease when its risk is at or above positiveAt
+ * ('high' or 'moderate'). The confusion matrix compares each confirmed diagnosis
+ * (a co-infection counts once per disease) with the top of the differential,
+ * or 'other' when nothing reaches positiveAt.
+ */
+export const evaluateRuleSet = (cases, ruleSet, { positiveAt = 'high', bins = 5 } = {}) => {
+  const diseases = Object.keys(ruleSet.diseases);
+  const labels = [...diseases, OTHER];
+  const matrix = Object.fromEntries(labels.map(actual => [actual, Object.fromEntries(labels.map(predicted => [predicted, 0]))]));
+
+  const predictions = cases.map(({ id, input, diagnoses }) => {
+    const result = runRuleEngine(input, ruleSet);
+    const [top] = result.differential;
+    const predicted = atOrAbove(top.riskLevel, positiveAt) ? top.disease : OTHER;
+    const actual = diagnoses.filter(diagnosis => diseases.includes(diagnosis));
+
+    (actual.length > 0 ? actual : [OTHER]).forEach(diagnosis => {
+      matrix[diagnosis][predicted] += 1;
+    });
+    return { id, diagnoses, predicted, scores: result.scores, assessments: result.assessments };
+  });
+
+  return {
+    version: ruleSet.version,
+    cases: cases.length,
+    positiveAt,
+    diseases: Object.fromEntries(diseases.map(disease => [disease, {
+      label: ruleSet.diseases[disease].label,
+      ...metricsFor(predictions.map(({ diagnoses, assessments }) => ({
+        probability: assessments[disease].probability,
+        riskLevel: assessments[disease].riskLevel,
+        actual: diagnoses.includes(disease)
+      })), positiveAt, bins)
+    }])),
+    confusionMatrix: { labels, counts: matrix },
+    accuracy: round(ratio(predictions.filter(({ diagnoses, predicted }) =>
+      (predicted === OTHER ? !diagnoses.some(diagnosis => diseases.includes(diagnosis)) : diagnoses.includes(predicted))).length, cases.length)),
+    predictions: predictions.map(({ id, diagnoses, predicted, scores }) => ({ id, diagnoses, predicted, scores }))
+  };
+};
+
+export const COMPARED_METRICS = ['sensitivity', 'specificity', 'ppv', 'npv'];
+
+/**
+ * Side-by-side metrics of two evaluations of the same cases, and the cases
+ * whose top prediction changed
+ */
+export const compareEvaluations = (baseline, candidate) => {
+  const diseases = [...new Set([...Object.keys(baseline.diseases), ...Object.keys(candidate.diseases)])];
+  const side = (evaluation, disease) => evaluation.diseases[disease] || null;
+  const metric = (before = null, after = null) => ({
+    baseline: before,
+    candidate: after,
+    change: before === null || after === null ? null : round(after - before)
+  });
+
+  return {
+    baseline: baseline.version,
+    candidate: candidate.version,
+    accuracy: metric(baseline.accuracy, candidate.accuracy),
+    diseases: Object.fromEntries(diseases.map((disease) => {
+      const before = side(baseline, disease);
+      const after = side(candidate, disease);
+      return [disease, {
+        label: (after || before).label,
+        ...Object.fromEntries(COMPARED_METRICS.map(name => [name, metric(before?.[name], after?.[name])])),
+        brierScore: metric(before?.calibration.brierScore, after?.calibration.brierScore),
+        expectedCalibrationError: metric(before?.calibration.expectedCalibrationError, after?.calibration.expectedCalibrationError)
+      }];
+    })),
+    changedCases: baseline.predictions
+      .map((prediction, index) => ({ prediction, other: candidate.predictions[index] }))
+      .filter(({ prediction, other }) => prediction.predicted !== other.predicted)
+      .map(({ prediction, other }) => ({
+        id: prediction.id,
+        diagnoses: prediction.diagnoses,
+        baseline: prediction.predicted,
+        candidate: other.predicted
+      }))
+  };
+};
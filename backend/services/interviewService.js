@@ -0,0 +1,308 @@
+import InterviewSession from '../models/InterviewSession.pg.js';
+import { getActiveRuleSet } from './knowledgeBaseService.js';
+import { runRuleEngine, normalizeSymptom } from '../shared/ruleEngine.js';
+
+/**
+ * Adaptive symptom interview
+ *
+ * After every answer the patient's findings are rescored and the next question
+ * is the one with the highest expected information gain over the hypotheses:
+ * each disease module, and "other" (none of them). How likely each answer is under
+ * each hypothesis comes from the question's base rate (how often the answer is
+ * given when it is neither disease) multiplied by the knowledge base's
+ * likelihood ratio for that finding, so edits to the rules also change which
+ * questions get asked.
+ */
+
+export const OTHER_HYPOTHESIS = 'other';
+
+// When to stop asking: a hypothesis is this likely, no question is worth asking, or enough have been asked
+export const STOPPING_RULE = {
+  confidence: 0.85,
+  minInformationGain: 0.005, // bits
+  maxQuestions: 10,
+};
+
+export const UNSURE_ANSWER = { value: 'unsure', label: 'Not sure', findings: {} };
+
+const symptomQuestion = (symptom, text, baseRate) => ({
+  id: symptom,
+  text,
+  type: 'yes_no',
+  symptom,
+  answers: [
+    { value: 'yes', label: 'Yes', baseRate, findings: { symptoms: [symptom] } },
+    { value: 'no', label: 'No', baseRate: 1 - baseRate, findings: { absentSymptoms: [symptom] } },
+  ],
+});
+
+/**
+ * Questions the interview can ask. baseRate is how often the answer is given
+ * by patients who have neither disease.
+ */
+export const QUESTION_BANK = [
+  symptomQuestion('fever', 'Do you have a fever or feel hot?', 0.5),
+  {
+    id: 'fever_duration',
+    text: 'How long have you had the fever?',
+    type: 'choice',
+    requiresFever: true,
+    answers: [
+      { value: 'up_to_3_days', label: 'Up to 3 days', baseRate: 0.5, findings: { feverDays: 2 } },
+      { value: '4_to_7_days', label: '4 to 7 days', baseRate: 0.3, findings: { feverDays: 5 } },
+      { value: '1_to_2_weeks', label: '1 to 2 weeks', baseRate: 0.12, findings: { feverDays: 10 } },
+      { value: 'over_2_weeks', label: 'More than 2 weeks', baseRate: 0.08, findings: { feverDays: 21 } },
+    ],
+  },
+  {
+    id: 'fever_pattern',
+    text: 'How does the fever behave?',
+    type: 'choice',
+    requiresFever: true,
+    answers: [
+      { value: 'cyclical', label: 'It comes and goes every day or two, with shivering then sweating', baseRate: 0.2, findings: { feverPattern: 'cyclical' } },
+      { value: 'step-ladder', label: 'It climbs a little higher each day', baseRate: 0.1, findings: { feverPattern: 'step-ladder' } },
+      { value: 'continuous', label: 'It stays high most of the time', baseRate: 0.4, findings: { feverPattern: 'continuous' } },
+      { ...UNSURE_ANSWER, baseRate: 0.3 },
+    ],
+  },
+  symptomQuestion('chills', 'Do you get chills or shivering (rigors)?', 0.2),
+  symptomQuestion('sweating', 'Do you have heavy or night sweats?', 0.2),
+  symptomQuestion('headache', 'Do you have a headache?', 0.4),
+  symptomQuestion('muscle_aches', 'Do your muscles or joints ache?', 0.3),
+  symptomQuestion('fatigue', 'Do you feel unusually tired?', 0.4),
+  symptomQuestion('weakness', 'Do you feel weak?', 0.3),
+  symptomQuestion('nausea', 'Do you feel sick (nauseous)?', 0.2),
+  symptomQuestion('vomiting', 'Have you been vomiting?', 0.15),
+  symptomQuestion('abdominal_pain', 'Do you have stomach or belly pain?', 0.2),
+  symptomQuestion('constipation', 'Are you constipated?', 0.1),
+  symptomQuestion('diarrhea', 'Do you have diarrhoea?', 0.15),
+  symptomQuestion('loss_appetite', 'Have you lost your appetite?', 0.3),
+  symptomQuestion('dry_cough', 'Do you have a dry cough?', 0.25),
+  symptomQuestion('sore_throat', 'Do you have a sore throat?', 0.25),
+  symptomQuestion('rash', 'Do you have a rash?', 0.1),
+  symptomQuestion('rose_spots', 'Do you have small pink spots on your chest or belly?', 0.02),
+  symptomQuestion('joint_pain', 'Do your joints hurt?', 0.2),
+  symptomQuestion('retro_orbital_pain', 'Do you have pain behind your eyes?', 0.05),
+  symptomQuestion('bleeding', 'Have you had unusual bleeding, such as from your gums or nose?', 0.02),
+  symptomQuestion('runny_nose', 'Do you have a runny or blocked nose?', 0.3),
+  symptomQuestion('dysuria', 'Does it burn or hurt when you pass urine?', 0.05),
+  symptomQuestion('urinary_frequency', 'Do you need to pass urine more often than usual?', 0.1),
+  symptomQuestion('flank_pain', 'Do you have pain in your back or side, below the ribs?', 0.05),
+];
+
+/**
+ * Error with an HTTP status, raised for problems the caller can fix
+ */
+export class InterviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InterviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const entropy = distribution => Object.values(distribution)
+  .filter(p => p > 0)
+  .reduce((sum, p) => sum - p * Math.log2(p), 0);
+
+/**
+ * Engine scores as one distribution over the diseases and "other": each
+ * disease is scored on its own, so its odds are read as odds against "other"
+ */
+export const hypothesisDistribution = (scores) => {
+  const weights = {
+    // Scores are rounded, so cap them below 1 to keep the odds finite
+    ...Object.fromEntries(Object.entries(scores).map(([disease, p]) => [disease, Math.min(p, 0.999) / (1 - Math.min(p, 0.999))])),
+    [OTHER_HYPOTHESIS]: 1,
+  };
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([hypothesis, weight]) => [hypothesis, weight / total]));
+};
+
+// Calibrated likelihood ratio of an answer's findings under a disease's rules
+const answerLikelihoodRatio = (rule, { symptoms = [], absentSymptoms = [], feverPattern, feverDays }) => {
+  let lr = 1;
+  symptoms.forEach((symptom) => { lr *= rule.symptoms[symptom]?.present ?? 1; });
+  absentSymptoms.forEach((symptom) => { lr *= rule.symptoms[symptom]?.absent ?? 1; });
+  if (feverPattern) lr *= rule.feverPatterns?.[feverPattern] ?? 1;
+  if (feverDays !== undefined) {
+    lr *= rule.feverDuration.find(({ maxDays }) => maxDays === undefined || feverDays <= maxDays).lr;
+  }
+  return lr ** rule.calibration;
+};
+
+// Probability of each answer under one hypothesis (rule is null for "other")
+const answerProbabilities = (question, rule) => {
+  const weights = question.answers.map(answer => answer.baseRate * (rule ? answerLikelihoodRatio(rule, answer.findings) : 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => weight / total);
+};
+
+/**
+ * Expected reduction in entropy (bits) of the hypothesis distribution from asking a question
+ */
+export const expectedInformationGain = (question, distribution, ruleSet) => {
+  const likelihoods = Object.fromEntries(Object.keys(distribution).map(hypothesis => [
+    hypothesis,
+    answerProbabilities(question, ruleSet.diseases[hypothesis] || null)
+  ]));
+
+  const expectedEntropy = question.answers.reduce((sum, answer, index) => {
+    const joint = Object.fromEntries(Object.entries(distribution).map(([hypothesis, p]) => [hypothesis, p * likelihoods[hypothesis][index]]));
+    const pAnswer = Object.values(joint).reduce((total, p) => total + p, 0);
+    if (pAnswer === 0) return sum;
+    const posterior = Object.fromEntries(Object.entries(joint).map(([hypothesis, p]) => [hypothesis, p / pAnswer]));
+    return sum + pAnswer * entropy(posterior);
+  }, 0);
+
+  return entropy(distribution) - expectedEntropy;
+};
+
+// Whether the findings already answer the question
+const isAnswered = (question, findings) => {
+  const fever = (findings.symptoms || []).find(entry => normalizeSymptom(entry) === 'fever');
+  if (question.symptom) {
+    return (findings.symptoms || []).some(entry => normalizeSymptom(entry) === question.symptom) ||
+      (findings.absentSymptoms || []).some(entry => normalizeSymptom(entry) === question.symptom);
+  }
+  if (question.id === 'fever_duration') return findings.feverDays !== undefined || fever?.duration !== undefined;
+  if (question.id === 'fever_pattern') return findings.feverPattern !== undefined || fever?.pattern !== undefined;
+  return false;
+};
+
+/**
+ * Score the findings and decide what to do next: ask the most informative
+ * remaining question, or stop (stopReason says why)
+ */
+export const planNextStep = (findings, transcript, ruleSet) => {
+  const result = runRuleEngine(findings, ruleSet);
+  const distribution = hypothesisDistribution(result.scores);
+  const outcome = {
+    distribution: Object.fromEntries(Object.entries(distribution).map(([hypothesis, p]) => [hypothesis, round(p)])),
+    scores: result.scores,
+    conclusion: result.conclusion,
+    dangerSigns: result.dangerSigns,
+  };
+
+  // Danger signs need urgent care, not more questions
+  if (result.dangerSigns.urgentReferral) {
+    return { outcome, nextQuestion: null, stopReason: 'danger_signs' };
+  }
+  if (Math.max(...Object.values(distribution)) >= STOPPING_RULE.confidence) {
+    return { outcome, nextQuestion: null, stopReason: 'confident' };
+  }
+  if (transcript.length >= STOPPING_RULE.maxQuestions) {
+    return { outcome, nextQuestion: null, stopReason: 'question_limit' };
+  }
+
+  const asked = new Set(transcript.map(entry => entry.questionId));
+  const hasFever = result.symptoms.includes('fever');
+  const [best] = QUESTION_BANK
+    .filter(question => !asked.has(question.id) && !isAnswered(question, findings) && (!question.requiresFever || hasFever))
+    .map(question => ({ question, informationGain: expectedInformationGain(question, distribution, ruleSet) }))
+    .sort((a, b) => b.informationGain - a.informationGain);
+
+  if (!best || best.informationGain < STOPPING_RULE.minInformationGain) {
+    return { outcome, nextQuestion: null, stopReason: 'no_informative_questions' };
+  }
+
+  const { question, informationGain } = best;
+  const options = question.answers.some(answer => answer.value === UNSURE_ANSWER.value)
+    ? question.answers
+    : [...question.answers, UNSURE_ANSWER];
+  return {
+    outcome,
+    nextQuestion: {
+      id: question.id,
+      text: question.text,
+      type: question.type,
+      options: options.map(({ value, label }) => ({ value, label })),
+      informationGain: round(informationGain),
+    },
+    stopReason: null,
+  };
+};
+
+// Findings with an answer's findings added
+const mergeFindings = (findings, { symptoms = [], absentSymptoms = [], ...details }) => ({
+  ...findings,
+  ...details,
+  symptoms: [...(findings.symptoms || []), ...symptoms],
+  absentSymptoms: [...(findings.absentSymptoms || []), ...absentSymptoms],
+});
+
+const applyPlan = (plan, rulesVersion) => ({
+  status: plan.nextQuestion ? 'in_progress' : 'completed',
+  pendingQuestion: plan.nextQuestion ? { ...plan.nextQuestion, askedAt: new Date().toISOString() } : null,
+  stopReason: plan.stopReason,
+  outcome: plan.outcome,
+  rulesVersion,
+});
+
+/**
+ * Start an interview from the symptoms reported so far
+ */
+export const startInterview = async ({ findings, user, patientId = null }) => {
+  const ruleSet = await getActiveRuleSet();
+  const plan = planNextStep(findings, [], ruleSet);
+
+  return InterviewSession.create({
+    userId: user.id,
+    patientId,
+    findings,
+    transcript: [],
+    ...applyPlan(plan, ruleSet.version),
+  });
+};
+
+/**
+ * Record the answer to the pending question and pick the next one
+ */
+export const answerQuestion = async (session, { questionId, answer }) => {
+  if (session.status !== 'in_progress') {
+    throw new InterviewError('This interview is already completed', 409);
+  }
+  if (session.pendingQuestion?.id !== questionId) {
+    throw new InterviewError(`Expected an answer to question '${session.pendingQuestion?.id}'`, 409);
+  }
+
+  const question = QUESTION_BANK.find(entry => entry.id === questionId);
+  const chosen = [...question.answers, UNSURE_ANSWER].find(entry => entry.value === answer);
+  if (!chosen) {
+    throw new InterviewError(`Answer must be one of: ${session.pendingQuestion.options.map(option => option.value).join(', ')}`);
+  }
+
+  const ruleSet = await getActiveRuleSet();
+  const findings = mergeFindings(session.findings, chosen.findings);
+  const transcript = [...session.transcript, {
+    questionId,
+    question: question.text,
+    answer: chosen.value,
+    answerLabel: chosen.label,
+    informationGain: session.pendingQuestion.informationGain,
+    before: session.outcome?.distribution,
+    answeredAt: new Date().toISOString(),
+  }];
+  const plan = planNextStep(findings, transcript, ruleSet);
+  transcript[transcript.length - 1].after = plan.outcome.distribution;
+
+  return session.update({ findings, transcript, ...applyPlan(plan, ruleSet.version) });
+};
+
+/**
+ * A completed interview that may be attached to a diagnosis; the check
+ * decides whether it belongs to the diagnosis being saved
+ */
+export const findAttachableSession = async (id, belongs) => {
+  const session = await InterviewSession.findByPk(id);
+  if (!session || !belongs(session)) {
+    throw new InterviewError('Interview session not found', 404);
+  }
+  if (session.status !== 'completed') {
+    throw new InterviewError('Only completed interviews can be attached to a diagnosis', 409);
+  }
+  return session;
+};
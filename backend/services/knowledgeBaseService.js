@@ -0,0 +1,405 @@
+import sequelize from '../config/database.js';
+import KnowledgeBaseVersion from '../models/KnowledgeBaseVersion.pg.js';
+import { DEFAULT_RULE_SET, FEVER_PATTERNS, normalizeSymptom } from '../shared/ruleEngine.js';
+
+/**
+ * Knowledge base service
+ *
+ * The rule set the engine scores with (priors, likelihood ratios, severity
+ * weights, risk thresholds, recommendation text and the epidemiological
+ * context's regional priors) is stored in versions.
+ * Admins edit a single draft, publish it, and can roll back to any earlier
+ * version; rollbacks publish a copy under a new number so diagnosis history
+ * always points at the exact rules that scored it.
+ */
+
+// Diagnoses store a malaria and a typhoid assessment, so every rule set must score both
+export const REQUIRED_DISEASES = ['malaria', 'typhoid'];
+
+const RISK_LEVELS = ['high', 'moderate', 'low'];
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const TEST_OUTCOMES = ['positive', 'negative'];
+const DISEASE_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// How long the published rule set is served from memory before being re-read (ms)
+const CACHE_TTL = 10 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Error with an HTTP status, raised for problems the caller can fix.
+ * details lists rule validation errors, as validateRuleSet returns them.
+ */
+export class KnowledgeBaseError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'KnowledgeBaseError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isProbability = value => typeof value === 'number' && value > 0 && value < 1;
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+const validateDisease = (disease, rule, error) => {
+  const path = `rules.diseases.${disease}`;
+  if (!isPlainObject(rule)) return error(path, rule, 'Disease rules must be an object');
+
+  if (!isText(rule.label)) error(`${path}.label`, rule.label, 'Label is required');
+  if (!isProbability(rule.prior)) error(`${path}.prior`, rule.prior, 'Prior must be a probability between 0 and 1');
+  if (!isPositiveNumber(rule.calibration) || rule.calibration > 1) {
+    error(`${path}.calibration`, rule.calibration, 'Calibration must be greater than 0 and at most 1');
+  }
+
+  if (!isPlainObject(rule.symptoms) || Object.keys(rule.symptoms).length === 0) {
+    error(`${path}.symptoms`, rule.symptoms, 'At least one symptom is required');
+  } else {
+    Object.entries(rule.symptoms).forEach(([symptom, lr]) => {
+      if (normalizeSymptom(symptom) !== symptom) {
+        error(`${path}.symptoms.${symptom}`, symptom, `Symptom key must be written as '${normalizeSymptom(symptom)}'`);
+      }
+      if (!isPlainObject(lr) || !isPositiveNumber(lr.present)) {
+        error(`${path}.symptoms.${symptom}.present`, lr?.present, 'Likelihood ratio when present must be a positive number');
+      }
+      if (lr?.absent !== undefined && !isPositiveNumber(lr.absent)) {
+        error(`${path}.symptoms.${symptom}.absent`, lr.absent, 'Likelihood ratio when absent must be a positive number');
+      }
+    });
+  }
+
+  if (!Array.isArray(rule.feverDuration) || rule.feverDuration.length === 0) {
+    error(`${path}.feverDuration`, rule.feverDuration, 'Fever duration bands are required');
+  } else {
+    let previous = 0;
+    rule.feverDuration.forEach((band, index) => {
+      const last = index === rule.feverDuration.length - 1;
+      if (!isPositiveNumber(band?.lr)) {
+        error(`${path}.feverDuration[${index}].lr`, band?.lr, 'Likelihood ratio must be a positive number');
+      }
+      if (last && band?.maxDays !== undefined) {
+        error(`${path}.feverDuration[${index}].maxDays`, band.maxDays, 'The last band must be open-ended (no maxDays)');
+      }
+      if (!last && (!isPositiveNumber(band?.maxDays) || band.maxDays <= previous)) {
+        error(`${path}.feverDuration[${index}].maxDays`, band?.maxDays, 'maxDays must be positive and increase from band to band');
+      }
+      previous = band?.maxDays ?? previous;
+    });
+  }
+
+  if (rule.feverPatterns !== undefined) {
+    if (!isPlainObject(rule.feverPatterns)) {
+      error(`${path}.feverPatterns`, rule.feverPatterns, 'Fever patterns must be an object');
+    } else {
+      Object.entries(rule.feverPatterns).forEach(([pattern, lr]) => {
+        if (!FEVER_PATTERNS.includes(pattern)) {
+          error(`${path}.feverPatterns.${pattern}`, pattern, `Fever pattern must be one of: ${FEVER_PATTERNS.join(', ')}`);
+        } else if (!isPositiveNumber(lr)) {
+          error(`${path}.feverPatterns.${pattern}`, lr, 'Likelihood ratio must be a positive number');
+        }
+      });
+    }
+  }
+
+  if (!isPlainObject(rule.tests)) {
+    error(`${path}.tests`, rule.tests, 'Tests must be an object');
+  } else {
+    Object.entries(rule.tests).forEach(([test, lr]) => {
+      TEST_OUTCOMES.forEach((outcome) => {
+        if (!isPositiveNumber(lr?.[outcome])) {
+          error(`${path}.tests.${test}.${outcome}`, lr?.[outcome], 'Likelihood ratio must be a positive number');
+        }
+      });
+    });
+  }
+
+  RISK_LEVELS.forEach((level) => {
+    if (!isText(rule.recommendations?.[level])) {
+      error(`${path}.recommendations.${level}`, rule.recommendations?.[level], `A ${level}-risk recommendation is required`);
+    }
+  });
+  if (!isText(rule.patientAdvice)) error(`${path}.patientAdvice`, rule.patientAdvice, 'Patient advice is required');
+};
+
+const validateLikelihoodRatios = (path, lrs, diseases, error) => {
+  if (!isPlainObject(lrs)) return error(path, lrs, 'Likelihood ratios must be an object keyed by disease');
+  Object.entries(lrs).forEach(([disease, lr]) => {
+    if (!diseases[disease]) error(`${path}.${disease}`, disease, 'Unknown disease');
+    else if (!isPositiveNumber(lr)) error(`${path}.${disease}`, lr, 'Likelihood ratio must be a positive number');
+  });
+};
+
+// Optional section: per-region priors, seasons and yes/no factors (see shared/epidemiology.js)
+const validateEpidemiology = (epidemiology, diseases, error) => {
+  const path = 'rules.epidemiology';
+  if (!isPlainObject(epidemiology)) return error(path, epidemiology, 'Epidemiology must be an object');
+
+  if (!isPositiveNumber(epidemiology.travelWindowDays)) {
+    error(`${path}.travelWindowDays`, epidemiology.travelWindowDays, 'Travel window must be a positive number of days');
+  }
+
+  if (!isPlainObject(epidemiology.regions)) {
+    error(`${path}.regions`, epidemiology.regions, 'Regions must be an object');
+  } else {
+    Object.entries(epidemiology.regions).forEach(([region, config]) => {
+      const regionPath = `${path}.regions.${region}`;
+      if (!DISEASE_KEY_PATTERN.test(region)) {
+        return error(regionPath, region, 'Region keys must be lowercase letters, digits and underscores');
+      }
+      if (!isText(config?.label)) error(`${regionPath}.label`, config?.label, 'Label is required');
+      if (config?.aliases !== undefined && (!Array.isArray(config.aliases) || !config.aliases.every(isText))) {
+        error(`${regionPath}.aliases`, config.aliases, 'Aliases must be a list of names');
+      }
+      if (!isPlainObject(config?.priors)) {
+        error(`${regionPath}.priors`, config?.priors, 'Priors must be an object keyed by disease');
+      } else {
+        Object.entries(config.priors).forEach(([disease, prior]) => {
+          if (!diseases[disease]) error(`${regionPath}.priors.${disease}`, disease, 'Unknown disease');
+          else if (!isProbability(prior)) error(`${regionPath}.priors.${disease}`, prior, 'Prior must be a probability between 0 and 1');
+        });
+      }
+    });
+  }
+
+  if (!isPlainObject(epidemiology.seasons)) {
+    error(`${path}.seasons`, epidemiology.seasons, 'Seasons must be an object');
+  } else {
+    const months = new Set();
+    Object.entries(epidemiology.seasons).forEach(([season, config]) => {
+      const seasonPath = `${path}.seasons.${season}`;
+      if (!isText(config?.label)) error(`${seasonPath}.label`, config?.label, 'Label is required');
+      if (!Array.isArray(config?.months) || !config.months.every(month => Number.isInteger(month) && month >= 1 && month <= 12)) {
+        error(`${seasonPath}.months`, config?.months, 'Months must be a list of month numbers (1-12)');
+      } else if (config.months.some(month => months.has(month))) {
+        error(`${seasonPath}.months`, config.months, 'A month can belong to only one season');
+      } else {
+        config.months.forEach(month => months.add(month));
+      }
+      validateLikelihoodRatios(`${seasonPath}.lr`, config?.lr, diseases, error);
+    });
+  }
+
+  if (!isPlainObject(epidemiology.factors)) {
+    error(`${path}.factors`, epidemiology.factors, 'Factors must be an object');
+  } else {
+    Object.entries(epidemiology.factors).forEach(([factor, config]) => {
+      const factorPath = `${path}.factors.${factor}`;
+      if (!isText(config?.label)) error(`${factorPath}.label`, config?.label, 'Label is required');
+      ['yes', 'no'].filter(answer => config?.[answer] !== undefined).forEach((answer) => {
+        validateLikelihoodRatios(`${factorPath}.${answer}`, config[answer], diseases, error);
+      });
+    });
+  }
+};
+
+/**
+ * Check a rule set ({ thresholds, severityWeights, diseases, epidemiology }); returns
+ * validation errors in the same shape express-validator reports them
+ */
+export const validateRuleSet = (rules) => {
+  const errors = [];
+  const error = (path, value, msg) => errors.push({ type: 'field', path, value, msg, location: 'body' });
+
+  if (!isPlainObject(rules)) {
+    error('rules', rules, 'Rules must be an object');
+    return errors;
+  }
+
+  const { thresholds, severityWeights, diseases } = rules;
+  if (!isProbability(thresholds?.high) || !isProbability(thresholds?.moderate)) {
+    error('rules.thresholds', thresholds, 'High and moderate thresholds must be probabilities between 0 and 1');
+  } else if (thresholds.moderate >= thresholds.high) {
+    error('rules.thresholds', thresholds, 'The moderate threshold must be below the high threshold');
+  }
+
+  SEVERITIES.forEach((severity) => {
+    if (!isPositiveNumber(severityWeights?.[severity])) {
+      error(`rules.severityWeights.${severity}`, severityWeights?.[severity], 'Severity weight must be a positive number');
+    }
+  });
+
+  if (!isPlainObject(diseases)) {
+    error('rules.diseases', diseases, 'Diseases must be an object');
+    return errors;
+  }
+  REQUIRED_DISEASES.filter(disease => !diseases[disease]).forEach((disease) => {
+    error(`rules.diseases.${disease}`, undefined, `Rules for ${disease} are required`);
+  });
+  Object.entries(diseases).forEach(([disease, rule]) => {
+    if (!DISEASE_KEY_PATTERN.test(disease)) {
+      error(`rules.diseases.${disease}`, disease, 'Disease keys must be lowercase letters, digits and underscores');
+      return;
+    }
+    validateDisease(disease, rule, error);
+  });
+  if (rules.epidemiology !== undefined) validateEpidemiology(rules.epidemiology, diseases, error);
+
+  return errors;
+};
+
+// Rule set as the engine takes it
+const toRuleSet = row => ({ version: row.version, ...row.rules });
+
+// Stored part of the built-in rule set
+const defaultRules = () => {
+  const { thresholds, severityWeights, diseases, epidemiology } = DEFAULT_RULE_SET;
+  return JSON.parse(JSON.stringify({ thresholds, severityWeights, diseases, epidemiology }));
+};
+
+const nextVersionNumber = async (transaction) => {
+  const latest = await KnowledgeBaseVersion.max('version', { transaction });
+  return (latest || 0) + 1;
+};
+
+const findVersion = async (version, transaction) => {
+  const row = await KnowledgeBaseVersion.findOne({ where: { version }, transaction });
+  if (!row) throw new KnowledgeBaseError('Knowledge base version not found', 404);
+  return row;
+};
+
+/**
+ * The published rule set the API scores with. On first use (empty table) the
+ * built-in rules are stored as published version 1.
+ */
+export const getActiveRuleSet = async ({ fresh = false } = {}) => {
+  if (!fresh && cache && Date.now() - cacheLoadedAt < CACHE_TTL) {
+    return cache;
+  }
+
+  let published = await KnowledgeBaseVersion.findOne({ where: { status: 'published' } });
+  if (!published) {
+    if (await KnowledgeBaseVersion.count() > 0) {
+      throw new KnowledgeBaseError('No knowledge base version is published', 503);
+    }
+    [published] = await KnowledgeBaseVersion.findOrCreate({
+      where: { version: 1 },
+      defaults: {
+        status: 'published',
+        rules: defaultRules(),
+        notes: 'Built-in rules',
+        publishedAt: new Date()
+      }
+    });
+  }
+
+  cache = toRuleSet(published);
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Rule set of any version, e.g. a draft to evaluate before it is published
+ */
+export const getRuleSet = async (version) => toRuleSet(await findVersion(version));
+
+/**
+ * Start a draft from the given rules, or a copy of basedOnVersion (default: the published version).
+ * Only one draft may exist at a time.
+ */
+export const createDraft = async ({ rules, notes, basedOnVersion }, user) => {
+  const basis = basedOnVersion ? await findVersion(basedOnVersion) : null;
+  const published = basis ? null : await getActiveRuleSet({ fresh: true });
+
+  return sequelize.transaction(async (transaction) => {
+    const existing = await KnowledgeBaseVersion.findOne({ where: { status: 'draft' }, transaction });
+    if (existing) {
+      throw new KnowledgeBaseError(`Version ${existing.version} is already being drafted; publish or delete it first`, 409);
+    }
+
+    const { version: publishedVersion, ...publishedRules } = published || {};
+    return KnowledgeBaseVersion.create({
+      version: await nextVersionNumber(transaction),
+      status: 'draft',
+      rules: rules || basis?.rules || publishedRules,
+      notes: notes || null,
+      basedOnVersion: basis?.version ?? publishedVersion,
+      createdById: user?.id || null
+    }, { transaction });
+  });
+};
+
+/**
+ * Change a draft's rules or notes; published and archived versions are read-only
+ */
+export const updateDraft = async (version, { rules, notes }) => {
+  const draft = await findVersion(version);
+  if (draft.status !== 'draft') {
+    throw new KnowledgeBaseError('Only draft versions can be edited', 409);
+  }
+
+  const updates = {};
+  if (rules !== undefined) updates.rules = rules;
+  if (notes !== undefined) updates.notes = notes;
+  return draft.update(updates);
+};
+
+export const deleteDraft = async (version) => {
+  const draft = await findVersion(version);
+  if (draft.status !== 'draft') {
+    throw new KnowledgeBaseError('Only draft versions can be deleted', 409);
+  }
+  await draft.destroy();
+};
+
+/**
+ * Make a draft the published rule set, archiving the one it replaces.
+ * The draft's rules are validated again, whatever stored them.
+ */
+export const publishVersion = async (version, user) => {
+  const published = await sequelize.transaction(async (transaction) => {
+    const draft = await findVersion(version, transaction);
+    if (draft.status !== 'draft') {
+      throw new KnowledgeBaseError('Only draft versions can be published', 409);
+    }
+    const errors = validateRuleSet(draft.rules);
+    if (errors.length > 0) {
+      throw new KnowledgeBaseError(`Version ${draft.version} has invalid rules and cannot be published`, 400, errors);
+    }
+
+    await KnowledgeBaseVersion.update({ status: 'archived' }, { where: { status: 'published' }, transaction });
+    return draft.update({ status: 'published', publishedById: user?.id || null, publishedAt: new Date() }, { transaction });
+  });
+
+  cache = null;
+  return published;
+};
+
+/**
+ * Publish the rules of an earlier version again, as a new version
+ */
+export const rollbackTo = async (version, { notes } = {}, user) => {
+  const published = await sequelize.transaction(async (transaction) => {
+    const target = await findVersion(version, transaction);
+    if (target.status === 'draft') {
+      throw new KnowledgeBaseError('Drafts cannot be rolled back to; publish the draft instead', 409);
+    }
+    if (target.status === 'published') {
+      throw new KnowledgeBaseError(`Version ${version} is already published`, 409);
+    }
+
+    await KnowledgeBaseVersion.update({ status: 'archived' }, { where: { status: 'published' }, transaction });
+    return KnowledgeBaseVersion.create({
+      version: await nextVersionNumber(transaction),
+      status: 'published',
+      rules: target.rules,
+      notes: notes || `Rollback to version ${version}`,
+      basedOnVersion: target.version,
+      createdById: user?.id || null,
+      publishedById: user?.id || null,
+      publishedAt: new Date()
+    }, { transaction });
+  });
+
+  cache = null;
+  return published;
+};
+
+/**
+ * Forget the cached rule set (used by tests and after restores)
+ */
+export const clearKnowledgeBaseCache = () => {
+  cache = null;
+};
@@ -0,0 +1,279 @@
+import { malariaSpecies } from '../models/Diagnosis.pg.js';
+
+/**
+ * Laboratory test catalog
+ *
+ * The tests a doctor can order, the specimen each needs, and the analytes its
+ * result reports: qualitative (positive/negative), quantitative with a unit and
+ * reference range, a choice from a list, free text, or the susceptibility of a
+ * cultured isolate to an antibiotic. Analytes with an `engine` mapping feed the
+ * rule engine, e.g. a malaria RDT result becomes the malaria assessment's rapidTest.
+ */
+
+// Outcome of a qualitative analyte that is not a finding
+const NEGATIVE = 'negative';
+
+const qualitative = (label, engine) => ({ key: 'result', label, type: 'qualitative', normal: NEGATIVE, engine });
+
+export const SUSCEPTIBILITY_OUTCOMES = ['susceptible', 'intermediate', 'resistant'];
+
+/**
+ * Antibiotics tested against Salmonella isolates. drug is the drug knowledge
+ * base key; covers lists the drugs or classes the result is read across to when
+ * prescribing (a ciprofloxacin result stands for the fluoroquinolones).
+ */
+export const SUSCEPTIBILITY_PANEL = [
+  { key: 'ampicillin', label: 'Ampicillin', drug: 'ampicillin', covers: ['ampicillin', 'amoxicillin'] },
+  { key: 'chloramphenicol', label: 'Chloramphenicol', drug: 'chloramphenicol', covers: ['chloramphenicol'] },
+  { key: 'coTrimoxazole', label: 'Co-trimoxazole', drug: 'co-trimoxazole', covers: ['co-trimoxazole'] },
+  { key: 'ciprofloxacin', label: 'Ciprofloxacin', drug: 'ciprofloxacin', covers: ['fluoroquinolone'] },
+  { key: 'ceftriaxone', label: 'Ceftriaxone', drug: 'ceftriaxone', covers: ['cephalosporin'] },
+  { key: 'azithromycin', label: 'Azithromycin', drug: 'azithromycin', covers: ['azithromycin'] },
+  { key: 'meropenem', label: 'Meropenem', drug: 'meropenem', covers: ['carbapenem'] },
+];
+
+const susceptibility = SUSCEPTIBILITY_PANEL.map(({ key, label }) => ({ key, label, type: 'susceptibility' }));
+
+// MDR typhoid resists all three first-line drugs; XDR also fluoroquinolones and third-generation cephalosporins
+const FIRST_LINE = ['ampicillin', 'chloramphenicol', 'coTrimoxazole'];
+const XDR_ALSO = ['ciprofloxacin', 'ceftriaxone'];
+
+export const LAB_TESTS = {
+  malaria_rdt: {
+    label: 'Malaria rapid diagnostic test (RDT)',
+    specimen: 'Capillary blood',
+    analytes: [qualitative('Plasmodium antigen (HRP2/pLDH)', { disease: 'malaria', test: 'rapidTest' })],
+  },
+  malaria_microscopy: {
+    label: 'Malaria microscopy (thick and thin blood films)',
+    specimen: 'Capillary or EDTA blood',
+    analytes: [
+      qualitative('Malaria parasites', { disease: 'malaria', test: 'microscopy' }),
+      {
+        key: 'parasiteCount',
+        label: 'Parasite density',
+        type: 'quantitative',
+        unit: 'parasites/µL',
+        referenceRange: { high: 0 },
+        // WHO hyperparasitaemia: about 10% of red cells infected
+        criticalHigh: 500000,
+        engine: { disease: 'malaria', test: 'parasiteCount' },
+      },
+      { key: 'species', label: 'Species', type: 'choice', options: malariaSpecies, engine: { disease: 'malaria', field: 'species' } },
+    ],
+  },
+  g6pd: {
+    label: 'G6PD activity',
+    specimen: 'EDTA blood',
+    analytes: [
+      // Read by the treatment recommender before primaquine radical cure
+      { key: 'status', label: 'G6PD status', type: 'choice', options: ['normal', 'intermediate', 'deficient'] },
+      { key: 'activity', label: 'G6PD activity', type: 'quantitative', unit: 'U/g Hb', referenceRange: { low: 6.1 } },
+    ],
+  },
+  blood_culture: {
+    label: 'Blood culture',
+    specimen: 'Venous blood (culture bottles)',
+    analytes: [
+      qualitative('Growth of Salmonella Typhi/Paratyphi', { disease: 'typhoid', test: 'bloodCulture' }),
+      { key: 'organism', label: 'Organism isolated', type: 'text' },
+      ...susceptibility,
+    ],
+  },
+  stool_culture: {
+    label: 'Stool culture',
+    specimen: 'Stool',
+    analytes: [
+      qualitative('Growth of Salmonella Typhi/Paratyphi', { disease: 'typhoid', test: 'stoolCulture' }),
+      { key: 'organism', label: 'Organism isolated', type: 'text' },
+      ...susceptibility,
+    ],
+  },
+  typhidot: {
+    label: 'Typhidot (S. Typhi IgM/IgG)',
+    specimen: 'Serum',
+    analytes: [qualitative('S. Typhi antibodies', { disease: 'typhoid', test: 'typhiDot' })],
+  },
+  widal: {
+    label: 'Widal test',
+    specimen: 'Serum',
+    analytes: [
+      qualitative('Interpretation', { disease: 'typhoid', test: 'widalTest' }),
+      { key: 'oTitre', label: 'S. Typhi O agglutinin titre', type: 'quantitative', unit: 'titre (1:n)', referenceRange: { high: 80 } },
+      { key: 'hTitre', label: 'S. Typhi H agglutinin titre', type: 'quantitative', unit: 'titre (1:n)', referenceRange: { high: 160 } },
+    ],
+  },
+  dengue_ns1: {
+    label: 'Dengue NS1 antigen',
+    specimen: 'Serum',
+    analytes: [qualitative('NS1 antigen', { disease: 'dengue', test: 'ns1Antigen' })],
+  },
+  dengue_igm: {
+    label: 'Dengue IgM',
+    specimen: 'Serum',
+    analytes: [qualitative('Dengue IgM antibodies', { disease: 'dengue', test: 'dengueIgM' })],
+  },
+  influenza_rapid: {
+    label: 'Influenza rapid antigen test',
+    specimen: 'Nasopharyngeal swab',
+    analytes: [qualitative('Influenza A/B antigen', { disease: 'influenza', test: 'influenzaRapidTest' })],
+  },
+  influenza_pcr: {
+    label: 'Influenza PCR',
+    specimen: 'Nasopharyngeal swab',
+    analytes: [qualitative('Influenza A/B RNA', { disease: 'influenza', test: 'influenzaPcr' })],
+  },
+  urine_dipstick: {
+    label: 'Urine dipstick',
+    specimen: 'Midstream urine',
+    analytes: [qualitative('Leukocyte esterase or nitrite', { disease: 'uti', test: 'urineDipstick' })],
+  },
+  urine_culture: {
+    label: 'Urine culture',
+    specimen: 'Midstream urine',
+    analytes: [
+      qualitative('Significant growth (≥10⁵ CFU/mL)', { disease: 'uti', test: 'urineCulture' }),
+      { key: 'organism', label: 'Organism isolated', type: 'text' },
+    ],
+  },
+  full_blood_count: {
+    label: 'Full blood count',
+    specimen: 'EDTA blood',
+    analytes: [
+      { key: 'haemoglobin', label: 'Haemoglobin', type: 'quantitative', unit: 'g/dL', referenceRange: { low: 12, high: 17 }, criticalLow: 5 },
+      { key: 'whiteCellCount', label: 'White cell count', type: 'quantitative', unit: '×10⁹/L', referenceRange: { low: 4, high: 11 } },
+      { key: 'plateletCount', label: 'Platelet count', type: 'quantitative', unit: '×10⁹/L', referenceRange: { low: 150, high: 400 }, criticalLow: 20 },
+    ],
+  },
+  blood_glucose: {
+    label: 'Blood glucose',
+    specimen: 'Capillary blood',
+    analytes: [
+      // Below 2.2 mmol/L is the WHO severe malaria hypoglycaemia criterion
+      { key: 'glucose', label: 'Glucose', type: 'quantitative', unit: 'mmol/L', referenceRange: { low: 3.9, high: 7.8 }, criticalLow: 2.2 },
+    ],
+  },
+};
+
+export const QUALITATIVE_OUTCOMES = ['positive', NEGATIVE];
+
+// Cultures whose result can carry a susceptibility panel
+export const CULTURE_TESTS = Object.keys(LAB_TESTS)
+  .filter(test => LAB_TESTS[test].analytes.some(({ type }) => type === 'susceptibility'));
+
+/**
+ * Flag a quantitative value against its reference range:
+ * critical-low, low, normal, high or critical-high
+ */
+const quantitativeFlag = (analyte, value) => {
+  if (analyte.criticalLow !== undefined && value < analyte.criticalLow) return 'critical-low';
+  if (analyte.criticalHigh !== undefined && value >= analyte.criticalHigh) return 'critical-high';
+  if (analyte.referenceRange.low !== undefined && value < analyte.referenceRange.low) return 'low';
+  if (analyte.referenceRange.high !== undefined && value > analyte.referenceRange.high) return 'high';
+  return 'normal';
+};
+
+const flagFor = (analyte, value) => {
+  if (analyte.type === 'quantitative') return quantitativeFlag(analyte, value);
+  if (analyte.type === 'qualitative') return value === analyte.normal ? 'normal' : 'abnormal';
+  if (analyte.type === 'susceptibility') return value === 'susceptible' ? 'normal' : 'abnormal';
+  return null;
+};
+
+/**
+ * Check result values against a test's analytes. Returns the problems found,
+ * in the shape express-validator reports them; empty when the values are valid.
+ */
+export const validateResultValues = (testKey, values) => {
+  const errors = [];
+  const error = (path, value, msg) => errors.push({ type: 'field', path, value, msg, location: 'body' });
+  const test = LAB_TESTS[testKey];
+
+  if (!test.analytes.some(({ key }) => ![undefined, null, ''].includes(values[key]))) {
+    error('values', values, 'At least one result value is required');
+  }
+  Object.keys(values).forEach((key) => {
+    if (!test.analytes.some(analyte => analyte.key === key)) {
+      error(`values.${key}`, values[key], `${test.label} does not report '${key}'`);
+    }
+  });
+  test.analytes.forEach((analyte) => {
+    const value = values[analyte.key];
+    const path = `values.${analyte.key}`;
+    if (value === undefined || value === null || value === '') {
+      if (analyte.key === 'result') error(path, value, `${analyte.label} is required`);
+      return;
+    }
+    if (analyte.type === 'qualitative' && !QUALITATIVE_OUTCOMES.includes(value)) {
+      error(path, value, `${analyte.label} must be one of: ${QUALITATIVE_OUTCOMES.join(', ')}`);
+    } else if (analyte.type === 'quantitative' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      error(path, value, `${analyte.label} must be a number of ${analyte.unit}`);
+    } else if (analyte.type === 'choice' && !analyte.options.includes(value)) {
+      error(path, value, `${analyte.label} must be one of: ${analyte.options.join(', ')}`);
+    } else if (analyte.type === 'text' && (typeof value !== 'string' || value.length > 200)) {
+      error(path, value, `${analyte.label} must be text of at most 200 characters`);
+    } else if (analyte.type === 'susceptibility') {
+      if (!SUSCEPTIBILITY_OUTCOMES.includes(value)) {
+        error(path, value, `${analyte.label} susceptibility must be one of: ${SUSCEPTIBILITY_OUTCOMES.join(', ')}`);
+      } else if (values.result !== 'positive') {
+        error(path, value, 'Susceptibility is only reported for a positive culture');
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * The reported analytes of a result, each with its unit, reference range and flag
+ */
+export const interpretResult = (testKey, values) => LAB_TESTS[testKey].analytes
+  .filter(analyte => values[analyte.key] !== undefined && values[analyte.key] !== null && values[analyte.key] !== '')
+  .map(analyte => ({
+    key: analyte.key,
+    label: analyte.label,
+    value: values[analyte.key],
+    unit: analyte.unit || null,
+    referenceRange: analyte.referenceRange || null,
+    flag: flagFor(analyte, values[analyte.key]),
+  }));
+
+/**
+ * Rule engine inputs from a test's result values, keyed by disease, e.g.
+ * { malaria: { rapidTest: 'positive' } }; `field` mappings (the malaria species)
+ * are returned under details instead of testResults
+ */
+export const engineInputsFrom = (testKey, values) => {
+  const testResults = {};
+  const details = {};
+  LAB_TESTS[testKey].analytes.forEach(({ key, engine }) => {
+    if (!engine || values[key] === undefined || values[key] === null) return;
+    const target = engine.test ? testResults : details;
+    target[engine.disease] = { ...target[engine.disease], [engine.test || engine.field]: values[key] };
+  });
+  return { testResults, details };
+};
+
+/**
+ * The isolate a resulted culture order reports, or null when it grew nothing or
+ * no susceptibility panel was entered: { organism, susceptibility: { key: outcome },
+ * pattern }, where pattern is 'XDR', 'MDR' or null
+ */
+export const isolateFrom = ({ test, results }) => {
+  const reported = Object.fromEntries((results || []).map(({ key, value }) => [key, value]));
+  const panel = LAB_TESTS[test]?.analytes.filter(({ type }) => type === 'susceptibility') || [];
+  const susceptibility = Object.fromEntries(panel
+    .filter(({ key }) => reported[key] !== undefined)
+    .map(({ key }) => [key, reported[key]]));
+  if (reported.result !== 'positive' || Object.keys(susceptibility).length === 0) return null;
+
+  const resists = keys => keys.every(key => susceptibility[key] === 'resistant');
+  let pattern = null;
+  if (resists(FIRST_LINE)) pattern = resists(XDR_ALSO) ? 'XDR' : 'MDR';
+
+  return {
+    organism: reported.organism ? String(reported.organism).trim() : 'Unidentified organism',
+    susceptibility,
+    pattern,
+  };
+};
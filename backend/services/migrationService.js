@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Sequelize, DataTypes } from 'sequelize';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Runs versioned up/down migrations from the migrations directory and
+ * records applied versions in the schema_migrations table.
+ */
+export class MigrationService {
+  constructor(sequelize, migrationsDir = MIGRATIONS_DIR) {
+    this.sequelize = sequelize;
+    this.queryInterface = sequelize.getQueryInterface();
+    this.migrationsDir = migrationsDir;
+  }
+
+  /**
+   * Create the migrations metadata table if it doesn't exist yet
+   */
+  async ensureMetaTable() {
+    const tables = await this.queryInterface.showAllTables();
+    if (tables.includes(MIGRATIONS_TABLE)) return;
+
+    await this.queryInterface.createTable(MIGRATIONS_TABLE, {
+      name: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+      },
+      appliedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      faked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    });
+  }
+
+  /**
+   * List migration file names on disk, oldest first
+   */
+  async listMigrationFiles() {
+    try {
+      const files = await fs.readdir(this.migrationsDir);
+      return files.filter(file => /^\d{14}-[\w-]+\.js$/.test(file)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Get applied migrations in the order they were run
+   */
+  async getApplied() {
+    await this.ensureMetaTable();
+    const [rows] = await this.sequelize.query(
+      `SELECT "name", "appliedAt", "faked" FROM "${MIGRATIONS_TABLE}" ORDER BY "name" ASC`
+    );
+    return rows;
+  }
+
+  async getPending() {
+    const applied = new Set((await this.getApplied()).map(row => row.name));
+    return (await this.listMigrationFiles()).filter(file => !applied.has(file));
+  }
+
+  async loadMigration(name) {
+    const migration = await import(pathToFileURL(path.join(this.migrationsDir, name)).href);
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${name} must export both up() and down()`);
+    }
+    return migration;
+  }
+
+  /**
+   * Apply pending migrations. With fake, versions are recorded without running
+   * (used to adopt a database that was created by sequelize.sync()).
+   */
+  async up({ to, fake = false } = {}) {
+    const pending = await this.getPending();
+    const targets = to ? pending.filter(name => name <= to) : pending;
+    const applied = [];
+
+    for (const name of targets) {
+      const migration = await this.loadMigration(name);
+      await this.sequelize.transaction(async (transaction) => {
+        if (!fake) {
+          await migration.up({ queryInterface: this.queryInterface, Sequelize, transaction });
+        }
+        await this.sequelize.query(
+          `INSERT INTO "${MIGRATIONS_TABLE}" ("name", "appliedAt", "faked") VALUES (:name, NOW(), :fake)`,
+          { replacements: { name, fake }, transaction }
+        );
+      });
+      applied.push(name);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Revert the most recently applied migrations (one by default)
+   */
+  async down({ step = 1 } = {}) {
+    const applied = (await this.getApplied()).map(row => row.name).reverse().slice(0, step);
+    const reverted = [];
+
+    for (const name of applied) {
+      const migration = await this.loadMigration(name);
+      await this.sequelize.transaction(async (transaction) => {
+        await migration.down({ queryInterface: this.queryInterface, Sequelize, transaction });
+        await this.sequelize.query(
+          `DELETE FROM "${MIGRATIONS_TABLE}" WHERE "name" = :name`,
+          { replacements: { name }, transaction }
+        );
+      });
+      reverted.push(name);
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Applied and pending state of every known migration
+   */
+  async status() {
+    const applied = await this.getApplied();
+    const appliedByName = new Map(applied.map(row => [row.name, row]));
+    const files = await this.listMigrationFiles();
+
+    const migrations = files.map(name => ({
+      name,
+      status: appliedByName.has(name) ? 'applied' : 'pending',
+      appliedAt: appliedByName.get(name)?.appliedAt || null,
+      faked: appliedByName.get(name)?.faked || false,
+    }));
+
+    // Versions recorded in the database whose files are gone
+    applied
+      .filter(row => !files.includes(row.name))
+      .forEach(row => migrations.push({ name: row.name, status: 'missing', appliedAt: row.appliedAt, faked: row.faked }));
+
+    return migrations;
+  }
+}
+
+export default MigrationService;
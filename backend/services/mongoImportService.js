@@ -0,0 +1,385 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
+import Prescription from '../models/Prescription.pg.js';
+import PrescriptionItem from '../models/PrescriptionItem.pg.js';
+
+// Collections in dependency order: later collections reference earlier ones
+export const COLLECTIONS = ['users', 'patients', 'appointments', 'diagnoses', 'prescriptions'];
+
+const EXPORT_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+/**
+ * Convert MongoDB Extended JSON ($oid, $date, $numberLong, ...) into plain values
+ */
+export const fromExtendedJson = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(fromExtendedJson);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if ('$oid' in value) return String(value.$oid);
+  if ('$date' in value) {
+    const date = value.$date;
+    if (date && typeof date === 'object' && '$numberLong' in date) {
+      return new Date(Number(date.$numberLong));
+    }
+    return new Date(date);
+  }
+  if ('$numberInt' in value) return parseInt(value.$numberInt);
+  if ('$numberLong' in value) return Number(value.$numberLong);
+  if ('$numberDouble' in value) return Number(value.$numberDouble);
+  if ('$numberDecimal' in value) return Number(value.$numberDecimal);
+
+  return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, fromExtendedJson(nested)]));
+};
+
+/**
+ * Parse a mongoexport file: either a JSON array (--jsonArray) or one document per line
+ */
+export const parseMongoExport = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map(fromExtendedJson);
+  }
+
+  return trimmed
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return fromExtendedJson(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: ${error.message}`);
+      }
+    });
+};
+
+const lower = value => (typeof value === 'string' ? value.toLowerCase() : value);
+
+const dateOnly = (value) => {
+  if (!value) return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString().slice(0, 10);
+};
+
+const compact = object => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+// Collapse the old structured address into the single text column
+const formatAddress = (address) => {
+  if (!address || typeof address !== 'object') return address;
+  const parts = ['street', 'city', 'state', 'zipCode', 'country']
+    .map(field => address[field])
+    .filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+};
+
+const timestamps = doc => compact({ createdAt: doc.createdAt, updatedAt: doc.updatedAt });
+
+/**
+ * Resolves Mongo ObjectIds to the integer keys assigned on import
+ */
+export class IdMap {
+  constructor() {
+    this.maps = Object.fromEntries(COLLECTIONS.map(collection => [collection, new Map()]));
+  }
+
+  set(collection, objectId, id) {
+    if (objectId) this.maps[collection].set(String(objectId), id);
+  }
+
+  get(collection, objectId) {
+    if (!objectId) return null;
+    return this.maps[collection].get(String(objectId)) ?? null;
+  }
+}
+
+// Resolve a reference that the target table requires
+const required = (ids, collection, objectId, field) => {
+  const id = ids.get(collection, objectId);
+  if (!id) {
+    throw new Error(`Unresolved ${field} reference ${objectId || '(missing)'}`);
+  }
+  return id;
+};
+
+// Resolve an optional reference, noting it when it points at nothing we imported
+const optional = (ids, collection, objectId, field, warnings) => {
+  if (!objectId) return null;
+  const id = ids.get(collection, objectId);
+  if (!id) warnings.push(`Dropped unresolved ${field} reference ${objectId}`);
+  return id;
+};
+
+export const transformUser = doc => compact({
+  username: doc.username,
+  email: lower(doc.email),
+  password: doc.password,
+  name: doc.name,
+  role: doc.role,
+  status: doc.status || 'active',
+  isActive: (doc.status || 'active') === 'active',
+  profile: doc.profile ? compact({ ...doc.profile, gender: lower(doc.profile.gender) }) : {},
+  lastLogin: doc.lastLogin,
+  ...timestamps(doc)
+});
+
+export const transformPatient = (doc, ids, warnings) => compact({
+  patientId: doc.patientId,
+  userId: optional(ids, 'users', doc.userId, 'userId', warnings),
+  firstName: doc.firstName,
+  lastName: doc.lastName,
+  dateOfBirth: dateOnly(doc.dateOfBirth),
+  gender: lower(doc.gender),
+  phone: doc.phone,
+  email: lower(doc.email),
+  address: formatAddress(doc.address),
+  emergencyContact: doc.emergencyContact || {},
+  medicalHistory: compact({
+    chronicConditions: doc.medicalHistory?.chronicConditions,
+    medications: doc.medicalHistory?.medications,
+    notes: doc.medicalHistory?.notes,
+    insurance: doc.insurance
+  }),
+  allergies: doc.medicalHistory?.allergies || [],
+  bloodType: doc.medicalHistory?.bloodType === 'Unknown' ? null : doc.medicalHistory?.bloodType,
+  status: doc.status || 'active',
+  assignedDoctorId: optional(ids, 'users', doc.assignedDoctor, 'assignedDoctor', warnings),
+  assignedNurseId: optional(ids, 'users', doc.assignedNurse, 'assignedNurse', warnings),
+  ...timestamps(doc)
+});
+
+export const transformAppointment = (doc, ids, warnings) => compact({
+  appointmentId: doc.appointmentId,
+  patientId: required(ids, 'patients', doc.patient, 'patient'),
+  doctorId: required(ids, 'users', doc.doctor, 'doctor'),
+  appointmentDate: doc.appointmentDate,
+  reason: doc.reason,
+  status: doc.status,
+  type: doc.type,
+  duration: doc.duration,
+  notes: doc.notes,
+  symptoms: doc.symptoms,
+  vitalSigns: doc.vitalSigns,
+  originalDate: doc.originalDate,
+  rescheduleReason: doc.rescheduleReason,
+  assignedNurseId: optional(ids, 'users', doc.assignedNurse, 'assignedNurse', warnings),
+  room: doc.room,
+  followUpRequired: doc.followUpRequired,
+  followUpDate: doc.followUpDate,
+  createdById: optional(ids, 'users', doc.createdBy, 'createdBy', warnings),
+  ...timestamps(doc)
+});
+
+export const transformDiagnosis = (doc, ids) => compact({
+  diagnosisId: doc.diagnosisId,
+  patientId: required(ids, 'patients', doc.patient, 'patient'),
+  doctorId: required(ids, 'users', doc.doctor, 'doctor'),
+  appointmentId: required(ids, 'appointments', doc.appointment, 'appointment'),
+  symptoms: (doc.symptoms || []).map(symptom => compact({
+    symptom: symptom.symptom,
+    severity: symptom.severity,
+    duration: symptom.duration,
+    notes: symptom.notes
+  })),
+  diagnosis: doc.diagnosis,
+  malariaAssessment: doc.malariaAssessment,
+  typhoidAssessment: doc.typhoidAssessment,
+  treatment: doc.treatment,
+  followUp: doc.followUp,
+  status: doc.status,
+  ...timestamps(doc)
+});
+
+export const transformPrescription = (doc, ids, warnings) => compact({
+  prescriptionId: doc.prescriptionId,
+  patientId: required(ids, 'patients', doc.patient, 'patient'),
+  doctorId: required(ids, 'users', doc.doctor, 'doctor'),
+  diagnosisId: optional(ids, 'diagnoses', doc.diagnosis, 'diagnosis', warnings),
+  appointmentId: optional(ids, 'appointments', doc.appointment, 'appointment', warnings),
+  status: doc.status,
+  instructions: doc.instructions,
+  dispensedById: optional(ids, 'users', doc.dispensedBy, 'dispensedBy', warnings),
+  dispensedAt: doc.dispensedAt,
+  dispensingNotes: doc.dispensingNotes,
+  validUntil: doc.validUntil,
+  refillsAllowed: doc.refillsAllowed,
+  refillsUsed: doc.refillsUsed,
+  priority: doc.priority,
+  insurance: doc.insurance,
+  totalCost: doc.totalCost,
+  medications: (doc.medications || []).map((medication, index) => compact({
+    position: index,
+    name: medication.name,
+    genericName: medication.genericName,
+    dosage: medication.dosage,
+    frequency: medication.frequency,
+    duration: medication.duration,
+    quantity: medication.quantity,
+    quantityDispensed: medication.quantityDispensed,
+    instructions: medication.instructions,
+    warnings: medication.warnings,
+    unitPrice: medication.unitPrice,
+    totalPrice: medication.totalPrice
+  })),
+  ...timestamps(doc)
+});
+
+/**
+ * Per-collection import handlers: how to spot an already-imported row and how to insert one
+ */
+const handlers = {
+  users: {
+    findExisting: (doc, transaction) => User.findOne({
+      where: { [Op.or]: [{ username: doc.username || null }, { email: lower(doc.email) || null }] },
+      transaction
+    }),
+    // Passwords are already bcrypt hashes, so skip the hashing hooks
+    create: (doc, ids, warnings, transaction) =>
+      User.create(transformUser(doc), { hooks: false, silent: true, transaction }),
+  },
+  patients: {
+    findExisting: (doc, transaction) => doc.patientId && Patient.findOne({ where: { patientId: doc.patientId }, transaction }),
+    create: (doc, ids, warnings, transaction) =>
+      Patient.create(transformPatient(doc, ids, warnings), { silent: true, transaction }),
+  },
+  appointments: {
+    findExisting: (doc, transaction) => doc.appointmentId && Appointment.findOne({ where: { appointmentId: doc.appointmentId }, transaction }),
+    create: (doc, ids, warnings, transaction) =>
+      Appointment.create(transformAppointment(doc, ids, warnings), { silent: true, transaction }),
+  },
+  diagnoses: {
+    findExisting: (doc, transaction) => doc.diagnosisId && Diagnosis.findOne({ where: { diagnosisId: doc.diagnosisId }, transaction }),
+    create: (doc, ids, warnings, transaction) =>
+      Diagnosis.create(transformDiagnosis(doc, ids, warnings), { silent: true, transaction }),
+  },
+  prescriptions: {
+    findExisting: (doc, transaction) => doc.prescriptionId && Prescription.findOne({ where: { prescriptionId: doc.prescriptionId }, transaction }),
+    create: (doc, ids, warnings, transaction) =>
+      Prescription.create(transformPrescription(doc, ids, warnings), {
+        include: [{ model: PrescriptionItem, as: 'medications' }],
+        silent: true,
+        transaction
+      }),
+  },
+};
+
+/**
+ * Locate the export file for a collection in a directory (users.json, users.ndjson, ...)
+ */
+export const findExportFile = async (dir, collection) => {
+  for (const extension of EXPORT_EXTENSIONS) {
+    const file = path.join(dir, `${collection}${extension}`);
+    try {
+      await fs.access(file);
+      return file;
+    } catch {
+      // try the next extension
+    }
+  }
+  return null;
+};
+
+/**
+ * Imports mongoexport files into the Postgres models and keeps a reconciliation
+ * report of rows imported, skipped (already present) and failed.
+ */
+export class MongoImporter {
+  constructor({ files = {}, dryRun = false } = {}) {
+    this.files = files;
+    this.dryRun = dryRun;
+    this.ids = new IdMap();
+    this.report = {
+      startedAt: null,
+      finishedAt: null,
+      dryRun,
+      collections: {},
+    };
+  }
+
+  async importCollection(collection, documents, transaction) {
+    const handler = handlers[collection];
+    const summary = {
+      file: this.files[collection],
+      total: documents.length,
+      imported: 0,
+      skipped: 0,
+      failed: 0,
+      skippedRecords: [],
+      failedRecords: [],
+      warnings: [],
+    };
+
+    for (const doc of documents) {
+      const sourceId = doc._id ? String(doc._id) : null;
+      const warnings = [];
+
+      try {
+        // Each document gets a savepoint so one bad row doesn't abort the rest
+        await sequelize.transaction({ transaction }, async (savepoint) => {
+          const existing = await handler.findExisting(doc, savepoint);
+          if (existing) {
+            this.ids.set(collection, sourceId, existing.id);
+            summary.skipped++;
+            summary.skippedRecords.push({ sourceId, id: existing.id, reason: 'Already exists' });
+            return;
+          }
+
+          const record = await handler.create(doc, this.ids, warnings, savepoint);
+          this.ids.set(collection, sourceId, record.id);
+          summary.imported++;
+        });
+      } catch (error) {
+        summary.failed++;
+        const reason = error.errors
+          ? error.errors.map(item => item.message).join(', ')
+          : error.message;
+        summary.failedRecords.push({ sourceId, reason });
+      }
+
+      warnings.forEach(message => summary.warnings.push({ sourceId, message }));
+    }
+
+    return summary;
+  }
+
+  async run() {
+    this.report.startedAt = new Date().toISOString();
+    const transaction = await sequelize.transaction();
+
+    try {
+      for (const collection of COLLECTIONS) {
+        const file = this.files[collection];
+        if (!file) continue;
+
+        const documents = parseMongoExport(await fs.readFile(file, 'utf8'));
+        this.report.collections[collection] = await this.importCollection(collection, documents, transaction);
+      }
+
+      if (this.dryRun) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    this.report.finishedAt = new Date().toISOString();
+    return this.report;
+  }
+}
+
+export default MongoImporter;
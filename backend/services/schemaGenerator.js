@@ -0,0 +1,165 @@
+/**
+ * Renders createTable migrations from Sequelize model definitions so new
+ * tables (and the initial baseline) don't have to be transcribed by hand.
+ */
+
+const indent = (text, depth) => text.split('\n').map(line => (line ? '  '.repeat(depth) + line : line)).join('\n');
+
+const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/**
+ * Render a DataTypes instance as Sequelize.* source
+ */
+export const renderType = (type) => {
+  const key = type.key;
+
+  switch (key) {
+    case 'STRING':
+      return type._length && type._length !== 255 ? `Sequelize.STRING(${type._length})` : 'Sequelize.STRING';
+    case 'CHAR':
+      return `Sequelize.CHAR(${type._length || 255})`;
+    case 'DECIMAL':
+      return type.options?.precision
+        ? `Sequelize.DECIMAL(${type.options.precision}, ${type.options.scale || 0})`
+        : 'Sequelize.DECIMAL';
+    case 'ENUM':
+      return `Sequelize.ENUM(${type.values.map(quote).join(', ')})`;
+    case 'ARRAY':
+      return `Sequelize.ARRAY(${renderType(type.type)})`;
+    case 'INTEGER':
+    case 'BIGINT':
+    case 'FLOAT':
+    case 'DOUBLE':
+    case 'REAL':
+    case 'BOOLEAN':
+    case 'TEXT':
+    case 'DATE':
+    case 'DATEONLY':
+    case 'TIME':
+    case 'JSON':
+    case 'JSONB':
+    case 'UUID':
+    case 'INET':
+      return `Sequelize.${key}`;
+    default:
+      throw new Error(`Unsupported data type for migration generation: ${key}`);
+  }
+};
+
+const renderValue = (value) => {
+  if (value === null) return 'null';
+  if (value instanceof Date) return `new Date(${quote(value.toISOString())})`;
+  if (typeof value === 'string') return quote(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Columns covered by a single-column unique index don't also need a unique constraint
+const uniqueIndexColumns = model => new Set(
+  (model.options.indexes || [])
+    .filter(index => index.unique && index.fields.length === 1)
+    .map(index => index.fields[0])
+);
+
+const renderColumn = (attribute, skipUnique) => {
+  const lines = [`type: ${renderType(attribute.type)},`];
+
+  if (attribute.primaryKey) lines.push('primaryKey: true,');
+  if (attribute.autoIncrement) lines.push('autoIncrement: true,');
+  if (attribute.allowNull === false && !attribute.primaryKey) lines.push('allowNull: false,');
+  if (attribute.unique && !skipUnique) lines.push('unique: true,');
+  if (attribute.defaultValue !== undefined && typeof attribute.defaultValue !== 'function' &&
+      !(attribute.defaultValue && attribute.defaultValue.constructor?.name === 'NOW')) {
+    lines.push(`defaultValue: ${renderValue(attribute.defaultValue)},`);
+  }
+  if (attribute.references) {
+    const table = typeof attribute.references.model === 'string'
+      ? attribute.references.model
+      : attribute.references.model.tableName;
+    lines.push(`references: { model: ${quote(table)}, key: ${quote(attribute.references.key || 'id')} },`);
+    if (attribute.onDelete) lines.push(`onDelete: ${quote(attribute.onDelete)},`);
+    if (attribute.onUpdate) lines.push(`onUpdate: ${quote(attribute.onUpdate)},`);
+  }
+
+  return `{\n${indent(lines.join('\n'), 1)}\n}`;
+};
+
+const physicalAttributes = model => Object.entries(model.rawAttributes)
+  .filter(([, attribute]) => attribute.type.key !== 'VIRTUAL');
+
+const renderCreateTable = (model) => {
+  const skipUnique = uniqueIndexColumns(model);
+  const columns = physicalAttributes(model)
+    .map(([name, attribute]) => `${name}: ${renderColumn(attribute, skipUnique.has(name))},`)
+    .join('\n');
+
+  const statements = [
+    `await queryInterface.createTable(${quote(model.tableName)}, {\n${indent(columns, 1)}\n}, { transaction });`,
+  ];
+
+  (model.options.indexes || []).forEach((index) => {
+    const options = [`name: ${quote(index.name)}`];
+    if (index.unique) options.push('unique: true');
+    if (index.using) options.push(`using: ${quote(index.using.toUpperCase())}`);
+    statements.push(
+      `await queryInterface.addIndex(${quote(model.tableName)}, [${index.fields.map(quote).join(', ')}], { ${options.join(', ')}, transaction });`
+    );
+  });
+
+  return statements.join('\n');
+};
+
+const renderDropTable = (model) => {
+  const statements = [`await queryInterface.dropTable(${quote(model.tableName)}, { transaction });`];
+
+  physicalAttributes(model)
+    .filter(([, attribute]) => attribute.type.key === 'ENUM')
+    .forEach(([name]) => {
+      statements.push(`await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_${model.tableName}_${name}"', { transaction });`);
+    });
+
+  return statements.join('\n');
+};
+
+/**
+ * Build the source of a migration that creates the tables for the given models.
+ * Models must be passed in dependency order (referenced tables first).
+ */
+export const renderCreateTablesMigration = (models, description) => {
+  const up = models.map(renderCreateTable).join('\n\n');
+  const down = [...models].reverse().map(renderDropTable).join('\n\n');
+
+  return `/**
+ * ${description}
+ *
+ * Generated from model definitions by \`npm run migrate -- generate\`.
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+${indent(up, 1)}
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+${indent(down, 1)}
+};
+`;
+};
+
+/**
+ * Build the source of an empty migration to be filled in by hand
+ */
+export const renderBlankMigration = description => `/**
+ * ${description}
+ */
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+};
+
+export const down = async ({ queryInterface, Sequelize, transaction }) => {
+};
+`;
+
+/**
+ * Timestamp prefix used to order migration files (UTC, YYYYMMDDHHMMSS)
+ */
+export const migrationTimestamp = (date = new Date()) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
@@ -0,0 +1,164 @@
+import sequelize from '../config/database.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import SystemSettingChange from '../models/SystemSettingChange.pg.js';
+
+/**
+ * Every setting the system knows about, with its type, constraints and default.
+ * Keys are `<group>.<name>`; the API exposes them nested by group.
+ */
+export const SETTING_DEFINITIONS = {
+  'hospital.name': { type: 'string', max: 100, default: process.env.HOSPITAL_NAME || 'Ministry of Health Hospital' },
+  'hospital.location': { type: 'string', max: 100, default: process.env.HOSPITAL_LOCATION || 'Windhoek, Namibia' },
+  'hospital.contactEmail': { type: 'email', default: process.env.HOSPITAL_CONTACT_EMAIL || 'info@moh.gov' },
+  'hospital.contactPhone': { type: 'string', max: 30, default: process.env.HOSPITAL_CONTACT_PHONE || '+264 61 123 4567' },
+  'hospital.emergencyContact': { type: 'string', max: 30, default: process.env.HOSPITAL_EMERGENCY_CONTACT || '+264 81 123 4567' },
+  'system.maintenanceMode': { type: 'boolean', default: false },
+  'system.allowRegistration': { type: 'boolean', default: true },
+  'system.sessionTimeout': { type: 'integer', min: 5, max: 1440, default: 30 }, // minutes
+  'system.maxLoginAttempts': { type: 'integer', min: 1, max: 20, default: 5 },
+  'system.lockoutDuration': { type: 'integer', min: 1, max: 1440, default: 15 }, // minutes
+  'system.backupFrequency': { type: 'enum', values: ['hourly', 'daily', 'weekly', 'monthly'], default: 'daily' },
+  'notifications.emailEnabled': { type: 'boolean', default: true },
+  'notifications.smsEnabled': { type: 'boolean', default: false },
+  'notifications.appointmentReminders': { type: 'boolean', default: true },
+  'notifications.prescriptionAlerts': { type: 'boolean', default: true },
+};
+
+// How long settings are served from memory before being re-read (ms)
+const CACHE_TTL = 10 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Check a value against its definition; returns an error message or null
+ */
+export const validateSettingValue = (key, value) => {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) return `Unknown setting '${key}'`;
+
+  switch (definition.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `'${key}' must be true or false`;
+    case 'integer':
+      if (!Number.isInteger(value)) return `'${key}' must be a whole number`;
+      if (value < definition.min || value > definition.max) {
+        return `'${key}' must be between ${definition.min} and ${definition.max}`;
+      }
+      return null;
+    case 'enum':
+      return definition.values.includes(value) ? null : `'${key}' must be one of: ${definition.values.join(', ')}`;
+    case 'email':
+      return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : `'${key}' must be a valid email address`;
+    default:
+      if (typeof value !== 'string' || !value.trim()) return `'${key}' must be a non-empty string`;
+      return value.length > definition.max ? `'${key}' cannot exceed ${definition.max} characters` : null;
+  }
+};
+
+/**
+ * Flatten a nested update ({ system: { maintenanceMode: true } }) into dotted keys
+ */
+export const flattenSettings = (nested) => {
+  const flat = {};
+  Object.entries(nested || {}).forEach(([group, values]) => {
+    if (values && typeof values === 'object' && !Array.isArray(values)) {
+      Object.entries(values).forEach(([name, value]) => {
+        flat[`${group}.${name}`] = value;
+      });
+    } else {
+      flat[group] = values;
+    }
+  });
+  return flat;
+};
+
+/**
+ * Nest dotted keys by group for API responses
+ */
+export const nestSettings = (flat) => {
+  const nested = {};
+  Object.entries(flat).forEach(([key, value]) => {
+    const [group, name] = key.split('.');
+    nested[group] = nested[group] || {};
+    nested[group][name] = value;
+  });
+  return nested;
+};
+
+const defaults = () => Object.fromEntries(
+  Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default])
+);
+
+/**
+ * Current settings as a flat { key: value } map, stored values over defaults
+ */
+export const loadSettings = async ({ fresh = false } = {}) => {
+  if (!fresh && cache && Date.now() - cacheLoadedAt < CACHE_TTL) {
+    return cache;
+  }
+
+  const rows = await SystemSetting.findAll();
+  const settings = defaults();
+  rows.forEach((row) => {
+    // Ignore rows for settings that have since been removed
+    if (row.key in SETTING_DEFINITIONS) settings[row.key] = row.value;
+  });
+
+  cache = settings;
+  cacheLoadedAt = Date.now();
+  return settings;
+};
+
+/**
+ * Read a single setting
+ */
+export const getSetting = async (key) => {
+  const settings = await loadSettings();
+  return settings[key];
+};
+
+/**
+ * Validate a nested settings update; returns { changes, errors }
+ */
+export const validateSettingsUpdate = (nested) => {
+  const changes = flattenSettings(nested);
+  const errors = Object.entries(changes)
+    .map(([key, value]) => {
+      const message = validateSettingValue(key, value);
+      return message && { type: 'field', path: key, value, msg: message, location: 'body' };
+    })
+    .filter(Boolean);
+  return { changes, errors };
+};
+
+/**
+ * Persist validated changes, recording history for every value that actually changed.
+ * Returns the keys that changed.
+ */
+export const updateSettings = async (changes, user) => {
+  const current = await loadSettings({ fresh: true });
+  const changedKeys = Object.keys(changes).filter(key => JSON.stringify(current[key]) !== JSON.stringify(changes[key]));
+
+  await sequelize.transaction(async (transaction) => {
+    for (const key of changedKeys) {
+      await SystemSetting.upsert({ key, value: changes[key], updatedById: user?.id || null }, { transaction });
+      await SystemSettingChange.create({
+        settingKey: key,
+        previousValue: current[key],
+        newValue: changes[key],
+        changedById: user?.id || null
+      }, { transaction });
+    }
+  });
+
+  cache = null;
+  return changedKeys;
+};
+
+/**
+ * Forget cached settings (used by tests and after restores)
+ */
+export const clearSettingsCache = () => {
+  cache = null;
+};
@@ -0,0 +1,387 @@
+/**
+ * First-line treatment recommendations for malaria and typhoid
+ *
+ * Turns a scored diagnosis plus the patient's weight, age, pregnancy and G6PD
+ * status into guideline regimens (WHO malaria guidelines, WHO/national typhoid
+ * guidance) and a draft prescription in the shape POST /api/prescriptions
+ * accepts. The draft is a proposal: the doctor reviews and submits it.
+ */
+
+export class TreatmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TreatmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Artemether-lumefantrine 20/120 mg tablets per dose by body weight; 6 doses over 3 days
+export const ACT_WEIGHT_BANDS = [
+  { minKg: 0, tablets: 1 },
+  { minKg: 15, tablets: 2 },
+  { minKg: 25, tablets: 3 },
+  { minKg: 35, tablets: 4 },
+];
+const ACT_DOSES = 6;
+
+// Below this weight the first ACT band is used with limited evidence
+const ACT_MIN_STUDIED_KG = 5;
+
+// IV artesunate mg/kg per dose; children under 20 kg need the higher dose
+export const ARTESUNATE_DOSE = { mgPerKg: 2.4, smallChildMgPerKg: 3, smallChildBelowKg: 20 };
+const ARTESUNATE_FIRST_DAY_DOSES = 3;
+
+// Typhoid antibiotics, mg/kg per day with the adult cap
+export const TYPHOID_ANTIBIOTICS = {
+  azithromycin: { mgPerKg: 20, maxMg: 1000, days: 7 },
+  ceftriaxone: { mgPerKg: 80, maxMg: 2000, days: 14 },
+};
+
+const CHILD_BELOW_YEARS = 12;
+// Children under this weight take azithromycin as suspension
+const AZITHROMYCIN_TABLET_MIN_KG = 25;
+
+const FORMULATIONS = {
+  artemetherLumefantrine: { name: 'Artemether-lumefantrine 20/120 mg tablet', genericName: 'artemether-lumefantrine' },
+  artesunateInjection: { name: 'Artesunate 60 mg injection', genericName: 'artesunate', unitMg: 60 },
+  azithromycinTablet: { name: 'Azithromycin 500 mg tablet', genericName: 'azithromycin', unitMg: 500 },
+  // 200 mg/5 mL, 15 mL bottle
+  azithromycinSuspension: { name: 'Azithromycin 200 mg/5 mL suspension (15 mL)', genericName: 'azithromycin', unitMg: 600, mgPerMl: 40 },
+  ceftriaxoneInjection: { name: 'Ceftriaxone 1 g injection', genericName: 'ceftriaxone', unitMg: 1000 },
+  // Scored: may be halved, no smaller
+  primaquineTablet: { name: 'Primaquine 7.5 mg tablet', genericName: 'primaquine', unitMg: 7.5 },
+};
+
+const CONFIRMING_TESTS = {
+  malaria: ['rapidTest', 'microscopy'],
+  typhoid: ['bloodCulture', 'stoolCulture', 'typhiDot'],
+};
+
+// Species that leave liver-stage hypnozoites behind
+export const RELAPSING_SPECIES = ['P. vivax', 'P. ovale', 'mixed'];
+
+// Species treated as P. falciparum: an ACT is required, chloroquine is not enough
+export const FALCIPARUM_SPECIES = ['P. falciparum', 'mixed'];
+
+export const G6PD_STATUSES = ['normal', 'intermediate', 'deficient', 'unknown'];
+
+// Primaquine mg/kg (base): daily for 14 days as radical cure, weekly for 8 weeks
+// when G6PD activity is low, and a single low dose against P. falciparum gametocytes
+export const PRIMAQUINE_DOSE = {
+  daily: { mgPerKg: 0.25, doses: 14 },
+  weekly: { mgPerKg: 0.75, doses: 8 },
+  singleLowDose: { mgPerKg: 0.25, doses: 1 },
+};
+// Primaquine doses are rounded to half tablets
+const PRIMAQUINE_STEP_TABLETS = 0.5;
+// Primaquine is not given to infants younger than this
+const PRIMAQUINE_MIN_AGE_MONTHS = 6;
+
+/**
+ * Whole years between a date of birth and today
+ */
+export const ageInYears = (dateOfBirth, today = new Date()) => {
+  const born = new Date(dateOfBirth);
+  let age = today.getFullYear() - born.getFullYear();
+  const birthdayPassed = today.getMonth() > born.getMonth()
+    || (today.getMonth() === born.getMonth() && today.getDate() >= born.getDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+};
+
+/**
+ * Whole months between a date of birth and today
+ */
+export const ageInMonths = (dateOfBirth, today = new Date()) => {
+  const born = new Date(dateOfBirth);
+  const months = (today.getFullYear() - born.getFullYear()) * 12 + today.getMonth() - born.getMonth();
+  return today.getDate() >= born.getDate() ? months : months - 1;
+};
+
+/**
+ * Patient details the recommender needs, from the patient record and the
+ * clinician's input ({ weightKg, pregnant, trimester, g6pdStatus })
+ */
+export const treatmentPatientFrom = (patient, { weightKg, pregnant = false, trimester = null, g6pdStatus = 'unknown' }) => {
+  if (pregnant && patient.gender === 'male') {
+    throw new TreatmentError('Pregnancy status does not apply to this patient');
+  }
+  return {
+    weightKg: Number(weightKg),
+    ageYears: ageInYears(patient.dateOfBirth),
+    ageMonths: ageInMonths(patient.dateOfBirth),
+    pregnant: Boolean(pregnant),
+    trimester: pregnant && trimester ? Number(trimester) : null,
+    g6pdStatus,
+  };
+};
+
+const confirmedBy = (testResults = {}, tests) => tests.some(test => testResults[test] === 'positive');
+
+const medication = (formulation, details) => {
+  const { name, genericName } = FORMULATIONS[formulation];
+  return { name, genericName, ...details };
+};
+
+// Artemether-lumefantrine course for the patient's weight band
+const actCourse = (weightKg, instructions) => {
+  const { tablets } = [...ACT_WEIGHT_BANDS].reverse().find(band => weightKg >= band.minKg);
+  return medication('artemetherLumefantrine', {
+    dosage: `${tablets} tablet${tablets > 1 ? 's' : ''}`,
+    frequency: 'Twice daily (second dose 8 hours after the first)',
+    duration: '3 days',
+    quantity: tablets * ACT_DOSES,
+    instructions
+  });
+};
+
+// Tablet count as written on a prescription: 1/2 tablet, 1 tablet, 1 1/2 tablets
+const tabletDosage = (tablets) => {
+  const whole = Math.floor(tablets);
+  const count = [whole || '', tablets > whole ? '1/2' : ''].filter(Boolean).join(' ');
+  return `${count} tablet${tablets > 1 ? 's' : ''}`;
+};
+
+// Primaquine course of the given kind (see PRIMAQUINE_DOSE) for the patient's weight,
+// in whole and half tablets
+const primaquineCourse = (weightKg, kind, instructions) => {
+  const { mgPerKg, doses } = PRIMAQUINE_DOSE[kind];
+  const { unitMg } = FORMULATIONS.primaquineTablet;
+  const tablets = Math.max(
+    PRIMAQUINE_STEP_TABLETS,
+    Math.round(mgPerKg * weightKg / unitMg / PRIMAQUINE_STEP_TABLETS) * PRIMAQUINE_STEP_TABLETS
+  );
+  const schedule = {
+    daily: { frequency: 'Once daily', duration: '14 days' },
+    weekly: { frequency: 'Once weekly', duration: '8 weeks' },
+    singleLowDose: { frequency: 'Single dose', duration: '1 day' },
+  }[kind];
+  return medication('primaquineTablet', {
+    dosage: `${tabletDosage(tablets)} (${tablets * unitMg} mg, ${mgPerKg} mg/kg)`,
+    ...schedule,
+    quantity: Math.ceil(tablets * doses),
+    instructions
+  });
+};
+
+/**
+ * What the malaria species adds to the blood-stage treatment: primaquine radical
+ * cure for relapsing species when G6PD status and pregnancy allow it, and a single
+ * low dose of primaquine against P. falciparum transmission.
+ * Returns { radicalCure, medications, notes }; radicalCure is one of daily, weekly,
+ * awaiting-g6pd, deferred-pregnancy, deferred-infant, or null when the species
+ * does not relapse. Without ageMonths, age is taken as ageYears whole years.
+ */
+const speciesManagement = (species, { weightKg, ageYears, ageMonths = ageYears * 12, pregnant, g6pdStatus = 'unknown' }) => {
+  const medications = [];
+  const notes = [];
+  let radicalCure = null;
+  const label = species === 'mixed' ? 'Mixed infection' : species;
+  const infant = ageMonths < PRIMAQUINE_MIN_AGE_MONTHS;
+
+  if (RELAPSING_SPECIES.includes(species)) {
+    if (pregnant) {
+      radicalCure = 'deferred-pregnancy';
+      notes.push(`${label}: primaquine is contraindicated in pregnancy; give weekly chloroquine prophylaxis until delivery, then radical cure`);
+    } else if (infant) {
+      radicalCure = 'deferred-infant';
+      notes.push(`${label}: primaquine is not given to infants under ${PRIMAQUINE_MIN_AGE_MONTHS} months; give radical cure from ${PRIMAQUINE_MIN_AGE_MONTHS} months of age`);
+    } else if (g6pdStatus === 'unknown') {
+      radicalCure = 'awaiting-g6pd';
+      notes.push(`${label}: radical cure with primaquine is needed; test G6PD before prescribing it`);
+    } else if (g6pdStatus === 'normal') {
+      radicalCure = 'daily';
+      medications.push(primaquineCourse(weightKg, 'daily', 'Radical cure: start with the ACT and take with food; stop and return if urine turns dark'));
+    } else {
+      radicalCure = 'weekly';
+      medications.push(primaquineCourse(weightKg, 'weekly', 'Radical cure for low G6PD activity: supervise each dose and check for haemolysis (dark urine, pallor)'));
+      notes.push(`${label}: G6PD ${g6pdStatus}, so primaquine is given weekly for 8 weeks under medical supervision`);
+    }
+  } else if (species === 'P. falciparum') {
+    if (pregnant) {
+      notes.push('P. falciparum: single low-dose primaquine is left out in pregnancy');
+    } else if (infant) {
+      notes.push(`P. falciparum: single low-dose primaquine may be added from ${PRIMAQUINE_MIN_AGE_MONTHS} months of age`);
+    } else {
+      // No G6PD test is needed at this dose
+      medications.push(primaquineCourse(weightKg, 'singleLowDose', 'Give with the first ACT dose to stop transmission'));
+    }
+  } else if (species === 'P. malariae') {
+    notes.push('P. malariae: no radical cure needed');
+  } else if (!species) {
+    notes.push('Species not recorded: confirm by microscopy, as P. vivax and P. ovale also need radical cure');
+  }
+
+  return { radicalCure, medications, notes };
+};
+
+// Regimen name by species, e.g. 'Uncomplicated P. vivax malaria'
+const speciesLabel = (severity, species) => {
+  if (!species) return `${severity} malaria`;
+  return `${severity} ${species === 'mixed' ? 'mixed-species' : species} malaria`;
+};
+
+const malariaRegimen = (malariaAssessment, patient) => {
+  const { weightKg, pregnant, trimester } = patient;
+  const species = malariaAssessment.species || null;
+  const severe = Boolean(malariaAssessment.urgentReferral);
+  const notes = [];
+
+  if (weightKg < ACT_MIN_STUDIED_KG) {
+    notes.push(`Under ${ACT_MIN_STUDIED_KG} kg: artemether-lumefantrine dosed at the lowest band; evidence is limited, review with a paediatrician`);
+  }
+  const management = speciesManagement(species, patient);
+  notes.push(...management.notes);
+  if (pregnant && trimester === 1 && !severe) {
+    notes.push('First trimester: artemether-lumefantrine is the preferred ACT');
+  }
+
+  const primaquine = management.medications.length > 0 ? ' plus primaquine' : '';
+
+  if (!severe) {
+    return {
+      disease: 'malaria',
+      regimen: 'uncomplicated',
+      species,
+      radicalCure: management.radicalCure,
+      label: `${speciesLabel('Uncomplicated', species)}: artemether-lumefantrine (ACT) by weight band${primaquine}`,
+      medications: [
+        actCourse(weightKg, 'Take with fatty food or milk; repeat the dose if vomited within 30 minutes'),
+        ...management.medications
+      ],
+      notes
+    };
+  }
+
+  const mgPerKg = weightKg < ARTESUNATE_DOSE.smallChildBelowKg ? ARTESUNATE_DOSE.smallChildMgPerKg : ARTESUNATE_DOSE.mgPerKg;
+  const doseMg = Math.round(mgPerKg * weightKg * 10) / 10;
+  const vialsPerDose = Math.ceil(doseMg / FORMULATIONS.artesunateInjection.unitMg);
+
+  return {
+    disease: 'malaria',
+    regimen: 'severe',
+    species,
+    radicalCure: management.radicalCure,
+    label: `${speciesLabel('Severe', species)}: IV artesunate, then a full ACT course${primaquine}`,
+    medications: [
+      medication('artesunateInjection', {
+        dosage: `${doseMg} mg IV (${mgPerKg} mg/kg)`,
+        frequency: 'At 0, 12 and 24 hours, then once daily',
+        duration: 'At least 24 hours, until oral intake is possible',
+        quantity: vialsPerDose * ARTESUNATE_FIRST_DAY_DOSES,
+        instructions: 'Give IM if IV access is not possible; refer urgently'
+      }),
+      actCourse(weightKg, 'Start once the patient can take oral medication, after at least 24 hours of artesunate'),
+      ...management.medications.map(item => ({ ...item, instructions: `Start with the ACT course. ${item.instructions}` }))
+    ],
+    notes: pregnant ? [...notes, 'IV artesunate is used in all trimesters of pregnancy'] : notes
+  };
+};
+
+const typhoidRegimen = (typhoidAssessment, { weightKg, ageYears, pregnant }) => {
+  const child = ageYears < CHILD_BELOW_YEARS;
+  const complicated = (typhoidAssessment.complications || []).length > 0;
+  const notes = pregnant ? ['Fluoroquinolones are avoided in pregnancy'] : [];
+
+  if (complicated) {
+    const { mgPerKg, maxMg, days } = TYPHOID_ANTIBIOTICS.ceftriaxone;
+    const doseMg = child ? Math.min(Math.round(mgPerKg * weightKg), maxMg) : maxMg;
+    return {
+      disease: 'typhoid',
+      regimen: 'complicated',
+      label: 'Complicated typhoid: IV ceftriaxone',
+      medications: [medication('ceftriaxoneInjection', {
+        dosage: `${doseMg} mg IV`,
+        frequency: 'Once daily',
+        duration: `10-${days} days`,
+        quantity: Math.ceil(doseMg / FORMULATIONS.ceftriaxoneInjection.unitMg) * days,
+        instructions: 'Admit; switch to oral azithromycin once afebrile and eating'
+      })],
+      notes
+    };
+  }
+
+  const { mgPerKg, maxMg, days } = TYPHOID_ANTIBIOTICS.azithromycin;
+  const doseMg = Math.min(Math.round(mgPerKg * weightKg), maxMg);
+  const tablets = weightKg >= AZITHROMYCIN_TABLET_MIN_KG;
+  const formulationKey = tablets ? 'azithromycinTablet' : 'azithromycinSuspension';
+  const formulation = FORMULATIONS[formulationKey];
+
+  return {
+    disease: 'typhoid',
+    regimen: 'uncomplicated',
+    label: 'Uncomplicated typhoid: oral azithromycin',
+    medications: [medication(formulationKey, {
+      dosage: tablets
+        ? `${Math.ceil(doseMg / formulation.unitMg)} x 500 mg`
+        : `${doseMg} mg (${Math.round(doseMg / formulation.mgPerMl * 10) / 10} mL)`,
+      frequency: 'Once daily',
+      duration: `${days} days`,
+      quantity: tablets ? Math.ceil(doseMg / formulation.unitMg) * days : Math.ceil(doseMg * days / formulation.unitMg),
+      instructions: 'Take on an empty stomach; finish the course'
+    })],
+    notes
+  };
+};
+
+// Severe malaria is an emergency; any other severe or complicated regimen is urgent
+const priorityFor = (regimens) => {
+  if (regimens.some(regimen => regimen.disease === 'malaria' && regimen.regimen === 'severe')) return 'emergency';
+  if (regimens.some(regimen => regimen.regimen !== 'uncomplicated')) return 'urgent';
+  return 'routine';
+};
+
+/**
+ * Recommend first-line regimens for a scored diagnosis.
+ * diagnosis: { malariaAssessment, typhoidAssessment } as stored on a Diagnosis
+ * patient: { weightKg, ageYears, ageMonths, pregnant, trimester, g6pdStatus }
+ * Malaria is only treated once a test confirms it (test before treat) or when
+ * danger signs call for pre-referral artesunate, with primaquine as the recorded
+ * species calls for; typhoid when a culture or TyphiDot is positive or the
+ * expert system rates it high risk.
+ */
+export const recommendTreatment = ({ malariaAssessment = {}, typhoidAssessment = {} }, patient) => {
+  const { weightKg, ageYears, ageMonths, pregnant = false, trimester = null, g6pdStatus = 'unknown' } = patient;
+  if (!(weightKg > 0)) {
+    throw new TreatmentError('Patient weight is required to dose the treatment');
+  }
+
+  const regimens = [];
+  const notes = [];
+
+  const malariaConfirmed = confirmedBy(malariaAssessment.testResults, CONFIRMING_TESTS.malaria)
+    || Number(malariaAssessment.testResults?.parasiteCount) > 0;
+  if (malariaConfirmed || malariaAssessment.urgentReferral) {
+    regimens.push(malariaRegimen(malariaAssessment, patient));
+  } else if (malariaAssessment.riskLevel === 'high') {
+    notes.push('Malaria is likely but unconfirmed: test with an RDT or microscopy before treating');
+  }
+
+  if (confirmedBy(typhoidAssessment.testResults, CONFIRMING_TESTS.typhoid) || typhoidAssessment.riskLevel === 'high') {
+    regimens.push(typhoidRegimen(typhoidAssessment, patient));
+  }
+
+  return {
+    patient: { weightKg, ageYears, ageMonths, pregnant, trimester, g6pdStatus },
+    regimens,
+    notes,
+    priority: priorityFor(regimens),
+  };
+};
+
+/**
+ * Draft prescription for POST /api/prescriptions from a recommendation, or null
+ * when nothing is to be prescribed
+ */
+export const draftPrescription = (recommendation, { patientId, diagnosisId, appointmentId }) => {
+  if (recommendation.regimens.length === 0) return null;
+
+  return {
+    patient: patientId,
+    diagnosis: diagnosisId,
+    appointment: appointmentId,
+    priority: recommendation.priority,
+    instructions: recommendation.regimens.map(regimen => regimen.label).join('; '),
+    medications: recommendation.regimens.flatMap(regimen => regimen.medications)
+  };
+};
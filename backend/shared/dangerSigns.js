@@ -0,0 +1,62 @@
+/**
+ * Severe malaria danger signs
+ *
+ * The WHO criteria for severe malaria that can be read from the reported
+ * symptoms and the malaria parasite count. Any one of them calls for urgent
+ * referral and parenteral treatment, whatever the rule engine's probabilities.
+ * Served to the browser with the rule engine, so keep it free of dependencies.
+ */
+
+// Symptom keys (after normalizeSymptom) that meet a criterion on their own
+export const DANGER_SIGN_CRITERIA = [
+  { criterion: 'impaired_consciousness', label: 'Impaired consciousness' },
+  { criterion: 'convulsions', label: 'Convulsions' },
+  { criterion: 'prostration', label: 'Prostration (unable to sit, stand or walk unaided)' },
+  { criterion: 'respiratory_distress', label: 'Respiratory distress' },
+  { criterion: 'jaundice', label: 'Jaundice' },
+  { criterion: 'haemoglobinuria', label: 'Haemoglobinuria (dark or cola-coloured urine)' },
+  { criterion: 'hypoglycaemia', label: 'Hypoglycaemia' },
+];
+
+// P. falciparum parasitaemia above 10% of red cells, about 500,000 parasites/µL
+export const HYPERPARASITAEMIA_PER_UL = 500000;
+
+const URGENT_REFERRAL = {
+  confirmed: 'Severe malaria: give IV or IM artesunate (rectal artesunate if it cannot be injected) and refer urgently',
+  unconfirmed: 'Danger signs of severe malaria: test for malaria now, give pre-referral artesunate unless malaria is excluded, and refer urgently',
+};
+
+/**
+ * Check the findings against the severe malaria criteria.
+ * symptoms: normalised symptom keys
+ * malariaTests: the malaria test results, e.g. { rapidTest: 'positive', parasiteCount: 620000 }
+ * Returns { urgentReferral, confirmedParasitaemia, criteria: [{ criterion, label, evidence }], recommendation }
+ */
+export const evaluateDangerSigns = (symptoms = [], malariaTests = {}) => {
+  const criteria = DANGER_SIGN_CRITERIA
+    .filter(({ criterion }) => symptoms.includes(criterion))
+    .map(({ criterion, label }) => ({ criterion, label, evidence: 'Reported symptom' }));
+
+  const parasiteCount = Number(malariaTests.parasiteCount);
+  if (parasiteCount > HYPERPARASITAEMIA_PER_UL) {
+    criteria.push({
+      criterion: 'hyperparasitaemia',
+      label: 'Hyperparasitaemia (> 10% parasitised red cells)',
+      evidence: `Parasite count ${parasiteCount}/µL`,
+    });
+  }
+
+  const confirmedParasitaemia = parasiteCount > 0
+    || malariaTests.rapidTest === 'positive'
+    || malariaTests.microscopy === 'positive';
+  const urgentReferral = criteria.length > 0;
+
+  return {
+    urgentReferral,
+    confirmedParasitaemia,
+    criteria,
+    recommendation: urgentReferral
+      ? URGENT_REFERRAL[confirmedParasitaemia ? 'confirmed' : 'unconfirmed']
+      : null,
+  };
+};
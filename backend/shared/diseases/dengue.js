@@ -0,0 +1,45 @@
+/**
+ * Dengue disease module
+ */
+export default {
+  key: 'dengue',
+  label: 'Dengue',
+  prior: 0.08,
+  calibration: 0.8,
+  symptoms: {
+    fever: { present: 2.0, absent: 0.1 },
+    retro_orbital_pain: { present: 4.0 },
+    joint_pain: { present: 2.5 },
+    muscle_aches: { present: 2.0 },
+    rash: { present: 2.5 },
+    bleeding: { present: 3.0 },
+    headache: { present: 1.5 },
+    nausea: { present: 1.3 },
+    vomiting: { present: 1.3 },
+    fatigue: { present: 1.1 },
+    chills: { present: 0.9 },
+    diarrhea: { present: 0.8 },
+    constipation: { present: 0.7 },
+    dry_cough: { present: 0.6 },
+    sore_throat: { present: 0.6 },
+    runny_nose: { present: 0.5 },
+  },
+  feverDuration: [
+    { maxDays: 3, lr: 1.2 },
+    { maxDays: 7, lr: 1.3 },
+    { maxDays: 14, lr: 0.6 },
+    { lr: 0.2 },
+  ],
+  feverPatterns: { cyclical: 0.6, 'step-ladder': 0.5, continuous: 1.3 },
+  tests: {
+    ns1Antigen: { positive: 30, negative: 0.1 },
+    dengueIgM: { positive: 10, negative: 0.4 },
+    tourniquetTest: { positive: 3, negative: 0.6 },
+  },
+  recommendations: {
+    high: 'Dengue likely: NS1/IgM testing, full blood count and platelet monitoring; avoid NSAIDs and aspirin',
+    moderate: 'Consider dengue NS1/IgM testing and a full blood count',
+    low: 'Low dengue risk',
+  },
+  patientAdvice: 'Book appointment for dengue testing. Drink plenty of fluids and use paracetamol, not ibuprofen or aspirin. Seek emergency care for bleeding, severe belly pain or persistent vomiting.',
+};
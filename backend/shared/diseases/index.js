@@ -0,0 +1,21 @@
+/**
+ * Disease module registry
+ *
+ * Each module declares one disease: its pre-test probability, the likelihood
+ * ratios of its symptoms, fever duration, fever patterns and lab tests, and its
+ * recommendations. To add a disease, write a module in this directory and list
+ * it below; it then becomes part of the built-in rule set and the differential.
+ * Like the rule engine, modules are served to the browser, so keep them plain data.
+ */
+import malaria from './malaria.js';
+import typhoid from './typhoid.js';
+import dengue from './dengue.js';
+import influenza from './influenza.js';
+import uti from './uti.js';
+
+export const DISEASE_MODULES = [malaria, typhoid, dengue, influenza, uti];
+
+// Module rules keyed by disease, the shape the rule engine and knowledge base use
+export const diseaseRulesFrom = modules => Object.fromEntries(
+  modules.map(({ key, ...rule }) => [key, rule])
+);
@@ -0,0 +1,41 @@
+/**
+ * Influenza-like illness disease module
+ */
+export default {
+  key: 'influenza',
+  label: 'Influenza-like Illness',
+  prior: 0.15,
+  calibration: 0.8,
+  symptoms: {
+    fever: { present: 1.5, absent: 0.3 },
+    dry_cough: { present: 3.0 },
+    sore_throat: { present: 2.5 },
+    runny_nose: { present: 2.5 },
+    muscle_aches: { present: 1.8 },
+    headache: { present: 1.3 },
+    fatigue: { present: 1.3 },
+    chills: { present: 1.2 },
+    abdominal_pain: { present: 0.6 },
+    diarrhea: { present: 0.7 },
+    constipation: { present: 0.6 },
+    rash: { present: 0.6 },
+    rose_spots: { present: 0.3 },
+  },
+  feverDuration: [
+    { maxDays: 3, lr: 1.5 },
+    { maxDays: 7, lr: 1.0 },
+    { maxDays: 14, lr: 0.4 },
+    { lr: 0.2 },
+  ],
+  feverPatterns: { cyclical: 0.5, 'step-ladder': 0.5, continuous: 1.2 },
+  tests: {
+    influenzaRapidTest: { positive: 15, negative: 0.4 },
+    influenzaPcr: { positive: 50, negative: 0.05 },
+  },
+  recommendations: {
+    high: 'Influenza-like illness likely: supportive care; consider antivirals for high-risk patients',
+    moderate: 'Consider influenza testing if it would change management',
+    low: 'Low influenza risk',
+  },
+  patientAdvice: 'Rest, drink fluids and stay home to avoid spreading it. Book appointment if you are pregnant, have a chronic illness, or feel worse after 3 days.',
+};
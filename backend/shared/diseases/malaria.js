@@ -0,0 +1,40 @@
+/**
+ * Malaria disease module
+ */
+export default {
+  key: 'malaria',
+  label: 'Malaria',
+  prior: 0.25,
+  calibration: 0.8,
+  symptoms: {
+    fever: { present: 1.8, absent: 0.2 },
+    chills: { present: 2.0 },
+    sweating: { present: 1.8 },
+    headache: { present: 1.3 },
+    fatigue: { present: 1.1 },
+    muscle_aches: { present: 1.2 },
+    vomiting: { present: 1.2 },
+    nausea: { present: 1.1 },
+    enlarged_spleen: { present: 2.5 },
+    diarrhea: { present: 0.9 },
+    abdominal_pain: { present: 0.8 },
+    constipation: { present: 0.7 },
+    rose_spots: { present: 0.3 },
+  },
+  feverDuration: [
+    { maxDays: 3, lr: 1.3 },
+    { maxDays: 7, lr: 1.0 },
+    { lr: 0.6 },
+  ],
+  feverPatterns: { cyclical: 3.0, 'step-ladder': 0.4, continuous: 0.8 },
+  tests: {
+    rapidTest: { positive: 25, negative: 0.08 },
+    microscopy: { positive: 50, negative: 0.1 },
+  },
+  recommendations: {
+    high: 'Immediate malaria testing and treatment recommended',
+    moderate: 'Consider malaria testing',
+    low: 'Low malaria risk',
+  },
+  patientAdvice: 'Book appointment and consider antimalarial testing. If you have severe signs (breathlessness, confusion), seek emergency care.',
+};
@@ -0,0 +1,45 @@
+/**
+ * Typhoid fever disease module
+ */
+export default {
+  key: 'typhoid',
+  label: 'Typhoid Fever',
+  prior: 0.1,
+  calibration: 0.8,
+  symptoms: {
+    fever: { present: 1.8, absent: 0.1 },
+    abdominal_pain: { present: 2.5 },
+    constipation: { present: 2.0 },
+    rose_spots: { present: 8.0 },
+    loss_appetite: { present: 1.5 },
+    enlarged_spleen: { present: 1.8 },
+    dry_cough: { present: 1.5 },
+    headache: { present: 1.3 },
+    weakness: { present: 1.3 },
+    diarrhea: { present: 1.3 },
+    rash: { present: 1.3 },
+    sore_throat: { present: 1.2 },
+    vomiting: { present: 1.1 },
+    chills: { present: 0.8 },
+    sweating: { present: 0.8 },
+  },
+  feverDuration: [
+    { maxDays: 3, lr: 0.5 },
+    { maxDays: 7, lr: 1.0 },
+    { maxDays: 14, lr: 2.0 },
+    { lr: 1.5 },
+  ],
+  feverPatterns: { cyclical: 0.5, 'step-ladder': 4.0, continuous: 1.5 },
+  tests: {
+    bloodCulture: { positive: 50, negative: 0.4 },
+    stoolCulture: { positive: 20, negative: 0.7 },
+    typhiDot: { positive: 6, negative: 0.25 },
+    widalTest: { positive: 2.5, negative: 0.5 },
+  },
+  recommendations: {
+    high: 'Immediate typhoid testing and treatment recommended',
+    moderate: 'Consider typhoid testing',
+    low: 'Low typhoid risk',
+  },
+  patientAdvice: 'Book appointment for confirmatory testing and antibiotics.',
+};
@@ -0,0 +1,40 @@
+/**
+ * Urinary tract infection disease module
+ */
+export default {
+  key: 'uti',
+  label: 'Urinary Tract Infection',
+  prior: 0.08,
+  calibration: 0.8,
+  symptoms: {
+    dysuria: { present: 5.0, absent: 0.3 },
+    urinary_frequency: { present: 3.0 },
+    urinary_urgency: { present: 3.0 },
+    suprapubic_pain: { present: 3.0 },
+    flank_pain: { present: 3.0 },
+    cloudy_urine: { present: 3.0 },
+    blood_in_urine: { present: 2.5 },
+    fever: { present: 1.2 },
+    abdominal_pain: { present: 1.3 },
+    nausea: { present: 1.2 },
+    vomiting: { present: 1.2 },
+    rash: { present: 0.7 },
+    dry_cough: { present: 0.5 },
+    sore_throat: { present: 0.5 },
+    runny_nose: { present: 0.5 },
+  },
+  feverDuration: [
+    { maxDays: 7, lr: 1.0 },
+    { lr: 0.8 },
+  ],
+  tests: {
+    urineDipstick: { positive: 4, negative: 0.2 },
+    urineCulture: { positive: 40, negative: 0.05 },
+  },
+  recommendations: {
+    high: 'UTI likely: urine dipstick and culture, then antibiotics; assess for pyelonephritis if fever or flank pain',
+    moderate: 'Consider a urine dipstick',
+    low: 'Low UTI risk',
+  },
+  patientAdvice: 'Book appointment for a urine test. Seek care the same day if you have fever with back or side pain, or are pregnant.',
+};
@@ -0,0 +1,172 @@
+/**
+ * Epidemiological context
+ *
+ * Where the patient lives and has recently been, the time of year, bednet use
+ * and typhoid vaccination change how likely each disease is before a single
+ * symptom is counted. The defaults below are stored in the knowledge base as
+ * the rule set's epidemiology section, where admins adjust them like any
+ * other rule. Served to the browser with the rule engine, so keep it free of
+ * dependencies.
+ */
+
+// Regions of Namibia, plus neighbouring areas patients travel back from.
+// priors: pre-test probability of a disease among febrile patients in the region,
+// used instead of the disease module's prior; unlisted diseases keep the module's.
+const REGIONS = {
+  zambezi: { label: 'Zambezi', aliases: ['caprivi', 'katima mulilo'], priors: { malaria: 0.35 } },
+  kavango_east: { label: 'Kavango East', aliases: ['rundu'], priors: { malaria: 0.3 } },
+  kavango_west: { label: 'Kavango West', aliases: ['nkurenkuru'], priors: { malaria: 0.25 } },
+  ohangwena: { label: 'Ohangwena', aliases: ['eenhana'], priors: { malaria: 0.12 } },
+  oshikoto: { label: 'Oshikoto', aliases: ['tsumeb', 'omuthiya'], priors: { malaria: 0.08 } },
+  kunene: { label: 'Kunene', aliases: ['opuwo'], priors: { malaria: 0.08 } },
+  omusati: { label: 'Omusati', aliases: ['outapi'], priors: { malaria: 0.06 } },
+  oshana: { label: 'Oshana', aliases: ['oshakati', 'ondangwa'], priors: { malaria: 0.06 } },
+  otjozondjupa: { label: 'Otjozondjupa', aliases: ['otjiwarongo', 'grootfontein'], priors: { malaria: 0.05 } },
+  omaheke: { label: 'Omaheke', aliases: ['gobabis'], priors: { malaria: 0.02 } },
+  khomas: { label: 'Khomas', aliases: ['windhoek'], priors: { malaria: 0.02, typhoid: 0.08 } },
+  erongo: { label: 'Erongo', aliases: ['swakopmund', 'walvis bay'], priors: { malaria: 0.01 } },
+  hardap: { label: 'Hardap', aliases: ['mariental'], priors: { malaria: 0.01 } },
+  karas: { label: '//Karas', aliases: ['keetmanshoop', 'luderitz'], priors: { malaria: 0.01 } },
+  southern_angola: { label: 'Southern Angola', aliases: ['angola'], priors: { malaria: 0.45 } },
+  western_zambia: { label: 'Western Zambia', aliases: ['zambia'], priors: { malaria: 0.45 } },
+};
+
+export const EPIDEMIOLOGY = {
+  // Travel counts when the patient came back this many days ago or less
+  travelWindowDays: 30,
+  regions: REGIONS,
+  // Likelihood ratio per disease in each season, by calendar month
+  seasons: {
+    rainy: { label: 'Rainy season', months: [11, 12, 1, 2, 3, 4], lr: { malaria: 1.6, dengue: 1.5, typhoid: 1.2 } },
+    dry: { label: 'Dry season', months: [5, 6, 7, 8, 9, 10], lr: { malaria: 0.5, dengue: 0.7 } },
+  },
+  // Yes/no exposures and protections: likelihood ratio per disease for each answer
+  factors: {
+    bednet: { label: 'Sleeps under an insecticide-treated bednet', yes: { malaria: 0.6 }, no: { malaria: 1.2 } },
+    typhoidVaccine: { label: 'Typhoid vaccination in the last 3 years', yes: { typhoid: 0.45 } },
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const keyFor = text => String(text ?? '').trim().toLowerCase()
+  .replace(/['’/]/g, '')
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const odds = p => p / (1 - p);
+
+/**
+ * Region key for a region name, alias ('Windhoek') or key; null when not configured
+ */
+export const regionKey = (name, { regions = {} } = EPIDEMIOLOGY) => {
+  const key = keyFor(name);
+  if (!key) return null;
+  if (regions[key]) return key;
+  return Object.keys(regions).find(region =>
+    keyFor(regions[region].label) === key || (regions[region].aliases || []).some(alias => keyFor(alias) === key)) || null;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read the assessment's context against the configured epidemiology.
+ * context: { region, travel: [region or { region, returnedOn }], date, bednet, typhoidVaccine }
+ * Returns the region, the regions visited within the travel window, the season
+ * on the date, the yes/no factors answered, and the region names not configured.
+ */
+export const readContext = (context = {}, epidemiology = EPIDEMIOLOGY) => {
+  const unknownRegions = [];
+  const lookup = (name) => {
+    const key = regionKey(name, epidemiology);
+    if (!key && name) unknownRegions.push(String(name));
+    return key;
+  };
+
+  const date = toDate(context.date);
+  const month = date ? date.getUTCMonth() + 1 : null;
+  const travel = (context.travel || [])
+    .map(entry => (typeof entry === 'string' ? { region: entry } : entry || {}))
+    .filter(({ returnedOn }) => {
+      const returned = toDate(returnedOn);
+      // Without both dates the trip cannot be placed, so it counts
+      if (!returned || !date) return true;
+      const daysAgo = (date - returned) / DAY_MS;
+      return daysAgo >= 0 && daysAgo <= epidemiology.travelWindowDays;
+    })
+    .map(({ region }) => lookup(region))
+    .filter(Boolean);
+  const region = lookup(context.region);
+
+  return {
+    region,
+    travel: [...new Set(travel)].filter(key => key !== region),
+    date: date ? date.toISOString().slice(0, 10) : null,
+    season: month === null ? null
+      : Object.keys(epidemiology.seasons || {}).find(season => epidemiology.seasons[season].months.includes(month)) || null,
+    factors: Object.fromEntries(Object.keys(epidemiology.factors || {})
+      .filter(factor => typeof context[factor] === 'boolean')
+      .map(factor => [factor, context[factor] ? 'yes' : 'no'])),
+    unknownRegions,
+  };
+};
+
+/**
+ * Likelihood ratios the context applies to one disease, in the order they are
+ * applied: the home region's prior, the highest-prevalence region visited (only
+ * when it raises the prior), the season, then each yes/no factor. Priors are
+ * expressed as the likelihood ratio that turns the module's prior into them.
+ * rule is the path of the value in the rule set, e.g. epidemiology.regions.zambezi.priors.malaria
+ */
+export const contextFindings = (disease, prior, context, epidemiology = EPIDEMIOLOGY) => {
+  const findings = [];
+  const priorIn = region => epidemiology.regions[region]?.priors?.[disease];
+
+  let current = prior;
+  const regionPrior = context.region && priorIn(context.region);
+  if (regionPrior) {
+    findings.push({
+      finding: 'region',
+      value: context.region,
+      lr: odds(regionPrior) / odds(current),
+      rule: `epidemiology.regions.${context.region}.priors.${disease}`,
+    });
+    current = regionPrior;
+  }
+
+  const [visited] = context.travel
+    .filter(region => priorIn(region) > current)
+    .sort((a, b) => priorIn(b) - priorIn(a));
+  if (visited) {
+    findings.push({
+      finding: 'travel',
+      value: visited,
+      lr: odds(priorIn(visited)) / odds(current),
+      rule: `epidemiology.regions.${visited}.priors.${disease}`,
+    });
+  }
+
+  const seasonLr = context.season && epidemiology.seasons[context.season].lr?.[disease];
+  if (seasonLr) {
+    findings.push({ finding: 'season', value: context.season, lr: seasonLr, rule: `epidemiology.seasons.${context.season}.lr.${disease}` });
+  }
+
+  Object.entries(context.factors).forEach(([factor, answer]) => {
+    const lr = epidemiology.factors[factor][answer]?.[disease];
+    if (lr) findings.push({ finding: factor, value: answer, lr, rule: `epidemiology.factors.${factor}.${answer}.${disease}` });
+  });
+
+  return findings;
+};
+
+/**
+ * The context an assessment is scored and stored with: the date defaults to
+ * today, so the season is known when the assessment is looked at later
+ */
+export const datedContext = (context, today = new Date()) => (context
+  ? { date: today.toISOString().slice(0, 10), ...context }
+  : undefined);
@@ -0,0 +1,335 @@
+/**
+ * Febrile illness rule engine
+ *
+ * The single source of symptom scoring for the API and the patient portal.
+ * The backend serves this directory at /shared, so the module must stay free
+ * of Node built-ins and npm dependencies.
+ *
+ * Each disease is a pluggable module (see diseases/) and starts from a
+ * pre-test probability; every finding (symptom, fever duration, fever pattern,
+ * test result) multiplies the odds by its likelihood ratio, naive Bayes style. Because the findings are not truly
+ * independent, the summed log-likelihood ratio is tempered by a calibration
+ * slope before it is turned back into a probability. The epidemiological
+ * context (region, travel, season, bednet, vaccination; see epidemiology.js)
+ * sets the pre-test odds and is applied in full.
+ *
+ * The rules below are the built-in defaults. The API scores with the published
+ * version of the knowledge base (seeded from these defaults) and passes it in
+ * as the rule set; the patient portal fetches the same rule set from the API.
+ */
+
+import { DISEASE_MODULES, diseaseRulesFrom } from './diseases/index.js';
+import { evaluateDangerSigns } from './dangerSigns.js';
+import { EPIDEMIOLOGY, readContext, contextFindings } from './epidemiology.js';
+import { findSymptom, isSymptomCode, symptomKey } from './symptomVocabulary.js';
+
+// Probability at or above which a disease is rated high / moderate risk
+export const RISK_THRESHOLDS = { high: 0.7, moderate: 0.4 };
+
+const RISK_ORDER = ['low', 'moderate', 'high'];
+
+// Severe findings count for more, mild ones for less (multiplies the log-likelihood ratio)
+export const SEVERITY_WEIGHTS = { mild: 0.5, moderate: 1, severe: 1.5 };
+
+export const FEVER_PATTERNS = ['cyclical', 'step-ladder', 'continuous'];
+
+// Uncertainty used for the confidence interval: standard error of the prior's
+// log-odds and of each finding's log-likelihood ratio
+const PRIOR_LOG_ODDS_SE = 0.4;
+const LOG_LR_SE = 0.3;
+const Z_95 = 1.96;
+
+// Built-in rules of every registered disease module (see diseases/)
+export const DISEASE_RULES = diseaseRulesFrom(DISEASE_MODULES);
+
+// Built-in rule set; version is null because it does not come from the knowledge base
+export const DEFAULT_RULE_SET = {
+  version: null,
+  thresholds: RISK_THRESHOLDS,
+  severityWeights: SEVERITY_WEIGHTS,
+  diseases: DISEASE_RULES,
+  epidemiology: EPIDEMIOLOGY,
+};
+
+const DURATION_UNITS = { hour: 1 / 24, day: 1, week: 7, month: 30 };
+
+/**
+ * Turn 'Loss of appetite', 'loss-of-appetite' or { symptom: 'Loss of appetite' }
+ * into the rule key 'loss_appetite'. Codes, labels and synonyms from the symptom
+ * vocabulary are matched exactly; the API also corrects misspellings before
+ * symptoms reach the engine (see symptomVocabulary.js).
+ */
+export const normalizeSymptom = (symptom) => {
+  const text = typeof symptom === 'string' ? symptom : symptom?.symptom;
+  if (!text) return null;
+
+  return findSymptom(text)?.code || symptomKey(text);
+};
+
+/**
+ * Days from a duration such as 5, '5', '3 days', '2 weeks' or '36 hours'; null if unreadable
+ */
+export const parseDurationDays = (duration) => {
+  if (typeof duration === 'number') return duration >= 0 ? duration : null;
+  const match = String(duration ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(hour|day|week|month)?s?$/);
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2] || 'day'];
+};
+
+export const riskLevelFor = (probability, thresholds = RISK_THRESHOLDS) => {
+  if (probability >= thresholds.high) return 'high';
+  if (probability >= thresholds.moderate) return 'moderate';
+  return 'low';
+};
+
+const logit = p => Math.log(p / (1 - p));
+const logistic = x => 1 / (1 + Math.exp(-x));
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Calibration tempers the clinical findings, which overlap; context factors do not
+const scaleFor = (rule, kind) => (kind === 'context' ? 1 : rule.calibration);
+
+/**
+ * Normalise the engine input: symptom names or { symptom, severity, duration, pattern }
+ * objects, explicitly absent symptoms, and fever details
+ */
+const readFindings = ({ symptoms = [], absentSymptoms = [], feverPattern, feverDays }, severityWeights) => {
+  const present = new Map();
+  symptoms.forEach((entry) => {
+    const key = normalizeSymptom(entry);
+    if (!key) return;
+    const severity = severityWeights[entry?.severity] ? entry.severity : 'moderate';
+    // Keep the most severe report of a repeated symptom
+    if (!present.has(key) || severityWeights[severity] > severityWeights[present.get(key).severity]) {
+      present.set(key, { severity, entry });
+    }
+  });
+
+  const fever = present.get('fever')?.entry;
+  const pattern = feverPattern || fever?.pattern;
+  const days = feverDays ?? fever?.duration;
+
+  return {
+    present,
+    absent: absentSymptoms.map(normalizeSymptom).filter(key => key && !present.has(key)),
+    feverPattern: FEVER_PATTERNS.includes(pattern) ? pattern : null,
+    feverDays: present.has('fever') && days !== undefined ? parseDurationDays(days) : null,
+  };
+};
+
+/**
+ * Step-by-step account of how an assessment was reached: every rule that fired
+ * and what it added to the log-odds, the thresholds crossed, and whether test
+ * results changed the risk level the symptoms alone would have given
+ */
+const explainAssessment = (rule, contributions, { probability, riskLevel }, thresholds) => {
+  let logOdds = logit(rule.prior);
+  const steps = contributions.map(({ kind, finding, value, lr, weight, rule: path }) => {
+    const contribution = scaleFor(rule, kind) * weight * Math.log(lr);
+    logOdds += contribution;
+    return {
+      rule: path,
+      kind,
+      finding,
+      value,
+      lr,
+      weight,
+      contribution: round(contribution),
+      probabilityAfter: round(logistic(logOdds)),
+    };
+  });
+
+  const crossed = Object.entries(thresholds)
+    .sort(([, a], [, b]) => a - b)
+    .map(([level, threshold]) => ({ level, threshold, crossed: probability >= threshold }));
+
+  // Pre-test probability once the epidemiological context is applied
+  const contextSteps = steps.filter(step => step.kind === 'context');
+  const context = contextSteps.length > 0
+    ? { factors: contextSteps.map(({ finding, value }) => ({ factor: finding, value })), probability: contextSteps[contextSteps.length - 1].probabilityAfter }
+    : null;
+
+  // What the context, symptoms and fever history alone would have given
+  const tests = steps.filter(step => step.kind === 'test');
+  const clinicalProbability = logistic(logit(rule.prior) + steps
+    .filter(step => step.kind !== 'test')
+    .reduce((sum, step) => sum + scaleFor(rule, step.kind) * step.weight * Math.log(step.lr), 0));
+  const clinicalRiskLevel = riskLevelFor(clinicalProbability, thresholds);
+  const testOverride = tests.length > 0 && clinicalRiskLevel !== riskLevel
+    ? {
+      tests: tests.map(({ finding, value, lr }) => ({ test: finding, value, lr })),
+      clinicalProbability: round(clinicalProbability),
+      clinicalRiskLevel,
+    }
+    : null;
+
+  const threshold = crossed.filter(entry => entry.crossed).pop();
+  const summary = [
+    `${rule.label}: ${riskLevel} risk (probability ${round(probability)}, prior ${rule.prior})`,
+    context && `${context.factors.map(({ factor }) => factor).join(', ')} moved the pre-test probability to ${context.probability}`,
+    threshold
+      ? `crossed the ${threshold.level} threshold of ${threshold.threshold}`
+      : `below the ${crossed[0].level} threshold of ${crossed[0].threshold}`,
+    testOverride && `test results changed the rating from ${clinicalRiskLevel} (symptoms alone) to ${riskLevel}`,
+  ].filter(Boolean).join('; ');
+
+  return {
+    prior: { probability: rule.prior, logOdds: round(logit(rule.prior)) },
+    calibration: rule.calibration,
+    context,
+    steps,
+    logOdds: round(logOdds),
+    probability: round(probability),
+    thresholds: crossed,
+    riskLevel,
+    testOverride,
+    summary,
+  };
+};
+
+/**
+ * Posterior probability of one disease, with the findings that moved it
+ */
+const assessDisease = (disease, rule, findings, tests, context, { thresholds, severityWeights, epidemiology }) => {
+  const contributions = [];
+  // rule is the path of the likelihood ratio within the disease's rules
+  const add = (kind, finding, value, lr, path, weight = 1) => {
+    if (lr && lr !== 1) contributions.push({ kind, finding, value, lr, weight, rule: path });
+  };
+
+  if (context) {
+    contextFindings(disease, rule.prior, context, epidemiology).forEach(({ finding, value, lr, rule: path }) => {
+      add('context', finding, value, lr, path);
+    });
+  }
+
+  findings.present.forEach(({ severity }, symptom) => {
+    add('symptom', symptom, severity, rule.symptoms[symptom]?.present, `symptoms.${symptom}.present`, severityWeights[severity]);
+  });
+  findings.absent.forEach((symptom) => {
+    add('symptom', symptom, 'absent', rule.symptoms[symptom]?.absent, `symptoms.${symptom}.absent`);
+  });
+  if (findings.feverDays !== null) {
+    const index = rule.feverDuration.findIndex(({ maxDays }) => maxDays === undefined || findings.feverDays <= maxDays);
+    add('feverDuration', 'fever', `${findings.feverDays} days`, rule.feverDuration[index].lr, `feverDuration[${index}]`);
+  }
+  if (findings.feverPattern) {
+    add('feverPattern', 'fever', findings.feverPattern, rule.feverPatterns?.[findings.feverPattern], `feverPatterns.${findings.feverPattern}`);
+  }
+  Object.entries(rule.tests).forEach(([test, outcomes]) => {
+    add('test', test, tests[test], outcomes[tests[test]], `tests.${test}.${tests[test]}`);
+  });
+
+  const evidence = contributions.reduce((sum, { lr, weight }) => sum + weight * Math.log(lr), 0);
+  const logOdds = contributions
+    .reduce((sum, { kind, lr, weight }) => sum + scaleFor(rule, kind) * weight * Math.log(lr), logit(rule.prior));
+  const variance = PRIOR_LOG_ODDS_SE ** 2 + contributions
+    .reduce((sum, { kind, weight }) => sum + (scaleFor(rule, kind) * weight * LOG_LR_SE) ** 2, 0);
+  const margin = Z_95 * Math.sqrt(variance);
+
+  const probability = logistic(logOdds);
+  const riskLevel = riskLevelFor(probability, thresholds);
+
+  return {
+    probability: round(probability),
+    interval: { lower: round(logistic(logOdds - margin)), upper: round(logistic(logOdds + margin)), level: 0.95 },
+    prior: rule.prior,
+    likelihoodRatio: round(Math.exp(evidence)),
+    riskLevel,
+    findings: contributions.map(({ kind, finding, value, lr, weight }) => ({ kind, finding, value, lr: round(lr ** weight) })),
+    matchedSymptoms: contributions
+      .filter(({ kind, value, lr }) => kind === 'symptom' && value !== 'absent' && lr > 1)
+      .map(({ finding }) => finding),
+    positiveTests: Object.keys(rule.tests).filter(test => tests[test] === 'positive'),
+    recommendation: rule.recommendations[riskLevel],
+    trace: explainAssessment(rule, contributions, { probability, riskLevel }, thresholds),
+  };
+};
+
+/**
+ * Overall verdict from the per-disease assessments
+ */
+export const concludeAssessment = (assessments, { diseases } = DEFAULT_RULE_SET) => {
+  const ranked = Object.entries(assessments).sort(([, a], [, b]) => b.probability - a.probability);
+  const [topDisease, top] = ranked[0];
+  const runnerUp = ranked[1]?.[1];
+  // Indistinguishable when the runner-up is in the same band and almost as likely
+  const tied = runnerUp && RISK_ORDER.indexOf(runnerUp.riskLevel) === RISK_ORDER.indexOf(top.riskLevel) &&
+    top.probability - runnerUp.probability < 0.05;
+
+  if (top.riskLevel === 'high' && !tied) {
+    return {
+      disease: topDisease,
+      diagnosis: `Likely ${diseases[topDisease].label}`,
+      confidence: 'High',
+      recommendation: diseases[topDisease].patientAdvice,
+    };
+  }
+
+  if (top.riskLevel !== 'low') {
+    return {
+      disease: null,
+      diagnosis: `Possible ${ranked.filter(([, assessment]) => assessment.riskLevel !== 'low').map(([disease]) => diseases[disease].label).join(' or ')}`,
+      confidence: 'Moderate',
+      recommendation: 'Results are inconclusive. Please book a doctor for confirmation.',
+    };
+  }
+
+  return {
+    disease: null,
+    diagnosis: `No strong match for ${ranked.map(([disease]) => diseases[disease].label).join(' or ')}`,
+    confidence: 'Low',
+    recommendation: 'Consider other causes and consult a clinician.',
+  };
+};
+
+/**
+ * Diseases ranked from most to least likely
+ */
+export const rankDifferential = (assessments, { diseases } = DEFAULT_RULE_SET) => Object.entries(assessments)
+  .sort(([, a], [, b]) => b.probability - a.probability)
+  .map(([disease, { probability, interval, riskLevel, recommendation }], index) => ({
+    rank: index + 1,
+    disease,
+    label: diseases[disease].label,
+    probability,
+    interval,
+    riskLevel,
+    recommendation,
+  }));
+
+/**
+ * Assess every disease in the rule set.
+ * input.symptoms: symptom names or { symptom, severity, duration, pattern } objects
+ * input.absentSymptoms: symptoms the patient explicitly does not have
+ * input.feverPattern / input.feverDays: override the fever entry's pattern and duration
+ * input.testResults: keyed by disease, e.g. { malaria: { rapidTest: 'positive', parasiteCount: 620000 } }
+ * input.context: epidemiological context, e.g. { region: 'zambezi', travel: [{ region, returnedOn }],
+ *   date: '2026-02-10', bednet: false, typhoidVaccine: true }; used when the rule set has an epidemiology section
+ * dangerSigns reports the severe malaria criteria met and whether to refer urgently;
+ * unrecognizedSymptoms lists the symptoms that are not in the symptom vocabulary;
+ * context is the context as read (null without one), including unknownRegions.
+ */
+export const runRuleEngine = (input = {}, ruleSet = DEFAULT_RULE_SET) => {
+  const findings = readFindings(input, ruleSet.severityWeights);
+  const context = input.context && ruleSet.epidemiology ? readContext(input.context, ruleSet.epidemiology) : null;
+  const scores = {};
+  const assessments = {};
+
+  Object.entries(ruleSet.diseases).forEach(([disease, rule]) => {
+    assessments[disease] = assessDisease(disease, rule, findings, input.testResults?.[disease] || {}, context, ruleSet);
+    scores[disease] = assessments[disease].probability;
+  });
+
+  return {
+    version: ruleSet.version,
+    symptoms: [...findings.present.keys()],
+    unrecognizedSymptoms: [...findings.present.keys()].filter(key => !isSymptomCode(key)),
+    context,
+    scores,
+    assessments,
+    differential: rankDifferential(assessments, ruleSet),
+    conclusion: concludeAssessment(assessments, ruleSet),
+    dangerSigns: evaluateDangerSigns([...findings.present.keys()], input.testResults?.malaria ?? {}),
+  };
+};
@@ -0,0 +1,250 @@
+/**
+ * Controlled symptom vocabulary
+ *
+ * Every symptom the rule engine knows has one canonical code (the key the
+ * disease modules and knowledge base use), a display label, the other ways
+ * patients and clinicians write it, and its SNOMED CT concept where there is a
+ * clear one. Input is matched by code, label or synonym, and misspellings
+ * within a small edit distance are tolerated.
+ *
+ * Like the rule engine, this module is served to the browser at /shared, so it
+ * must stay free of Node built-ins and npm dependencies.
+ */
+
+export const SYMPTOM_VOCABULARY = [
+  // General
+  { code: 'fever', label: 'Fever', snomed: '386661006', synonyms: ['feeling hot', 'hot body', 'high temperature', 'feverish', 'pyrexia', 'febrile'] },
+  { code: 'chills', label: 'Chills', snomed: '43724002', synonyms: ['shivering', 'rigors', 'rigor', 'feeling cold', 'shaking chills'] },
+  { code: 'sweating', label: 'Sweating', snomed: '415690000', synonyms: ['night sweats', 'sweats', 'diaphoresis'] },
+  { code: 'headache', label: 'Headache', snomed: '25064002', synonyms: ['head ache', 'head pain', 'cephalgia'] },
+  { code: 'muscle_aches', label: 'Muscle aches', snomed: '68962001', synonyms: ['muscle ache', 'muscle pain', 'myalgia', 'body aches', 'body pain'] },
+  { code: 'joint_pain', label: 'Joint pain', snomed: '57676002', synonyms: ['joint pains', 'arthralgia', 'painful joints'] },
+  { code: 'fatigue', label: 'Fatigue', snomed: '84229001', synonyms: ['tiredness', 'tired', 'exhaustion', 'lethargy'] },
+  { code: 'weakness', label: 'Weakness', snomed: '13791008', synonyms: ['general weakness', 'feeling weak', 'asthenia', 'malaise'] },
+  { code: 'loss_appetite', label: 'Loss of appetite', snomed: '79890006', synonyms: ['loss of appetite', 'poor appetite', 'no appetite', 'anorexia'] },
+  { code: 'rash', label: 'Rash', snomed: '271807003', synonyms: ['skin rash', 'rash or skin changes', 'skin eruption'] },
+  { code: 'bleeding', label: 'Bleeding', snomed: '131148009', synonyms: ['bleeding gums', 'nosebleed', 'nose bleed', 'epistaxis'] },
+  // Gastrointestinal
+  { code: 'nausea', label: 'Nausea', snomed: '422587007', synonyms: ['feeling sick', 'nauseous', 'queasy'] },
+  { code: 'vomiting', label: 'Vomiting', snomed: '422400008', synonyms: ['throwing up', 'emesis'] },
+  { code: 'diarrhea', label: 'Diarrhoea', snomed: '62315008', synonyms: ['diarrhoea', 'loose stools', 'watery stools'] },
+  { code: 'constipation', label: 'Constipation', snomed: '14760008', synonyms: [] },
+  { code: 'abdominal_pain', label: 'Abdominal pain', snomed: '21522001', synonyms: ['stomach pain', 'belly pain', 'stomach ache', 'stomachache', 'tummy ache', 'tummy pain'] },
+  { code: 'rose_spots', label: 'Rose spots', synonyms: ['rose coloured spots', 'rose colored spots'] },
+  { code: 'enlarged_spleen', label: 'Enlarged spleen', snomed: '16294009', synonyms: ['splenomegaly'] },
+  // Respiratory and eyes
+  { code: 'dry_cough', label: 'Dry cough', snomed: '11833005', synonyms: ['cough', 'coughing'] },
+  { code: 'sore_throat', label: 'Sore throat', snomed: '162397003', synonyms: ['throat pain', 'painful throat'] },
+  { code: 'runny_nose', label: 'Runny nose', snomed: '64531003', synonyms: ['rhinorrhea', 'rhinorrhoea', 'nasal discharge', 'running nose'] },
+  { code: 'retro_orbital_pain', label: 'Pain behind the eyes', synonyms: ['pain behind the eyes', 'pain behind eyes', 'eye pain'] },
+  // Urinary
+  { code: 'dysuria', label: 'Painful urination', snomed: '49650001', synonyms: ['painful urination', 'burning urination', 'pain when urinating', 'burning when urinating'] },
+  { code: 'urinary_frequency', label: 'Frequent urination', snomed: '162116003', synonyms: ['frequent urination', 'urinating often'] },
+  { code: 'urinary_urgency', label: 'Urinary urgency', snomed: '75088002', synonyms: ['urgency'] },
+  { code: 'suprapubic_pain', label: 'Lower abdominal pain', synonyms: ['lower abdominal pain', 'pelvic pain', 'bladder pain'] },
+  { code: 'flank_pain', label: 'Flank pain', snomed: '247355005', synonyms: ['back pain', 'loin pain'] },
+  { code: 'blood_in_urine', label: 'Blood in urine', snomed: '34436003', synonyms: ['hematuria', 'haematuria', 'bloody urine'] },
+  { code: 'cloudy_urine', label: 'Cloudy urine', synonyms: ['turbid urine'] },
+  // Severe malaria danger signs (see dangerSigns.js)
+  { code: 'impaired_consciousness', label: 'Confusion or drowsiness', synonyms: ['confusion', 'confused', 'drowsiness', 'drowsy', 'unconscious', 'unconsciousness', 'coma'] },
+  { code: 'convulsions', label: 'Convulsions', snomed: '91175000', synonyms: ['convulsion', 'seizure', 'seizures', 'fits'] },
+  { code: 'prostration', label: 'Prostration', synonyms: ['unable to sit', 'unable to stand', 'unable to walk', 'extreme weakness'] },
+  { code: 'respiratory_distress', label: 'Difficulty breathing', snomed: '271825005', synonyms: ['difficulty breathing', 'shortness of breath', 'breathlessness'] },
+  { code: 'jaundice', label: 'Jaundice', snomed: '18165001', synonyms: ['yellow eyes', 'yellow skin', 'icterus'] },
+  { code: 'haemoglobinuria', label: 'Dark or cola-coloured urine', synonyms: ['dark urine', 'cola coloured urine', 'cola colored urine', 'hemoglobinuria'] },
+  { code: 'hypoglycaemia', label: 'Low blood sugar', snomed: '302866003', synonyms: ['hypoglycemia', 'low blood sugar'] },
+];
+
+// Words before a symptom in free text that mean the patient does not have it,
+// looking back at most NEGATION_WINDOW words and not past 'and' or 'but'
+const NEGATIONS = ['no', 'not', 'without', 'never', 'denies', 'dont', 'doesnt', 'havent', 'hasnt'];
+const NEGATION_WINDOW = 3;
+const CLAUSE_BREAKS = ['and', 'but'];
+
+// Everyday words that are never symptoms, so are not typo-matched against the
+// vocabulary ('never' is one letter from 'fever')
+const STOP_WORDS = [
+  'about', 'after', 'again', 'always', 'before', 'being', 'below', 'could', 'every', 'having',
+  'never', 'normal', 'other', 'since', 'still', 'their', 'there', 'these', 'those', 'today',
+  'under', 'until', 'where', 'which', 'while', 'would', 'yesterday'
+];
+const NOT_SYMPTOMS = new Set([...NEGATIONS, ...CLAUSE_BREAKS, ...STOP_WORDS]);
+
+/**
+ * Key form of any symptom text: 'Loss of appetite' and 'loss-of-appetite' become 'loss_of_appetite'
+ */
+export const symptomKey = text => String(text ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+// Every way of writing a symptom, by key: its code, label and synonyms
+const TERMS = new Map();
+SYMPTOM_VOCABULARY.forEach((entry) => {
+  [entry.code, entry.label, ...entry.synonyms].forEach((term, index) => {
+    const key = symptomKey(term);
+    if (!TERMS.has(key)) TERMS.set(key, { entry, term, key, byCode: index === 0 });
+  });
+});
+
+const CODES = new Map(SYMPTOM_VOCABULARY.map(entry => [entry.code, entry]));
+
+/**
+ * Whether a code is one of the vocabulary's canonical codes
+ */
+export const isSymptomCode = code => CODES.has(code);
+
+/**
+ * Vocabulary entry written exactly as its code, label or a synonym, or null
+ */
+export const findSymptom = text => TERMS.get(symptomKey(text))?.entry || null;
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed for a word of this length; short words must be exact
+const toleranceFor = length => (length <= 4 ? 0 : length <= 8 ? 1 : 2);
+
+// Closest term within the typo tolerance. A misspelling is taken to keep the
+// first letter, so 'lever' is not read as 'fever'.
+const closestTerm = (key) => {
+  const tolerance = toleranceFor(key.length);
+  if (tolerance === 0) return null;
+
+  let best = null;
+  TERMS.forEach((term, termKey) => {
+    if (termKey[0] !== key[0] || Math.abs(termKey.length - key.length) > tolerance) return;
+    const distance = editDistance(key, termKey);
+    if (distance <= tolerance && (!best || distance < best.distance)) best = { ...term, distance };
+  });
+  return best;
+};
+
+const toMatch = ({ code, label, snomed = null }, match, term) => ({ code, label, snomed, match, term });
+
+/**
+ * Match symptom text to the vocabulary: by code, label or synonym, else the
+ * closest term within the typo tolerance. Returns { code, label, snomed, match,
+ * term } with match 'code', 'synonym' or 'fuzzy', or null when nothing is close.
+ */
+export const matchSymptom = (text) => {
+  const key = symptomKey(text);
+  if (!key) return null;
+
+  const exact = TERMS.get(key);
+  if (exact) return toMatch(exact.entry, exact.byCode ? 'code' : 'synonym', exact.term);
+
+  const closest = closestTerm(key);
+  return closest ? toMatch(closest.entry, 'fuzzy', closest.term) : null;
+};
+
+/**
+ * A symptom entry with its name replaced by the vocabulary code; names the
+ * vocabulary does not recognise are kept as written. Takes a name or a
+ * { symptom, ... } object, as the API accepts either.
+ */
+export const toSymptomCode = (entry) => {
+  if (entry && typeof entry === 'object') {
+    return typeof entry.symptom === 'string' ? { ...entry, symptom: toSymptomCode(entry.symptom) } : entry;
+  }
+  if (typeof entry !== 'string') return entry;
+  return matchSymptom(entry)?.code || entry.trim();
+};
+
+/**
+ * Display label for symptom text, or the text itself when it is not recognised
+ */
+export const symptomLabel = (text) => {
+  if (typeof text !== 'string') return text;
+  return matchSymptom(text)?.label || text.trim();
+};
+
+/**
+ * Autocomplete: vocabulary entries for a partial query, best first. Terms that
+ * start with the query come before those containing it, then close misspellings.
+ * An empty query lists the vocabulary in order.
+ */
+export const searchSymptoms = (query, { limit = 10 } = {}) => {
+  const key = symptomKey(query);
+  if (!key) return SYMPTOM_VOCABULARY.slice(0, limit).map(entry => toMatch(entry, 'code', entry.code));
+
+  const ranked = new Map();
+  const consider = (entry, rank, term) => {
+    const current = ranked.get(entry.code);
+    if (!current || rank < current.rank) ranked.set(entry.code, { entry, rank, term });
+  };
+
+  TERMS.forEach(({ entry, term }, termKey) => {
+    if (termKey.startsWith(key) || termKey.split('_').some(word => word.startsWith(key))) consider(entry, 0, term);
+    else if (termKey.includes(key)) consider(entry, 1, term);
+    else {
+      // Compare with the term's beginning, allowing for a letter dropped or doubled
+      const tolerance = toleranceFor(key.length);
+      const distance = Math.min(...Array.from({ length: 2 * tolerance + 1 }, (_, i) =>
+        editDistance(key, termKey.slice(0, key.length - tolerance + i))));
+      if (distance <= tolerance) consider(entry, 2 + distance, term);
+    }
+  });
+
+  return [...ranked.values()]
+    .sort((a, b) => a.rank - b.rank || SYMPTOM_VOCABULARY.indexOf(a.entry) - SYMPTOM_VOCABULARY.indexOf(b.entry))
+    .slice(0, limit)
+    .map(({ entry, rank, term }) => toMatch(entry, rank < 2 ? 'prefix' : 'fuzzy', term));
+};
+
+// Multi-word terms first, so 'lower abdominal pain' wins over 'abdominal pain'
+const PHRASES = [...TERMS.entries()]
+  .map(([key, { entry }]) => ({ words: key.split('_'), code: entry.code }))
+  .sort((a, b) => b.words.length - a.words.length);
+
+/**
+ * Symptoms mentioned in free text such as 'feeling hot since Monday, no cough'.
+ * Phrases are matched exactly and single words with the typo tolerance,
+ * skipping negations and everyday words; a negation just before a symptom ('no', 'without', "don't") lists it as absent.
+ * Returns { symptoms, absentSymptoms } as vocabulary codes.
+ */
+export const extractSymptoms = (text) => {
+  const words = String(text ?? '').toLowerCase().replace(/['’]/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+  const used = new Array(words.length).fill(false);
+  const found = [];
+
+  const record = (code, start, length) => {
+    for (let i = start; i < start + length; i++) used[i] = true;
+    const before = words.slice(Math.max(0, start - NEGATION_WINDOW), start);
+    const clause = before.slice(before.findLastIndex(word => CLAUSE_BREAKS.includes(word)) + 1);
+    const negated = clause.some(word => NEGATIONS.includes(word));
+    found.push({ code, negated });
+  };
+
+  PHRASES.forEach(({ words: phrase, code }) => {
+    for (let start = 0; start + phrase.length <= words.length; start++) {
+      const free = phrase.every((word, offset) => !used[start + offset] && words[start + offset] === word);
+      if (free) record(code, start, phrase.length);
+    }
+  });
+  words.forEach((word, index) => {
+    if (used[index] || NOT_SYMPTOMS.has(word)) return;
+    const closest = closestTerm(word);
+    if (closest && !closest.key.includes('_')) record(closest.entry.code, index, 1);
+  });
+
+  const symptoms = [...new Set(found.filter(({ negated }) => !negated).map(({ code }) => code))];
+  const absentSymptoms = [...new Set(found.filter(({ negated }) => negated).map(({ code }) => code))]
+    .filter(code => !symptoms.includes(code));
+  return { symptoms, absentSymptoms };
+};
@@ -0,0 +1,65 @@
+import { buildAntibiogram, MIN_ISOLATES } from '../services/antibiogramService.js';
+import { interpretResult } from '../services/labCatalog.js';
+
+const culture = (patientId, values, test = 'blood_culture') => ({
+  patientId,
+  test,
+  results: interpretResult(test, { result: 'positive', organism: 'Salmonella Typhi', ...values })
+});
+const mdr = { ampicillin: 'resistant', chloramphenicol: 'resistant', coTrimoxazole: 'resistant' };
+
+describe('Antibiogram', () => {
+  it('should count susceptibility per organism and antibiotic', () => {
+    const [row] = buildAntibiogram([
+      culture(1, { ciprofloxacin: 'resistant', azithromycin: 'susceptible' }),
+      culture(2, { ciprofloxacin: 'susceptible', azithromycin: 'susceptible' }),
+      culture(3, { ciprofloxacin: 'intermediate' }, 'stool_culture')
+    ]);
+
+    expect(row).toMatchObject({ organism: 'Salmonella Typhi', isolates: 3, patterns: { MDR: 0, XDR: 0 } });
+    expect(row.antibiotics).toEqual([
+      {
+        antibiotic: 'ciprofloxacin',
+        label: 'Ciprofloxacin',
+        tested: 3,
+        susceptible: 1,
+        intermediate: 1,
+        resistant: 1,
+        percentSusceptible: 33,
+        fewIsolates: true
+      },
+      expect.objectContaining({ antibiotic: 'azithromycin', tested: 2, percentSusceptible: 100 })
+    ]);
+  });
+
+  it('should only count the first isolate of an organism from each patient', () => {
+    const [row] = buildAntibiogram([
+      culture(1, { ciprofloxacin: 'susceptible' }),
+      culture(1, { ciprofloxacin: 'resistant' }),
+      culture(1, { organism: 'salmonella typhi', ciprofloxacin: 'resistant' }, 'stool_culture')
+    ]);
+
+    expect(row.isolates).toBe(1);
+    expect(row.antibiotics[0]).toMatchObject({ tested: 1, susceptible: 1 });
+  });
+
+  it('should count MDR and XDR isolates and order organisms by isolates', () => {
+    const rows = buildAntibiogram([
+      culture(1, { organism: 'Salmonella Paratyphi A', ceftriaxone: 'susceptible' }),
+      culture(2, { ...mdr, ciprofloxacin: 'resistant' }),
+      culture(3, { ...mdr, ciprofloxacin: 'resistant', ceftriaxone: 'resistant' })
+    ]);
+
+    expect(rows.map(({ organism }) => organism)).toEqual(['Salmonella Typhi', 'Salmonella Paratyphi A']);
+    expect(rows[0].patterns).toEqual({ MDR: 1, XDR: 1 });
+  });
+
+  it('should skip cultures without growth or a panel and rate large samples reliably', () => {
+    const negative = { patientId: 9, test: 'blood_culture', results: interpretResult('blood_culture', { result: 'negative' }) };
+    const many = Array.from({ length: MIN_ISOLATES }, (_, index) => culture(index + 1, { azithromycin: 'susceptible' }));
+
+    const [row] = buildAntibiogram([negative, culture(99, {}), ...many]);
+    expect(row.isolates).toBe(MIN_ISOLATES);
+    expect(row.antibiotics[0].fewIsolates).toBe(false);
+  });
+});
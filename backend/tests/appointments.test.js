@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import appointmentRoutes from '../routes/appointments.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+import EmergencyAccess from '../models/EmergencyAccess.pg.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import { clearSettingsCache } from '../services/settingsService.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', appointmentRoutes);
+app.use(errorHandler);
+
+const users = {
+  2: User.build({ id: 2, name: 'Front Desk', role: 'receptionist', status: 'active' }, { isNewRecord: false }),
+  3: User.build({ id: 3, name: 'Dr. Owusu', role: 'doctor', status: 'active' }, { isNewRecord: false }),
+  5: User.build({ id: 5, name: 'Nurse Asante', role: 'nurse', status: 'active' }, { isNewRecord: false })
+};
+const tokenFor = id => `Bearer ${jwt.sign({ id }, process.env.JWT_SECRET)}`;
+
+const tomorrow = new Date(Date.now() + 86400000).toISOString();
+const booking = {
+  patient: 9,
+  doctor: 3,
+  appointmentDate: tomorrow,
+  reason: 'Fever for three days',
+  duration: 30
+};
+
+const book = (body = booking) => request(app)
+  .post('/api/appointments')
+  .set('Authorization', tokenFor(2))
+  .send(body);
+
+describe('Appointments', () => {
+  let created;
+
+  beforeEach(() => {
+    clearSettingsCache();
+    created = null;
+    jest.spyOn(SystemSetting, 'findAll').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockImplementation(async id => users[id] || null);
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => (users[where.id]?.role === where.role ? users[where.id] : null));
+    jest.spyOn(Patient, 'findByPk').mockResolvedValue(Patient.build({ id: 9 }, { isNewRecord: false }));
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Appointment, 'create').mockImplementation(async (values) => {
+      created = Appointment.build({ id: 21, ...values }, { isNewRecord: false });
+      return created;
+    });
+    jest.spyOn(Appointment, 'findByPk').mockImplementation(async () => created);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should book an appointment against the patient and doctor and record who created it', async () => {
+    const response = await book({ ...booking, appointmentId: 'A999999', createdBy: 3 }).expect(201);
+
+    expect(response.body.data).toMatchObject({ id: 21, patientId: 9, doctorId: 3, createdById: 2 });
+    expect(Appointment.create.mock.calls[0][0]).not.toHaveProperty('appointmentId');
+  });
+
+  it('should refuse a slot that overlaps one of the doctor\'s active appointments', async () => {
+    Appointment.findOne.mockResolvedValue(Appointment.build({ id: 20, doctorId: 3, status: 'scheduled' }));
+
+    const response = await book().expect(409);
+    expect(response.body.error).toBe('Time slot is already booked');
+
+    const [{ where }] = Appointment.findOne.mock.calls[0];
+    expect(where.doctorId).toBe(3);
+    expect(where.status[Op.in]).toEqual(['scheduled', 'confirmed', 'in-progress']);
+    expect(where.appointmentDate[Op.lt]).toEqual(new Date(new Date(tomorrow).getTime() + 30 * 60000));
+    expect(Appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('should only book with a user who is a doctor', async () => {
+    const response = await book({ ...booking, doctor: 2 }).expect(404);
+    expect(response.body.error).toBe('Doctor not found');
+  });
+
+  it('should reject appointments in the past', async () => {
+    const response = await book({ ...booking, appointmentDate: '2020-01-01T09:00:00Z' }).expect(400);
+    expect(response.body.details[0].msg).toBe('Appointment date must be in the future');
+  });
+
+  it('should let a clinician book for a patient on their care team', async () => {
+    jest.spyOn(Patient, 'count').mockResolvedValue(1);
+
+    await request(app).post('/api/appointments').set('Authorization', tokenFor(5)).send(booking).expect(201);
+    expect(created).toMatchObject({ patientId: 9, createdById: 5 });
+  });
+
+  it('should not let a nurse off the care team book, even with an emergency grant', async () => {
+    jest.spyOn(Patient, 'count').mockResolvedValue(0);
+    jest.spyOn(EmergencyAccess, 'findOne').mockResolvedValue(EmergencyAccess.build({ userId: 5, patientId: 9 }));
+
+    const response = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', tokenFor(5))
+      .send({ ...booking, assignedNurse: 5 })
+      .expect(403);
+    expect(response.body.error).toBe('Not authorized to schedule appointments for this patient');
+    expect(Appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('should not let an emergency grant reassign the appointment to the clinician', async () => {
+    created = Appointment.build({ id: 21, patientId: 9, doctorId: 7, status: 'scheduled' }, { isNewRecord: false });
+    jest.spyOn(Patient, 'count').mockResolvedValue(0);
+    jest.spyOn(EmergencyAccess, 'findOne').mockResolvedValue(EmergencyAccess.build({ userId: 3, patientId: 9 }));
+    jest.spyOn(EmergencyAccess.prototype, 'update').mockImplementation(async function(values) { return this.set(values); });
+    jest.spyOn(Appointment.prototype, 'update');
+
+    await request(app).put('/api/appointments/21').set('Authorization', tokenFor(3)).send({ doctor: 3 }).expect(403);
+    expect(Appointment.prototype.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject a patient filter that is not an ID', async () => {
+    jest.spyOn(Appointment, 'findAndCountAll');
+
+    const response = await request(app).get('/api/appointments?patient=abc').set('Authorization', tokenFor(3)).expect(400);
+    expect(response.body.details[0].msg).toBe('Please provide a valid patient ID');
+    expect(Appointment.findAndCountAll).not.toHaveBeenCalled();
+  });
+
+  it('should not let a doctor off the care team change the status', async () => {
+    created = Appointment.build({ id: 21, patientId: 9, doctorId: 7, status: 'scheduled' }, { isNewRecord: false });
+    jest.spyOn(Patient, 'count').mockResolvedValue(0);
+    jest.spyOn(EmergencyAccess, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Appointment.prototype, 'update');
+
+    await request(app)
+      .patch('/api/appointments/21/status')
+      .set('Authorization', tokenFor(3))
+      .send({ status: 'completed' })
+      .expect(403);
+    expect(Appointment.prototype.update).not.toHaveBeenCalled();
+  });
+});
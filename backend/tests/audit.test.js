@@ -0,0 +1,124 @@
+import { Op } from 'sequelize';
+import {
+  installAuditHooks,
+  describeRequest,
+  runWithAuditContext,
+  shouldAudit,
+  buildAuditFilter,
+  toCsv
+} from '../services/auditService.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+
+describe('Audit log', () => {
+  beforeAll(() => {
+    installAuditHooks();
+  });
+
+  describe('describeRequest', () => {
+    it('should map methods to actions', () => {
+      expect(describeRequest('GET', '/api/patients/12')).toEqual({ resourceType: 'patients', resourceId: '12', action: 'read' });
+      expect(describeRequest('POST', '/api/appointments')).toEqual({ resourceType: 'appointments', resourceId: null, action: 'create' });
+      expect(describeRequest('DELETE', '/api/patients/3?force=1')).toEqual({ resourceType: 'patients', resourceId: '3', action: 'delete' });
+    });
+
+    it('should use named operations as the action', () => {
+      expect(describeRequest('PATCH', '/api/prescriptions/5/dispense')).toEqual({ resourceType: 'prescriptions', resourceId: '5', action: 'dispense' });
+      expect(describeRequest('POST', '/api/auth/login')).toEqual({ resourceType: 'auth', resourceId: null, action: 'login' });
+    });
+  });
+
+  describe('capture hooks', () => {
+    it('should record the before/after diff of an update', async () => {
+      const appointment = Appointment.build({ id: 4, patientId: 9, status: 'scheduled', duration: 30 }, { isNewRecord: false });
+      appointment.status = 'completed';
+
+      const store = await runWithAuditContext(async (context) => {
+        await Appointment.runHooks('afterUpdate', appointment, { fields: ['status', 'updatedAt'] });
+        return context;
+      });
+
+      expect(store.changes).toEqual([
+        { model: 'Appointment', id: 4, type: 'update', before: { status: 'scheduled' }, after: { status: 'completed' } }
+      ]);
+      expect([...store.patientIds]).toEqual([9]);
+    });
+
+    it('should redact secrets', async () => {
+      const user = User.build({ id: 2, username: 'dr.who', password: 'hash' }, { isNewRecord: false });
+
+      const store = await runWithAuditContext(async (context) => {
+        await User.runHooks('afterCreate', user, {});
+        return context;
+      });
+
+      expect(store.changes[0].after.password).toBe('[REDACTED]');
+      expect(store.changes[0].after.username).toBe('dr.who');
+    });
+
+    it('should collect patients from loaded rows and includes', async () => {
+      const appointment = Appointment.build(
+        { id: 1, patientId: 7, patient: { id: 7, patientId: 'P000007' } },
+        { isNewRecord: false, include: [{ model: Patient, as: 'patient' }] }
+      );
+      const patient = Patient.build({ id: 8, patientId: 'P000008' }, { isNewRecord: false });
+
+      const store = await runWithAuditContext(async (context) => {
+        await Appointment.runHooks('afterFind', [appointment], {});
+        await Patient.runHooks('afterFind', patient, {});
+        return context;
+      });
+
+      expect([...store.patientIds]).toEqual([7, 8]);
+      expect(shouldAudit('GET', store)).toBe(true);
+    });
+  });
+
+  describe('shouldAudit', () => {
+    it('should audit mutations but not reads without patient data', () => {
+      const store = { changes: [], patientIds: new Set() };
+      expect(shouldAudit('POST', store)).toBe(true);
+      expect(shouldAudit('GET', store)).toBe(false);
+    });
+  });
+
+  describe('buildAuditFilter', () => {
+    it('should translate query filters', () => {
+      const filter = buildAuditFilter({ user: '3', action: 'read', resource: 'patients', patient: '7', from: '2026-01-01', to: '2026-02-01' });
+
+      expect(filter).toMatchObject({ userId: '3', action: 'read', resourceType: 'patients' });
+      expect(filter.patientIds[Op.contains]).toEqual([7]);
+      expect(filter.createdAt[Op.gte]).toEqual(new Date('2026-01-01'));
+      expect(filter.createdAt[Op.lte]).toEqual(new Date('2026-02-01'));
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote cells and serialize changes', () => {
+      const csv = toCsv([{
+        id: 1,
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        userId: 2,
+        user: { username: 'dr.smith' },
+        role: 'doctor',
+        action: 'update',
+        resourceType: 'patients',
+        resourceId: '7',
+        patientIds: [7],
+        method: 'PUT',
+        path: '/api/patients/7',
+        statusCode: 200,
+        ipAddress: '127.0.0.1',
+        userAgent: 'Mozilla, "test"',
+        changes: [{ model: 'Patient', type: 'update' }]
+      }]);
+
+      const [header, row] = csv.split('\n');
+      expect(header.split(',')).toContain('changes');
+      expect(row).toContain('2026-01-01T00:00:00.000Z,2,dr.smith,doctor,update,patients,7,7,PUT');
+      expect(row).toContain('"Mozilla, ""test"""');
+      expect(row).toContain('"[{""model"":""Patient"",""type"":""update""}]"');
+    });
+  });
+});
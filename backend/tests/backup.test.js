@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+const backupDir = path.join(os.tmpdir(), `mesmtf-backups-${process.pid}`);
+process.env.BACKUP_DIR = backupDir;
+
+const {
+  generateBackupId,
+  isBackupId,
+  orderTablesByDependencies,
+  selectExpiredBackups,
+  isBackupDue,
+  listBackups,
+  verifyBackup
+} = await import('../services/backupService.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Write an archive and manifest the way createBackup does
+const writeFixture = async (id, rows, manifestOverrides = {}) => {
+  const lines = [{ manifest: { id } }, ...rows].map(line => JSON.stringify(line)).join('\n');
+  const archive = zlib.gzipSync(`${lines}\n`);
+  await fs.writeFile(path.join(backupDir, `${id}.ndjson.gz`), archive);
+
+  const counts = {};
+  rows.forEach(({ table }) => { counts[table] = (counts[table] || 0) + 1; });
+  const manifest = {
+    id,
+    createdAt: new Date().toISOString(),
+    tables: Object.entries(counts).map(([name, count]) => ({ name, rows: count })),
+    archive: { sha256: crypto.createHash('sha256').update(archive).digest('hex') },
+    ...manifestOverrides
+  };
+  await fs.writeFile(path.join(backupDir, `${id}.manifest.json`), JSON.stringify(manifest));
+};
+
+describe('Backups', () => {
+  beforeAll(async () => {
+    await fs.mkdir(backupDir, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(backupDir, { recursive: true, force: true });
+  });
+
+  describe('backup ids', () => {
+    it('should be timestamps and reject anything else', () => {
+      const id = generateBackupId(new Date('2026-10-19T04:06:37.512Z'));
+
+      expect(id).toBe('backup-20261019040637');
+      expect(isBackupId(id)).toBe(true);
+      expect(isBackupId('../../etc/passwd')).toBe(false);
+      expect(isBackupId(undefined)).toBe(false);
+    });
+  });
+
+  describe('orderTablesByDependencies', () => {
+    it('should put referenced tables first', () => {
+      const order = orderTablesByDependencies(
+        ['prescriptions', 'patients', 'users', 'appointments'],
+        [
+          { table: 'patients', references: 'users' },
+          { table: 'appointments', references: 'patients' },
+          { table: 'appointments', references: 'users' },
+          { table: 'prescriptions', references: 'patients' },
+          { table: 'users', references: 'users' }
+        ]
+      );
+
+      expect(order[0]).toBe('users');
+      expect(order[1]).toBe('patients');
+      expect(order.slice(2).sort()).toEqual(['appointments', 'prescriptions']);
+    });
+  });
+
+  describe('retention', () => {
+    const now = new Date('2026-10-19T12:00:00Z').getTime();
+    const backupAged = days => ({ id: `aged-${days}`, createdAt: new Date(now - days * DAY).toISOString() });
+
+    it('should expire daily backups older than 14 days', () => {
+      const expired = selectExpiredBackups([backupAged(1), backupAged(13), backupAged(15), backupAged(40)], 'daily', now);
+      expect(expired.map(backup => backup.id)).toEqual(['aged-15', 'aged-40']);
+    });
+
+    it('should always keep the newest backup', () => {
+      expect(selectExpiredBackups([backupAged(400)], 'monthly', now)).toEqual([]);
+    });
+
+    it('should take a backup when none exists or the interval has passed', () => {
+      expect(isBackupDue(undefined, 'daily', now)).toBe(true);
+      expect(isBackupDue(backupAged(0.5), 'daily', now)).toBe(false);
+      expect(isBackupDue(backupAged(0.5), 'hourly', now)).toBe(true);
+      expect(isBackupDue(backupAged(6), 'weekly', now)).toBe(false);
+    });
+  });
+
+  describe('verifyBackup', () => {
+    const rows = [
+      { table: 'users', row: { id: 1, username: 'admin' } },
+      { table: 'patients', row: { id: 1, userId: 1 } },
+      { table: 'patients', row: { id: 2, userId: null } }
+    ];
+
+    it('should accept an intact backup', async () => {
+      await writeFixture('backup-20261019010000', rows);
+
+      const result = await verifyBackup('backup-20261019010000');
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should detect a corrupted archive', async () => {
+      await writeFixture('backup-20261019020000', rows);
+      await fs.appendFile(path.join(backupDir, 'backup-20261019020000.ndjson.gz'), 'garbage');
+
+      const result = await verifyBackup('backup-20261019020000');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/Checksum mismatch/);
+    });
+
+    it('should detect row counts that do not match the manifest', async () => {
+      await writeFixture('backup-20261019030000', rows, { tables: [{ name: 'users', rows: 1 }, { name: 'patients', rows: 5 }] });
+
+      const result = await verifyBackup('backup-20261019030000');
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Table patients: expected 5 rows, archive has 2']);
+    });
+
+    it('should report unknown backups as not found', async () => {
+      await expect(verifyBackup('backup-20000101000000')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('listBackups', () => {
+    it('should list manifests newest first', async () => {
+      const backups = await listBackups();
+      expect(backups.length).toBeGreaterThanOrEqual(3);
+      expect(backups.every(backup => isBackupId(backup.id))).toBe(true);
+    });
+  });
+});
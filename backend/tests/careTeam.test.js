@@ -0,0 +1,45 @@
+import { Op } from 'sequelize';
+import { accessiblePatientIds, scopeToCareTeam } from '../services/careTeamService.js';
+
+describe('Care team access', () => {
+  describe('accessiblePatientIds', () => {
+    it('should not restrict admins and receptionists', () => {
+      expect(accessiblePatientIds({ id: 1, role: 'admin' })).toBeNull();
+      expect(accessiblePatientIds({ id: 2, role: 'receptionist' })).toBeNull();
+    });
+
+    it('should limit doctors to assigned and appointment patients', () => {
+      const scope = accessiblePatientIds({ id: 7, role: 'doctor' });
+      expect(scope.val).toContain('"assignedDoctorId" = 7');
+      expect(scope.val).toContain('FROM "appointments" WHERE "doctorId" = 7');
+    });
+
+    it('should limit nurses to assigned and appointment patients', () => {
+      const scope = accessiblePatientIds({ id: 8, role: 'nurse' });
+      expect(scope.val).toContain('"assignedNurseId" = 8');
+      expect(scope.val).toContain('FROM "appointments" WHERE "assignedNurseId" = 8');
+    });
+
+    it('should limit patients to their own record', () => {
+      expect(accessiblePatientIds({ id: 9, role: 'patient' }).val).toContain('"userId" = 9');
+    });
+
+    it('should deny unknown roles', () => {
+      expect(accessiblePatientIds({ id: 10, role: 'visitor' }).val).toContain('WHERE false');
+    });
+  });
+
+  describe('scopeToCareTeam', () => {
+    it('should keep existing filters and add the scope', () => {
+      const where = scopeToCareTeam({ status: 'pending' }, { id: 7, role: 'doctor' });
+      expect(where.status).toBe('pending');
+      expect(where[Op.and]).toHaveLength(1);
+      expect(where[Op.and][0].patientId[Op.in].val).toContain('"doctorId" = 7');
+    });
+
+    it('should return the filter untouched for unrestricted users', () => {
+      const where = { status: 'pending' };
+      expect(scopeToCareTeam(where, { id: 1, role: 'admin' })).toBe(where);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { evaluateDangerSigns, HYPERPARASITAEMIA_PER_UL } from '../shared/dangerSigns.js';
+import { runRuleEngine } from '../shared/ruleEngine.js';
+
+describe('Severe malaria danger signs', () => {
+  describe('evaluateDangerSigns', () => {
+    it('should not refer without a criterion', () => {
+      expect(evaluateDangerSigns(['fever', 'chills'], { parasiteCount: 5000 })).toEqual({
+        urgentReferral: false,
+        confirmedParasitaemia: true,
+        criteria: [],
+        recommendation: null
+      });
+    });
+
+    it('should list every criterion met', () => {
+      const result = evaluateDangerSigns(['fever', 'convulsions', 'jaundice']);
+
+      expect(result.urgentReferral).toBe(true);
+      expect(result.criteria.map(c => c.criterion)).toEqual(['convulsions', 'jaundice']);
+      expect(result.confirmedParasitaemia).toBe(false);
+      expect(result.recommendation).toMatch(/test for malaria now/);
+    });
+
+    it('should flag high parasitaemia from the parasite count', () => {
+      const below = evaluateDangerSigns(['fever'], { parasiteCount: HYPERPARASITAEMIA_PER_UL });
+      const above = evaluateDangerSigns(['fever'], { parasiteCount: 620000 });
+
+      expect(below.urgentReferral).toBe(false);
+      expect(above.criteria).toEqual([expect.objectContaining({
+        criterion: 'hyperparasitaemia',
+        evidence: 'Parasite count 620000/µL'
+      })]);
+      expect(above.recommendation).toMatch(/artesunate/);
+    });
+  });
+
+  describe('in the rule engine', () => {
+    it('should read danger signs from symptom aliases', () => {
+      const { dangerSigns } = runRuleEngine({
+        symptoms: ['fever', 'Seizures', 'difficulty breathing', 'dark urine', 'unable to sit'],
+        testResults: { malaria: { rapidTest: 'positive' } }
+      });
+
+      expect(dangerSigns.criteria.map(c => c.criterion)).toEqual([
+        'convulsions', 'prostration', 'respiratory_distress', 'haemoglobinuria'
+      ]);
+      expect(dangerSigns.confirmedParasitaemia).toBe(true);
+    });
+
+    it('should use the malaria parasite count', () => {
+      const { dangerSigns } = runRuleEngine({
+        symptoms: ['fever'],
+        testResults: { malaria: { microscopy: 'positive', parasiteCount: 750000 } }
+      });
+      expect(dangerSigns.urgentReferral).toBe(true);
+    });
+
+    it('should treat null malaria test results as none', () => {
+      const { dangerSigns } = runRuleEngine({ symptoms: ['fever', 'convulsions'], testResults: { malaria: null } });
+      expect(dangerSigns).toMatchObject({ urgentReferral: true, confirmedParasitaemia: false });
+    });
+  });
+});
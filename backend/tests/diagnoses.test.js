@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import diagnosisRoutes from '../routes/diagnosis.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Appointment from '../models/Appointment.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
+import LabOrder from '../models/LabOrder.pg.js';
+import EmergencyAccess from '../models/EmergencyAccess.pg.js';
+import KnowledgeBaseVersion from '../models/KnowledgeBaseVersion.pg.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import { clearSettingsCache } from '../services/settingsService.js';
+import { clearKnowledgeBaseCache } from '../services/knowledgeBaseService.js';
+import { DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/diagnosis', diagnosisRoutes);
+app.use(errorHandler);
+
+const doctor = User.build({ id: 3, name: 'Dr. Owusu', role: 'doctor', status: 'active' }, { isNewRecord: false });
+const token = `Bearer ${jwt.sign({ id: doctor.id }, process.env.JWT_SECRET)}`;
+
+const { thresholds, severityWeights, diseases } = DEFAULT_RULE_SET;
+const publishedRules = KnowledgeBaseVersion.build(
+  { version: 1, status: 'published', rules: { thresholds, severityWeights, diseases } },
+  { isNewRecord: false }
+);
+
+const findings = {
+  patient: 9,
+  appointment: 21,
+  symptoms: [
+    { symptom: 'Fever', severity: 'severe' },
+    { symptom: 'chills', severity: 'moderate' },
+    { symptom: 'headache', severity: 'moderate' }
+  ],
+  malariaAssessment: { testResults: { rapidTest: 'positive' } },
+  diagnosis: { primary: 'Uncomplicated malaria', confidence: 90 }
+};
+
+const record = (body = findings) => request(app)
+  .post('/api/diagnosis')
+  .set('Authorization', token)
+  .send(body);
+
+describe('Diagnoses', () => {
+  let created;
+
+  beforeEach(() => {
+    clearSettingsCache();
+    clearKnowledgeBaseCache();
+    created = null;
+    jest.spyOn(SystemSetting, 'findAll').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(doctor);
+    jest.spyOn(Patient, 'findByPk').mockResolvedValue(Patient.build({ id: 9, assignedDoctorId: 3 }, { isNewRecord: false }));
+    jest.spyOn(Patient, 'count').mockResolvedValue(1);
+    jest.spyOn(Appointment, 'findByPk').mockResolvedValue(Appointment.build({ id: 21, patientId: 9 }, { isNewRecord: false }));
+    jest.spyOn(LabOrder, 'findAll').mockResolvedValue([]);
+    jest.spyOn(KnowledgeBaseVersion, 'findOne').mockResolvedValue(publishedRules);
+    jest.spyOn(Diagnosis, 'create').mockImplementation(async (values) => {
+      created = Diagnosis.build({ id: 31, ...values }, { isNewRecord: false });
+      return created;
+    });
+    jest.spyOn(Diagnosis, 'findByPk').mockImplementation(async () => created);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store the diagnosis with the expert system\'s assessment', async () => {
+    const response = await record().expect(201);
+
+    expect(created).toMatchObject({ patientId: 9, appointmentId: 21, doctorId: 3, rulesVersion: 1 });
+    expect(created.symptoms.map(({ symptom }) => symptom)).toEqual(['fever', 'chills', 'headache']);
+    expect(created.malariaAssessment).toMatchObject({ testResults: { rapidTest: 'positive' }, riskLevel: 'high' });
+    expect(created.explanation.malaria).toBeDefined();
+    expect(response.body.expertSystemRecommendations).toMatchObject({ version: 1, malaria: { riskLevel: 'high' } });
+  });
+
+  it('should take trips as region names or with the return date', async () => {
+    const epidemiologicalContext = { region: 'khomas', travel: ['zambezi', { region: 'Rundu', returnedOn: '2026-10-01' }] };
+
+    await record({ ...findings, epidemiologicalContext }).expect(201);
+    expect(created.epidemiologicalContext.travel).toEqual(epidemiologicalContext.travel);
+
+    const blank = await record({ ...findings, epidemiologicalContext: { travel: ['zambezi', ' '] } }).expect(400);
+    expect(blank.body.details).toEqual([
+      expect.objectContaining({ path: 'epidemiologicalContext.travel[1]', msg: 'Each trip needs the region visited' })
+    ]);
+  });
+
+  it('should refuse an appointment that belongs to another patient', async () => {
+    Appointment.findByPk.mockResolvedValue(Appointment.build({ id: 21, patientId: 4 }, { isNewRecord: false }));
+
+    const response = await record().expect(400);
+    expect(response.body.error).toBe('Appointment does not belong to this patient');
+    expect(Diagnosis.create).not.toHaveBeenCalled();
+  });
+
+  it('should not show a diagnosis to a doctor outside the patient\'s care team', async () => {
+    created = Diagnosis.build({ id: 31, patientId: 9 }, { isNewRecord: false });
+    Patient.count.mockResolvedValue(0);
+    jest.spyOn(EmergencyAccess, 'findOne').mockResolvedValue(null);
+
+    await request(app).get('/api/diagnosis/31').set('Authorization', token).expect(403);
+  });
+
+  describe('model', () => {
+    it('should number new diagnoses and require a primary diagnosis', async () => {
+      jest.spyOn(Diagnosis, 'count').mockResolvedValue(41);
+      const diagnosis = Diagnosis.build({ patientId: 9, doctorId: 3, symptoms: [], diagnosis: { primary: ' ' } });
+
+      await expect(diagnosis.validate()).rejects.toThrow('Primary diagnosis is required');
+      expect(diagnosis.diagnosisId).toBe('D000042');
+    });
+  });
+});
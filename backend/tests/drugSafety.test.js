@@ -0,0 +1,231 @@
+import { resolveDrug } from '../services/drugKnowledgeBase.js';
+import {
+  allergyProfile,
+  checkPrescription,
+  resolveOverrides,
+  warningsFor
+} from '../services/drugSafetyService.js';
+
+const al = { name: 'Artemether-lumefantrine 20/120 mg tablet', genericName: 'artemether-lumefantrine' };
+const azithromycin = { name: 'Azithromycin 500 mg tablet', genericName: 'azithromycin' };
+const ceftriaxone = { name: 'Ceftriaxone 1 g injection', genericName: 'ceftriaxone' };
+const paracetamol = { name: 'Paracetamol 500 mg tablet' };
+const primaquine = { name: 'Primaquine 7.5 mg tablet', genericName: 'primaquine' };
+const chloroquine = { name: 'Chloroquine 150 mg tablet', genericName: 'chloroquine' };
+const ciprofloxacin = { name: 'Ciprofloxacin 500 mg tablet', genericName: 'ciprofloxacin' };
+const doctor = { id: 7, role: 'doctor' };
+
+describe('Drug safety checks', () => {
+  describe('resolveDrug', () => {
+    it('should resolve names, brands and strengths to a drug', () => {
+      expect(resolveDrug('Azithromycin 500 mg tablet')).toBe('azithromycin');
+      expect(resolveDrug('Coartem')).toBe('artemether-lumefantrine');
+      expect(resolveDrug('Co-amoxiclav 625 mg')).toBe('amoxicillin-clavulanate');
+    });
+
+    it('should prefer a combination over its parts', () => {
+      expect(resolveDrug('Artesunate-amodiaquine')).toBe('artesunate-amodiaquine');
+    });
+
+    it('should not match short aliases inside other words', () => {
+      expect(resolveDrug('Oral rehydration salts')).toBeNull();
+    });
+
+    it('should only accept two-letter abbreviations as the whole name', () => {
+      expect(resolveDrug('AL')).toBe('artemether-lumefantrine');
+      expect(resolveDrug(' SP ')).toBe('sulfadoxine-pyrimethamine');
+      expect(resolveDrug('SP 500 mg')).toBeNull();
+      expect(resolveDrug('Vitamina al día')).toBeNull();
+    });
+  });
+
+  describe('allergyProfile', () => {
+    it('should map class allergies to their class', () => {
+      expect(allergyProfile('Sulfa').classes).toEqual(['sulfonamide']);
+      expect(allergyProfile('Penicillin').classes).toEqual(['penicillin']);
+    });
+
+    it('should extend a drug allergy to its class but not to interaction tags', () => {
+      const profile = allergyProfile('azithromycin');
+      expect(profile.classes).toEqual(['macrolide']);
+    });
+  });
+
+  describe('allergies', () => {
+    it('should block a drug in the class the patient is allergic to', () => {
+      const { errors } = checkPrescription({
+        medications: [{ name: 'Amoxicillin 500 mg capsule' }],
+        allergies: ['Penicillin']
+      });
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ type: 'allergy', code: 'allergy:penicillin:amoxicillin' });
+    });
+
+    it('should block a combination containing the allergen', () => {
+      const { errors } = checkPrescription({
+        medications: [{ name: 'Augmentin 625 mg' }],
+        allergies: ['amoxicillin']
+      });
+      expect(errors[0].message).toContain('contains amoxicillin');
+    });
+
+    it('should warn about cross-reactivity instead of blocking', () => {
+      const { errors, warnings } = checkPrescription({ medications: [ceftriaxone], allergies: ['Penicillin'] });
+      expect(errors).toEqual([]);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({ type: 'cross-reactivity', severity: 'major' });
+    });
+
+    it('should fall back to the name for drugs outside the knowledge base', () => {
+      const { errors } = checkPrescription({ medications: [{ name: 'Tramadol 50 mg' }], allergies: ['Tramadol'] });
+      expect(errors).toHaveLength(1);
+    });
+
+    it('should ignore unrelated allergies', () => {
+      expect(checkPrescription({ medications: [al, paracetamol], allergies: ['Peanuts', ''] }))
+        .toEqual({ errors: [], warnings: [] });
+    });
+  });
+
+  describe('interactions', () => {
+    it('should warn about two QT-prolonging drugs', () => {
+      const { errors, warnings } = checkPrescription({ medications: [al, azithromycin] });
+      expect(errors).toEqual([]);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({
+        code: 'interaction:artemether-lumefantrine+azithromycin',
+        severity: 'major'
+      });
+    });
+
+    it('should block contraindicated pairs', () => {
+      const { errors } = checkPrescription({ medications: [al, { name: 'Rifampicin 300 mg' }] });
+      expect(errors).toHaveLength(1);
+      expect(errors[0].severity).toBe('contraindicated');
+    });
+
+    it('should report the most severe of several matching rules', () => {
+      const { warnings } = checkPrescription({ medications: [al, { name: 'Clarithromycin 500 mg' }] });
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0].message).toContain('QT');
+      expect(warnings[0].message).toContain('CYP3A4');
+    });
+
+    it('should check against the patient\'s current medication', () => {
+      const { warnings } = checkPrescription({
+        medications: [azithromycin],
+        otherMedications: [{ name: 'Warfarin 5 mg', prescriptionId: 'RX000012' }]
+      });
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0].message).toContain('RX000012');
+    });
+
+    it('should not flag a drug against itself', () => {
+      const { warnings } = checkPrescription({
+        medications: [azithromycin],
+        otherMedications: [{ name: 'Azithromycin 200 mg/5 mL suspension', prescriptionId: 'RX000012' }]
+      });
+      expect(warnings).toEqual([]);
+    });
+  });
+
+  describe('culture susceptibility', () => {
+    const isolate = {
+      orderId: 'LAB000031',
+      test: 'blood_culture',
+      organism: 'Salmonella Typhi',
+      susceptibility: { ciprofloxacin: 'resistant', ceftriaxone: 'intermediate', azithromycin: 'susceptible' }
+    };
+
+    it('should warn about antibiotics the isolate resists', () => {
+      const { errors, warnings } = checkPrescription({ medications: [ciprofloxacin, paracetamol], isolates: [isolate] });
+
+      expect(errors).toEqual([]);
+      expect(warnings).toEqual([expect.objectContaining({
+        code: 'resistance:LAB000031:ciprofloxacin',
+        type: 'resistance',
+        severity: 'major',
+        medications: [ciprofloxacin.name],
+        message: 'Salmonella Typhi from blood culture LAB000031 is resistant to Ciprofloxacin 500 mg tablet'
+      })]);
+    });
+
+    it('should read results across the drug class and flag intermediate susceptibility', () => {
+      const { warnings } = checkPrescription({
+        medications: [{ name: 'Levofloxacin 500 mg' }, { name: 'Cefixime 200 mg' }],
+        isolates: [isolate]
+      });
+
+      expect(warnings.map(({ severity }) => severity)).toEqual(['major', 'moderate']);
+      expect(warnings[0].message).toContain('(tested with Ciprofloxacin)');
+    });
+  });
+
+  describe('malaria species', () => {
+    const codes = ({ warnings }) => warnings.map(({ code }) => code);
+
+    it('should accept the regimen each species calls for', () => {
+      expect(checkPrescription({ medications: [al, primaquine], species: 'P. vivax' }).warnings).toEqual([]);
+      expect(checkPrescription({ medications: [al, primaquine], species: 'P. falciparum' }).warnings).toEqual([]);
+      expect(checkPrescription({ medications: [al], species: 'P. malariae' }).warnings).toEqual([]);
+    });
+
+    it('should warn when a relapsing species gets no radical cure', () => {
+      const result = checkPrescription({ medications: [al, paracetamol], species: 'P. ovale' });
+      expect(codes(result)).toEqual(['species:p-ovale:no-radical-cure']);
+      expect(result.warnings[0]).toMatchObject({ type: 'species', severity: 'moderate', medications: [al.name] });
+    });
+
+    it('should warn when P. falciparum or a mixed infection gets no ACT', () => {
+      expect(codes(checkPrescription({ medications: [chloroquine], species: 'P. falciparum' })))
+        .toEqual(['species:p-falciparum:no-act']);
+      expect(codes(checkPrescription({ medications: [chloroquine, primaquine], species: 'mixed' })))
+        .toEqual(['species:mixed:no-act']);
+    });
+
+    it('should warn about primaquine without a blood-stage drug, or for P. malariae', () => {
+      expect(codes(checkPrescription({ medications: [primaquine], species: 'P. vivax' })))
+        .toEqual(['species:p-vivax:no-blood-stage']);
+      expect(codes(checkPrescription({ medications: [al, primaquine], species: 'P. malariae' })))
+        .toEqual(['species:p-malariae:unneeded-radical-cure']);
+    });
+
+    it('should not check prescriptions without an antimalarial or a species', () => {
+      expect(checkPrescription({ medications: [azithromycin], species: 'P. vivax' }).warnings).toEqual([]);
+      expect(checkPrescription({ medications: [chloroquine] }).warnings).toEqual([]);
+    });
+  });
+
+  describe('resolveOverrides', () => {
+    const { warnings } = checkPrescription({ medications: [al, azithromycin] });
+
+    it('should list warnings without an override', () => {
+      const { overrides, missing } = resolveOverrides(warnings, [], [], doctor);
+      expect(overrides).toEqual([]);
+      expect(missing).toEqual(warnings);
+    });
+
+    it('should record the reason and who overrode the warning', () => {
+      const reason = 'Baseline ECG normal; enteric fever needs cover';
+      const { overrides, missing } = resolveOverrides(warnings, [{ code: warnings[0].code, reason }], [], doctor);
+      expect(missing).toEqual([]);
+      expect(overrides[0]).toMatchObject({ code: warnings[0].code, reason, overriddenById: 7 });
+      expect(overrides[0].overriddenAt).toBeDefined();
+    });
+
+    it('should keep overrides saved on the prescription', () => {
+      const saved = [{ code: warnings[0].code, reason: 'Reviewed with cardiology', overriddenById: 3 }];
+      const { overrides, missing } = resolveOverrides(warnings, undefined, saved, doctor);
+      expect(missing).toEqual([]);
+      expect(overrides).toEqual(saved);
+    });
+  });
+
+  describe('warningsFor', () => {
+    it('should give each line item the warnings that concern it', () => {
+      const { warnings } = checkPrescription({ medications: [al, azithromycin, paracetamol] });
+      expect(warningsFor(azithromycin, warnings)).toHaveLength(1);
+      expect(warningsFor(paracetamol, warnings)).toEqual([]);
+    });
+  });
+});
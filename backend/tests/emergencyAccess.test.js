@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import patientRoutes from '../routes/patients.js';
+import adminRoutes from '../routes/admin.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import EmergencyAccess from '../models/EmergencyAccess.pg.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import { clearSettingsCache } from '../services/settingsService.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/patients', patientRoutes);
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const users = {
+  1: User.build({ id: 1, name: 'Admin', role: 'admin', status: 'active' }, { isNewRecord: false }),
+  3: User.build({ id: 3, name: 'Dr. On Call', role: 'doctor', status: 'active' }, { isNewRecord: false })
+};
+const tokenFor = id => `Bearer ${jwt.sign({ id }, process.env.JWT_SECRET)}`;
+const doctor = tokenFor(3);
+const admin = tokenFor(1);
+
+// Patient 9 is not on the on-call doctor's care team
+const patient = Patient.build({ id: 9, patientId: 'P000009', firstName: 'Ama', lastName: 'Mensah' }, { isNewRecord: false });
+
+const breakTheGlass = (body = { reason: 'Unconscious on arrival, no care team on site' }) => request(app)
+  .post('/api/patients/9/emergency-access')
+  .set('Authorization', doctor)
+  .send(body);
+
+const openRecord = () => request(app).get('/api/patients/9').set('Authorization', doctor);
+
+describe('Emergency access', () => {
+  let grants;
+
+  beforeEach(() => {
+    clearSettingsCache();
+    grants = [];
+    jest.spyOn(SystemSetting, 'findAll').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockImplementation(async id => users[id] || null);
+    jest.spyOn(Patient, 'findByPk').mockResolvedValue(patient);
+    jest.spyOn(Patient, 'count').mockResolvedValue(0);
+
+    // Grants kept in memory; findOne applies the same unexpired filter the database would
+    jest.spyOn(EmergencyAccess, 'create').mockImplementation(async (values) => {
+      const grant = EmergencyAccess.build({ id: grants.length + 1, ...values });
+      grants.push(grant);
+      return grant;
+    });
+    jest.spyOn(EmergencyAccess, 'findOne').mockImplementation(async ({ where }) => grants
+      .filter(grant => grant.userId === where.userId && grant.patientId === Number(where.patientId))
+      .find(grant => grant.expiresAt > where.expiresAt[Op.gt]) || null);
+    jest.spyOn(EmergencyAccess, 'findByPk').mockImplementation(async id => grants.find(grant => grant.id === Number(id)) || null);
+    jest.spyOn(EmergencyAccess.prototype, 'update').mockImplementation(async function(values) { return this.set(values); });
+    jest.spyOn(EmergencyAccess.prototype, 'reload').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should grant a clinician time-limited access to a patient outside their care team', async () => {
+    await openRecord().expect(403);
+
+    const response = await breakTheGlass({ reason: 'Unconscious on arrival, no care team on site', durationMinutes: 30 }).expect(201);
+    const expiresIn = new Date(response.body.data.expiresAt) - Date.now();
+    expect(expiresIn).toBeGreaterThan(29 * 60000);
+    expect(expiresIn).toBeLessThanOrEqual(30 * 60000);
+    expect(grants[0]).toMatchObject({ userId: 3, patientId: 9, reason: 'Unconscious on arrival, no care team on site' });
+
+    await openRecord().expect(200);
+  });
+
+  it('should record every use of the grant', async () => {
+    await breakTheGlass().expect(201);
+    await openRecord().expect(200);
+    await openRecord().expect(200);
+
+    expect(grants[0].accessCount).toBe(2);
+    expect(grants[0].lastAccessedAt).toBeInstanceOf(Date);
+    expect(grants[0].accessLog).toEqual([
+      expect.objectContaining({ method: 'GET', path: '/api/patients/9' }),
+      expect.objectContaining({ method: 'GET', path: '/api/patients/9' })
+    ]);
+  });
+
+  it('should close the record once the grant expires or is ended', async () => {
+    await breakTheGlass().expect(201);
+    grants[0].expiresAt = new Date(Date.now() - 1000);
+    await openRecord().expect(403);
+
+    await breakTheGlass().expect(201);
+    await request(app).delete('/api/patients/9/emergency-access').set('Authorization', doctor).expect(200);
+    await openRecord().expect(403);
+    expect(grants[1].accessCount).toBe(0);
+  });
+
+  it('should refuse a second grant, a missing justification and patients already on the care team', async () => {
+    await breakTheGlass({ reason: 'urgent' }).expect(400);
+
+    await breakTheGlass().expect(201);
+    const repeat = await breakTheGlass().expect(409);
+    expect(repeat.body.error).toBe('Emergency access to this patient is already active');
+
+    Patient.count.mockResolvedValue(1);
+    const onCareTeam = await breakTheGlass().expect(400);
+    expect(onCareTeam.body.error).toBe('Patient is already on your care team');
+  });
+
+  it('should let an admin acknowledge each grant once', async () => {
+    await breakTheGlass().expect(201);
+    const acknowledge = () => request(app)
+      .patch('/api/admin/emergency-access/1/acknowledge')
+      .set('Authorization', admin)
+      .send({ reviewNotes: 'Justified: trauma call' });
+
+    await request(app).patch('/api/admin/emergency-access/1/acknowledge').set('Authorization', doctor).expect(403);
+    await acknowledge().expect(200);
+    expect(grants[0]).toMatchObject({ acknowledgedById: 1, reviewNotes: 'Justified: trauma call' });
+
+    const again = await acknowledge().expect(400);
+    expect(again.body.error).toBe('Emergency access entry is already acknowledged');
+  });
+});
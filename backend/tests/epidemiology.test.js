@@ -0,0 +1,131 @@
+import { EPIDEMIOLOGY, regionKey, readContext, datedContext } from '../shared/epidemiology.js';
+import { runRuleEngine, DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+import { validateRuleSet } from '../services/knowledgeBaseService.js';
+
+const symptoms = ['fever', 'chills', 'headache'];
+
+// Editable copy of the built-in rules with the given epidemiology section
+const rulesWith = (epidemiology) => {
+  const { thresholds, severityWeights, diseases } = DEFAULT_RULE_SET;
+  return JSON.parse(JSON.stringify({ thresholds, severityWeights, diseases, epidemiology }));
+};
+
+describe('Epidemiological context', () => {
+  describe('readContext', () => {
+    it('should resolve regions by key, label or town', () => {
+      expect(regionKey('zambezi')).toBe('zambezi');
+      expect(regionKey('Kavango East')).toBe('kavango_east');
+      expect(regionKey('Windhoek')).toBe('khomas');
+      expect(regionKey('Atlantis')).toBeNull();
+    });
+
+    it('should keep only recent trips and read the season from the date', () => {
+      const context = readContext({
+        region: 'Windhoek',
+        date: '2026-02-10',
+        travel: [
+          { region: 'Rundu', returnedOn: '2026-02-01' },
+          { region: 'Zambezi', returnedOn: '2025-11-01' },
+          { region: 'Atlantis' }
+        ],
+        bednet: false
+      });
+
+      expect(context).toEqual({
+        region: 'khomas',
+        travel: ['kavango_east'],
+        date: '2026-02-10',
+        season: 'rainy',
+        factors: { bednet: 'no' },
+        unknownRegions: ['Atlantis']
+      });
+    });
+
+    it('should date an undated context today', () => {
+      expect(datedContext({ region: 'khomas' }, new Date('2026-07-01T12:00:00Z')))
+        .toEqual({ date: '2026-07-01', region: 'khomas' });
+      expect(datedContext({ date: '2026-01-05' }).date).toBe('2026-01-05');
+      expect(datedContext(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('scoring', () => {
+    it('should leave the scores alone without a context', () => {
+      const result = runRuleEngine({ symptoms });
+      expect(result.context).toBeNull();
+      expect(result.assessments.malaria.trace.context).toBeNull();
+    });
+
+    it('should start from the home region\'s prior', () => {
+      const windhoek = runRuleEngine({ symptoms, context: { region: 'khomas' } });
+      const zambezi = runRuleEngine({ symptoms, context: { region: 'zambezi' } });
+
+      expect(windhoek.assessments.malaria.trace.context).toEqual({
+        factors: [{ factor: 'region', value: 'khomas' }],
+        probability: 0.02
+      });
+      expect(zambezi.scores.malaria).toBeGreaterThan(windhoek.scores.malaria * 5);
+    });
+
+    it('should raise the prior for recent travel to a higher-prevalence region', () => {
+      const home = runRuleEngine({ symptoms, context: { region: 'khomas' } });
+      const travelled = runRuleEngine({ symptoms, context: { region: 'khomas', travel: [{ region: 'zambezi' }] } });
+      const fromLowerRisk = runRuleEngine({ symptoms, context: { region: 'zambezi', travel: [{ region: 'khomas' }] } });
+
+      expect(travelled.scores.malaria).toBeGreaterThan(home.scores.malaria);
+      expect(travelled.assessments.malaria.trace.context.probability).toBe(0.35);
+      expect(fromLowerRisk.assessments.malaria.trace.context.factors).toEqual([{ factor: 'region', value: 'zambezi' }]);
+    });
+
+    it('should weigh the season, bednet use and typhoid vaccination', () => {
+      const rainy = runRuleEngine({ symptoms, context: { date: '2026-02-10' } });
+      const dry = runRuleEngine({ symptoms, context: { date: '2026-08-10' } });
+      const protectedPatient = runRuleEngine({ symptoms, context: { bednet: true, typhoidVaccine: true } });
+      const none = runRuleEngine({ symptoms });
+
+      expect(rainy.scores.malaria).toBeGreaterThan(dry.scores.malaria);
+      expect(protectedPatient.scores.malaria).toBeLessThan(none.scores.malaria);
+      expect(protectedPatient.scores.typhoid).toBeLessThan(none.scores.typhoid);
+      expect(protectedPatient.scores.dengue).toBe(none.scores.dengue);
+    });
+
+    it('should apply the context in full and explain each step', () => {
+      const { trace } = runRuleEngine({ symptoms, context: { region: 'zambezi', date: '2026-02-10' } }).assessments.malaria;
+      const [region, season] = trace.steps;
+
+      expect(region).toMatchObject({ kind: 'context', finding: 'region', rule: 'epidemiology.regions.zambezi.priors.malaria' });
+      expect(region.probabilityAfter).toBe(0.35);
+      expect(season).toMatchObject({ kind: 'context', finding: 'season', value: 'rainy', contribution: Math.round(Math.log(1.6) * 1000) / 1000 });
+      expect(trace.summary).toContain('region, season moved the pre-test probability to');
+    });
+
+    it('should ignore the context when the rule set has no epidemiology section', () => {
+      const olderRuleSet = { ...DEFAULT_RULE_SET, epidemiology: undefined };
+      const result = runRuleEngine({ symptoms, context: { region: 'zambezi' } }, olderRuleSet);
+
+      expect(result.context).toBeNull();
+      expect(result.scores).toEqual(runRuleEngine({ symptoms }).scores);
+    });
+  });
+
+  describe('knowledge base validation', () => {
+    it('should accept the built-in epidemiology', () => {
+      expect(validateRuleSet(rulesWith(EPIDEMIOLOGY))).toEqual([]);
+    });
+
+    it('should report invalid priors, seasons and factors by path', () => {
+      const epidemiology = JSON.parse(JSON.stringify(EPIDEMIOLOGY));
+      epidemiology.regions.zambezi.priors.malaria = 2;
+      epidemiology.regions.khomas.priors.measles = 0.1;
+      epidemiology.seasons.dry.months = [4, 5];
+      epidemiology.factors.bednet.yes.malaria = -1;
+
+      expect(validateRuleSet(rulesWith(epidemiology)).map(error => error.path)).toEqual(expect.arrayContaining([
+        'rules.epidemiology.regions.zambezi.priors.malaria',
+        'rules.epidemiology.regions.khomas.priors.measles',
+        'rules.epidemiology.seasons.dry.months',
+        'rules.epidemiology.factors.bednet.yes.malaria'
+      ]));
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+import {
+  OTHER,
+  parseCsv,
+  parseCases,
+  evaluateRuleSet,
+  compareEvaluations
+} from '../services/evaluationService.js';
+
+const csv = [
+  'id,symptoms,feverDays,feverPattern,malaria.rapidTest,typhoid.bloodCulture,diagnosis',
+  'c1,fever:severe;chills;sweating;headache,3,cyclical,positive,,malaria',
+  'c2,fever;abdominal_pain;constipation;headache,10,step-ladder,,positive,typhoid',
+  'c3,"fever;dysuria;frequent urination",2,,negative,,uti',
+  'c4,headache,,,negative,,none'
+].join('\n');
+
+// Same rules with malaria made much rarer, so the malaria case is missed
+const rareMalaria = {
+  ...DEFAULT_RULE_SET,
+  version: 2,
+  diseases: {
+    ...DEFAULT_RULE_SET.diseases,
+    malaria: { ...DEFAULT_RULE_SET.diseases.malaria, prior: 0.0001 }
+  }
+};
+
+describe('Rule evaluation', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted cells with commas, quotes and newlines', () => {
+      expect(parseCsv('a,b\n"x, y","say ""hi""\nthere"\r\n')).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"\nthere']
+      ]);
+    });
+  });
+
+  describe('parseCases', () => {
+    it('should read CSV symptoms, severities, tests and diagnoses', () => {
+      const [first, , , last] = parseCases(csv);
+      expect(first).toEqual({
+        id: 'c1',
+        input: {
+          symptoms: [{ symptom: 'fever', severity: 'severe' }, 'chills', 'sweating', 'headache'],
+          absentSymptoms: [],
+          feverPattern: 'cyclical',
+          feverDays: 3,
+          testResults: { malaria: { rapidTest: 'positive' } }
+        },
+        diagnoses: ['malaria']
+      });
+      expect(last.diagnoses).toEqual([]);
+    });
+
+    it('should read JSON arrays and one case per line', () => {
+      const record = { id: 'j1', symptoms: ['fever'], diagnosis: ['Malaria', 'typhoid'] };
+      expect(parseCases(JSON.stringify([record]))[0].diagnoses).toEqual(['malaria', 'typhoid']);
+      expect(parseCases(`${JSON.stringify(record)}\n\n${JSON.stringify({ ...record, id: 'j2' })}`)).toHaveLength(2);
+    });
+
+    it('should require a confirmed diagnosis', () => {
+      expect(() => parseCases('[{"id":"x","symptoms":["fever"]}]')).toThrow(/Case x/);
+      expect(() => parseCases('id,symptoms\n1,fever')).toThrow(/diagnosis column/);
+    });
+  });
+
+  describe('evaluateRuleSet', () => {
+    const evaluation = evaluateRuleSet(parseCases(csv), DEFAULT_RULE_SET);
+
+    it('should count a 2x2 confusion matrix per disease', () => {
+      const { confusion, sensitivity, specificity, ppv, npv } = evaluation.diseases.malaria;
+      expect(confusion).toEqual({ tp: 1, fp: 0, fn: 0, tn: 3 });
+      expect({ sensitivity, specificity, ppv, npv }).toEqual({ sensitivity: 1, specificity: 1, ppv: 1, npv: 1 });
+    });
+
+    it('should leave undefined ratios empty', () => {
+      expect(evaluation.diseases.dengue.sensitivity).toBeNull();
+      expect(evaluation.diseases.dengue.ppv).toBeNull();
+    });
+
+    it('should compare confirmed diagnoses with the top of the differential', () => {
+      const { labels, counts } = evaluation.confusionMatrix;
+      expect(labels).toEqual([...Object.keys(DEFAULT_RULE_SET.diseases), OTHER]);
+      expect(counts.malaria.malaria).toBe(1);
+      expect(counts[OTHER][OTHER]).toBe(1);
+    });
+
+    it('should bin predictions for calibration', () => {
+      const { bins, brierScore } = evaluation.diseases.malaria.calibration;
+      expect(bins).toHaveLength(5);
+      expect(bins.reduce((sum, bin) => sum + bin.cases, 0)).toBe(4);
+      expect(bins[4].observed).toBe(1);
+      expect(brierScore).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should count moderate risk as positive when asked', () => {
+      const moderate = evaluateRuleSet(parseCases(csv), DEFAULT_RULE_SET, { positiveAt: 'moderate' });
+      expect(evaluation.diseases.uti.confusion.tp).toBe(0);
+      expect(moderate.diseases.uti.confusion.tp).toBe(1);
+    });
+  });
+
+  describe('compareEvaluations', () => {
+    it('should report metric changes and the cases whose prediction changed', () => {
+      const cases = parseCases(csv);
+      const comparison = compareEvaluations(
+        evaluateRuleSet(cases, DEFAULT_RULE_SET),
+        evaluateRuleSet(cases, rareMalaria)
+      );
+
+      expect(comparison.baseline).toBeNull();
+      expect(comparison.candidate).toBe(2);
+      expect(comparison.diseases.malaria.sensitivity).toEqual({ baseline: 1, candidate: 0, change: -1 });
+      expect(comparison.changedCases).toEqual([
+        { id: 'c1', diagnoses: ['malaria'], baseline: 'malaria', candidate: OTHER }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import {
+  QUESTION_BANK,
+  STOPPING_RULE,
+  entropy,
+  hypothesisDistribution,
+  expectedInformationGain,
+  planNextStep
+} from '../services/interviewService.js';
+import { DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+
+const question = id => QUESTION_BANK.find(entry => entry.id === id);
+
+describe('Adaptive interview', () => {
+  describe('hypothesisDistribution', () => {
+    it('should add "other" and sum to one', () => {
+      const distribution = hypothesisDistribution({ malaria: 0.5, typhoid: 0.2 });
+
+      expect(Object.keys(distribution)).toEqual(['malaria', 'typhoid', 'other']);
+      expect(Object.values(distribution).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 10);
+      expect(distribution.malaria).toBeGreaterThan(distribution.typhoid);
+    });
+  });
+
+  describe('entropy', () => {
+    it('should be highest when every hypothesis is equally likely', () => {
+      expect(entropy({ a: 0.5, b: 0.5 })).toBeCloseTo(1, 10);
+      expect(entropy({ a: 1, b: 0 })).toBe(0);
+    });
+  });
+
+  describe('expectedInformationGain', () => {
+    it('should prefer questions that separate the hypotheses', () => {
+      const distribution = hypothesisDistribution({ malaria: 0.37, typhoid: 0.17 });
+      const gain = id => expectedInformationGain(question(id), distribution, DEFAULT_RULE_SET);
+
+      expect(gain('fever_pattern')).toBeGreaterThan(gain('chills'));
+      expect(gain('chills')).toBeGreaterThan(gain('sore_throat'));
+      expect(gain('sore_throat')).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe('planNextStep', () => {
+    it('should ask the most informative question not yet answered', () => {
+      const plan = planNextStep({ symptoms: ['fever', 'headache'] }, [], DEFAULT_RULE_SET);
+
+      expect(plan.stopReason).toBeNull();
+      expect(plan.nextQuestion).toMatchObject({ id: 'fever_pattern', type: 'choice' });
+      expect(plan.nextQuestion.options.map(option => option.value)).toContain('unsure');
+    });
+
+    it('should not ask about findings already reported', () => {
+      const plan = planNextStep({ symptoms: [{ symptom: 'fever', pattern: 'cyclical', duration: '2 days' }] }, [], DEFAULT_RULE_SET);
+      expect(['fever', 'fever_pattern', 'fever_duration']).not.toContain(plan.nextQuestion.id);
+    });
+
+    it('should only ask about the fever once it is reported', () => {
+      const plan = planNextStep({ symptoms: ['headache'] }, [], DEFAULT_RULE_SET);
+      expect(plan.nextQuestion.id).toBe('fever');
+    });
+
+    it('should stop when a hypothesis is likely enough', () => {
+      const plan = planNextStep({
+        symptoms: ['fever', 'chills', 'sweating'],
+        feverPattern: 'cyclical',
+        testResults: { malaria: { microscopy: 'positive' } }
+      }, [], DEFAULT_RULE_SET);
+
+      expect(plan.stopReason).toBe('confident');
+      expect(plan.nextQuestion).toBeNull();
+      expect(plan.outcome.distribution.malaria).toBeGreaterThanOrEqual(STOPPING_RULE.confidence);
+      expect(plan.outcome.conclusion.disease).toBe('malaria');
+    });
+
+    it('should stop at once when danger signs are reported', () => {
+      const plan = planNextStep({ symptoms: ['fever', 'convulsions'] }, [], DEFAULT_RULE_SET);
+
+      expect(plan.stopReason).toBe('danger_signs');
+      expect(plan.nextQuestion).toBeNull();
+      expect(plan.outcome.dangerSigns.urgentReferral).toBe(true);
+    });
+
+    it('should stop after the question limit', () => {
+      const transcript = Array.from({ length: STOPPING_RULE.maxQuestions }, (_, index) => ({ questionId: `q${index}` }));
+      expect(planNextStep({ symptoms: ['fever'] }, transcript, DEFAULT_RULE_SET).stopReason).toBe('question_limit');
+    });
+  });
+});
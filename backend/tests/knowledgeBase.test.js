@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import sequelize from '../config/database.js';
+import KnowledgeBaseVersion from '../models/KnowledgeBaseVersion.pg.js';
+import { KnowledgeBaseError, validateRuleSet, publishVersion } from '../services/knowledgeBaseService.js';
+import { runRuleEngine, DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+
+// Editable copy of the built-in rules, as an admin would submit them
+const builtInRules = () => {
+  const { thresholds, severityWeights, diseases } = DEFAULT_RULE_SET;
+  return JSON.parse(JSON.stringify({ thresholds, severityWeights, diseases }));
+};
+
+describe('Knowledge base', () => {
+  describe('validateRuleSet', () => {
+    it('should accept the built-in rules', () => {
+      expect(validateRuleSet(builtInRules())).toEqual([]);
+    });
+
+    it('should report each invalid field by path', () => {
+      const rules = builtInRules();
+      rules.thresholds = { high: 0.4, moderate: 0.7 };
+      rules.diseases.malaria.prior = 1.5;
+      rules.diseases.typhoid.symptoms['Rose spots'] = { present: 8 };
+      rules.diseases.typhoid.feverDuration = [{ maxDays: 7, lr: 1 }, { maxDays: 3, lr: 2 }];
+      delete rules.diseases.malaria.recommendations.low;
+
+      const paths = validateRuleSet(rules).map(error => error.path);
+      expect(paths).toEqual(expect.arrayContaining([
+        'rules.thresholds',
+        'rules.diseases.malaria.prior',
+        'rules.diseases.malaria.recommendations.low',
+        'rules.diseases.typhoid.symptoms.Rose spots',
+        'rules.diseases.typhoid.feverDuration[1].maxDays'
+      ]));
+    });
+
+    it('should require malaria and typhoid rules', () => {
+      const rules = builtInRules();
+      delete rules.diseases.typhoid;
+
+      expect(validateRuleSet(rules)).toEqual([
+        expect.objectContaining({ path: 'rules.diseases.typhoid', msg: 'Rules for typhoid are required' })
+      ]);
+    });
+
+    it('should reject rules that are not an object', () => {
+      expect(validateRuleSet([])[0].msg).toBe('Rules must be an object');
+    });
+  });
+
+  describe('scoring with a stored version', () => {
+    it('should use the version\'s thresholds, weights and text', () => {
+      const rules = builtInRules();
+      rules.thresholds = { high: 0.5, moderate: 0.3 };
+      rules.diseases.malaria.recommendations.high = 'Test and treat today';
+      const input = { symptoms: ['fever', 'chills', 'sweating', 'headache'] };
+
+      const builtIn = runRuleEngine(input);
+      const stored = runRuleEngine(input, { version: 3, ...rules });
+
+      expect(builtIn.version).toBeNull();
+      expect(stored.version).toBe(3);
+      expect(stored.scores).toEqual(builtIn.scores);
+      expect(builtIn.assessments.malaria.riskLevel).toBe('moderate');
+      expect(stored.assessments.malaria.riskLevel).toBe('high');
+      expect(stored.assessments.malaria.recommendation).toBe('Test and treat today');
+    });
+  });
+
+  describe('publishVersion', () => {
+    const draftWith = rules => KnowledgeBaseVersion.build({ version: 4, status: 'draft', rules }, { isNewRecord: false });
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(work => work(null));
+      jest.spyOn(KnowledgeBaseVersion, 'update').mockResolvedValue([1]);
+      jest.spyOn(KnowledgeBaseVersion.prototype, 'update').mockImplementation(async function(values) { return this.set(values); });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should validate the draft\'s rules again before publishing', async () => {
+      const rules = builtInRules();
+      rules.diseases.malaria.prior = 2;
+      jest.spyOn(KnowledgeBaseVersion, 'findOne').mockResolvedValue(draftWith(rules));
+
+      const error = await publishVersion(4, { id: 1 }).catch(e => e);
+      expect(error).toBeInstanceOf(KnowledgeBaseError);
+      expect(error.statusCode).toBe(400);
+      expect(error.details.map(({ path }) => path)).toEqual(['rules.diseases.malaria.prior']);
+      expect(KnowledgeBaseVersion.update).not.toHaveBeenCalled();
+    });
+
+    it('should publish valid rules and archive the current version', async () => {
+      jest.spyOn(KnowledgeBaseVersion, 'findOne').mockResolvedValue(draftWith(builtInRules()));
+
+      const published = await publishVersion(4, { id: 1 });
+      expect(published).toMatchObject({ version: 4, status: 'published', publishedById: 1 });
+      expect(KnowledgeBaseVersion.update).toHaveBeenCalledWith({ status: 'archived' }, expect.objectContaining({ where: { status: 'published' } }));
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import sequelize from '../config/database.js';
+import labOrderRoutes from '../routes/labOrders.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Diagnosis from '../models/Diagnosis.pg.js';
+import LabOrder from '../models/LabOrder.pg.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import { clearSettingsCache } from '../services/settingsService.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import {
+  LAB_TESTS,
+  validateResultValues,
+  interpretResult,
+  engineInputsFrom,
+  isolateFrom
+} from '../services/labCatalog.js';
+import { DEFAULT_RULE_SET } from '../shared/ruleEngine.js';
+
+const flags = results => Object.fromEntries(results.map(({ key, flag }) => [key, flag]));
+
+describe('Lab catalog', () => {
+  it('should only map analytes onto tests and diseases the rule engine scores', () => {
+    Object.values(LAB_TESTS).forEach(({ analytes }) => {
+      analytes.filter(({ engine }) => engine?.test).forEach(({ engine }) => {
+        expect(DEFAULT_RULE_SET.diseases[engine.disease]).toBeDefined();
+        if (engine.test !== 'parasiteCount') {
+          expect(DEFAULT_RULE_SET.diseases[engine.disease].tests[engine.test]).toBeDefined();
+        }
+      });
+    });
+  });
+
+  describe('validateResultValues', () => {
+    it('should accept a complete microscopy result', () => {
+      expect(validateResultValues('malaria_microscopy', {
+        result: 'positive',
+        parasiteCount: 12000,
+        species: 'P. falciparum'
+      })).toEqual([]);
+    });
+
+    it('should require the qualitative result', () => {
+      const errors = validateResultValues('malaria_microscopy', { parasiteCount: 12000 });
+      expect(errors.map(({ path }) => path)).toEqual(['values.result']);
+    });
+
+    it('should require at least one value', () => {
+      const errors = validateResultValues('full_blood_count', {});
+      expect(errors.map(({ path }) => path)).toEqual(['values']);
+    });
+
+    it('should reject analytes the test does not report and out-of-range values', () => {
+      const errors = validateResultValues('malaria_microscopy', {
+        result: 'weakly positive',
+        parasiteCount: -5,
+        species: 'P. knowlesi',
+        haemoglobin: 9
+      });
+      expect(errors.map(({ path }) => path)).toEqual(expect.arrayContaining([
+        'values.haemoglobin',
+        'values.result',
+        'values.parasiteCount',
+        'values.species'
+      ]));
+      expect(errors).toHaveLength(4);
+    });
+
+    it('should accept a susceptibility panel only with a positive culture', () => {
+      expect(validateResultValues('blood_culture', {
+        result: 'positive',
+        organism: 'Salmonella Typhi',
+        ciprofloxacin: 'resistant',
+        azithromycin: 'susceptible'
+      })).toEqual([]);
+
+      const errors = validateResultValues('stool_culture', { result: 'negative', ceftriaxone: 'susceptible' });
+      expect(errors).toEqual([expect.objectContaining({ path: 'values.ceftriaxone', msg: 'Susceptibility is only reported for a positive culture' })]);
+      expect(validateResultValues('blood_culture', { result: 'positive', ceftriaxone: 'R' })[0].path).toBe('values.ceftriaxone');
+    });
+
+    it('should reject numbers sent as text', () => {
+      const errors = validateResultValues('blood_glucose', { glucose: '5.2' });
+      expect(errors[0].msg).toBe('Glucose must be a number of mmol/L');
+    });
+  });
+
+  describe('interpretResult', () => {
+    it('should flag quantitative values against the reference range and critical limits', () => {
+      const results = interpretResult('full_blood_count', { haemoglobin: 4.2, whiteCellCount: 13, plateletCount: 220 });
+      expect(flags(results)).toEqual({ haemoglobin: 'critical-low', whiteCellCount: 'high', plateletCount: 'normal' });
+      expect(results[0]).toMatchObject({ unit: 'g/dL', referenceRange: { low: 12, high: 17 } });
+    });
+
+    it('should flag positive qualitative findings as abnormal and leave other analytes unflagged', () => {
+      const results = interpretResult('malaria_microscopy', { result: 'positive', parasiteCount: 600000, species: 'P. vivax' });
+      expect(flags(results)).toEqual({ result: 'abnormal', parasiteCount: 'critical-high', species: null });
+    });
+
+    it('should only list the analytes reported', () => {
+      expect(interpretResult('blood_culture', { result: 'negative' })).toEqual([
+        expect.objectContaining({ key: 'result', value: 'negative', flag: 'normal' })
+      ]);
+    });
+  });
+
+  describe('isolateFrom', () => {
+    const culture = values => ({ test: 'blood_culture', results: interpretResult('blood_culture', values) });
+    const firstLineResistant = { ampicillin: 'resistant', chloramphenicol: 'resistant', coTrimoxazole: 'resistant' };
+
+    it('should read the organism and its susceptibility', () => {
+      expect(isolateFrom(culture({ result: 'positive', organism: ' Salmonella Typhi ', ceftriaxone: 'susceptible' }))).toEqual({
+        organism: 'Salmonella Typhi',
+        susceptibility: { ceftriaxone: 'susceptible' },
+        pattern: null
+      });
+    });
+
+    it('should classify MDR and XDR isolates', () => {
+      expect(isolateFrom(culture({ result: 'positive', ...firstLineResistant, ciprofloxacin: 'resistant' })).pattern).toBe('MDR');
+      expect(isolateFrom(culture({
+        result: 'positive', ...firstLineResistant, ciprofloxacin: 'resistant', ceftriaxone: 'resistant'
+      })).pattern).toBe('XDR');
+    });
+
+    it('should return null without growth or a panel', () => {
+      expect(isolateFrom(culture({ result: 'negative' }))).toBeNull();
+      expect(isolateFrom(culture({ result: 'positive', organism: 'Salmonella Typhi' }))).toBeNull();
+    });
+  });
+
+  describe('engineInputsFrom', () => {
+    it('should map microscopy onto the malaria test results and species', () => {
+      expect(engineInputsFrom('malaria_microscopy', { result: 'positive', parasiteCount: 12000, species: 'P. ovale' })).toEqual({
+        testResults: { malaria: { microscopy: 'positive', parasiteCount: 12000 } },
+        details: { malaria: { species: 'P. ovale' } }
+      });
+    });
+
+    it('should map tests for the other diseases and ignore analytes the engine does not use', () => {
+      expect(engineInputsFrom('dengue_ns1', { result: 'negative' }).testResults).toEqual({ dengue: { ns1Antigen: 'negative' } });
+      expect(engineInputsFrom('full_blood_count', { haemoglobin: 10 })).toEqual({ testResults: {}, details: {} });
+    });
+  });
+});
+
+describe('Entering lab results', () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/lab-orders', labOrderRoutes);
+  app.use(errorHandler);
+
+  const doctor = User.build({ id: 3, name: 'Dr. Owusu', role: 'doctor', status: 'active' }, { isNewRecord: false });
+  const token = `Bearer ${jwt.sign({ id: doctor.id }, process.env.JWT_SECRET)}`;
+  const enterResult = () => request(app)
+    .patch('/api/lab-orders/41/result')
+    .set('Authorization', token)
+    .send({ values: { result: 'positive', parasiteCount: 12000 } });
+
+  // The order as stored; updates made in a transaction only reach it when the transaction commits
+  let stored;
+
+  beforeEach(() => {
+    clearSettingsCache();
+    stored = { id: 41, patientId: 9, appointmentId: 21, test: 'malaria_microscopy', status: 'collected' };
+    jest.spyOn(SystemSetting, 'findAll').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(doctor);
+    jest.spyOn(Patient, 'count').mockResolvedValue(1);
+    jest.spyOn(LabOrder, 'findByPk').mockImplementation(async () => LabOrder.build({ ...stored }, { isNewRecord: false }));
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => {
+      const transaction = { pending: [] };
+      const result = await work(transaction);
+      transaction.pending.forEach(commit => commit());
+      return result;
+    });
+    jest.spyOn(LabOrder.prototype, 'update').mockImplementation(async function(values, { transaction }) {
+      transaction.pending.push(() => Object.assign(stored, values));
+      return this.set(values);
+    });
+    jest.spyOn(LabOrder.prototype, 'reload').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the order collected when the reassessment fails, so the result can be entered again', async () => {
+    jest.spyOn(Diagnosis, 'findOne')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await enterResult().expect(500);
+    expect(stored.status).toBe('collected');
+    expect(Diagnosis.findOne.mock.calls[0][0].transaction).toBe(LabOrder.prototype.update.mock.calls[0][1].transaction);
+
+    const response = await enterResult().expect(200);
+    expect(response.body.reassessment).toBeNull();
+    expect(stored).toMatchObject({ status: 'resulted', resultedById: 3, abnormal: true });
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  fromExtendedJson,
+  parseMongoExport,
+  IdMap,
+  transformPatient,
+  transformAppointment,
+  transformPrescription
+} from '../services/mongoImportService.js';
+
+describe('Mongo import', () => {
+  describe('parseMongoExport', () => {
+    it('should parse newline-delimited Extended JSON', () => {
+      const text = [
+        '{"_id":{"$oid":"64a000000000000000000001"},"createdAt":{"$date":"2024-01-02T03:04:05Z"}}',
+        '',
+        '{"_id":{"$oid":"64a000000000000000000002"},"duration":{"$numberInt":"45"}}'
+      ].join('\n');
+
+      const docs = parseMongoExport(text);
+
+      expect(docs).toHaveLength(2);
+      expect(docs[0]._id).toBe('64a000000000000000000001');
+      expect(docs[0].createdAt).toEqual(new Date('2024-01-02T03:04:05Z'));
+      expect(docs[1].duration).toBe(45);
+    });
+
+    it('should parse a JSON array export', () => {
+      const docs = parseMongoExport('[{"_id":{"$oid":"a1"}},{"_id":{"$oid":"a2"}}]');
+      expect(docs.map(doc => doc._id)).toEqual(['a1', 'a2']);
+    });
+
+    it('should report the offending line', () => {
+      expect(() => parseMongoExport('{"ok":true}\n{broken')).toThrow(/^Line 2:/);
+    });
+  });
+
+  describe('fromExtendedJson', () => {
+    it('should convert nested values', () => {
+      expect(fromExtendedJson({ a: [{ $numberDecimal: '12.50' }], b: { $date: { $numberLong: '0' } } }))
+        .toEqual({ a: [12.5], b: new Date(0) });
+    });
+  });
+
+  describe('transforms', () => {
+    const ids = new IdMap();
+    ids.set('users', 'u1', 1);
+    ids.set('users', 'u2', 2);
+    ids.set('patients', 'p1', 10);
+
+    it('should flatten patient address and medical history', () => {
+      const warnings = [];
+      const patient = transformPatient({
+        patientId: 'P000001',
+        userId: 'missing',
+        firstName: 'Ana',
+        lastName: 'Silva',
+        dateOfBirth: new Date('1990-05-01T00:00:00Z'),
+        gender: 'Female',
+        address: { street: '1 Main St', city: 'Windhoek' },
+        medicalHistory: { allergies: ['penicillin'], bloodType: 'Unknown' },
+        assignedDoctor: 'u1',
+        assignedNurse: 'u2'
+      }, ids, warnings);
+
+      expect(patient.userId).toBeNull();
+      expect(patient.gender).toBe('female');
+      expect(patient.dateOfBirth).toBe('1990-05-01');
+      expect(patient.address).toBe('1 Main St, Windhoek');
+      expect(patient.allergies).toEqual(['penicillin']);
+      expect(patient.bloodType).toBeNull();
+      expect(patient).toMatchObject({ assignedDoctorId: 1, assignedNurseId: 2 });
+      expect(warnings).toEqual(['Dropped unresolved userId reference missing']);
+    });
+
+    it('should remap appointment references', () => {
+      const appointment = transformAppointment({
+        patient: 'p1',
+        doctor: 'u1',
+        assignedNurse: 'u2',
+        appointmentDate: new Date(),
+        reason: 'Fever'
+      }, ids, []);
+
+      expect(appointment).toMatchObject({ patientId: 10, doctorId: 1, assignedNurseId: 2 });
+    });
+
+    it('should reject documents with unresolved required references', () => {
+      expect(() => transformAppointment({ patient: 'p9', doctor: 'u1' }, ids, []))
+        .toThrow('Unresolved patient reference p9');
+    });
+
+    it('should turn embedded medications into ordered items', () => {
+      const prescription = transformPrescription({
+        patient: 'p1',
+        doctor: 'u1',
+        medications: [{ name: 'Artemether' }, { name: 'Paracetamol' }]
+      }, ids, []);
+
+      expect(prescription.medications.map(item => [item.position, item.name]))
+        .toEqual([[0, 'Artemether'], [1, 'Paracetamol']]);
+    });
+  });
+});
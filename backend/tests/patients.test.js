@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import patientRoutes from '../routes/patients.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import EmergencyAccess from '../models/EmergencyAccess.pg.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import { clearSettingsCache } from '../services/settingsService.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/patients', patientRoutes);
+app.use(errorHandler);
+
+const users = {
+  2: User.build({ id: 2, name: 'Front Desk', role: 'receptionist', status: 'active' }, { isNewRecord: false }),
+  3: User.build({ id: 3, name: 'Dr. Owusu', role: 'doctor', status: 'active' }, { isNewRecord: false }),
+  4: User.build({ id: 4, name: 'Dr. Boateng', role: 'doctor', status: 'active' }, { isNewRecord: false })
+};
+const tokenFor = id => `Bearer ${jwt.sign({ id }, process.env.JWT_SECRET)}`;
+
+const update = (userId, body) => request(app)
+  .put('/api/patients/9')
+  .set('Authorization', tokenFor(userId))
+  .send(body);
+
+describe('Patients', () => {
+  let patient;
+
+  beforeEach(() => {
+    clearSettingsCache();
+    patient = Patient.build({
+      id: 9, patientId: 'P000009', firstName: 'Ama', lastName: 'Mensah', userId: 12, assignedDoctorId: 4
+    }, { isNewRecord: false });
+    jest.spyOn(SystemSetting, 'findAll').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockImplementation(async id => users[id] || null);
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => (users[where.id]?.role === where.role ? users[where.id] : null));
+    jest.spyOn(Patient, 'findByPk').mockImplementation(async () => patient);
+    jest.spyOn(Patient.prototype, 'update').mockImplementation(async function(values) { return this.set(values); });
+    jest.spyOn(Patient.prototype, 'reload').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('update', () => {
+    it('should not take the login or raw care-team columns from the request', async () => {
+      jest.spyOn(Patient, 'count').mockResolvedValue(1);
+
+      await update(3, { phone: '+233201234567', userId: 3, assignedDoctorId: 3, assignedNurseId: 3 }).expect(200);
+      expect(Patient.prototype.update.mock.calls[0][0]).toEqual({ phone: '+233201234567' });
+      expect(patient).toMatchObject({ userId: 12, assignedDoctorId: 4 });
+    });
+
+    it('should not let a clinician reassign the care team', async () => {
+      jest.spyOn(Patient, 'count').mockResolvedValue(1);
+
+      const response = await update(3, { assignedDoctor: 3 }).expect(403);
+      expect(response.body.error).toBe('Only admins and receptionists can change the care team');
+      expect(Patient.prototype.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let an emergency grant assign the clinician to the patient', async () => {
+      jest.spyOn(Patient, 'count').mockResolvedValue(0);
+      jest.spyOn(EmergencyAccess, 'findOne').mockResolvedValue(EmergencyAccess.build({ userId: 3, patientId: 9 }));
+      jest.spyOn(EmergencyAccess.prototype, 'update').mockImplementation(async function(values) { return this.set(values); });
+
+      await update(3, { assignedDoctor: 3 }).expect(403);
+      expect(patient.assignedDoctorId).toBe(4);
+    });
+
+    it('should accept an unchanged assignment from a clinician', async () => {
+      jest.spyOn(Patient, 'count').mockResolvedValue(1);
+
+      await update(3, { firstName: 'Amma', assignedDoctor: 4 }).expect(200);
+      expect(patient.firstName).toBe('Amma');
+    });
+
+    it('should let a receptionist reassign the care team', async () => {
+      await update(2, { assignedDoctor: 3 }).expect(200);
+      expect(patient.assignedDoctorId).toBe(3);
+    });
+  });
+});
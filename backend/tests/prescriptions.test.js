@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import sequelize from '../config/database.js';
+import prescriptionRoutes from '../routes/prescriptions.js';
+import User from '../models/User.pg.js';
+import Patient from '../models/Patient.pg.js';
+import Prescription from '../models/Prescription.pg.js';
+import PrescriptionItem from '../models/PrescriptionItem.pg.js';
+import SystemSetting from '../models/SystemSetting.pg.js';
+import { clearSettingsCache } from '../services/settingsService.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use(errorHandler);
+
+const pharmacist = User.build({ id: 5, role: 'pharmacist', status: 'active' }, { isNewRecord: false });
+const token = jwt.sign({ id: pharmacist.id }, process.env.JWT_SECRET);
+
+// A pending prescription for 20 tablets of one drug and 6 of another
+const pendingPrescription = () => Prescription.build({
+  id: 1,
+  patientId: 9,
+  status: 'pending',
+  refillsAllowed: 0,
+  refillsUsed: 0,
+  medications: [
+    { id: 11, name: 'Artemether-lumefantrine', quantity: 20, quantityDispensed: 0, status: 'pending' },
+    { id: 12, name: 'Paracetamol', quantity: 6, quantityDispensed: 0, status: 'pending' }
+  ]
+}, { isNewRecord: false, include: [{ model: PrescriptionItem, as: 'medications' }] });
+
+const dispense = body => request(app)
+  .patch('/api/prescriptions/1/dispense')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Prescriptions', () => {
+  let prescription;
+
+  beforeEach(() => {
+    clearSettingsCache();
+    prescription = pendingPrescription();
+    jest.spyOn(SystemSetting, 'findAll').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(pharmacist);
+    jest.spyOn(Patient, 'count').mockResolvedValue(1);
+    jest.spyOn(Prescription, 'findByPk').mockResolvedValue(prescription);
+    jest.spyOn(sequelize, 'transaction').mockImplementation(work => work(null));
+    // Run the save hooks, which derive each item's status, without a database
+    jest.spyOn(PrescriptionItem.prototype, 'save').mockImplementation(async function() {
+      await PrescriptionItem.runHooks('beforeSave', this, {});
+      return this;
+    });
+    jest.spyOn(Prescription.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Prescription.prototype, 'reload').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record a partial dispense', async () => {
+    const response = await dispense({ medications: [{ medicationIndex: 0, quantityDispensed: 12 }] }).expect(200);
+
+    expect(response.body.data.status).toBe('partially-dispensed');
+    expect(prescription.medications[0]).toMatchObject({ quantityDispensed: 12, status: 'partially-dispensed' });
+    expect(prescription.dispensedById).toBe(pharmacist.id);
+  });
+
+  it('should complete the prescription once every item is dispensed, capped at the quantity prescribed', async () => {
+    await dispense({ medications: [{ medicationIndex: 0, quantityDispensed: 12 }] }).expect(200);
+    const response = await dispense({
+      medications: [{ medicationIndex: 0, quantityDispensed: 12 }, { medicationIndex: 1, quantityDispensed: 6 }],
+      dispensingNotes: 'Counselled on taking with food'
+    }).expect(200);
+
+    expect(response.body.data.status).toBe('dispensed');
+    expect(prescription.medications.map(({ quantityDispensed }) => quantityDispensed)).toEqual([20, 6]);
+    expect(prescription.dispensingNotes).toBe('Counselled on taking with food');
+  });
+
+  it('should add quantities sent as text as numbers', async () => {
+    await dispense({ medications: [{ medicationIndex: '1', quantityDispensed: '2' }] }).expect(200);
+    await dispense({ medications: [{ medicationIndex: 1, quantityDispensed: '3' }] }).expect(200);
+
+    expect(prescription.medications[1].quantityDispensed).toBe(5);
+  });
+
+  it('should reject a request without medications or with a quantity below 1', async () => {
+    const missing = await dispense({ dispensingNotes: 'Nothing to dispense' }).expect(400);
+    expect(missing.body.error).toBe('Validation failed');
+
+    const negative = await dispense({ medications: [{ medicationIndex: 0, quantityDispensed: -4 }] }).expect(400);
+    expect(negative.body.details[0].path).toBe('medications[0].quantityDispensed');
+    expect(prescription.medications[0].quantityDispensed).toBe(0);
+  });
+
+  it('should reject a medication index the prescription does not have', async () => {
+    const response = await dispense({
+      medications: [{ medicationIndex: 0, quantityDispensed: 4 }, { medicationIndex: 2, quantityDispensed: 1 }]
+    }).expect(400);
+
+    expect(response.body.error).toBe('Prescription has no medication at index 2');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(prescription.medications[0].quantityDispensed).toBe(0);
+    expect(prescription.dispensedById).toBeUndefined();
+  });
+
+  it('should reject a patient filter that is not an ID', async () => {
+    jest.spyOn(Prescription, 'findAndCountAll');
+
+    const response = await request(app)
+      .get('/api/prescriptions?patient=abc')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+    expect(response.body.details[0].msg).toBe('Please provide a valid patient ID');
+    expect(Prescription.findAndCountAll).not.toHaveBeenCalled();
+  });
+
+  it('should not dispense a prescription that is cancelled or expired', async () => {
+    prescription.status = 'cancelled';
+    const cancelled = await dispense({ medications: [{ medicationIndex: 0, quantityDispensed: 1 }] }).expect(400);
+    expect(cancelled.body.error).toBe('Prescription is already cancelled');
+
+    prescription.status = 'pending';
+    prescription.validUntil = new Date(Date.now() - 86400000);
+    const expired = await dispense({ medications: [{ medicationIndex: 0, quantityDispensed: 1 }] }).expect(400);
+    expect(expired.body.error).toBe('Prescription has expired');
+  });
+});
@@ -0,0 +1,187 @@
+import {
+  runRuleEngine,
+  normalizeSymptom,
+  parseDurationDays,
+  concludeAssessment,
+  riskLevelFor
+} from '../shared/ruleEngine.js';
+
+describe('Rule engine', () => {
+  describe('normalizeSymptom', () => {
+    it('should map clinician and portal wording to the same key', () => {
+      expect(normalizeSymptom('Loss of appetite')).toBe('loss_appetite');
+      expect(normalizeSymptom('loss_appetite')).toBe('loss_appetite');
+      expect(normalizeSymptom({ symptom: 'Stomach pain', severity: 'mild' })).toBe('abdominal_pain');
+      expect(normalizeSymptom('Shivering')).toBe('chills');
+      expect(normalizeSymptom('')).toBeNull();
+    });
+  });
+
+  describe('parseDurationDays', () => {
+    it('should read durations in hours, days and weeks', () => {
+      expect(parseDurationDays('3 days')).toBe(3);
+      expect(parseDurationDays('2 weeks')).toBe(14);
+      expect(parseDurationDays('36 hours')).toBe(1.5);
+      expect(parseDurationDays(5)).toBe(5);
+      expect(parseDurationDays('a while')).toBeNull();
+    });
+  });
+
+  describe('runRuleEngine', () => {
+    it('should score the same symptoms identically from the portal and the API', () => {
+      const portal = runRuleEngine({ symptoms: ['fever', 'headache', 'abdominal_pain'] });
+      const api = runRuleEngine({
+        symptoms: [
+          { symptom: 'Fever', severity: 'moderate' },
+          { symptom: 'headache' },
+          { symptom: 'Stomach pain', severity: 'moderate' }
+        ]
+      });
+
+      expect(api.scores).toEqual(portal.scores);
+    });
+
+    it('should start from the prior when nothing informative is reported', () => {
+      const result = runRuleEngine({ symptoms: ['earache'] });
+      expect(result.assessments.malaria.probability).toBe(0.25);
+      expect(result.assessments.typhoid.probability).toBe(0.1);
+    });
+
+    it('should weigh severity and duration', () => {
+      const mildHeadache = runRuleEngine({ symptoms: [{ symptom: 'headache', severity: 'mild', duration: '3 days' }] });
+      const longHighFever = runRuleEngine({ symptoms: [{ symptom: 'fever', severity: 'severe', duration: '14 days' }] });
+      const shortHighFever = runRuleEngine({ symptoms: [{ symptom: 'fever', severity: 'severe', duration: '2 days' }] });
+
+      expect(longHighFever.scores.typhoid).toBeGreaterThan(mildHeadache.scores.typhoid * 2);
+      expect(longHighFever.scores.typhoid).toBeGreaterThan(shortHighFever.scores.typhoid);
+      expect(shortHighFever.scores.malaria).toBeGreaterThan(longHighFever.scores.malaria);
+    });
+
+    it('should separate the diseases by fever pattern', () => {
+      const symptoms = ['fever', 'headache', 'chills', 'abdominal pain'];
+      const cyclical = runRuleEngine({ symptoms, feverPattern: 'cyclical' });
+      const stepLadder = runRuleEngine({ symptoms: [{ symptom: 'fever', pattern: 'step-ladder' }, 'headache', 'chills', 'abdominal pain'] });
+
+      expect(cyclical.scores.malaria).toBeGreaterThan(cyclical.scores.typhoid);
+      expect(stepLadder.scores.typhoid).toBeGreaterThan(stepLadder.scores.malaria);
+    });
+
+    it('should lower the probability for explicitly absent key findings', () => {
+      const unknown = runRuleEngine({ symptoms: ['headache'] });
+      const noFever = runRuleEngine({ symptoms: ['headache'], absentSymptoms: ['fever'] });
+      expect(noFever.scores.malaria).toBeLessThan(unknown.scores.malaria);
+    });
+
+    it('should return a confidence interval around the probability', () => {
+      const { malaria } = runRuleEngine({ symptoms: ['fever', 'chills', 'sweating'] }).assessments;
+      expect(malaria.interval.level).toBe(0.95);
+      expect(malaria.interval.lower).toBeLessThan(malaria.probability);
+      expect(malaria.interval.upper).toBeGreaterThan(malaria.probability);
+    });
+
+    it('should let test results dominate the symptoms', () => {
+      const positive = runRuleEngine({
+        symptoms: ['headache'],
+        testResults: { typhoid: { bloodCulture: 'positive' }, malaria: { rapidTest: 'negative' } }
+      });
+
+      expect(positive.assessments.typhoid).toMatchObject({ riskLevel: 'high', positiveTests: ['bloodCulture'] });
+      expect(positive.assessments.malaria.probability).toBeLessThan(0.1);
+      expect(positive.conclusion).toMatchObject({ disease: 'typhoid', confidence: 'High' });
+    });
+
+    it('should list the findings that moved each probability', () => {
+      const { malaria } = runRuleEngine({ symptoms: [{ symptom: 'chills', severity: 'severe' }, 'earache'] }).assessments;
+      expect(malaria.findings).toEqual([{ kind: 'symptom', finding: 'chills', value: 'severe', lr: 2.828 }]);
+      expect(malaria.matchedSymptoms).toEqual(['chills']);
+    });
+  });
+
+  describe('differential', () => {
+    it('should score every disease module', () => {
+      const result = runRuleEngine({ symptoms: ['fever'] });
+      expect(Object.keys(result.assessments)).toEqual(['malaria', 'typhoid', 'dengue', 'influenza', 'uti']);
+      expect(result.differential).toHaveLength(5);
+    });
+
+    it('should rank diseases by probability', () => {
+      const { differential } = runRuleEngine({ symptoms: ['fever', 'pain behind eyes', 'joint pains', 'rash'] });
+
+      expect(differential[0]).toMatchObject({ rank: 1, disease: 'dengue', label: 'Dengue' });
+      expect(differential.map(entry => entry.rank)).toEqual([1, 2, 3, 4, 5]);
+      differential.slice(1).forEach((entry, index) => {
+        expect(entry.probability).toBeLessThanOrEqual(differential[index].probability);
+      });
+    });
+
+    it('should pick out influenza-like illness and UTI', () => {
+      const flu = runRuleEngine({ symptoms: ['fever', 'cough', 'sore throat', 'runny nose'] });
+      const uti = runRuleEngine({ symptoms: ['fever', 'burning urination', 'frequent urination', 'back pain'] });
+
+      expect(flu.differential[0].disease).toBe('influenza');
+      expect(uti.differential[0].disease).toBe('uti');
+      expect(uti.assessments.uti.matchedSymptoms).toEqual(expect.arrayContaining(['dysuria', 'flank_pain']));
+    });
+  });
+
+  describe('reasoning trace', () => {
+    it('should list each rule that fired and add up to the final log-odds', () => {
+      const { trace } = runRuleEngine({
+        symptoms: [{ symptom: 'fever', severity: 'severe', duration: '2 days' }, 'chills'],
+        feverPattern: 'cyclical'
+      }).assessments.malaria;
+
+      expect(trace.steps.map(step => step.rule)).toEqual([
+        'symptoms.fever.present',
+        'symptoms.chills.present',
+        'feverDuration[0]',
+        'feverPatterns.cyclical'
+      ]);
+      const total = trace.steps.reduce((sum, step) => sum + step.contribution, trace.prior.logOdds);
+      expect(total).toBeCloseTo(trace.logOdds, 2);
+      expect(trace.steps[trace.steps.length - 1].probabilityAfter).toBe(trace.probability);
+    });
+
+    it('should report the thresholds crossed', () => {
+      const { trace } = runRuleEngine({ symptoms: ['fever', 'chills', 'sweating'], feverPattern: 'cyclical' }).assessments.malaria;
+
+      expect(trace.riskLevel).toBe('high');
+      expect(trace.thresholds).toEqual([
+        { level: 'moderate', threshold: 0.4, crossed: true },
+        { level: 'high', threshold: 0.7, crossed: true }
+      ]);
+      expect(trace.summary).toMatch(/crossed the high threshold of 0.7/);
+    });
+
+    it('should flag test results that overrode the symptom scoring', () => {
+      const symptoms = ['fever', 'chills', 'sweating', 'headache'];
+      const clinical = runRuleEngine({ symptoms }).assessments.malaria;
+      const tested = runRuleEngine({ symptoms, testResults: { malaria: { microscopy: 'negative' } } }).assessments.malaria;
+
+      expect(clinical.trace.testOverride).toBeNull();
+      expect(tested.trace.testOverride).toEqual({
+        tests: [{ test: 'microscopy', value: 'negative', lr: 0.1 }],
+        clinicalProbability: clinical.probability,
+        clinicalRiskLevel: clinical.riskLevel
+      });
+      expect(tested.riskLevel).toBe('low');
+    });
+  });
+
+  describe('concludeAssessment', () => {
+    const assessment = probability => ({ probability, riskLevel: riskLevelFor(probability) });
+
+    it('should name the disease when one is clearly high risk', () => {
+      expect(concludeAssessment({ malaria: assessment(0.85), typhoid: assessment(0.4) }).diagnosis).toBe('Likely Malaria');
+    });
+
+    it('should be inconclusive when both diseases are about as likely', () => {
+      const conclusion = concludeAssessment({ malaria: assessment(0.78), typhoid: assessment(0.75) });
+      expect(conclusion).toMatchObject({ disease: null, confidence: 'Moderate' });
+    });
+
+    it('should report no match when every risk is low', () => {
+      expect(concludeAssessment({ malaria: assessment(0.1), typhoid: assessment(0.2) }).confidence).toBe('Low');
+    });
+  });
+});
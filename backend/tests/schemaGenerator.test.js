@@ -0,0 +1,47 @@
+import { DataTypes } from 'sequelize';
+import {
+  renderType,
+  renderCreateTablesMigration,
+  migrationTimestamp
+} from '../services/schemaGenerator.js';
+import Patient from '../models/Patient.pg.js';
+import AuditLog from '../models/AuditLog.pg.js';
+
+describe('Schema generator', () => {
+  describe('renderType', () => {
+    it('should render sized and default strings', () => {
+      expect(renderType(DataTypes.STRING(20))).toBe('Sequelize.STRING(20)');
+      expect(renderType(DataTypes.STRING)).toBe('Sequelize.STRING');
+    });
+
+    it('should render enums, arrays and decimals', () => {
+      expect(renderType(DataTypes.ENUM('a', 'b'))).toBe("Sequelize.ENUM('a', 'b')");
+      expect(renderType(DataTypes.ARRAY(DataTypes.STRING))).toBe('Sequelize.ARRAY(Sequelize.STRING)');
+      expect(renderType(DataTypes.DECIMAL(10, 2))).toBe('Sequelize.DECIMAL(10, 2)');
+    });
+  });
+
+  describe('renderCreateTablesMigration', () => {
+    it('should create tables, indexes and drop enum types on down', () => {
+      const source = renderCreateTablesMigration([Patient], 'Create patients table');
+
+      expect(source).toContain("await queryInterface.createTable('patients'");
+      expect(source).toContain("references: { model: 'users', key: 'id' }");
+      expect(source).toContain("await queryInterface.addIndex('patients', ['patientId'], { name: 'patients_patient_id', unique: true, transaction });");
+      expect(source).toContain("await queryInterface.dropTable('patients', { transaction });");
+      expect(source).toContain('DROP TYPE IF EXISTS "enum_patients_gender"');
+    });
+
+    it('should keep the index method', () => {
+      const source = renderCreateTablesMigration([AuditLog], 'Create audit logs table');
+
+      expect(source).toContain("await queryInterface.addIndex('audit_logs', ['patientIds'], { name: 'audit_logs_patient_ids', using: 'GIN', transaction });");
+    });
+  });
+
+  describe('migrationTimestamp', () => {
+    it('should produce a sortable UTC timestamp', () => {
+      expect(migrationTimestamp(new Date('2026-10-19T03:54:02Z'))).toBe('20261019035402');
+    });
+  });
+});
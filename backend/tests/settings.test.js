@@ -0,0 +1,56 @@
+import {
+  validateSettingValue,
+  flattenSettings,
+  nestSettings,
+  validateSettingsUpdate
+} from '../services/settingsService.js';
+
+describe('System settings', () => {
+  describe('validateSettingValue', () => {
+    it('should accept values matching the definition', () => {
+      expect(validateSettingValue('system.maintenanceMode', true)).toBeNull();
+      expect(validateSettingValue('system.sessionTimeout', 60)).toBeNull();
+      expect(validateSettingValue('system.backupFrequency', 'weekly')).toBeNull();
+      expect(validateSettingValue('hospital.contactEmail', 'admin@moh.gov')).toBeNull();
+    });
+
+    it('should reject wrong types and out-of-range values', () => {
+      expect(validateSettingValue('system.maintenanceMode', 'yes')).toMatch(/true or false/);
+      expect(validateSettingValue('system.maxLoginAttempts', 0)).toMatch(/between 1 and 20/);
+      expect(validateSettingValue('system.sessionTimeout', 12.5)).toMatch(/whole number/);
+      expect(validateSettingValue('system.backupFrequency', 'never')).toMatch(/one of/);
+      expect(validateSettingValue('hospital.name', '  ')).toMatch(/non-empty/);
+    });
+
+    it('should reject unknown settings', () => {
+      expect(validateSettingValue('system.debug', true)).toMatch(/Unknown setting/);
+    });
+  });
+
+  describe('flattenSettings / nestSettings', () => {
+    it('should round-trip grouped settings', () => {
+      const nested = { system: { maintenanceMode: true, sessionTimeout: 45 }, hospital: { name: 'Katutura' } };
+      const flat = flattenSettings(nested);
+
+      expect(flat).toEqual({
+        'system.maintenanceMode': true,
+        'system.sessionTimeout': 45,
+        'hospital.name': 'Katutura'
+      });
+      expect(nestSettings(flat)).toEqual(nested);
+    });
+  });
+
+  describe('validateSettingsUpdate', () => {
+    it('should report every invalid value in express-validator shape', () => {
+      const { changes, errors } = validateSettingsUpdate({
+        system: { maintenanceMode: false, maxLoginAttempts: 50 },
+        security: { twoFactor: true }
+      });
+
+      expect(changes['system.maintenanceMode']).toBe(false);
+      expect(errors.map(error => error.path)).toEqual(['system.maxLoginAttempts', 'security.twoFactor']);
+      expect(errors[0]).toMatchObject({ type: 'field', value: 50, location: 'body' });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import {
+  SYMPTOM_VOCABULARY,
+  symptomKey,
+  isSymptomCode,
+  matchSymptom,
+  toSymptomCode,
+  symptomLabel,
+  searchSymptoms,
+  extractSymptoms
+} from '../shared/symptomVocabulary.js';
+import { DISEASE_MODULES } from '../shared/diseases/index.js';
+import { DANGER_SIGN_CRITERIA } from '../shared/dangerSigns.js';
+import { runRuleEngine } from '../shared/ruleEngine.js';
+
+describe('Symptom vocabulary', () => {
+  it('should give every term a single meaning', () => {
+    const owners = new Map();
+    SYMPTOM_VOCABULARY.forEach(({ code, label, synonyms }) => {
+      [code, label, ...synonyms].forEach((term) => {
+        const key = symptomKey(term);
+        expect([undefined, code]).toContain(owners.get(key));
+        owners.set(key, code);
+      });
+    });
+  });
+
+  it('should cover every symptom the disease modules and danger signs use', () => {
+    const used = [
+      ...DISEASE_MODULES.flatMap(module => Object.keys(module.symptoms)),
+      ...DANGER_SIGN_CRITERIA.map(({ criterion }) => criterion)
+    ];
+    expect(used.filter(code => !isSymptomCode(code))).toEqual([]);
+  });
+
+  describe('matchSymptom', () => {
+    it('should match codes, labels and synonyms', () => {
+      expect(matchSymptom('abdominal_pain')).toMatchObject({ code: 'abdominal_pain', match: 'code' });
+      expect(matchSymptom('Stomach pain')).toMatchObject({ code: 'abdominal_pain', match: 'synonym' });
+      expect(matchSymptom('feeling hot')).toMatchObject({ code: 'fever', match: 'synonym' });
+    });
+
+    it('should correct misspellings within the tolerance', () => {
+      expect(matchSymptom('feaver')).toMatchObject({ code: 'fever', match: 'fuzzy' });
+      expect(matchSymptom('diarhea')).toMatchObject({ code: 'diarrhea', match: 'fuzzy' });
+    });
+
+    it('should not guess at short or unrelated words', () => {
+      expect(matchSymptom('rsah')).toBeNull();
+      expect(matchSymptom('ear pain')).toBeNull();
+      expect(matchSymptom('')).toBeNull();
+    });
+
+    it('should carry the SNOMED CT concept where one is mapped', () => {
+      expect(matchSymptom('fever').snomed).toMatch(/^\d+$/);
+    });
+  });
+
+  describe('toSymptomCode', () => {
+    it('should rewrite names and { symptom } entries to codes', () => {
+      expect(toSymptomCode('Feaver')).toBe('fever');
+      expect(toSymptomCode({ symptom: 'stomach pain', severity: 'mild' }))
+        .toEqual({ symptom: 'abdominal_pain', severity: 'mild' });
+    });
+
+    it('should keep unrecognised names as written', () => {
+      expect(toSymptomCode(' ear pain ')).toBe('ear pain');
+      expect(symptomLabel('ear pain')).toBe('ear pain');
+      expect(symptomLabel('loss_appetite')).toBe('Loss of appetite');
+    });
+  });
+
+  describe('searchSymptoms', () => {
+    it('should rank prefix matches before fuzzy ones', () => {
+      const results = searchSymptoms('head');
+      expect(results[0]).toMatchObject({ code: 'headache', match: 'prefix' });
+      expect(searchSymptoms('diarhea')[0]).toMatchObject({ code: 'diarrhea' });
+    });
+
+    it('should list each symptom once and respect the limit', () => {
+      const results = searchSymptoms('pain', { limit: 3 });
+      expect(results.length).toBeLessThanOrEqual(3);
+      expect(new Set(results.map(({ code }) => code)).size).toBe(results.length);
+      expect(searchSymptoms('', { limit: 5 })).toHaveLength(5);
+    });
+  });
+
+  describe('extractSymptoms', () => {
+    it('should pick symptoms out of free text', () => {
+      const { symptoms } = extractSymptoms('Feeling hot since Monday with a bad headache and diarhea');
+      expect(symptoms).toEqual(expect.arrayContaining(['fever', 'headache', 'diarrhea']));
+    });
+
+    it('should list negated symptoms as absent', () => {
+      expect(extractSymptoms('headache, no cough or rash but vomiting')).toEqual({
+        symptoms: ['headache', 'vomiting'],
+        absentSymptoms: expect.arrayContaining(['dry_cough', 'rash'])
+      });
+    });
+
+    it('should not read negations or everyday words as misspelt symptoms', () => {
+      expect(extractSymptoms('I never had this before, my head hurts')).toEqual({ symptoms: [], absentSymptoms: [] });
+      expect(extractSymptoms('pulled a lever at work').symptoms).toEqual([]);
+      expect(matchSymptom('lever')).toBeNull();
+    });
+
+    it('should not take a normal temperature for fever', () => {
+      expect(extractSymptoms('my temperature is normal').symptoms).toEqual([]);
+      expect(extractSymptoms('normal temperature, some vomiting').symptoms).toEqual(['vomiting']);
+    });
+  });
+
+  it('should let the rule engine report names outside the vocabulary', () => {
+    const result = runRuleEngine({ symptoms: ['fever', 'ear pain'] });
+    expect(result.unrecognizedSymptoms).toEqual(['ear_pain']);
+  });
+});
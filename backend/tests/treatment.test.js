@@ -0,0 +1,200 @@
+import {
+  TreatmentError,
+  ageInYears,
+  ageInMonths,
+  recommendTreatment,
+  draftPrescription,
+  treatmentPatientFrom
+} from '../services/treatmentService.js';
+
+const adult = { weightKg: 60, ageYears: 30 };
+const confirmedMalaria = { malariaAssessment: { riskLevel: 'high', testResults: { rapidTest: 'positive' } } };
+
+describe('Treatment recommender', () => {
+  describe('ageInYears', () => {
+    it('should count whole years', () => {
+      expect(ageInYears('2000-06-15', new Date('2026-06-14'))).toBe(25);
+      expect(ageInYears('2000-06-15', new Date('2026-06-15'))).toBe(26);
+    });
+
+    it('should count whole months for infants', () => {
+      expect(ageInMonths('2026-04-20', new Date('2026-10-19'))).toBe(5);
+      expect(ageInMonths('2026-04-19', new Date('2026-10-19'))).toBe(6);
+    });
+  });
+
+  describe('treatmentPatientFrom', () => {
+    it('should reject pregnancy for male patients', () => {
+      expect(() => treatmentPatientFrom({ gender: 'male', dateOfBirth: '1990-01-01' }, { weightKg: 70, pregnant: true }))
+        .toThrow(TreatmentError);
+    });
+  });
+
+  describe('uncomplicated malaria', () => {
+    it.each([
+      [10, 1],
+      [15, 2],
+      [30, 3],
+      [60, 4]
+    ])('should give a %i kg patient %i artemether-lumefantrine tablets per dose', (weightKg, tablets) => {
+      const [regimen] = recommendTreatment(confirmedMalaria, { weightKg, ageYears: 8 }).regimens;
+
+      expect(regimen).toMatchObject({ disease: 'malaria', regimen: 'uncomplicated' });
+      expect(regimen.medications[0]).toMatchObject({ genericName: 'artemether-lumefantrine', quantity: tablets * 6 });
+    });
+
+    it('should not treat unconfirmed malaria', () => {
+      const plan = recommendTreatment({ malariaAssessment: { riskLevel: 'high' } }, adult);
+
+      expect(plan.regimens).toEqual([]);
+      expect(plan.notes[0]).toMatch(/test/i);
+      expect(draftPrescription(plan, { patientId: 1 })).toBeNull();
+    });
+
+    it('should flag radical cure for relapsing species', () => {
+      const vivax = { malariaAssessment: { ...confirmedMalaria.malariaAssessment, species: 'P. vivax' } };
+
+      expect(recommendTreatment(vivax, adult).regimens[0].notes).toEqual([expect.stringMatching(/primaquine.*G6PD/)]);
+      expect(recommendTreatment(vivax, { ...adult, pregnant: true }).regimens[0].notes[0]).toMatch(/contraindicated in pregnancy/);
+    });
+  });
+
+  describe('malaria species', () => {
+    const withSpecies = species => ({ malariaAssessment: { ...confirmedMalaria.malariaAssessment, species } });
+    const malariaPlan = (species, patient = adult) => recommendTreatment(withSpecies(species), patient).regimens[0];
+
+    it('should add single low-dose primaquine for P. falciparum', () => {
+      const regimen = malariaPlan('P. falciparum');
+
+      expect(regimen.label).toMatch(/^Uncomplicated P. falciparum malaria/);
+      expect(regimen.radicalCure).toBeNull();
+      expect(regimen.medications[1]).toMatchObject({ genericName: 'primaquine', dosage: '2 tablets (15 mg, 0.25 mg/kg)', quantity: 2 });
+      expect(malariaPlan('P. falciparum', { ...adult, pregnant: true }).medications).toHaveLength(1);
+    });
+
+    it('should give daily radical cure when G6PD is normal', () => {
+      const regimen = malariaPlan('P. vivax', { ...adult, g6pdStatus: 'normal' });
+
+      expect(regimen.radicalCure).toBe('daily');
+      expect(regimen.medications[1]).toMatchObject({ genericName: 'primaquine', duration: '14 days', quantity: 28 });
+    });
+
+    it('should give weekly radical cure under supervision when G6PD is low', () => {
+      const regimen = malariaPlan('P. ovale', { ...adult, g6pdStatus: 'deficient' });
+
+      expect(regimen.radicalCure).toBe('weekly');
+      expect(regimen.medications[1]).toMatchObject({ dosage: '6 tablets (45 mg, 0.75 mg/kg)', frequency: 'Once weekly', quantity: 48 });
+      expect(regimen.notes[0]).toMatch(/supervision/);
+    });
+
+    it('should round primaquine to half tablets for small children', () => {
+      const child = { weightKg: 10, ageYears: 1, g6pdStatus: 'normal' };
+
+      expect(malariaPlan('P. vivax', child).medications[1]).toMatchObject({ dosage: '1/2 tablet (3.75 mg, 0.25 mg/kg)', quantity: 7 });
+      expect(malariaPlan('P. vivax', { ...child, ageYears: 13, weightKg: 45 }).medications[1])
+        .toMatchObject({ dosage: '1 1/2 tablets (11.25 mg, 0.25 mg/kg)', quantity: 21 });
+      expect(malariaPlan('P. falciparum', { ...child, weightKg: 6 }).medications[1])
+        .toMatchObject({ dosage: '1/2 tablet (3.75 mg, 0.25 mg/kg)', quantity: 1 });
+    });
+
+    it('should defer radical cure while G6PD is unknown and in pregnancy', () => {
+      expect(malariaPlan('P. vivax').radicalCure).toBe('awaiting-g6pd');
+      expect(malariaPlan('P. vivax').medications).toHaveLength(1);
+      expect(malariaPlan('P. vivax', { ...adult, pregnant: true, g6pdStatus: 'normal' }).radicalCure).toBe('deferred-pregnancy');
+    });
+
+    it('should leave primaquine out for infants under 6 months', () => {
+      const infant = { weightKg: 7, ageYears: 0, ageMonths: 4, g6pdStatus: 'normal' };
+      const vivax = malariaPlan('P. vivax', infant);
+
+      expect(vivax.radicalCure).toBe('deferred-infant');
+      expect(vivax.medications.map(m => m.genericName)).toEqual(['artemether-lumefantrine']);
+      expect(vivax.notes).toContain('P. vivax: primaquine is not given to infants under 6 months; give radical cure from 6 months of age');
+      expect(malariaPlan('P. falciparum', infant).medications).toHaveLength(1);
+      expect(malariaPlan('P. vivax', { ...infant, ageMonths: 9 }).radicalCure).toBe('daily');
+    });
+
+    it('should treat mixed infections with an ACT and radical cure', () => {
+      const regimen = malariaPlan('mixed', { ...adult, g6pdStatus: 'normal' });
+
+      expect(regimen.label).toMatch(/^Uncomplicated mixed-species malaria/);
+      expect(regimen.medications.map(m => m.genericName)).toEqual(['artemether-lumefantrine', 'primaquine']);
+      expect(regimen.radicalCure).toBe('daily');
+    });
+
+    it('should not give primaquine for P. malariae', () => {
+      const regimen = malariaPlan('P. malariae', { ...adult, g6pdStatus: 'normal' });
+
+      expect(regimen.medications).toHaveLength(1);
+      expect(regimen.notes).toEqual(['P. malariae: no radical cure needed']);
+    });
+
+    it('should start radical cure with the ACT after severe malaria', () => {
+      const severeVivax = { malariaAssessment: { urgentReferral: true, species: 'P. vivax' } };
+      const [regimen] = recommendTreatment(severeVivax, { ...adult, g6pdStatus: 'normal' }).regimens;
+
+      expect(regimen.medications.map(m => m.genericName)).toEqual(['artesunate', 'artemether-lumefantrine', 'primaquine']);
+    });
+  });
+
+  describe('severe malaria', () => {
+    const severe = { malariaAssessment: { urgentReferral: true } };
+
+    it('should give IV artesunate by weight, then an ACT', () => {
+      const plan = recommendTreatment(severe, adult);
+
+      expect(plan.priority).toBe('emergency');
+      expect(plan.regimens[0].regimen).toBe('severe');
+      expect(plan.regimens[0].medications.map(m => m.genericName)).toEqual(['artesunate', 'artemether-lumefantrine']);
+      expect(plan.regimens[0].medications[0].dosage).toBe('144 mg IV (2.4 mg/kg)');
+    });
+
+    it('should use 3 mg/kg for children under 20 kg', () => {
+      const [artesunate] = recommendTreatment(severe, { weightKg: 12, ageYears: 2 }).regimens[0].medications;
+      expect(artesunate.dosage).toBe('36 mg IV (3 mg/kg)');
+    });
+  });
+
+  describe('typhoid', () => {
+    it('should give azithromycin tablets to adults', () => {
+      const [regimen] = recommendTreatment({ typhoidAssessment: { testResults: { bloodCulture: 'positive' } } }, adult).regimens;
+
+      expect(regimen).toMatchObject({ disease: 'typhoid', regimen: 'uncomplicated' });
+      expect(regimen.medications[0]).toMatchObject({ name: 'Azithromycin 500 mg tablet', dosage: '2 x 500 mg', quantity: 14 });
+    });
+
+    it('should dose children by weight with suspension', () => {
+      const [regimen] = recommendTreatment({ typhoidAssessment: { riskLevel: 'high' } }, { weightKg: 15, ageYears: 4 }).regimens;
+      expect(regimen.medications[0].dosage).toBe('300 mg (7.5 mL)');
+    });
+
+    it('should give ceftriaxone when complicated', () => {
+      const plan = recommendTreatment({ typhoidAssessment: { riskLevel: 'high', complications: ['intestinal perforation'] } }, adult);
+
+      expect(plan.priority).toBe('urgent');
+      expect(plan.regimens[0].medications[0]).toMatchObject({ genericName: 'ceftriaxone', dosage: '2000 mg IV' });
+    });
+  });
+
+  describe('draftPrescription', () => {
+    it('should fit the prescription API', () => {
+      const diagnosis = {
+        malariaAssessment: { urgentReferral: true },
+        typhoidAssessment: { riskLevel: 'high', complications: ['shock'] }
+      };
+      const draft = draftPrescription(recommendTreatment(diagnosis, adult), { patientId: 4, diagnosisId: 9, appointmentId: 2 });
+
+      expect(draft).toMatchObject({ patient: 4, diagnosis: 9, appointment: 2, priority: 'emergency' });
+      expect(draft.medications).toHaveLength(3);
+      draft.medications.forEach((medication) => {
+        expect(medication.name.length).toBeLessThanOrEqual(100);
+        ['dosage', 'frequency', 'duration'].forEach(field => expect(medication[field].length).toBeLessThanOrEqual(50));
+        expect(medication.quantity).toBeGreaterThanOrEqual(1);
+      });
+    });
+
+    it('should require the weight', () => {
+      expect(() => recommendTreatment(confirmedMalaria, { ageYears: 30 })).toThrow('Patient weight is required to dose the treatment');
+    });
+  });
+});
@@ -6,6 +6,8 @@
 // API Base Configuration
 export const API_CONFIG = {
   BASE_URL: 'http://localhost:5000/api',
+  // Browser modules served by the backend (e.g. the shared rule engine)
+  SHARED_URL: 'http://localhost:5000/shared',
   TIMEOUT: 10000, // 10 seconds
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000 // 1 second
@@ -47,7 +49,38 @@ export const API_ENDPOINTS = {
   DIAGNOSIS: {
     BASE: '/diagnosis',
     BY_ID: (id) => `/diagnosis/${id}`,
-    EXPERT_SYSTEM: '/diagnosis/expert-system/assess'
+    TREATMENT_PLAN: (id) => `/diagnosis/${id}/treatment-plan`,
+    EXPERT_SYSTEM: '/diagnosis/expert-system/assess',
+    RULES: '/diagnosis/rules',
+    EVALUATE: '/diagnosis/rules/evaluate',
+    PATIENT_AI: '/diagnosis/patient-ai',
+    INTERVIEW: '/diagnosis/interview',
+    INTERVIEW_BY_ID: (id) => `/diagnosis/interview/${id}`,
+    INTERVIEW_ANSWERS: (id) => `/diagnosis/interview/${id}/answers`
+  },
+  
+  // Clinical alerts raised by the expert system
+  ALERTS: {
+    BASE: '/alerts',
+    ACKNOWLEDGE: (id) => `/alerts/${id}/acknowledge`
+  },
+  
+  // Controlled symptom vocabulary (autocomplete and normalisation)
+  SYMPTOMS: {
+    BASE: '/symptoms',
+    NORMALIZE: '/symptoms/normalize',
+    BY_CODE: (code) => `/symptoms/${encodeURIComponent(code)}`
+  },
+  
+  // Lab orders and results
+  LAB_ORDERS: {
+    BASE: '/lab-orders',
+    TESTS: '/lab-orders/tests',
+    ANTIBIOGRAM: '/lab-orders/antibiogram',
+    BY_ID: (id) => `/lab-orders/${id}`,
+    COLLECT: (id) => `/lab-orders/${id}/collect`,
+    RESULT: (id) => `/lab-orders/${id}/result`,
+    CANCEL: (id) => `/lab-orders/${id}/cancel`
   },
   
   // Prescriptions
@@ -129,16 +129,123 @@ export class DiagnosisService {
     return httpClient.put(API_ENDPOINTS.DIAGNOSIS.BY_ID(id), diagnosisData);
   }
 
-  static async getExpertSystemAssessment(symptoms, testResults = {}) {
+  // Pass details.patient to alert the patient's treating doctor to severe malaria danger signs
+  static async getExpertSystemAssessment(symptoms, testResults = {}, details = {}) {
     return httpClient.post(API_ENDPOINTS.DIAGNOSIS.EXPERT_SYSTEM, {
       symptoms,
-      testResults
+      testResults,
+      ...details
     });
   }
 
+  // Draft regimens for a diagnosis; submit data.draftPrescription with PrescriptionService.createPrescription
+  static async getTreatmentPlan(id, weightKg, details = {}) {
+    return httpClient.post(API_ENDPOINTS.DIAGNOSIS.TREATMENT_PLAN(id), { weightKg, ...details });
+  }
+
   static async getPatientDiagnoses(patientId) {
     return this.getDiagnoses({ patient: patientId });
   }
+
+  static async getRules() {
+    return httpClient.get(API_ENDPOINTS.DIAGNOSIS.RULES);
+  }
+
+  static async evaluateSymptoms(symptoms, testResults = {}) {
+    return httpClient.post(API_ENDPOINTS.DIAGNOSIS.EVALUATE, {
+      symptoms,
+      testResults
+    });
+  }
+
+  // The server recomputes the scores from the symptoms and details (feverDays, feverPattern, interviewSession)
+  static async savePatientDiagnosis(symptoms, details = {}) {
+    return httpClient.post(API_ENDPOINTS.DIAGNOSIS.PATIENT_AI, { symptoms, ...details });
+  }
+
+  // Adaptive interview: the server picks each follow-up question
+  static async startInterview(symptoms, details = {}) {
+    return httpClient.post(API_ENDPOINTS.DIAGNOSIS.INTERVIEW, { symptoms, ...details });
+  }
+
+  static async getInterview(id) {
+    return httpClient.get(API_ENDPOINTS.DIAGNOSIS.INTERVIEW_BY_ID(id));
+  }
+
+  static async answerInterview(id, questionId, answer) {
+    return httpClient.post(API_ENDPOINTS.DIAGNOSIS.INTERVIEW_ANSWERS(id), { questionId, answer });
+  }
+}
+
+/**
+ * Clinical Alert Service
+ */
+export class AlertService {
+  static async getAlerts(params = {}) {
+    return httpClient.get(API_ENDPOINTS.ALERTS.BASE, params);
+  }
+
+  static async getOpenAlerts() {
+    return this.getAlerts({ status: 'open' });
+  }
+
+  static async acknowledgeAlert(id) {
+    return httpClient.patch(API_ENDPOINTS.ALERTS.ACKNOWLEDGE(id));
+  }
+}
+
+/**
+ * Symptom Vocabulary Service
+ */
+export class SymptomService {
+  static async searchSymptoms(q, limit = 10) {
+    return httpClient.get(API_ENDPOINTS.SYMPTOMS.BASE, { q, limit });
+  }
+
+  static async getSymptom(code) {
+    return httpClient.get(API_ENDPOINTS.SYMPTOMS.BY_CODE(code));
+  }
+
+  static async normalizeSymptoms({ symptoms, text } = {}) {
+    return httpClient.post(API_ENDPOINTS.SYMPTOMS.NORMALIZE, { symptoms, text });
+  }
+}
+
+/**
+ * Lab Order Service
+ */
+export class LabOrderService {
+  static async getLabTests() {
+    return httpClient.get(API_ENDPOINTS.LAB_ORDERS.TESTS);
+  }
+
+  static async getAntibiogram({ from, to, test } = {}) {
+    return httpClient.get(API_ENDPOINTS.LAB_ORDERS.ANTIBIOGRAM, { from, to, test });
+  }
+
+  static async getLabOrders(params = {}) {
+    return httpClient.get(API_ENDPOINTS.LAB_ORDERS.BASE, params);
+  }
+
+  static async getLabOrderById(id) {
+    return httpClient.get(API_ENDPOINTS.LAB_ORDERS.BY_ID(id));
+  }
+
+  static async createLabOrder(orderData) {
+    return httpClient.post(API_ENDPOINTS.LAB_ORDERS.BASE, orderData);
+  }
+
+  static async collectSample(id, collectionData = {}) {
+    return httpClient.patch(API_ENDPOINTS.LAB_ORDERS.COLLECT(id), collectionData);
+  }
+
+  static async enterResult(id, { values, notes } = {}) {
+    return httpClient.patch(API_ENDPOINTS.LAB_ORDERS.RESULT(id), { values, notes });
+  }
+
+  static async cancelLabOrder(id, reason) {
+    return httpClient.patch(API_ENDPOINTS.LAB_ORDERS.CANCEL(id), { reason });
+  }
 }
 
 /**